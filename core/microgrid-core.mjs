@@ -0,0 +1,4112 @@
+/**
+ * =====================================================
+ * MICROGRID CORE - HEADLESS PHYSICS ENGINE
+ * Battery model, interval dispatch, policies, day simulation
+ * =====================================================
+ *
+ * This module has no DOM or global state. Every function takes its
+ * inputs explicitly so the same engine drives the browser UI
+ * (script.js), the command-line runner (tools/simulate.mjs) and any
+ * external study scripts.
+ *
+ * Usage:
+ *   import { buildSimConfig, buildDayInputs, simulateDay, simulateDays,
+ *            createBaselinePolicy, createSmartPolicy, createOptimalPolicy,
+ *            createMpcPolicy, registerPolicy, getPolicyFactory } from './core/microgrid-core.mjs';
+ */
+
+// ===== DEFAULTS =====
+export const WEATHER_IMPACT = { sunny: 1.0, cloudy: 0.4, rainy: 0.15 };
+
+// Typical Indian residential peak load: 6-8 kW (AC, appliances, etc.)
+export const TYPICAL_HOUSE_PEAK_LOAD_KW = 7;
+
+// Realistic Indian household load profile (kW) - higher with AC and appliances
+export const LOAD_PROFILE = [1.5, 1.2, 1.2, 1.2, 1.4, 2.0, 3.0, 3.5, 2.5, 2.2, 2.0, 2.0, 2.0, 2.0, 2.2, 2.8, 4.5, 6.0, 6.5, 6.0, 5.0, 3.5, 2.5, 2.0];
+
+// Synthetic hub-height wind speed (m/s) when no dataset is loaded: calmer
+// mornings, breezier afternoons and evenings.
+export const WIND_SPEED_PROFILE = [5.5, 5.2, 5.0, 4.8, 4.6, 4.5, 4.6, 5.0, 5.5, 6.0, 6.6, 7.2, 7.8, 8.3, 8.7, 9.0, 9.0, 8.7, 8.2, 7.6, 7.0, 6.5, 6.1, 5.8];
+
+// Synthetic ambient temperature (°C) when no dataset is loaded: a warm Indian
+// day, coolest before sunrise and hottest mid-afternoon.
+export const AMBIENT_TEMP_PROFILE = [27, 26.5, 26, 25.5, 25, 25, 25.5, 27, 29, 31, 33, 34.5, 35.5, 36.5, 37, 37, 36.5, 35.5, 34, 32, 30.5, 29.5, 28.5, 27.5];
+
+export const APPLIANCES = [
+    { id: 'coffee', name: "Coffee Maker", hours: [7, 8], power: 1.5, icon: 'microwave' },
+    { id: 'microwave', name: "Microwave", hours: [12, 13, 20], power: 2.0, icon: 'microwave' },
+    { id: 'washer', name: "Washing Machine", hours: [10, 11], power: 2.5, icon: 'washer', flexible: true },
+    { id: 'ac', name: "Air Conditioner", hours: [14, 15, 16, 17, 18], power: 3.5, icon: 'ac', flexible: true },
+    { id: 'tv', name: "Television", hours: [19, 20, 21, 22], power: 0.5, icon: 'tv' },
+    { id: 'lights', name: "Lights", hours: [18, 19, 20, 21, 22, 23, 0, 1, 2, 3, 4, 5, 6], power: 0.3, icon: 'lights' },
+    { id: 'ev', name: "EV Charger", hours: [1, 2, 3, 4, 5], power: 7.0, icon: 'ev', flexible: true },
+    { id: 'fridge', name: "Refrigerator", hours: Array.from({length: 24}, (_, i) => i), power: 0.2, icon: 'fridge' }
+];
+
+export const DEFAULT_SIM_CONFIG = {
+    solarCap: 5,                // kW (DC nameplate in the physics PV model)
+    // PV model (see calculateSolarOutput)
+    pvModel: 'scaled',          // 'scaled' | 'physics'
+    latitude: 23,               // Site latitude (°N), clear-sky geometry
+    tilt: 20,                   // Module tilt from horizontal (°)
+    azimuth: 180,               // Module facing, compass degrees (180 = due south)
+    albedo: 0.2,                // Ground reflectance
+    pvCellTempModel: 'noct',    // 'noct' | 'faiman'
+    noctC: 45,                  // Nominal operating cell temperature (°C)
+    faimanU0: 25,               // Faiman heat loss, constant part (W/m²K)
+    faimanU1: 6.84,             // Faiman heat loss, wind part (W/m³sK)
+    pvTempCoeff: -0.004,        // Power temperature coefficient (per °C above 25 °C)
+    pvSystemLosses: 0.14,       // Soiling, wiring, mismatch, inverter efficiency
+    dcAcRatio: 1.2,             // Array kWp / inverter kW; AC output clips above solarCap / dcAcRatio
+    // Wind turbine (power curve from wind speed; see windTurbineOutput)
+    windRatedKw: 0,             // Turbine rating (0 = no turbine)
+    windCutInMs: 3,             // Below this the rotor doesn't turn
+    windRatedMs: 12,            // Rated output from here...
+    windCutOutMs: 25,           // ...until the turbine furls for safety
+    batteryCapacityKwh: 10,     // kWh
+    weather: 'sunny',
+    baseGridPrice: 10,          // ₹/kWh off-peak
+    tariff: null,               // Preset name or tariff definition (see TARIFF_PRESETS); null = peakFactor/peakHours
+    peakFactor: 1.5,            // Peak price multiplier
+    peakHours: [17, 18, 19, 20, 21, 22],
+    // Demand billing (see settleDemandCharges): the month's highest interval-average import
+    demandChargePerKw: 0,       // ₹ per kW of monthly maximum import (0 = no demand charge)
+    sanctionedLoadKw: 0,        // Contracted load (0 = none); the monthly maximum above it is penalized
+    excessDemandPenaltyPerKw: 0, // ₹ per kW of monthly maximum above the sanctioned load
+    peakShaving: false,         // Smart policy caps grid import to protect the demand charge
+    peakShavingKw: null,        // Import cap for peak shaving (null = lowest cap the battery can hold)
+    gridLimitKw: 5,             // Max grid import
+    minPeakGridDrawKw: 0.5,     // Grid-tie minimum import during peak: served to load, else stored, never dumped
+    exportLimitKw: 5,           // Max grid export (inverter / DISCOM sanctioned)
+    exportMode: 'net-metering', // 'none' | 'feed-in' | 'net-metering' | 'net-billing'
+    feedInTariff: 4,            // ₹/kWh paid for exported energy
+    outageMode: 'none',         // 'none' | 'scheduled' | 'reliability'
+    outageWindows: [],          // Scheduled outages [{ start: 18, end: 21 }] in clock hours
+    outagesPerDay: 0.3,         // Reliability model: mean outage starts per day
+    outageMeanHours: 2,         // Reliability model: mean outage duration
+    outageSeed: 1,              // Reliability model: RNG seed (repeatable runs)
+    criticalLoadFraction: 0.6,  // Share of load that is never shed voluntarily
+    // Demand response (see buildDemandResponseEvents / settleDemandResponse)
+    demandResponse: 'none',     // 'none' | 'scheduled' (drEvents) | 'triggered' (high tariff / low frequency)
+    drEvents: [{ start: 18, end: 20 }], // Scheduled events in clock hours (optional reductionKw each)
+    drReductionKw: 1.5,         // Required reduction below the customer baseline
+    drTriggerTariffFactor: 1.5, // Triggered: tariff at or above this × baseGridPrice (null = off); announced day-ahead
+    drTriggerFrequencyHz: 49.2, // Triggered: grid frequency below this (null = off); not announced
+    drEventHours: 2,            // Length of a triggered event
+    drMaxEvents: 2,             // Triggered events per day
+    drBaselineHours: 2,         // Customer baseline: mean net load over the hours before the event
+    drDeferAppliances: true,    // Flexible APPLIANCES pause during events and run right after
+    drUseBattery: true,         // Battery discharges past the policy's limits to meet the reduction
+    drUseDiesel: false,         // Genset covers what the battery can't
+    drIncentivePerKwh: 15,      // ₹ per kWh of reduction delivered (up to the requirement)
+    drPenaltyPerKwh: 10,        // ₹ per kWh of shortfall
+    // Diesel genset (see createGensetModel)
+    dieselRatedKw: 8,           // Genset rating (0 = no generator)
+    dieselMinLoadRatio: 0.3,    // While running, fuel is burnt for at least this share of rating
+    dieselFuelIdleLphPerKw: 0.08145, // Fuel curve: L/h = idle × rated kW + slope × output kW
+    dieselFuelSlopeLpKwh: 0.246,
+    dieselFuelPrice: 95,        // ₹/litre
+    dieselStartCost: 15,        // ₹ per start (cranking fuel + wear)
+    dieselMinRunHours: 1,       // Once started the genset stays on at least this long
+    dieselChargeBattery: false, // Cycle charging: spare rating charges the battery while running
+    co2GridPerKwh: 0.5,         // kg CO2 per grid kWh (when gridEmissions is null)
+    gridEmissions: null,        // Preset name or hourly series (see GRID_EMISSION_PRESETS); null = constant co2GridPerKwh
+    carbonPricePerKg: 0,        // ₹ per kg CO2 the smart policy adds to the tariff (marginal factors)
+    // Forecasts (see applyForecastModel): 'dataset' keeps the predicted_* columns
+    forecastModel: 'dataset',   // 'dataset' | 'persistence' | 'smoothing' | 'regression'
+    forecastTrainingDays: 14,   // Earlier days the models learn from
+    forecastAlpha: 0.3,         // Exponential smoothing weight of the newest day
+    smartUsesForecast: false,   // Smart policy plans ahead from forecasts instead of measured inputs
+    // Grid services (see gridServiceReserve / applyGridServices): the battery answers the dataset's frequency and voltage
+    gridServices: false,        // Hold back battery headroom for frequency / voltage support
+    serviceReservePct: 30,      // Share of the battery's kW rating reserved (taken from arbitrage)
+    serviceReserveHours: 0.5,   // The reserve must last this long: SOC floor raised, ceiling lowered
+    nominalFrequencyHz: 50,
+    frequencyDeadbandHz: 0.2,   // No frequency response within nominal ± deadband
+    frequencyDroopPct: 2,       // Droop: full reserve at a deviation of droop % × nominal (1 Hz)
+    voltageSupport: 'volt-var', // 'none' | 'volt-var' (reactive power) | 'volt-watt' (active power)
+    nominalVoltageV: 230,
+    voltageDeadbandPct: 2,      // No voltage response within nominal ± deadband
+    voltageFullResponsePct: 5,  // Full voltage response at this deviation from nominal
+    serviceAvailabilityPrice: 1, // ₹ per kW of reserve held per hour (capacity payment)
+    serviceEnergyPrice: 12,     // ₹/kWh of response energy: up-regulation paid, down-regulation charged
+    reactivePricePerKvarh: 0.5, // ₹ per kvarh of volt-var support
+    co2DieselPerKwh: 0.8,       // kg CO2 per diesel kWh
+    initialSocPct: 50,
+    minSocPct: 20,              // Battery floor for longevity
+    roundTripEfficiency: 0.88,  // Realistic Li-ion efficiency
+    cRate: 0.25,                // C/4 charge/discharge limit
+    timestepMinutes: 60         // Dispatch interval (60, 30, 15 or 5)
+};
+
+// Export settlement rules; the billing period is one simulated day.
+//   none         - surplus solar is curtailed, nothing exported
+//   feed-in      - every exported kWh is paid at feedInTariff
+//   net-metering - exported kWh offset imported kWh at the retail tariff;
+//                  net surplus beyond imports is paid at feedInTariff
+//   net-billing  - exports are valued at feedInTariff and credited against
+//                  the import bill; unused credit is not paid out
+export const EXPORT_MODES = ['none', 'feed-in', 'net-metering', 'net-billing'];
+
+// Grid outage sources. Scheduled windows are announced ahead of time (policies
+// may prepare for them); reliability-model outages arrive unannounced.
+export const OUTAGE_MODES = ['none', 'scheduled', 'reliability'];
+
+// PV output models. 'scaled' normalizes the dataset's solar_pv_output to the
+// array size; 'physics' computes it from solar_irradiance and temperature.
+export const PV_MODELS = ['scaled', 'physics'];
+export const CELL_TEMP_MODELS = ['noct', 'faiman'];
+
+// Demand-response event sources. Scheduled events and high-tariff triggers
+// are known day-ahead (announced); low-frequency triggers arrive unannounced.
+export const DEMAND_RESPONSE_MODES = ['none', 'scheduled', 'triggered'];
+
+// Battery voltage support: none, reactive power from the inverter (volt-var)
+// or active power from the battery (volt-watt)
+export const VOLTAGE_SUPPORT_MODES = ['none', 'volt-var', 'volt-watt'];
+
+// Supported dispatch intervals (minutes); each divides the day evenly.
+export const TIMESTEP_OPTIONS = [60, 30, 15, 5];
+
+/**
+ * Number of dispatch intervals in a day for a timestep in minutes.
+ */
+export function getStepsPerDay(timestepMinutes = 60) {
+    return Math.round(1440 / timestepMinutes);
+}
+
+/**
+ * Merge user overrides onto the defaults and derive the battery power limits.
+ * Explicit maxChargeKw / maxDischargeKw win over the C-rate.
+ */
+export function buildSimConfig(overrides = {}) {
+    const config = { ...DEFAULT_SIM_CONFIG, ...overrides };
+    if (!TIMESTEP_OPTIONS.includes(config.timestepMinutes)) {
+        throw new Error(`Unsupported timestep ${config.timestepMinutes} min (use ${TIMESTEP_OPTIONS.join(', ')})`);
+    }
+    if (!OUTAGE_MODES.includes(config.outageMode)) {
+        throw new Error(`Unknown outage mode "${config.outageMode}" (use ${OUTAGE_MODES.join(', ')})`);
+    }
+    if (!PV_MODELS.includes(config.pvModel)) {
+        throw new Error(`Unknown PV model "${config.pvModel}" (use ${PV_MODELS.join(', ')})`);
+    }
+    if (!CELL_TEMP_MODELS.includes(config.pvCellTempModel)) {
+        throw new Error(`Unknown cell temperature model "${config.pvCellTempModel}" (use ${CELL_TEMP_MODELS.join(', ')})`);
+    }
+    if (!EXPORT_MODES.includes(config.exportMode)) {
+        throw new Error(`Unknown export mode "${config.exportMode}" (use ${EXPORT_MODES.join(', ')})`);
+    }
+    if (!DEMAND_RESPONSE_MODES.includes(config.demandResponse)) {
+        throw new Error(`Unknown demand response mode "${config.demandResponse}" (use ${DEMAND_RESPONSE_MODES.join(', ')})`);
+    }
+    if (!VOLTAGE_SUPPORT_MODES.includes(config.voltageSupport)) {
+        throw new Error(`Unknown voltage support "${config.voltageSupport}" (use ${VOLTAGE_SUPPORT_MODES.join(', ')})`);
+    }
+    if (!FORECAST_MODELS.includes(config.forecastModel)) {
+        throw new Error(`Unknown forecast model "${config.forecastModel}" (use ${FORECAST_MODELS.join(', ')})`);
+    }
+    config.tariff = resolveTariff(config);
+    config.gridEmissions = resolveGridEmissions(config);
+    if (config.maxChargeKw === undefined) config.maxChargeKw = config.batteryCapacityKwh * config.cRate;
+    if (config.maxDischargeKw === undefined) config.maxDischargeKw = config.batteryCapacityKwh * config.cRate;
+    return config;
+}
+
+export function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// ===== RANDOMNESS =====
+/**
+ * Small seeded PRNG (mulberry32) so stochastic runs are repeatable.
+ * Returns a function producing floats in [0, 1).
+ */
+export function createRng(seed = 1) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a hash, used to derive per-day seeds from a date string
+export function hashString(text) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+// ===== DATASET =====
+/**
+ * Parse the renewable energy CSV into numeric records plus the
+ * min/max statistics used for normalization.
+ */
+export function parseDatasetCsv(csvText) {
+    const lines = csvText.trim().split('\n');
+    const headers = lines[0].trim().split(',');
+    const records = [];
+
+    // Track min/max for proper normalization
+    const solarValues = [];
+    const loadValues = [];
+    const windValues = [];
+
+    for (let i = 1; i < lines.length; i++) {
+        const values = lines[i].trim().split(',');
+        const row = {};
+        headers.forEach((header, idx) => {
+            const val = values[idx];
+            if (header === 'timestamp') {
+                row[header] = val;
+            } else {
+                row[header] = parseFloat(val);
+            }
+        });
+        // Minute of day from the timestamp so 15/5-minute datasets keep their resolution
+        const timeMatch = String(row.timestamp).match(/[ T](\d{2}):(\d{2})/);
+        row.minute_of_day = timeMatch
+            ? parseInt(timeMatch[1], 10) * 60 + parseInt(timeMatch[2], 10)
+            : (row.hour_of_day || 0) * 60;
+        records.push(row);
+
+        // Collect values for statistics
+        if (!isNaN(row.solar_pv_output)) solarValues.push(row.solar_pv_output);
+        if (!isNaN(row.grid_load_demand)) loadValues.push(row.grid_load_demand);
+        if (!isNaN(row.wind_power_output)) windValues.push(row.wind_power_output);
+    }
+
+    // Reduce instead of Math.max(...values) so large datasets don't overflow the call stack
+    const max = values => values.reduce((m, v) => Math.max(m, v), -Infinity);
+    const min = values => values.reduce((m, v) => Math.min(m, v), Infinity);
+
+    const stats = {
+        solarMax: max(solarValues),
+        solarMin: min(solarValues),
+        loadMax: max(loadValues),
+        loadMin: min(loadValues),
+        windMax: max(windValues),
+        windMin: min(windValues)
+    };
+
+    return { records, stats };
+}
+
+/**
+ * Organize records as { 'YYYY-MM-DD': { hour: record } } for quick lookup.
+ * For sub-hourly data the first record of each hour is kept here; use
+ * groupRecordsByDateMinute for the full resolution.
+ */
+export function groupRecordsByDate(records) {
+    const byDate = {};
+    records.forEach(record => {
+        const dateMatch = String(record.timestamp).match(/(\d{4}-\d{2}-\d{2})/);
+        if (dateMatch) {
+            const date = dateMatch[1];
+            if (!byDate[date]) {
+                byDate[date] = {};
+            }
+            if (!byDate[date][record.hour_of_day] || record.minute_of_day % 60 === 0) {
+                byDate[date][record.hour_of_day] = record;
+            }
+        }
+    });
+    return byDate;
+}
+
+/**
+ * Organize records as { 'YYYY-MM-DD': { minuteOfDay: record } }.
+ * Only worth building when the dataset is finer than hourly.
+ */
+export function groupRecordsByDateMinute(records) {
+    const byDate = {};
+    records.forEach(record => {
+        const dateMatch = String(record.timestamp).match(/(\d{4}-\d{2}-\d{2})/);
+        if (dateMatch) {
+            const date = dateMatch[1];
+            if (!byDate[date]) {
+                byDate[date] = {};
+            }
+            byDate[date][record.minute_of_day] = record;
+        }
+    });
+    return byDate;
+}
+
+/**
+ * True when any record falls off the hour (15/5-minute dataset).
+ */
+export function hasSubHourlyRecords(records) {
+    return records.some(record => record.minute_of_day % 60 !== 0);
+}
+
+/**
+ * Turbine output (kW) at a wind speed: cubic between cut-in and rated speed,
+ * flat at rating up to cut-out, zero outside that band.
+ */
+export function windTurbineOutput(windSpeedMs, { windRatedKw = 0, windCutInMs = 3, windRatedMs = 12, windCutOutMs = 25 } = {}) {
+    const v = Math.max(0, windSpeedMs || 0);
+    if (windRatedKw <= 0 || v < windCutInMs || v >= windCutOutMs) return 0;
+    if (v >= windRatedMs) return windRatedKw;
+    const cubic = (v ** 3 - windCutInMs ** 3) / (windRatedMs ** 3 - windCutInMs ** 3);
+    return windRatedKw * cubic;
+}
+
+/**
+ * Scale a raw dataset record to the user's system using min-max normalization.
+ * Formula: scaledValue = (rawValue / datasetMax) * userCapacity
+ * Wind goes through the turbine power curve (`wind` = turbine config fields).
+ */
+export function scaleRealData(realRecord, stats, solarCapacity, batteryCapacity, wind = {}) {
+    if (!realRecord) return null;
+
+    const typicalHousePeakLoad = TYPICAL_HOUSE_PEAK_LOAD_KW;
+
+    // Normalize solar: (raw / datasetMax) * userSolarCapacity
+    const normalizedSolar = stats.solarMax > 0
+        ? (realRecord.solar_pv_output / stats.solarMax) * solarCapacity
+        : 0;
+
+    // Wind from the measured wind speed through the turbine's power curve
+    const windRatedKw = wind.windRatedKw || 0;
+    const normalizedWind = windTurbineOutput(realRecord.wind_speed, wind);
+
+    // Normalize load: (raw / datasetMax) * typicalHousePeakLoad
+    const normalizedLoad = stats.loadMax > 0
+        ? (realRecord.grid_load_demand / stats.loadMax) * typicalHousePeakLoad
+        : 2; // Default base load
+
+    return {
+        // Solar and renewable outputs - properly normalized, NEVER negative
+        solarOutput: Math.max(0, normalizedSolar),
+        windOutput: Math.max(0, normalizedWind),
+        totalRenewable: Math.max(0, normalizedSolar + normalizedWind),
+        solarIrradiance: Math.max(0, realRecord.solar_irradiance),
+        windSpeed: Math.max(0, realRecord.wind_speed),
+        temperature: realRecord.temperature, // Temperature CAN be negative (weather)
+        humidity: Math.max(0, Math.min(100, realRecord.humidity)),
+        pressure: realRecord.atmospheric_pressure,
+        // Load demand - properly normalized (minimum 0.5 kW base load)
+        gridLoadDemand: Math.max(0.5, normalizedLoad),
+        gridFrequency: realRecord.frequency,
+        gridVoltage: realRecord.voltage,
+        powerExchange: (stats.loadMax > 0)
+            ? (realRecord.power_exchange * (typicalHousePeakLoad / stats.loadMax))
+            : 0,
+        batterySOC: Math.max(0, Math.min(100, realRecord.battery_state_of_charge)),
+        batteryChargingRate: Math.max(0, (realRecord.battery_charging_rate / 100) * batteryCapacity * 0.5),
+        batteryDischargingRate: Math.max(0, (realRecord.battery_discharging_rate / 100) * batteryCapacity * 0.5),
+        predictedSolar: Math.max(0, (realRecord.predicted_solar_pv_output / stats.solarMax) * solarCapacity),
+        // The dataset forecasts wind power, not speed; scale it to the turbine rating
+        predictedWind: Math.max(0, (realRecord.predicted_wind_power_output / (stats.windMax || 1)) * windRatedKw),
+        predictedTotal: Math.max(0, ((realRecord.predicted_solar_pv_output / (stats.solarMax || 1)) * solarCapacity) +
+            ((realRecord.predicted_wind_power_output / (stats.windMax || 1)) * windRatedKw))
+    };
+}
+
+// ===== PV MODEL =====
+const DEG = Math.PI / 180;
+
+/**
+ * Day of year (1-366) from a string starting with YYYY-MM-DD, else null.
+ */
+export function dayOfYearFromDate(text) {
+    const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const date = Date.UTC(+match[1], +match[2] - 1, +match[3]);
+    return Math.round((date - Date.UTC(+match[1], 0, 1)) / 86400000) + 1;
+}
+
+/**
+ * Sun geometry for a day of year and local solar time (hours).
+ * Returns the cosine of the zenith angle, the cosine of the incidence angle on
+ * the module plane (Duffie & Beckman) and the extraterrestrial irradiance.
+ */
+export function solarPosition(dayOfYear, solarHour, { latitude = 23, tilt = 20, azimuth = 180 } = {}) {
+    const declination = 23.45 * DEG * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+    const hourAngle = 15 * DEG * (solarHour - 12);
+    const lat = latitude * DEG;
+    const beta = tilt * DEG;
+    const gamma = (azimuth - 180) * DEG; // Surface azimuth from south, west positive
+
+    const sinD = Math.sin(declination), cosD = Math.cos(declination);
+    const sinL = Math.sin(lat), cosL = Math.cos(lat);
+    const cosW = Math.cos(hourAngle), sinW = Math.sin(hourAngle);
+    const cosZenith = sinL * sinD + cosL * cosD * cosW;
+    const cosIncidence = sinD * sinL * Math.cos(beta)
+        - sinD * cosL * Math.sin(beta) * Math.cos(gamma)
+        + cosD * cosL * Math.cos(beta) * cosW
+        + cosD * sinL * Math.sin(beta) * Math.cos(gamma) * cosW
+        + cosD * Math.sin(beta) * Math.sin(gamma) * sinW;
+
+    return {
+        cosZenith,
+        cosIncidence,
+        extraterrestrial: 1367 * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365))
+    };
+}
+
+/**
+ * Clear-sky irradiance (W/m²): Meinel beam attenuation with a diffuse share
+ * of 10% of the beam. Zero while the sun is below the horizon.
+ */
+export function clearSkyIrradiance(position) {
+    if (position.cosZenith <= 0.01) return { ghi: 0, dni: 0, dhi: 0 };
+    const airMass = 1 / position.cosZenith;
+    const dni = position.extraterrestrial * Math.pow(0.7, Math.pow(airMass, 0.678));
+    const dhi = 0.1 * dni;
+    return { ghi: dni * position.cosZenith + dhi, dni, dhi };
+}
+
+/**
+ * Split measured global horizontal irradiance into beam and diffuse with the
+ * Erbs correlation. Irradiance reported while the sun is down is sensor noise.
+ */
+export function decomposeGhi(ghi, position) {
+    if (position.cosZenith <= 0.01 || !(ghi > 0)) return { ghi: 0, dni: 0, dhi: 0 };
+    // Near the horizon the beam is unreliable; treat everything as diffuse
+    if (position.cosZenith < 0.065) return { ghi, dni: 0, dhi: ghi };
+    const kt = clamp(ghi / (position.extraterrestrial * position.cosZenith), 0, 1);
+    const diffuseFraction = kt <= 0.22
+        ? 1 - 0.09 * kt
+        : kt <= 0.8
+            ? 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4
+            : 0.165;
+    const dhi = ghi * diffuseFraction;
+    return { ghi, dni: (ghi - dhi) / position.cosZenith, dhi };
+}
+
+/**
+ * Plane-of-array irradiance (W/m²) with the isotropic sky model:
+ * beam on the tilted plane + sky diffuse + ground-reflected.
+ */
+export function planeOfArrayIrradiance({ ghi, dni, dhi }, position, { tilt = 20, albedo = 0.2 } = {}) {
+    const cosTilt = Math.cos(tilt * DEG);
+    return Math.max(0, dni * Math.max(0, position.cosIncidence)
+        + dhi * (1 + cosTilt) / 2
+        + ghi * albedo * (1 - cosTilt) / 2);
+}
+
+/**
+ * Cell temperature (°C) from plane-of-array irradiance.
+ * NOCT: Ta + (NOCT − 20) / 800 × POA. Faiman: Ta + POA / (U0 + U1 × wind).
+ */
+export function cellTemperature(poaWm2, ambientC, windSpeedMs, config) {
+    if (config.pvCellTempModel === 'faiman') {
+        return ambientC + poaWm2 / (config.faimanU0 + config.faimanU1 * Math.max(0, windSpeedMs || 0));
+    }
+    return ambientC + (config.noctC - 20) / 800 * poaWm2;
+}
+
+/**
+ * AC output (kW) of the array: DC at STC scaled by irradiance, derated by
+ * cell temperature, reduced by system losses and clipped at the inverter
+ * rating (solarCap / dcAcRatio). `tempLossKw` is negative on cold days.
+ */
+export function pvAcOutput(poaWm2, cellTempC, config) {
+    const stcKw = config.solarCap * poaWm2 / 1000;
+    const tempFactor = 1 + config.pvTempCoeff * (cellTempC - 25);
+    const acKw = stcKw * Math.max(0, tempFactor) * (1 - config.pvSystemLosses);
+    const inverterKw = config.solarCap / (config.dcAcRatio || 1);
+    return {
+        acKw: Math.min(acKw, inverterKw),
+        tempLossKw: stcKw * (1 - tempFactor) * (1 - config.pvSystemLosses),
+        clippedKw: Math.max(0, acKw - inverterKw)
+    };
+}
+
+// ===== TARIFF ENGINE =====
+// TOU band types; hours no band covers are off-peak at the base price.
+export const TARIFF_BAND_TYPES = ['off-peak', 'shoulder', 'peak', 'solar'];
+
+// A standalone simulated day carries 1/30 of the monthly slabs and demand charges
+const BILLING_DAYS_PER_MONTH = 30;
+
+const ALL_MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+/**
+ * Tariff definitions. Prices are factors of baseGridPrice so the grid-price
+ * setting scales every band.
+ *   { label, seasons: [{ name, months: [1-12], weekday: [band], weekend?: [band] }],
+ *     slabs?: [{ uptoKwh, factor }] }
+ * band = { type, start, end, factor } in clock hours; end is exclusive and a
+ * band wraps past midnight when end <= start. Slabs are telescopic monthly
+ * consumption blocks (the last one has uptoKwh null) multiplying the TOU price.
+ */
+export const TARIFF_PRESETS = {
+    standard: {
+        label: 'Evening peak (1.5x)',
+        seasons: [{ name: 'all-year', months: ALL_MONTHS, weekday: [{ type: 'peak', start: 17, end: 23, factor: 1.5 }] }]
+    },
+    flat: {
+        label: 'Flat rate',
+        seasons: [{ name: 'all-year', months: ALL_MONTHS, weekday: [] }]
+    },
+    'tou-3band': {
+        label: 'Peak / shoulder / solar',
+        seasons: [{
+            name: 'all-year',
+            months: ALL_MONTHS,
+            weekday: [
+                { type: 'shoulder', start: 6, end: 10, factor: 1.1 },
+                { type: 'solar', start: 10, end: 16, factor: 0.8 },
+                { type: 'shoulder', start: 16, end: 18, factor: 1.1 },
+                { type: 'peak', start: 18, end: 22, factor: 1.5 }
+            ],
+            weekend: [{ type: 'solar', start: 10, end: 16, factor: 0.8 }]
+        }]
+    },
+    seasonal: {
+        label: 'Seasonal TOU',
+        seasons: [
+            {
+                name: 'summer',
+                months: [3, 4, 5, 6],
+                weekday: [{ type: 'shoulder', start: 12, end: 16, factor: 1.2 }, { type: 'peak', start: 19, end: 23, factor: 1.6 }],
+                weekend: [{ type: 'shoulder', start: 19, end: 23, factor: 1.2 }]
+            },
+            {
+                name: 'monsoon',
+                months: [7, 8, 9, 10],
+                weekday: [{ type: 'peak', start: 18, end: 22, factor: 1.3 }],
+                weekend: []
+            },
+            {
+                name: 'winter',
+                months: [11, 12, 1, 2],
+                weekday: [{ type: 'shoulder', start: 6, end: 9, factor: 1.15 }, { type: 'peak', start: 18, end: 22, factor: 1.3 }],
+                weekend: [{ type: 'shoulder', start: 18, end: 22, factor: 1.1 }]
+            }
+        ]
+    },
+    telescopic: {
+        label: 'Telescopic slabs + ToD',
+        seasons: [{
+            name: 'all-year',
+            months: ALL_MONTHS,
+            weekday: [{ type: 'solar', start: 9, end: 17, factor: 0.8 }, { type: 'peak', start: 18, end: 22, factor: 1.2 }]
+        }],
+        slabs: [
+            { uptoKwh: 100, factor: 0.5 },
+            { uptoKwh: 300, factor: 0.8 },
+            { uptoKwh: 500, factor: 1.1 },
+            { uptoKwh: null, factor: 1.4 }
+        ]
+    }
+};
+
+function validateBand(band, where) {
+    if (!band || !TARIFF_BAND_TYPES.includes(band.type)) {
+        throw new Error(`${where}: type must be one of ${TARIFF_BAND_TYPES.join(', ')}`);
+    }
+    const { start, end, factor } = band;
+    if (![start, end].every(h => Number.isFinite(h) && h >= 0 && h <= 24) || start === end) {
+        throw new Error(`${where}: start and end must be different hours between 0 and 24`);
+    }
+    if (!Number.isFinite(factor) || factor <= 0) throw new Error(`${where}: factor must be a positive number`);
+    return { type: band.type, start, end, factor };
+}
+
+/**
+ * Check a tariff definition and return a normalized copy. Throws with the
+ * offending season / band / slab on malformed input.
+ */
+export function validateTariff(def) {
+    if (!def || typeof def !== 'object' || !Array.isArray(def.seasons) || def.seasons.length === 0) {
+        throw new Error('Tariff needs a non-empty "seasons" list');
+    }
+    const seasons = def.seasons.map((season, i) => {
+        const where = `Tariff season ${season?.name || i + 1}`;
+        const months = season?.months ?? ALL_MONTHS;
+        if (!Array.isArray(months) || months.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+            throw new Error(`${where}: months must be numbers 1-12`);
+        }
+        const bands = (list, dayType) => {
+            if (!Array.isArray(list)) throw new Error(`${where}: ${dayType} must be a list of bands`);
+            return list.map((band, j) => validateBand(band, `${where} ${dayType} band ${j + 1}`));
+        };
+        return {
+            name: season.name || `season-${i + 1}`,
+            months,
+            weekday: bands(season.weekday ?? [], 'weekday'),
+            weekend: season.weekend == null ? null : bands(season.weekend, 'weekend')
+        };
+    });
+    const slabs = (def.slabs || []).map((slab, i, all) => {
+        const last = i === all.length - 1;
+        const upto = slab?.uptoKwh ?? null;
+        if (last ? upto !== null : !(upto > (all[i - 1]?.uptoKwh ?? 0))) {
+            throw new Error(`Tariff slab ${i + 1}: uptoKwh must increase, and only the last slab is open-ended (null)`);
+        }
+        if (!Number.isFinite(slab.factor) || slab.factor <= 0) throw new Error(`Tariff slab ${i + 1}: factor must be a positive number`);
+        return { uptoKwh: upto, factor: slab.factor };
+    });
+    return { label: def.label || 'Custom tariff', seasons, slabs };
+}
+
+/**
+ * The config's tariff as a validated definition: a preset name, a definition,
+ * or (null) the legacy single peak window from peakHours / peakFactor.
+ */
+export function resolveTariff(config) {
+    const { tariff } = config;
+    if (tariff === null || tariff === undefined) {
+        const weekday = (config.peakHours || []).map(h => ({ type: 'peak', start: h, end: h + 1, factor: config.peakFactor }));
+        return validateTariff({ label: `Peak ${config.peakFactor}x`, seasons: [{ name: 'all-year', weekday }] });
+    }
+    if (typeof tariff === 'string') {
+        if (!TARIFF_PRESETS[tariff]) throw new Error(`Unknown tariff preset "${tariff}" (use ${Object.keys(TARIFF_PRESETS).join(', ')})`);
+        return validateTariff(TARIFF_PRESETS[tariff]);
+    }
+    return validateTariff(tariff);
+}
+
+/**
+ * Season, day type and bands that apply on a date (YYYY-MM-DD...). Synthetic
+ * days use March (the spring equinox, as in the PV model) and count as weekdays.
+ */
+export function tariffDayBands(tariff, dayKey = '') {
+    const match = String(dayKey || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const month = match ? +match[2] : 3;
+    const weekDay = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])).getUTCDay() : 1;
+    const dayType = weekDay === 0 || weekDay === 6 ? 'weekend' : 'weekday';
+    const season = tariff.seasons.find(s => s.months.includes(month)) || tariff.seasons[0];
+    return { season: season.name, dayType, bands: (dayType === 'weekend' && season.weekend) || season.weekday };
+}
+
+// Band in force at a clock hour (first match wins); off-peak when none covers it
+export function tariffBandAt(bands, hour) {
+    const h = ((hour % 24) + 24) % 24;
+    const band = bands.find(b => (b.start < b.end ? h >= b.start && h < b.end : h >= b.start || h < b.end));
+    return band || { type: 'off-peak', start: 0, end: 24, factor: 1 };
+}
+
+/**
+ * Telescopic slab billing over one simulated day. Each imported kWh costs its
+ * TOU tariff × the factor of the slab the billing month's cumulative import
+ * has reached. `monthToDateKwh` is the month's import before this day (multi-
+ * day runs, see simulateDays); the slabs then keep their monthly widths.
+ * Without it the day stands alone and the widths are pro-rated to a day.
+ * Adjusts grossCost / cost of each interval in place and records
+ * slabAdjustment; returns the day's adjustment (₹).
+ */
+export function settleImportSlabs(intervals, tariff, monthToDateKwh = null) {
+    if (!tariff?.slabs?.length) return 0;
+    const widthScale = monthToDateKwh === null ? 1 / BILLING_DAYS_PER_MONTH : 1;
+    let importedKwh = monthToDateKwh ?? 0;
+    let total = 0;
+    intervals.forEach(h => {
+        const kwh = h.gridImportKw * (h.dtHours ?? 1);
+        const from = importedKwh;
+        const to = importedKwh + kwh;
+        let slabCost = 0;
+        let lower = 0;
+        tariff.slabs.forEach(slab => {
+            const upper = slab.uptoKwh === null ? Infinity : slab.uptoKwh * widthScale;
+            slabCost += Math.max(0, Math.min(to, upper) - Math.max(from, lower)) * h.tariff * slab.factor;
+            lower = upper;
+        });
+        h.slabAdjustment = slabCost - kwh * h.tariff;
+        h.grossCost += h.slabAdjustment;
+        h.cost += h.slabAdjustment;
+        total += h.slabAdjustment;
+        importedKwh = to;
+    });
+    return total;
+}
+
+// Monthly demand bill at a maximum import of peakKw (₹): per-kW demand charge
+// plus the penalty on the part above the sanctioned load
+export function monthlyDemandCharge(peakKw, config) {
+    const excessKw = config.sanctionedLoadKw > 0 ? Math.max(0, peakKw - config.sanctionedLoadKw) : 0;
+    const demand = peakKw * (config.demandChargePerKw || 0);
+    const penalty = excessKw * (config.excessDemandPenaltyPerKw || 0);
+    return { peakKw, excessKw, demand, penalty, total: demand + penalty };
+}
+
+/**
+ * Demand charges over one simulated day. Demand is the interval-average grid
+ * import (a 15-min run matches a 15-min demand meter). The month is billed on
+ * its maximum, so a day carries 1/30 of the monthly bill at its own peak;
+ * summarizeMonthlyDemand bills whole months of a multi-day run. Intervals that
+ * raise the running peak carry the increment in demandCharge (added to
+ * grossCost / cost). Returns { peakImportKw, excessDemandKw, demandCharge,
+ * excessDemandPenalty }; demandCharge includes the penalty.
+ */
+export function settleDemandCharges(intervals, config) {
+    let peakKw = 0;
+    intervals.forEach(h => {
+        const before = monthlyDemandCharge(peakKw, config).total;
+        peakKw = Math.max(peakKw, h.gridImportKw);
+        h.demandCharge = (monthlyDemandCharge(peakKw, config).total - before) / BILLING_DAYS_PER_MONTH;
+        h.grossCost += h.demandCharge;
+        h.cost += h.demandCharge;
+    });
+    const bill = monthlyDemandCharge(peakKw, config);
+    return {
+        peakImportKw: peakKw,
+        excessDemandKw: bill.excessKw,
+        demandCharge: bill.total / BILLING_DAYS_PER_MONTH,
+        excessDemandPenalty: bill.penalty / BILLING_DAYS_PER_MONTH
+    };
+}
+
+// Billing month of day d of a run: its date's month, synthetic days in blocks of 30
+function billingMonthOf(daysInputs, d, dayCount = daysInputs.length) {
+    const first = Math.floor(d / BILLING_DAYS_PER_MONTH) * BILLING_DAYS_PER_MONTH + 1;
+    return daysInputs[d]?.[0]?.billingMonth || `days ${first}-${Math.min(first + BILLING_DAYS_PER_MONTH - 1, dayCount)}`;
+}
+
+/**
+ * Monthly peak-demand KPI of a multi-day run. Days are grouped into billing
+ * months by date (synthetic days in blocks of 30) and each month is billed on
+ * its maximum import. Returns [{ month, days, peakImportKw, excessDemandKw,
+ * demandCharge, excessDemandPenalty, billedShare }] with whole-month charges;
+ * billedShare is the part of the month the run covers (days / 30, at most 1),
+ * which is what settleMonthlyDemand books.
+ */
+export function summarizeMonthlyDemand(days, daysInputs, config) {
+    const months = [];
+    days.forEach((day, d) => {
+        const key = billingMonthOf(daysInputs, d, days.length);
+        let month = months[months.length - 1];
+        if (!month || month.month !== key) {
+            month = { month: key, days: 0, peakImportKw: 0 };
+            months.push(month);
+        }
+        month.days++;
+        month.peakImportKw = Math.max(month.peakImportKw, day.totals.peakImportKw);
+    });
+    return months.map(m => {
+        const bill = monthlyDemandCharge(m.peakImportKw, config);
+        return {
+            ...m,
+            excessDemandKw: bill.excessKw,
+            demandCharge: bill.total,
+            excessDemandPenalty: bill.penalty,
+            billedShare: Math.min(1, m.days / BILLING_DAYS_PER_MONTH)
+        };
+    });
+}
+
+/**
+ * Bill the demand charges of a multi-day run on each month's maximum. Each
+ * day carries 1/30 of the bill at its own peak (settleDemandCharges), which
+ * sums to the mean daily peak; the month's last day takes the difference to
+ * the month's bill × billedShare as a month-end true-up in demandCharge,
+ * excessDemandPenalty, grossCost, cost and demandTrueUp of its totals (its
+ * intervals are left as dispatched). `days` are simulateDay results in date
+ * order; an earlier true-up (e.g. of a shorter chunk) is replaced, so
+ * settling again over a longer run is safe. Returns the
+ * summarizeMonthlyDemand months.
+ */
+export function settleMonthlyDemand(days, daysInputs, config) {
+    days.forEach(({ totals }) => {
+        if (!totals.demandTrueUp) return;
+        totals.demandCharge -= totals.demandTrueUp;
+        totals.excessDemandPenalty -= totals.demandPenaltyTrueUp;
+        totals.grossCost -= totals.demandTrueUp;
+        totals.cost -= totals.demandTrueUp;
+        totals.demandTrueUp = 0;
+        totals.demandPenaltyTrueUp = 0;
+    });
+    const months = summarizeMonthlyDemand(days, daysInputs, config);
+    let first = 0;
+    months.forEach(month => {
+        const monthDays = days.slice(first, first + month.days);
+        first += month.days;
+        const booked = key => monthDays.reduce((s, day) => s + day.totals[key], 0);
+        const last = monthDays[monthDays.length - 1].totals;
+        last.demandTrueUp = month.demandCharge * month.billedShare - booked('demandCharge');
+        last.demandPenaltyTrueUp = month.excessDemandPenalty * month.billedShare - booked('excessDemandPenalty');
+        last.demandCharge += last.demandTrueUp;
+        last.excessDemandPenalty += last.demandPenaltyTrueUp;
+        last.grossCost += last.demandTrueUp;
+        last.cost += last.demandTrueUp;
+    });
+    return months;
+}
+
+// ===== GRID CARBON INTENSITY =====
+// Hour-of-day emission factors (kg CO2 per kWh imported). "average" is the
+// grid's generation mix (attributional accounting); "marginal" is the plant
+// that ramps when demand changes (what shifting an import actually moves).
+const INDIA_AVERAGE = [0.76, 0.76, 0.77, 0.77, 0.77, 0.76, 0.75, 0.72, 0.68, 0.65, 0.62, 0.60, 0.59, 0.59, 0.61, 0.64, 0.68, 0.72, 0.77, 0.79, 0.79, 0.78, 0.77, 0.76];
+const INDIA_MARGINAL = [0.92, 0.92, 0.93, 0.93, 0.93, 0.92, 0.92, 0.90, 0.88, 0.86, 0.84, 0.82, 0.82, 0.82, 0.84, 0.87, 0.90, 0.95, 0.98, 1.00, 1.00, 0.98, 0.95, 0.93];
+const scaleFactors = (values, factor) => values.map(v => Math.round(v * factor * 1000) / 1000);
+
+/**
+ * Grid emission series. Same season idea as the tariffs:
+ *   { label, seasons: [{ name, months: [1-12], average: [24], marginal?: [24] }],
+ *     dates?: { 'YYYY-MM-DD': { average: [24], marginal?: [24] } } }
+ * A date entry wins over its season; marginal defaults to average.
+ */
+export const GRID_EMISSION_PRESETS = {
+    'india-daily': {
+        label: 'India grid (daily shape)',
+        seasons: [{ name: 'all-year', months: ALL_MONTHS, average: INDIA_AVERAGE, marginal: INDIA_MARGINAL }]
+    },
+    'india-seasonal': {
+        label: 'India grid (seasonal)',
+        seasons: [
+            { name: 'summer', months: [3, 4, 5, 6], average: scaleFactors(INDIA_AVERAGE, 1.05), marginal: scaleFactors(INDIA_MARGINAL, 1.02) },
+            { name: 'monsoon', months: [7, 8, 9], average: scaleFactors(INDIA_AVERAGE, 0.88), marginal: scaleFactors(INDIA_MARGINAL, 0.95) },
+            { name: 'winter', months: [10, 11, 12, 1, 2], average: INDIA_AVERAGE, marginal: INDIA_MARGINAL }
+        ]
+    },
+    'solar-heavy': {
+        label: 'High-solar grid (duck curve)',
+        seasons: [{
+            name: 'all-year',
+            months: ALL_MONTHS,
+            average: [0.55, 0.55, 0.56, 0.56, 0.56, 0.55, 0.50, 0.42, 0.32, 0.24, 0.18, 0.15, 0.14, 0.15, 0.18, 0.25, 0.36, 0.50, 0.60, 0.62, 0.61, 0.59, 0.57, 0.56],
+            marginal: [0.70, 0.70, 0.70, 0.70, 0.70, 0.70, 0.68, 0.62, 0.55, 0.48, 0.40, 0.35, 0.33, 0.35, 0.42, 0.52, 0.65, 0.75, 0.80, 0.80, 0.78, 0.75, 0.72, 0.71]
+        }]
+    }
+};
+
+function validateHourlyFactors(values, where) {
+    if (!Array.isArray(values) || values.length !== 24 || values.some(v => !Number.isFinite(v) || v < 0)) {
+        throw new Error(`${where}: needs 24 non-negative kg/kWh values (one per hour)`);
+    }
+    return values.slice();
+}
+
+/**
+ * Check a grid emission series and return a normalized copy. Throws with the
+ * offending season / date on malformed input.
+ */
+export function validateGridEmissions(def) {
+    if (!def || typeof def !== 'object' || !Array.isArray(def.seasons) || def.seasons.length === 0) {
+        throw new Error('Grid emissions need a non-empty "seasons" list');
+    }
+    const factors = (entry, where) => {
+        const average = validateHourlyFactors(entry?.average, `${where} average`);
+        return { average, marginal: entry.marginal == null ? average : validateHourlyFactors(entry.marginal, `${where} marginal`) };
+    };
+    const seasons = def.seasons.map((season, i) => {
+        const where = `Emission season ${season?.name || i + 1}`;
+        const months = season?.months ?? ALL_MONTHS;
+        if (!Array.isArray(months) || months.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+            throw new Error(`${where}: months must be numbers 1-12`);
+        }
+        return { name: season.name || `season-${i + 1}`, months, ...factors(season, where) };
+    });
+    const dates = {};
+    Object.entries(def.dates || {}).forEach(([date, entry]) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Emission date "${date}" must be YYYY-MM-DD`);
+        dates[date] = factors(entry, `Emission date ${date}`);
+    });
+    return { label: def.label || 'Custom emissions', seasons, dates };
+}
+
+/**
+ * The config's grid emission series: a preset name, a definition, or (null)
+ * the constant co2GridPerKwh for every hour, both average and marginal.
+ */
+export function resolveGridEmissions(config) {
+    const { gridEmissions } = config;
+    if (gridEmissions === null || gridEmissions === undefined) {
+        const flat = new Array(24).fill(config.co2GridPerKwh);
+        return validateGridEmissions({ label: `Constant ${config.co2GridPerKwh} kg/kWh`, seasons: [{ name: 'all-year', average: flat }] });
+    }
+    if (typeof gridEmissions === 'string') {
+        if (!GRID_EMISSION_PRESETS[gridEmissions]) {
+            throw new Error(`Unknown grid emission profile "${gridEmissions}" (use ${Object.keys(GRID_EMISSION_PRESETS).join(', ')})`);
+        }
+        return validateGridEmissions(GRID_EMISSION_PRESETS[gridEmissions]);
+    }
+    return validateGridEmissions(gridEmissions);
+}
+
+/**
+ * Hourly average / marginal factors for a date (YYYY-MM-DD...): the date's own
+ * series when imported, else its season. Synthetic days use March, as the tariffs do.
+ */
+export function gridEmissionsForDay(emissions, dayKey = '') {
+    const date = String(dayKey || '').slice(0, 10);
+    if (emissions.dates[date]) return { source: date, ...emissions.dates[date] };
+    const month = +(date.match(/^\d{4}-(\d{2})-\d{2}$/)?.[1] ?? 3);
+    const season = emissions.seasons.find(s => s.months.includes(month)) || emissions.seasons[0];
+    return { source: season.name, average: season.average, marginal: season.marginal };
+}
+
+/**
+ * Parse a carbon-intensity CSV into a grid emission series. Columns are found
+ * by header name (case-insensitive):
+ *   timestamp | date (+ hour)    -> a per-date series
+ *   month (1-12) + hour          -> a seasonal series, one season per month
+ *   hour                         -> one daily shape for the whole year
+ *   average | intensity | co2    -> average factor (kg/kWh, required)
+ *   marginal                     -> marginal factor (optional)
+ * Sub-hourly rows are averaged per hour. Hours a date or month lacks take the
+ * file's hour-of-day mean, which is also the series for dates not in the file.
+ */
+export function parseGridEmissionsCsv(csvText, label = 'Imported emissions') {
+    const lines = String(csvText || '').trim().split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) throw new Error('Carbon CSV needs a header row and at least one data row');
+    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const column = (...names) => headers.findIndex(h => names.includes(h));
+    const cols = {
+        timestamp: column('timestamp', 'datetime'),
+        date: column('date'),
+        month: column('month'),
+        hour: column('hour', 'hour_of_day'),
+        average: column('average', 'avg', 'intensity', 'co2', 'average_kg_per_kwh'),
+        marginal: column('marginal', 'marginal_kg_per_kwh')
+    };
+    if (cols.average < 0) throw new Error('Carbon CSV needs an "average" (or "intensity") column in kg CO2/kWh');
+    if (cols.timestamp < 0 && cols.hour < 0) throw new Error('Carbon CSV needs an "hour" or "timestamp" column');
+
+    // key -> hour -> running sums; '' collects the hour-of-day mean over every row
+    const groups = {};
+    const add = (key, hour, average, marginal) => {
+        const slots = groups[key] || (groups[key] = Array.from({ length: 24 }, () => ({ n: 0, average: 0, marginal: 0 })));
+        slots[hour].n++;
+        slots[hour].average += average;
+        slots[hour].marginal += marginal;
+    };
+    let keyType = 'all';
+    lines.slice(1).forEach((line, i) => {
+        const values = line.split(',').map(v => v.trim());
+        const where = `Carbon CSV row ${i + 2}`;
+        const timestamp = cols.timestamp >= 0 ? values[cols.timestamp] : '';
+        const date = (cols.date >= 0 ? values[cols.date] : timestamp.slice(0, 10)) || '';
+        const hour = cols.hour >= 0 ? parseFloat(values[cols.hour]) : parseInt(timestamp.match(/[ T](\d{2}):/)?.[1], 10);
+        const average = parseFloat(values[cols.average]);
+        const marginal = cols.marginal >= 0 && values[cols.marginal] !== '' ? parseFloat(values[cols.marginal]) : average;
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new Error(`${where}: hour must be 0-23`);
+        if (!Number.isFinite(average) || average < 0 || !Number.isFinite(marginal) || marginal < 0) {
+            throw new Error(`${where}: emission factors must be non-negative numbers`);
+        }
+        let key = '';
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            key = date;
+            keyType = 'date';
+        } else if (cols.month >= 0) {
+            const month = parseInt(values[cols.month], 10);
+            if (!(month >= 1 && month <= 12)) throw new Error(`${where}: month must be 1-12`);
+            key = `m${month}`;
+            keyType = 'month';
+        }
+        if (key) add(key, hour, average, marginal);
+        add('', hour, average, marginal);
+    });
+
+    const fallback = groups[''];
+    const missing = fallback.findIndex(slot => slot.n === 0);
+    if (missing >= 0) throw new Error(`Carbon CSV has no value for hour ${missing}`);
+    const series = key => {
+        const pick = (field, h) => {
+            const slot = groups[key][h].n > 0 ? groups[key][h] : fallback[h];
+            return Math.round(slot[field] / slot.n * 10000) / 10000;
+        };
+        return {
+            average: Array.from({ length: 24 }, (_, h) => pick('average', h)),
+            marginal: Array.from({ length: 24 }, (_, h) => pick('marginal', h))
+        };
+    };
+
+    const keys = Object.keys(groups).filter(k => k !== '').sort();
+    const def = { label, seasons: [{ name: 'all-year', months: ALL_MONTHS, ...series('') }], dates: {} };
+    if (keyType === 'month') {
+        const seasons = keys.filter(k => k.startsWith('m')).map(k => ({ name: `month-${k.slice(1)}`, months: [+k.slice(1)], ...series(k) }));
+        // Months the file doesn't cover fall back to its hour-of-day mean
+        def.seasons = [...seasons, def.seasons[0]];
+    }
+    keys.filter(k => !k.startsWith('m')).forEach(date => { def.dates[date] = series(date); });
+    return validateGridEmissions(def);
+}
+
+/**
+ * Baseline vs comparison grid emissions from two totals objects, on the
+ * 'average' or 'marginal' basis. The grid part of the difference splits into
+ * a volume effect (fewer kWh at the baseline's import-weighted intensity) and
+ * a timing effect (the remaining kWh moved to cleaner or dirtier hours).
+ */
+export function compareGridEmissions(baselineTotals, totals, basis = 'average') {
+    const gridKg = t => (basis === 'marginal' ? t.gridCo2MarginalKg : t.gridCo2Kg) || 0;
+    const allKg = t => (basis === 'marginal' ? t.co2MarginalKg : t.co2Kg) || 0;
+    const intensity = t => (t.gridKwh > 1e-9 ? gridKg(t) / t.gridKwh : 0);
+    const baselineIntensity = intensity(baselineTotals);
+    const importIntensity = intensity(totals);
+    return {
+        basis,
+        baselineKg: allKg(baselineTotals),
+        kg: allKg(totals),
+        deltaKg: allKg(baselineTotals) - allKg(totals),
+        baselineIntensity,
+        importIntensity,
+        volumeKg: (baselineTotals.gridKwh - totals.gridKwh) * baselineIntensity,
+        timingKg: totals.gridKwh * (baselineIntensity - importIntensity),
+        dieselKg: (allKg(baselineTotals) - gridKg(baselineTotals)) - (allKg(totals) - gridKg(totals))
+    };
+}
+
+// ===== DAY INPUTS =====
+/**
+ * Solar output at a (possibly fractional) hour, as
+ * { kw, poaWm2, cellTempC, tempLossKw, clippedKw }.
+ * 'scaled' model: the dataset's solar_pv_output normalized to solarCap.
+ * 'physics' model: plane-of-array irradiance from the dataset's
+ * solar_irradiance, cell temperature from its temperature, then pvAcOutput.
+ * Without a dataset both use a clear-sky model for latitude / tilt / azimuth.
+ * Sun geometry is taken at the interval midpoint; weather scales irradiance.
+ */
+export function calculateSolarOutput(hour, { record, stats, config, dtHours = 1, dayOfYear = 80, windSpeedMs = 0 }) {
+    const weatherFactor = WEATHER_IMPACT[config.weather] ?? 1;
+    const clockHour = Math.floor(hour);
+    const realDataUsed = Boolean(record && stats);
+    const ambientC = realDataUsed && Number.isFinite(record.temperature) ? record.temperature : AMBIENT_TEMP_PROFILE[clockHour];
+
+    const position = solarPosition(dayOfYearFromDate(record?.timestamp) ?? dayOfYear, hour + dtHours / 2, config);
+    const irradiance = realDataUsed ? decomposeGhi(record.solar_irradiance, position) : clearSkyIrradiance(position);
+    const poaWm2 = planeOfArrayIrradiance(irradiance, position, config) * weatherFactor;
+    const cellTempC = cellTemperature(poaWm2, ambientC, windSpeedMs, config);
+
+    if (config.pvModel === 'physics') {
+        const pv = pvAcOutput(poaWm2, cellTempC, config);
+        return { kw: pv.acKw, poaWm2, cellTempC, tempLossKw: pv.tempLossKw, clippedKw: pv.clippedKw };
+    }
+
+    const kw = realDataUsed
+        ? scaleRealData(record, stats, config.solarCap, 0).solarOutput * weatherFactor
+        : Math.min(config.solarCap, config.solarCap * poaWm2 / 1000);
+    return { kw: Math.max(0, kw), poaWm2, cellTempC, tempLossKw: 0, clippedKw: 0 };
+}
+
+/**
+ * Household load (kW) at a (possibly fractional) hour: dataset or profile base
+ * load plus scheduled appliances. Returns the active appliances for display.
+ */
+export function calculateLoad(time, { record, stats, weather, appliances = APPLIANCES }) {
+    // Profile and appliance schedules are hourly; sub-hourly intervals use their clock hour
+    const hour = Math.floor(time);
+    const realLoadUsed = Boolean(record && stats);
+    const baseLoad = realLoadUsed
+        ? scaleRealData(record, stats, 0, 0).gridLoadDemand
+        : LOAD_PROFILE[hour];
+
+    let appliancePower = 0;
+    const activeAppliances = [];
+
+    appliances.forEach(app => {
+        if (app.hours.includes(hour)) {
+            appliancePower += app.power;
+            activeAppliances.push(app);
+        }
+    });
+
+    let weatherLoadFactor = 1.0;
+    if (weather === 'sunny' && hour >= 12 && hour <= 18) weatherLoadFactor = 1.3;
+
+    // Combine real load with appliance load for realistic behavior
+    let totalLoad = realLoadUsed
+        ? baseLoad + (appliancePower * 0.5) // Real data already includes some appliances
+        : (baseLoad + appliancePower) * weatherLoadFactor;
+
+    // CRITICAL: Load can NEVER be negative - minimum 0.5 kW base consumption
+    totalLoad = Math.max(0.5, totalLoad);
+
+    return { total: totalLoad, appliances: activeAppliances };
+}
+
+// ===== GRID OUTAGES =====
+function isInOutageWindow(hour, window) {
+    // Windows may wrap past midnight, e.g. { start: 22, end: 2 }
+    return window.start <= window.end
+        ? hour >= window.start && hour < window.end
+        : hour >= window.start || hour < window.end;
+}
+
+/**
+ * Per-interval grid status for a day: [{ available, announced }].
+ * Reliability outages are a Poisson process (outagesPerDay) with exponential
+ * durations (outageMeanHours), seeded from outageSeed and `dayKey` so each
+ * date gets its own repeatable draw. Outages do not carry across midnight.
+ */
+export function buildOutageSchedule(config, dayKey = '') {
+    const timestepMinutes = config.timestepMinutes || 60;
+    const dtHours = timestepMinutes / 60;
+    const steps = getStepsPerDay(timestepMinutes);
+    const schedule = Array.from({ length: steps }, () => ({ available: true, announced: false }));
+
+    if (config.outageMode === 'scheduled') {
+        schedule.forEach((slot, i) => {
+            if ((config.outageWindows || []).some(w => isInOutageWindow(i * dtHours, w))) {
+                slot.available = false;
+                slot.announced = true;
+            }
+        });
+    } else if (config.outageMode === 'reliability') {
+        const rng = createRng(hashString(`${config.outageSeed}|${dayKey}`));
+        drawOutageSteps(rng, steps, dtHours, config.outagesPerDay, config.outageMeanHours).forEach((out, i) => {
+            if (out) schedule[i].available = false;
+        });
+    }
+    return schedule;
+}
+
+/**
+ * Poisson outage starts (perDay) with exponential durations (meanHours) over
+ * one day of `steps` intervals. Returns one boolean per interval (true = grid down).
+ */
+export function drawOutageSteps(rng, steps, dtHours, perDay, meanHours) {
+    const out = new Array(steps).fill(false);
+    const startProbability = 1 - Math.exp(-(perDay / 24) * dtHours);
+    let remainingSteps = 0;
+    for (let i = 0; i < steps; i++) {
+        if (remainingSteps === 0 && rng() < startProbability) {
+            const durationHours = -Math.log(1 - rng()) * meanHours;
+            remainingSteps = Math.max(1, Math.round(durationHours / dtHours));
+        }
+        if (remainingSteps > 0) {
+            out[i] = true;
+            remainingSteps--;
+        }
+    }
+    return out;
+}
+
+// ===== DEMAND RESPONSE =====
+/**
+ * The day's demand-response events: [{ id, start, end, reductionKw, trigger,
+ * announced }] in clock hours. Scheduled events come from drEvents (windows
+ * may wrap past midnight). Triggered events start at the first interval whose
+ * tariff reaches drTriggerTariffFactor × baseGridPrice or whose measured grid
+ * frequency drops below drTriggerFrequencyHz, last drEventHours (cut at
+ * midnight) and don't overlap; at most drMaxEvents a day.
+ */
+export function buildDemandResponseEvents(steps, config) {
+    if (config.demandResponse === 'scheduled') {
+        return (config.drEvents || []).map((w, i) => ({
+            id: i + 1,
+            start: w.start,
+            end: w.end,
+            reductionKw: w.reductionKw ?? config.drReductionKw,
+            trigger: 'schedule',
+            announced: true
+        }));
+    }
+    if (config.demandResponse !== 'triggered') return [];
+    const events = [];
+    let busyUntil = -1;
+    for (const inp of steps) {
+        if (events.length >= config.drMaxEvents) break;
+        if (inp.hour < busyUntil) continue;
+        const tariffHigh = config.drTriggerTariffFactor !== null && inp.tariff >= config.drTriggerTariffFactor * config.baseGridPrice - 1e-9;
+        const frequencyLow = config.drTriggerFrequencyHz !== null && inp.gridFrequencyHz !== null && inp.gridFrequencyHz < config.drTriggerFrequencyHz;
+        if (!tariffHigh && !frequencyLow) continue;
+        busyUntil = Math.min(24, inp.hour + config.drEventHours);
+        events.push({
+            id: events.length + 1,
+            start: inp.hour,
+            end: busyUntil,
+            reductionKw: config.drReductionKw,
+            trigger: tariffHigh ? 'tariff' : 'frequency',
+            announced: tariffHigh
+        });
+    }
+    return events;
+}
+
+/**
+ * Mark the day's events on the interval inputs (drEvent, shared by the
+ * event's intervals). Each event gets its customer baseline load baselineKw:
+ * the mean measured net load (load − solar − wind, before any deferral) over
+ * the drBaselineHours before it starts, wrapping to the end of the day for
+ * early events. The baseline comes from the inputs, so every policy is scored
+ * against the same one and pre-event charging can't inflate it.
+ * With drDeferAppliances the flexible appliances pause during the event
+ * (deferredKw) and run right after it at the same power (reboundKw) until the
+ * energy is back or the day ends (unrecoveredKwh).
+ */
+function applyDemandResponse(steps, config) {
+    const events = buildDemandResponseEvents(steps, config);
+    if (events.length === 0) return;
+    const n = steps.length;
+    const dt = steps[0].dtHours;
+    const netLoadKw = inp => Math.max(0, inp.loadKw - inp.solarGenKw - inp.windGenKw);
+    const baselineSteps = Math.max(1, Math.round(config.drBaselineHours / dt));
+
+    const marked = events.map(event => {
+        // An earlier event keeps intervals two windows share
+        const eventSteps = steps.filter(inp => !inp.drEvent && isInOutageWindow(inp.hour, event));
+        if (eventSteps.length === 0) return null;
+        const startIndex = Math.round(event.start / dt) % n;
+        let baselineKwh = 0;
+        for (let k = 1; k <= baselineSteps; k++) baselineKwh += netLoadKw(steps[(startIndex - k + n) % n]);
+        const drEvent = { ...event, baselineKw: baselineKwh / baselineSteps, deferredKwh: 0, unrecoveredKwh: 0 };
+        eventSteps.forEach(inp => { inp.drEvent = drEvent; });
+        return { drEvent, eventSteps, startIndex };
+    }).filter(Boolean);
+    if (!config.drDeferAppliances) return;
+
+    marked.forEach(({ drEvent, eventSteps, startIndex }) => {
+        let reboundKw = 0;
+        eventSteps.forEach(inp => {
+            if (inp.flexibleLoadKw <= 0) return;
+            inp.deferredKw = inp.flexibleLoadKw;
+            inp.loadKw -= inp.deferredKw;
+            inp.activeAppliances = inp.activeAppliances.filter(app => !app.flexible);
+            drEvent.deferredKwh += inp.deferredKw * dt;
+            reboundKw = Math.max(reboundKw, inp.deferredKw);
+        });
+        // Deferred energy runs after the event, skipping other events' intervals; an event
+        // that wraps past midnight catches up in the morning, before it starts again
+        let owedKwh = drEvent.deferredKwh;
+        const stopIndex = drEvent.end <= drEvent.start ? startIndex : n;
+        for (let i = Math.round(drEvent.end / dt); i < stopIndex && owedKwh > 1e-9; i++) {
+            if (steps[i].drEvent) continue;
+            const kw = Math.min(reboundKw, owedKwh / dt);
+            steps[i].reboundKw = (steps[i].reboundKw || 0) + kw;
+            steps[i].loadKw += kw;
+            owedKwh -= kw * dt;
+        }
+        drEvent.unrecoveredKwh = owedKwh;
+    });
+}
+
+/**
+ * Score a run's demand-response events. In each event interval the metered
+ * net import (import − export) is compared with the event's customer
+ * baseline: the reduction delivered (up to reductionKw) earns
+ * drIncentivePerKwh (h.drIncentive, a credit like export revenue), the
+ * shortfall costs drPenaltyPerKwh (h.drPenalty, added to grossCost / cost).
+ * Islanded intervals are not scored. Returns one entry per event with its
+ * required / delivered kWh and compliance (delivered / required).
+ */
+export function settleDemandResponse(intervals, dayInputs, config) {
+    const events = new Map();
+    intervals.forEach((h, i) => {
+        const event = dayInputs[i].drEvent;
+        h.drIncentive = 0;
+        h.drPenalty = 0;
+        if (!event || !h.gridAvailable) return;
+        const dt = h.dtHours ?? 1;
+        const { deliveredKw, incentive, penalty } = scoreDemandResponseInterval(event, h, dt, config);
+        h.drIncentive = incentive;
+        h.drPenalty = penalty;
+        h.grossCost += h.drPenalty;
+        h.cost += h.drPenalty - h.drIncentive;
+
+        if (!events.has(event.id)) {
+            const { id, start, end, trigger, announced, reductionKw, baselineKw, deferredKwh, unrecoveredKwh } = event;
+            events.set(event.id, { id, start, end, trigger, announced, reductionKw, baselineKw, deferredKwh, unrecoveredKwh, requiredKwh: 0, deliveredKwh: 0, incentive: 0, penalty: 0 });
+        }
+        const result = events.get(event.id);
+        result.requiredKwh += event.reductionKw * dt;
+        result.deliveredKwh += deliveredKw * dt;
+        result.incentive += h.drIncentive;
+        result.penalty += h.drPenalty;
+    });
+    return [...events.values()].map(e => ({ ...e, compliance: e.requiredKwh > 0 ? e.deliveredKwh / e.requiredKwh : 1 }));
+}
+
+// One event interval against the customer baseline, from its metered grid flows:
+// the reduction delivered and the incentive / penalty it settles for (shared
+// by settleDemandResponse and the optimizer, so both price events alike)
+function scoreDemandResponseInterval(event, { gridImportKw, gridExportKw }, dt, config) {
+    const deliveredKw = clamp(event.baselineKw - (gridImportKw - gridExportKw), 0, event.reductionKw);
+    return {
+        deliveredKw,
+        incentive: deliveredKw * dt * config.drIncentivePerKwh,
+        penalty: (event.reductionKw - deliveredKw) * dt * config.drPenaltyPerKwh
+    };
+}
+
+/**
+ * Build the per-interval inputs consumed by simulateDay (24 for hourly,
+ * 96 for 15-minute, 288 for 5-minute steps).
+ * `records` is indexed by hour (missing hours fall back to the synthetic profile).
+ * `intervalRecords` is an optional minute-of-day index from a sub-hourly dataset;
+ * without it each hourly record is held across the hour's intervals.
+ * `hour` on each entry is the interval start in fractional hours.
+ * `dayKey` (usually the dataset date) seeds the reliability outage model and
+ * picks the tariff and grid emission factors. Demand-response events are
+ * marked last (applyDemandResponse).
+ */
+export function buildDayInputs({ records = null, intervalRecords = null, stats = null, config, appliances = APPLIANCES, dayKey = '' }) {
+    const timestepMinutes = config.timestepMinutes || 60;
+    const dtHours = timestepMinutes / 60;
+    const outages = buildOutageSchedule(config, dayKey);
+    // Clear-sky geometry needs a date; synthetic days use the spring equinox
+    const dayOfYear = dayOfYearFromDate(dayKey) ?? 80;
+    const tariffDay = tariffDayBands(resolveTariff(config), dayKey);
+    const emissionDay = gridEmissionsForDay(resolveGridEmissions(config), dayKey);
+    // Demand charges are billed per calendar month of the date (null for synthetic days)
+    const billingMonth = String(dayKey || '').match(/^(\d{4}-\d{2})-\d{2}/)?.[1] || null;
+    const steps = [];
+    for (let step = 0; step < getStepsPerDay(timestepMinutes); step++) {
+        const minute = step * timestepMinutes;
+        const h = minute / 60;
+        const clockHour = Math.floor(h);
+        const record = (intervalRecords && intervalRecords[minute]) || (records ? (records[clockHour] || null) : null);
+        const loadData = calculateLoad(h, { record, stats, weather: config.weather, appliances });
+        // Load the flexible appliances add (what a demand-response event can defer)
+        const inflexibleLoad = calculateLoad(h, { record, stats, weather: config.weather, appliances: appliances.filter(app => !app.flexible) });
+        const windSpeedMs = record && stats ? record.wind_speed : WIND_SPEED_PROFILE[clockHour];
+        const solar = calculateSolarOutput(h, { record, stats, config, dtHours, dayOfYear, windSpeedMs });
+        const windGenKw = windTurbineOutput(windSpeedMs, config);
+        // Forecasts: the dataset's predicted_* columns; the load has no forecast column,
+        // so it is the typical household profile with the appliance schedule
+        const scaled = record && stats ? scaleRealData(record, stats, config.solarCap, 0, config) : null;
+        const forecastLoad = scaled ? calculateLoad(h, { weather: config.weather, appliances }).total : loadData.total;
+        const band = tariffBandAt(tariffDay.bands, h);
+        steps.push({
+            step,
+            hour: h,
+            dtHours,
+            solarGenKw: Math.max(0, solar.kw),
+            poaWm2: solar.poaWm2,
+            cellTempC: solar.cellTempC,
+            pvTempLossKw: solar.tempLossKw,
+            pvClippedKw: solar.clippedKw,
+            windSpeedMs,
+            windGenKw,
+            loadKw: Math.max(0, loadData.total),
+            flexibleLoadKw: Math.max(0, loadData.total - inflexibleLoad.total),
+            forecastSolarKw: scaled ? (scaled.predictedSolar || 0) * (WEATHER_IMPACT[config.weather] ?? 1) : Math.max(0, solar.kw),
+            forecastWindKw: scaled ? scaled.predictedWind : windGenKw,
+            forecastLoadKw: Math.max(0, forecastLoad),
+            activeAppliances: loadData.appliances,
+            tariff: config.baseGridPrice * band.factor,
+            tariffBand: band.type,
+            tariffSeason: tariffDay.season,
+            tariffDayType: tariffDay.dayType,
+            billingMonth,
+            isPeak: band.type === 'peak',
+            co2GridPerKwh: emissionDay.average[clockHour],
+            co2MarginalPerKwh: emissionDay.marginal[clockHour],
+            gridAvailable: outages[step].available,
+            outageAnnounced: outages[step].announced,
+            // Measured grid frequency / voltage the battery's grid services respond to (null = nominal)
+            gridFrequencyHz: Number.isFinite(record?.frequency) ? record.frequency : null,
+            gridVoltageV: Number.isFinite(record?.voltage) ? record.voltage : null,
+            // Demand-response event of the interval (applyDemandResponse) and the load it moved
+            drEvent: null,
+            deferredKw: 0,
+            reboundKw: 0,
+            // Keep the raw record reference for transparency if available
+            realData: record
+        });
+    }
+    applyDemandResponse(steps, config);
+    return steps;
+}
+
+// ==============================
+// PHYSICS-BASED CORE SIMULATION
+// ==============================
+// This core is deterministic and produces baseline + smart results
+// under identical conditions (same solar/load/tariff/initial SOC).
+
+// Legacy single peak window helpers (whole clock hours); day inputs price
+// intervals with the tariff engine (tariffBandAt).
+export function isPeakHour(hour, peakHours) {
+    return peakHours.includes(Math.floor(hour));
+}
+
+export function getGridTariffForHour(hour, baseGridPrice, peakFactor, peakHours) {
+    return isPeakHour(hour, peakHours) ? baseGridPrice * peakFactor : baseGridPrice;
+}
+
+export function createBatteryModel(params) {
+    const {
+        capacityKwh,
+        initialSocPct,
+        minSocPct = 10,
+        roundTripEfficiency = 0.90,
+        maxChargeKw,
+        maxDischargeKw
+    } = params;
+
+    const eta = Math.max(0.01, Math.min(0.999, roundTripEfficiency));
+    // Split round-trip efficiency into symmetric charge/discharge efficiencies.
+    const etaC = Math.sqrt(eta);
+    const etaD = Math.sqrt(eta);
+
+    const initialSocKwh = clamp((initialSocPct / 100) * capacityKwh, 0, capacityKwh);
+    const minSocKwh = clamp((minSocPct / 100) * capacityKwh, 0, capacityKwh);
+
+    return {
+        capacityKwh,
+        socKwh: initialSocKwh,
+        minSocKwh,
+        etaC,
+        etaD,
+        maxChargeKw,
+        maxDischargeKw
+    };
+}
+
+// Charge/discharge take power (kW) held for dtHours; SOC moves by power × Δt.
+export function batteryCharge(batt, chargeKw, dtHours = 1) {
+    // maxSocKwh: ceiling while grid-service headroom is held back
+    const headroomKwh = (batt.maxSocKwh ?? batt.capacityKwh) - batt.socKwh;
+    const maxByCapacityKw = headroomKwh / (batt.etaC * dtHours);
+    const actualKw = clamp(chargeKw, 0, Math.min(batt.maxChargeKw, maxByCapacityKw));
+    batt.socKwh += actualKw * batt.etaC * dtHours;
+    return actualKw;
+}
+
+export function batteryDischargeToLoad(batt, demandKw, dtHours = 1) {
+    const availableKwh = Math.max(0, batt.socKwh - batt.minSocKwh);
+    const maxDeliverableKw = (availableKwh * batt.etaD) / dtHours;
+    const actualKw = clamp(demandKw, 0, Math.min(batt.maxDischargeKw, maxDeliverableKw));
+    batt.socKwh -= (actualKw * dtHours) / batt.etaD;
+    return actualKw;
+}
+
+/**
+ * Diesel generator with a linear (Willans-line) fuel curve. Run state lives on
+ * the model so minimum run time and starts span intervals within a day.
+ */
+export function createGensetModel(params) {
+    const {
+        ratedKw = 0,
+        minLoadRatio = 0.3,
+        fuelIdleLphPerKw = 0.08145,
+        fuelSlopeLpKwh = 0.246,
+        fuelPrice = 95,
+        startCost = 0,
+        minRunHours = 0,
+        chargeBattery = false
+    } = params;
+
+    return {
+        ratedKw: Math.max(0, ratedKw),
+        minLoadRatio: clamp(minLoadRatio, 0, 1),
+        fuelIdleLphPerKw,
+        fuelSlopeLpKwh,
+        fuelPrice,
+        startCost,
+        minRunHours,
+        chargeBattery,
+        running: false,
+        runHours: 0     // Hours since the current start
+    };
+}
+
+// Fuel burn (L/h) at a given output; below minimum loading the engine burns as if at minimum load
+export function gensetFuelLph(genset, outputKw) {
+    const loadedKw = Math.max(outputKw, genset.minLoadRatio * genset.ratedKw);
+    return genset.fuelIdleLphPerKw * genset.ratedKw + genset.fuelSlopeLpKwh * loadedKw;
+}
+
+// ===== GRID SERVICES =====
+/**
+ * Headroom the battery holds back for grid services in an interval, or null
+ * when services are off or the site is islanded: `kw` of charge and
+ * discharge rating, and `kwh` of stored energy (and of empty space) so the
+ * reserve can run for serviceReserveHours.
+ */
+export function gridServiceReserve(services, battery, gridAvailable = true) {
+    if (!services || !gridAvailable || battery.capacityKwh <= 0) return null;
+    const kw = clamp(services.serviceReservePct / 100, 0, 1) * Math.min(battery.maxChargeKw, battery.maxDischargeKw);
+    if (kw <= 0) return null;
+    return { kw, kwh: kw * Math.max(0, services.serviceReserveHours) };
+}
+
+// Shrinks the battery's limits by the reserve for the arbitrage dispatch; returns the originals
+function holdBatteryReserve(battery, reserve) {
+    const original = { maxChargeKw: battery.maxChargeKw, maxDischargeKw: battery.maxDischargeKw, minSocKwh: battery.minSocKwh, maxSocKwh: battery.maxSocKwh };
+    battery.maxChargeKw = Math.max(0, battery.maxChargeKw - reserve.kw);
+    battery.maxDischargeKw = Math.max(0, battery.maxDischargeKw - reserve.kw);
+    battery.minSocKwh = Math.min(battery.capacityKwh, battery.minSocKwh + reserve.kwh / battery.etaD);
+    battery.maxSocKwh = Math.max(battery.minSocKwh, battery.capacityKwh - reserve.kwh * battery.etaC);
+    return original;
+}
+
+// Share (0-1) of full response at a deviation beyond a deadband; `full` is the deviation of full response
+function serviceResponseShare(deviation, deadband, full) {
+    return clamp((Math.abs(deviation) - deadband) / Math.max(1e-9, full - deadband), 0, 1);
+}
+
+/**
+ * The battery's grid-service response in one interval, on top of the
+ * arbitrage dispatch in `flows` (limits already restored):
+ *   frequency droop - under-frequency discharges, over-frequency charges,
+ *                     (|Δf| − deadband) / (droop × nominal) of the reserve
+ *   volt-watt       - low voltage discharges, high voltage charges
+ *   volt-var        - the inverter's spare kVA injects (low voltage) or
+ *                     absorbs (high voltage) reactive power; no energy moves
+ * Active responses share the reserve and are limited by SOC and the
+ * C-rate the dispatch left. Response energy is exchanged with the grid at
+ * serviceEnergyPrice; the reserve earns serviceAvailabilityPrice per kW-h.
+ */
+function applyGridServices(flows, inputs, battery, reserve, services) {
+    const dt = flows.dtHours;
+    const { gridFrequencyHz, gridVoltageV } = inputs;
+    let upKw = 0;
+    if (gridFrequencyHz !== null && gridFrequencyHz !== undefined) {
+        const deviation = gridFrequencyHz - services.nominalFrequencyHz;
+        const share = serviceResponseShare(deviation, services.frequencyDeadbandHz, services.frequencyDeadbandHz + services.frequencyDroopPct / 100 * services.nominalFrequencyHz);
+        upKw -= Math.sign(deviation) * share * reserve.kw;
+    }
+    const voltageShare = gridVoltageV === null || gridVoltageV === undefined ? 0
+        : serviceResponseShare((gridVoltageV / services.nominalVoltageV - 1) * 100, services.voltageDeadbandPct, services.voltageFullResponsePct);
+    const voltageSign = gridVoltageV > services.nominalVoltageV ? -1 : 1;
+    if (services.voltageSupport === 'volt-watt') upKw += voltageSign * voltageShare * reserve.kw;
+    upKw = clamp(upKw, -reserve.kw, reserve.kw);
+
+    if (upKw > 0) {
+        flows.serviceUpKw = batteryDischargeToLoad(battery, Math.min(upKw, Math.max(0, battery.maxDischargeKw - flows.battToLoadKw)), dt);
+    } else if (upKw < 0) {
+        const chargedKw = flows.solarToBattKw + flows.windToBattKw + flows.gridToBattKw + flows.dieselToBattKw;
+        flows.serviceDownKw = batteryCharge(battery, Math.min(-upKw, Math.max(0, battery.maxChargeKw - chargedKw)), dt);
+    }
+    if (services.voltageSupport === 'volt-var') {
+        const activeKw = Math.abs(flows.battToLoadKw + flows.serviceUpKw - (flows.solarToBattKw + flows.windToBattKw + flows.gridToBattKw + flows.dieselToBattKw + flows.serviceDownKw));
+        const spareKvar = Math.sqrt(Math.max(0, battery.maxDischargeKw ** 2 - activeKw ** 2));
+        flows.reactiveKvar = voltageSign * voltageShare * spareKvar;
+    }
+
+    flows.serviceReserveKw = reserve.kw;
+    flows.serviceAvailabilityRevenue = reserve.kw * dt * services.serviceAvailabilityPrice;
+    flows.serviceEnergyRevenue = (flows.serviceUpKw - flows.serviceDownKw) * dt * services.serviceEnergyPrice;
+    flows.reactiveRevenue = Math.abs(flows.reactiveKvar) * dt * services.reactivePricePerKvarh;
+    flows.serviceRevenue = flows.serviceAvailabilityRevenue + flows.serviceEnergyRevenue + flows.reactiveRevenue;
+}
+
+/**
+ * Stacked value of a policy's battery for a day (or run): arbitrage is the
+ * bill saved against the baseline before any service credit, services are
+ * that policy's grid-service revenue on top.
+ */
+export function stackBatteryValue(baselineTotals, totals) {
+    const bill = t => t.cost + (t.serviceRevenue || 0);
+    const arbitrage = bill(baselineTotals) - bill(totals);
+    const services = totals.serviceRevenue || 0;
+    return {
+        arbitrage,
+        availability: totals.serviceAvailabilityRevenue || 0,
+        energy: totals.serviceEnergyRevenue || 0,
+        reactive: totals.reactiveRevenue || 0,
+        services,
+        total: arbitrage + services
+    };
+}
+
+/**
+ * Dispatch one interval. Flows are average power (kW) over the interval;
+ * cost and CO2 are charged on energy (kW × dtHours).
+ * With gridAvailable false the site is islanded: no import, export or grid
+ * charging, and load the battery and diesel can't cover is shed (unmetLoadKw).
+ * Diesel comes from state.genset (rating, minimum run time, fuel curve).
+ * Policies may implement planStep(ctx), called with the start-of-interval
+ * state (simulateDay keeps the day's highest import so far in
+ * state.peakImportKw) before any energy moves, maxDischargeKw(ctx) to cap battery -> load, and
+ * maxGridImportKw(ctx) to stop grid charging at a total import (load is never shed for it).
+ * During peak a grid-tied site draws at least minGridDrawKw; what the load
+ * doesn't take charges the battery, and if the battery can't take it either the
+ * draw is simply not made.
+ * During a demand-response event (inputs.demandResponse) grid import is cut
+ * to the event's target and the battery is not grid-charged.
+ * With inputs.services (grid services on) the battery's reserve is withheld
+ * from everything above, then used for frequency / voltage support
+ * (applyGridServices); serviceRevenue is credited against the cost.
+ */
+export function dispatchHour(inputs, state, policy, forecast) {
+    const {
+        step,
+        hour,
+        dtHours = 1,
+        isPeak,
+        solarGenKw,
+        windGenKw = 0,
+        loadKw,
+        tariff,
+        gridLimitKw,
+        minGridDrawKw = 0,
+        exportLimitKw = 0,
+        gridAvailable = true,
+        criticalLoadFraction = 1,
+        co2GridPerKwh,
+        co2MarginalPerKwh = co2GridPerKwh,
+        co2DieselPerKwh,
+        services = null,
+        demandResponse = null
+    } = inputs;
+
+    // Grid services: the reserve is not available to the policy or the dispatch below
+    const reserve = gridServiceReserve(services, state.battery, gridAvailable);
+    const batteryLimits = reserve ? holdBatteryReserve(state.battery, reserve) : null;
+
+    const ctx = { step: step ?? hour, hour, dtHours, isPeak, state, inputs, forecast };
+    if (policy.planStep) policy.planStep(ctx);
+
+    let remainingLoad = Math.max(0, loadKw);
+    let remainingSolar = Math.max(0, solarGenKw);
+    let remainingWind = Math.max(0, windGenKw);
+
+    const flows = {
+        step: step ?? hour,
+        hour,
+        dtHours,
+        solarGenKw: Math.max(0, solarGenKw),
+        windGenKw: Math.max(0, windGenKw),
+        loadKw: Math.max(0, loadKw),
+        solarToLoadKw: 0,
+        solarToBattKw: 0,
+        windToLoadKw: 0,
+        windToBattKw: 0,
+        battToLoadKw: 0,
+        gridToLoadKw: 0,
+        gridToBattKw: 0,
+        dieselToLoadKw: 0,
+        dieselToBattKw: 0,
+        dieselDumpKw: 0,
+        dieselFuelL: 0,
+        dieselCost: 0,
+        dieselStarted: false,
+        dieselRunning: false,
+        gridImportKw: 0,
+        gridExportKw: 0,
+        curtailedKw: 0,
+        windCurtailedKw: 0,
+        unmetLoadKw: 0,
+        unservedCriticalKw: 0,
+        socKwh: 0,
+        socPct: 0,
+        cost: 0,
+        grossCost: 0,
+        exportRevenue: 0,
+        serviceReserveKw: 0,
+        serviceUpKw: 0,
+        serviceDownKw: 0,
+        reactiveKvar: 0,
+        serviceAvailabilityRevenue: 0,
+        serviceEnergyRevenue: 0,
+        reactiveRevenue: 0,
+        serviceRevenue: 0,
+        co2Kg: 0,
+        co2MarginalKg: 0,
+        co2GridPerKwh,
+        co2MarginalPerKwh,
+        tariff,
+        isPeak,
+        gridAvailable
+    };
+
+    // 1) Solar -> Load
+    flows.solarToLoadKw = Math.min(remainingSolar, remainingLoad);
+    remainingSolar -= flows.solarToLoadKw;
+    remainingLoad -= flows.solarToLoadKw;
+
+    // 1w) Wind -> Load (what solar didn't cover)
+    flows.windToLoadKw = Math.min(remainingWind, remainingLoad);
+    remainingWind -= flows.windToLoadKw;
+    remainingLoad -= flows.windToLoadKw;
+
+    // 2) Excess Solar -> Battery charge
+    if (remainingSolar > 0) {
+        flows.solarToBattKw = batteryCharge(state.battery, remainingSolar, dtHours);
+        remainingSolar -= flows.solarToBattKw;
+    }
+
+    // 2w) Excess Wind -> Battery, within the charge rate solar left over
+    const windChargeHeadroomKw = Math.max(0, state.battery.maxChargeKw - flows.solarToBattKw);
+    if (remainingWind > 0 && windChargeHeadroomKw > 0) {
+        flows.windToBattKw = batteryCharge(state.battery, Math.min(remainingWind, windChargeHeadroomKw), dtHours);
+        remainingWind -= flows.windToBattKw;
+    }
+
+    // 2b) Renewables left after the battery -> Grid export (solar first, up to export cap, grid must be up)
+    if ((remainingSolar > 0 || remainingWind > 0) && exportLimitKw > 0 && gridAvailable) {
+        const solarExportKw = Math.min(remainingSolar, exportLimitKw);
+        const windExportKw = Math.min(remainingWind, exportLimitKw - solarExportKw);
+        remainingSolar -= solarExportKw;
+        remainingWind -= windExportKw;
+        flows.gridExportKw = solarExportKw + windExportKw;
+    }
+
+    // 2c) Whatever is still left can go nowhere: it is curtailed (spilled), per source
+    flows.curtailedKw = remainingSolar;
+    flows.windCurtailedKw = remainingWind;
+    remainingSolar = 0;
+    remainingWind = 0;
+
+    // Grid-tie requirement: during peak the site keeps drawing at least this much from the grid
+    // (waived during a demand-response event)
+    const minDrawKw = gridAvailable && isPeak && !demandResponse ? Math.min(minGridDrawKw, gridLimitKw) : 0;
+
+    // 3) Battery -> Load (policy can restrict discharge; islanded, the battery always serves load).
+    //    The battery leaves the minimum grid draw to the grid.
+    const allowDischarge = !gridAvailable || policy.allowDischarge(ctx);
+    if (remainingLoad > 0 && allowDischarge) {
+        const dischargeCapKw = gridAvailable && policy.maxDischargeKw ? Math.max(0, policy.maxDischargeKw(ctx)) : Infinity;
+        const batteryShareKw = Math.max(0, remainingLoad - minDrawKw);
+        flows.battToLoadKw = batteryDischargeToLoad(state.battery, Math.min(batteryShareKw, dischargeCapKw), dtHours);
+        remainingLoad -= flows.battToLoadKw;
+    }
+
+    // 4) Grid -> Remaining load (up to grid limit; nothing during an outage)
+    if (remainingLoad > 0 && gridAvailable) {
+        flows.gridToLoadKw = Math.min(remainingLoad, gridLimitKw);
+        remainingLoad -= flows.gridToLoadKw;
+    }
+
+    // 4a) Demand-response event: cut grid import to the target (baseline − reduction),
+    //     from the battery past the policy's limits, then from the genset (step 5)
+    if (demandResponse && gridAvailable) {
+        let excessKw = flows.gridToLoadKw - demandResponse.targetImportKw;
+        if (excessKw > 0 && demandResponse.useBattery) {
+            const extraKw = batteryDischargeToLoad(state.battery, Math.min(excessKw, Math.max(0, state.battery.maxDischargeKw - flows.battToLoadKw)), dtHours);
+            flows.battToLoadKw += extraKw;
+            flows.gridToLoadKw -= extraKw;
+            excessKw -= extraKw;
+        }
+        if (excessKw > 0 && demandResponse.useDiesel && state.genset?.ratedKw > 0) {
+            const dieselKw = Math.min(excessKw, Math.max(0, state.genset.ratedKw - remainingLoad));
+            flows.gridToLoadKw -= dieselKw;
+            remainingLoad += dieselKw;
+        }
+    }
+
+    // 4b) Minimum peak draw the load didn't take is stored in the battery (within its
+    //     charge rate and headroom). Energy with nowhere to go is not drawn at all.
+    if (flows.gridToLoadKw < minDrawKw) {
+        const chargeHeadroomKw = Math.max(0, state.battery.maxChargeKw - flows.solarToBattKw - flows.windToBattKw);
+        flows.gridToBattKw = batteryCharge(state.battery, Math.min(minDrawKw - flows.gridToLoadKw, chargeHeadroomKw), dtHours);
+    }
+
+    // 5) Diesel genset -> Remaining load (grid limit exceeded / islanded), up to its rating.
+    //    Once started it stays on for its minimum run time even if nothing needs it.
+    const genset = state.genset;
+    if (genset && genset.ratedKw > 0) {
+        const needed = remainingLoad > 1e-6;
+        const mustRun = genset.running && genset.runHours < genset.minRunHours - 1e-9;
+        if (needed || mustRun) {
+            if (!genset.running) {
+                genset.running = true;
+                genset.runHours = 0;
+                flows.dieselStarted = true;
+            }
+            flows.dieselToLoadKw = Math.min(remainingLoad, genset.ratedKw);
+            remainingLoad -= flows.dieselToLoadKw;
+        } else {
+            genset.running = false;
+        }
+    }
+
+    // 6) Anything still uncovered is shed: non-critical load first, then critical
+    flows.unmetLoadKw = remainingLoad;
+    flows.unservedCriticalKw = Math.max(0, remainingLoad - flows.loadKw * (1 - criticalLoadFraction));
+
+    // Optional: smart policy may grid-charge battery during low-tariff hours (never during a demand-response event)
+    const allowGridCharge = gridAvailable && !demandResponse && policy.allowGridCharge(ctx);
+    if (allowGridCharge) {
+        const importCapKw = policy.maxGridImportKw ? Math.min(gridLimitKw, Math.max(0, policy.maxGridImportKw(ctx))) : gridLimitKw;
+        const gridHeadroom = Math.max(0, importCapKw - flows.gridToLoadKw - flows.gridToBattKw);
+        // The C-rate bounds total charging, so renewables already charging leave less for the grid
+        const chargeHeadroomKw = Math.max(0, state.battery.maxChargeKw - flows.solarToBattKw - flows.windToBattKw - flows.gridToBattKw);
+        if (gridHeadroom > 0 && chargeHeadroomKw > 0) {
+            const desiredChargeKw = policy.desiredGridChargeKw(ctx);
+            const gridChargeKw = Math.min(gridHeadroom, chargeHeadroomKw, Math.max(0, desiredChargeKw));
+            flows.gridToBattKw += batteryCharge(state.battery, gridChargeKw, dtHours);
+        }
+    }
+
+    // 7) Cycle charging: a running genset puts its spare rating into the battery
+    if (genset?.running && genset.chargeBattery) {
+        const chargeHeadroomKw = Math.max(0, state.battery.maxChargeKw - flows.solarToBattKw - flows.windToBattKw - flows.gridToBattKw);
+        const spareKw = Math.min(genset.ratedKw - flows.dieselToLoadKw, chargeHeadroomKw);
+        if (spareKw > 0) flows.dieselToBattKw = batteryCharge(state.battery, spareKw, dtHours);
+    }
+
+    // 7a) A running genset never drops below minimum loading: output the load and battery
+    //     didn't take (light load, or min-run with nothing to serve) goes to the dump load
+    if (genset?.running) {
+        const minOutputKw = genset.minLoadRatio * genset.ratedKw;
+        flows.dieselDumpKw = Math.max(0, minOutputKw - flows.dieselToLoadKw - flows.dieselToBattKw);
+    }
+
+    if (genset?.running) {
+        flows.dieselRunning = true;
+        flows.dieselFuelL = gensetFuelLph(genset, flows.dieselToLoadKw + flows.dieselToBattKw + flows.dieselDumpKw) * dtHours;
+        flows.dieselCost = flows.dieselFuelL * genset.fuelPrice + (flows.dieselStarted ? genset.startCost : 0);
+        genset.runHours += dtHours;
+    }
+
+    // Grid services on the restored limits, within the headroom held back above
+    if (batteryLimits) {
+        Object.assign(state.battery, batteryLimits);
+        applyGridServices(flows, inputs, state.battery, reserve, services);
+    }
+
+    flows.gridImportKw = flows.gridToLoadKw + flows.gridToBattKw;
+    flows.socKwh = state.battery.socKwh;
+    flows.socPct = state.battery.capacityKwh > 0 ? (state.battery.socKwh / state.battery.capacityKwh) * 100 : 0;
+
+    // STRICT cost formula (no multipliers, no bonuses): energy = power × Δt
+    // Export credit depends on the whole billing period; settleGridExport fills it in.
+    // Diesel is paid per litre burnt plus start-up cost, not per kWh delivered.
+    // Grid-service revenue (reserve, response energy, reactive power) is a credit.
+    flows.grossCost = flows.gridImportKw * tariff * dtHours + flows.dieselCost;
+    flows.cost = flows.grossCost - flows.serviceRevenue;
+    // CO2 on the hour's average grid mix, and on its marginal plant (what moving the import changes)
+    const dieselCo2Kg = (flows.dieselToLoadKw + flows.dieselToBattKw + flows.dieselDumpKw) * co2DieselPerKwh * dtHours;
+    flows.co2Kg = flows.gridImportKw * co2GridPerKwh * dtHours + dieselCo2Kg;
+    flows.co2MarginalKg = flows.gridImportKw * co2MarginalPerKwh * dtHours + dieselCo2Kg;
+
+    return flows;
+}
+
+/**
+ * Settle grid export over one billing period (a simulated day) and write
+ * exportRevenue / cost into each interval. Credits are attributed to the
+ * intervals that exported so per-interval costs still add up to the bill.
+ * grossCost is grid import + diesel before any export credit; netCost also
+ * deducts grid-service revenue and demand-response incentives.
+ * Returns { exportKwh, exportRevenue, grossCost, netCost }.
+ */
+export function settleGridExport(intervals, config) {
+    const mode = config.exportMode || 'none';
+    const fit = config.feedInTariff || 0;
+    const dt = h => h.dtHours ?? 1;
+    // Grid-service revenue and demand-response incentives are credits too
+    const credits = h => (h.serviceRevenue || 0) + (h.drIncentive || 0);
+    const importKwh = intervals.reduce((s, h) => s + h.gridImportKw * dt(h), 0);
+    const exportKwh = intervals.reduce((s, h) => s + h.gridExportKw * dt(h), 0);
+    const gridImportCost = intervals.reduce((s, h) => s + h.gridImportKw * h.tariff * dt(h), 0);
+
+    // Net metering: the share of exported kWh matched by imports earns the retail tariff
+    const nettedShare = exportKwh > 0 ? Math.min(1, importKwh / exportKwh) : 0;
+    const fitCredit = exportKwh * fit;
+    // Net billing: credit can cancel the grid bill but never turn it into income
+    const billingScale = fitCredit > 0 ? Math.min(1, gridImportCost / fitCredit) : 0;
+
+    intervals.forEach(h => {
+        const exportedKwh = h.gridExportKw * dt(h);
+        let revenue = 0;
+        if (mode === 'feed-in') revenue = exportedKwh * fit;
+        else if (mode === 'net-metering') revenue = exportedKwh * (nettedShare * h.tariff + (1 - nettedShare) * fit);
+        else if (mode === 'net-billing') revenue = exportedKwh * fit * billingScale;
+        h.exportRevenue = revenue;
+        h.cost = h.grossCost - revenue - credits(h);
+    });
+
+    const exportRevenue = intervals.reduce((s, h) => s + h.exportRevenue, 0);
+    const grossCost = intervals.reduce((s, h) => s + h.grossCost, 0);
+    return { exportKwh, exportRevenue, grossCost, netCost: grossCost - exportRevenue - intervals.reduce((s, h) => s + credits(h), 0) };
+}
+
+export function createBaselinePolicy() {
+    // Baseline: naive strategy that doesn't optimize for time-of-use pricing
+    // - Discharges battery whenever there's load (no peak preservation)
+    // - Never grid-charges (misses cheap off-peak opportunities)
+    // - Uses grid immediately when solar+battery insufficient
+    return {
+        name: 'baseline',
+        // Baseline always allows discharge when needed
+        allowDischarge: () => true,
+        allowGridCharge: () => false,
+        desiredGridChargeKw: () => 0
+    };
+}
+
+/**
+ * Lowest grid-import cap (kW) the battery can hold over a day: a binary search
+ * over caps, each checked by walking the SOC (discharge whatever the net load
+ * exceeds the cap, recharge below it within the C-rate). Outage intervals have
+ * no import to shave and are skipped.
+ */
+export function findPeakShavingTargetKw(dayInputs, config) {
+    const netKw = inp => inp.loadKw - inp.solarGenKw - (inp.windGenKw || 0);
+    const holds = capKw => {
+        const battery = createDayState(config).battery;
+        return dayInputs.every(inp => {
+            if (inp.gridAvailable === false) return true;
+            const dt = inp.dtHours ?? 1;
+            const excessKw = netKw(inp) - capKw;
+            if (excessKw <= 0) {
+                batteryCharge(battery, -excessKw, dt);
+                return true;
+            }
+            return batteryDischargeToLoad(battery, excessKw, dt) >= excessKw - 1e-6;
+        });
+    };
+    let lo = 0;
+    // Import never exceeds the grid limit, so there is nothing to shave above it
+    let hi = clamp(Math.max(...dayInputs.map(netKw)), 0, config.gridLimitKw);
+    if (hi === 0 || holds(0)) return 0;
+    for (let i = 0; i < 20; i++) {
+        const mid = (lo + hi) / 2;
+        if (holds(mid)) hi = mid;
+        else lo = mid;
+    }
+    return Math.ceil(hi * 10) / 10;
+}
+
+export function createSmartPolicy(measuredInputs, config) {
+    // Look-ahead sees forecasts when asked to; the current interval is always measured
+    const dayInputs = config.smartUsesForecast ? forecastPlanInputs(measuredInputs) : measuredInputs;
+    // Smart weighs each interval by tariff + carbon price × marginal grid factor
+    // (just the tariff at the default carbon price of 0)
+    const carbonPrice = config.carbonPricePerKg || 0;
+    const price = i => dayInputs[i].tariff + carbonPrice * (dayInputs[i].co2MarginalPerKwh ?? config.co2GridPerKwh);
+    // Cheapest and dearest prices of the day. Smart's "peak" is the dearest
+    // interval of the day (the tariff's peak band when it has one).
+    const dayTariffs = dayInputs.map((inp, i) => price(i));
+    const offPeakTariff = Math.min(...dayTariffs);
+    const peakTariff = Math.max(...dayTariffs);
+    // Tariff bands are steps; a carbon-weighted price moves every hour, so the
+    // dearest / cheapest quarter of the day's range counts as peak / off-peak
+    const tolerance = carbonPrice > 0 ? Math.max(0.01, (peakTariff - offPeakTariff) / 4) : 0.01;
+    const isPricePeak = i => peakTariff > offPeakTariff + 0.01 && price(i) >= peakTariff - tolerance;
+
+    const dt = i => dayInputs[i].dtHours ?? 1;
+    const renewableKw = i => dayInputs[i].solarGenKw + (dayInputs[i].windGenKw || 0);
+
+    // Calculate total daily deficit (load - solar - wind) for the whole day
+    function totalDailyDeficitKwh() {
+        let sum = 0;
+        for (let i = 0; i < dayInputs.length; i++) {
+            const deficit = Math.max(0, dayInputs[i].loadKw - renewableKw(i));
+            sum += deficit * dt(i);
+        }
+        return sum;
+    }
+
+    function expectedPeakDeficitKwhFrom(stepIndex) {
+        let sum = 0;
+        for (let i = stepIndex; i < dayInputs.length; i++) {
+            if (!isPricePeak(i)) continue;
+            const deficit = Math.max(0, dayInputs[i].loadKw - renewableKw(i));
+            sum += deficit * dt(i);
+        }
+        return sum;
+    }
+
+    function expectedDieselRiskKwhFrom(stepIndex) {
+        let sum = 0;
+        for (let i = stepIndex; i < dayInputs.length; i++) {
+            if (!isPricePeak(i)) continue;
+            const deficit = Math.max(0, dayInputs[i].loadKw - renewableKw(i));
+            sum += Math.max(0, deficit - config.gridLimitKw) * dt(i);
+        }
+        return sum;
+    }
+
+    // Announced outages only: a policy can't prepare for unannounced failures
+    function expectedOutageDeficitKwhFrom(stepIndex) {
+        let sum = 0;
+        for (let i = stepIndex; i < dayInputs.length; i++) {
+            if (dayInputs[i].gridAvailable !== false || !dayInputs[i].outageAnnounced) continue;
+            sum += Math.max(0, dayInputs[i].loadKw - renewableKw(i)) * dt(i);
+        }
+        return sum;
+    }
+
+    // Pre-compute: does this day have any real deficit that needs grid/diesel?
+    const dayHasDeficit = totalDailyDeficitKwh() > 0.5;
+
+    // Peak shaving: keep grid import at or below shaveKw to protect the demand charge
+    const shaveKw = config.peakShaving ? (config.peakShavingKw ?? findPeakShavingTargetKw(dayInputs, config)) : Infinity;
+    const excessOverCapKw = inputs => Math.max(0, inputs.loadKw - inputs.solarGenKw - (inputs.windGenKw || 0) - shaveKw);
+
+    // Stored energy the battery must keep for the rest of the day's above-cap intervals
+    function shaveReserveKwhFrom(stepIndex, battery) {
+        if (!Number.isFinite(shaveKw)) return 0;
+        let sum = 0;
+        for (let i = stepIndex; i < dayInputs.length; i++) {
+            if (dayInputs[i].gridAvailable === false) continue;
+            sum += excessOverCapKw(dayInputs[i]) * dt(i) / battery.etaD;
+        }
+        return sum;
+    }
+
+    // Demand response: stored energy the battery needs to hold the announced events
+    // still ahead at their target import (baseline − reduction)
+    function drReserveKwhFrom(stepIndex, battery) {
+        if (!config.drUseBattery) return 0;
+        let sum = 0;
+        for (let i = stepIndex; i < dayInputs.length; i++) {
+            const event = dayInputs[i].drEvent;
+            if (!event?.announced || dayInputs[i].gridAvailable === false) continue;
+            const targetKw = Math.max(0, event.baselineKw - event.reductionKw);
+            sum += Math.max(0, dayInputs[i].loadKw - renewableKw(i) - targetKw) * dt(i) / battery.etaD;
+        }
+        return sum;
+    }
+
+    // Stored energy still missing for the shaving and demand-response reserves
+    const reserveKwhFrom = (step, battery) => shaveReserveKwhFrom(step, battery) + drReserveKwhFrom(step, battery);
+    const reserveNeedKwh = (step, battery) => Math.min(battery.capacityKwh, battery.minSocKwh + reserveKwhFrom(step + 1, battery)) - battery.socKwh;
+
+    return {
+        name: 'smart',
+        shaveKw,
+        // Smart strategy: use battery when solar can't meet load, but prefer peak discharge
+        allowDischarge: ({ step, inputs }) => {
+            // Always allow discharge if solar + wind can't meet current load
+            const solarShortfall = inputs.loadKw > inputs.solarGenKw + (inputs.windGenKw || 0);
+            if (solarShortfall) return true;
+            // During peak, allow discharge even if solar covers load (to reduce grid dependency later)
+            if (isPricePeak(step)) return true;
+            // Off-peak with solar surplus: don't discharge (save battery)
+            return false;
+        },
+        // Peak shaving: shave what exceeds the cap, spend only the energy above the shaving
+        // and demand-response reserves otherwise
+        maxDischargeKw: ({ step, dtHours = 1, state, inputs }) => {
+            const battery = state.battery;
+            const reserveKwh = reserveKwhFrom(step + 1, battery);
+            if (!Number.isFinite(shaveKw) && reserveKwh <= 0) return Infinity;
+            const spareKwh = battery.socKwh - battery.minSocKwh - reserveKwh;
+            return Math.max(excessOverCapKw(inputs), spareKwh * battery.etaD / dtHours);
+        },
+        // Grid charging never lifts import above the shaving cap
+        maxGridImportKw: () => shaveKw,
+        // Smart only grid-charges if day actually has deficit AND the (carbon-weighted) price is low
+        allowGridCharge: ({ step, state }) => {
+            // Backup reserve for an announced outage beats tariff considerations
+            if (expectedOutageDeficitKwhFrom(step + 1) > 0) return true;
+            if (isPricePeak(step)) return false;
+            if (reserveNeedKwh(step, state.battery) > 0) return true;
+            if (!dayHasDeficit) return false; // No point charging if solar covers everything
+            if (price(step) > offPeakTariff + tolerance) return false;
+            return true;
+        },
+        desiredGridChargeKw: ({ step, dtHours = 1, state }) => {
+            // Fill up to the floor plus the energy the coming outage(s) will need
+            const outageReserveKwh = expectedOutageDeficitKwhFrom(step + 1);
+            if (outageReserveKwh > 0) {
+                const reserveTargetKwh = Math.min(state.battery.capacityKwh, state.battery.minSocKwh + outageReserveKwh / state.battery.etaD);
+                const reserveNeedKwh = Math.max(0, reserveTargetKwh - state.battery.socKwh);
+                if (reserveNeedKwh > 0) return Math.min(reserveNeedKwh / dtHours, state.battery.maxChargeKw);
+            }
+            // Then the energy later intervals need to stay under the shaving cap / event targets
+            const reserveShortKwh = reserveNeedKwh(step, state.battery);
+            if (reserveShortKwh > 0) return Math.min(reserveShortKwh / dtHours, state.battery.maxChargeKw);
+            if (!dayHasDeficit) return 0; // Don't grid-charge if not needed
+            // Heuristic target SOC: cover part of remaining peak deficit + diesel risk.
+            const remainingPeakDeficit = expectedPeakDeficitKwhFrom(step + 1);
+            const dieselRisk = expectedDieselRiskKwhFrom(step + 1);
+            const targetKwh = clamp((remainingPeakDeficit * 0.6) + (dieselRisk * 0.8), 0, state.battery.capacityKwh * 0.9);
+            const needKwh = Math.max(0, targetKwh - state.battery.socKwh);
+
+            // Only charge if price gap suggests it might be beneficial.
+            const priceGap = peakTariff - price(step);
+            if (priceGap < 0.5) return 0;
+            return Math.min(needKwh / dtHours, state.battery.maxChargeKw);
+        }
+    };
+}
+
+/**
+ * Fresh per-day dispatch state (battery at the initial SOC, genset off).
+ */
+export function createDayState(config) {
+    return {
+        battery: createBatteryModel({
+            capacityKwh: config.batteryCapacityKwh,
+            initialSocPct: config.initialSocPct,
+            minSocPct: config.minSocPct,
+            roundTripEfficiency: config.roundTripEfficiency,
+            maxChargeKw: config.maxChargeKw,
+            maxDischargeKw: config.maxDischargeKw
+        }),
+        // The genset starts every simulated day switched off
+        genset: createGensetModel({
+            ratedKw: config.dieselRatedKw,
+            minLoadRatio: config.dieselMinLoadRatio,
+            fuelIdleLphPerKw: config.dieselFuelIdleLphPerKw,
+            fuelSlopeLpKwh: config.dieselFuelSlopeLpKwh,
+            fuelPrice: config.dieselFuelPrice,
+            startCost: config.dieselStartCost,
+            minRunHours: config.dieselMinRunHours,
+            chargeBattery: config.dieselChargeBattery
+        }),
+        // Highest grid import so far today, the peak the demand charge already bills
+        peakImportKw: 0
+    };
+}
+
+// dispatchHour inputs for interval i of a day
+function dispatchInputsFor(inp, i, config) {
+    return {
+        step: i,
+        hour: inp.hour,
+        dtHours: inp.dtHours ?? 1,
+        isPeak: inp.isPeak,
+        solarGenKw: inp.solarGenKw,
+        windGenKw: inp.windGenKw || 0,
+        loadKw: inp.loadKw,
+        tariff: inp.tariff,
+        gridLimitKw: config.gridLimitKw,
+        minGridDrawKw: config.minPeakGridDrawKw ?? 0,
+        exportLimitKw: config.exportMode === 'none' ? 0 : config.exportLimitKw,
+        gridAvailable: inp.gridAvailable !== false,
+        criticalLoadFraction: config.criticalLoadFraction,
+        co2GridPerKwh: inp.co2GridPerKwh ?? config.co2GridPerKwh,
+        co2MarginalPerKwh: inp.co2MarginalPerKwh ?? inp.co2GridPerKwh ?? config.co2GridPerKwh,
+        co2DieselPerKwh: config.co2DieselPerKwh,
+        gridFrequencyHz: inp.gridFrequencyHz ?? null,
+        gridVoltageV: inp.gridVoltageV ?? null,
+        services: config.gridServices ? config : null,
+        demandResponse: inp.drEvent ? {
+            targetImportKw: Math.max(0, inp.drEvent.baselineKw - inp.drEvent.reductionKw),
+            useBattery: config.drUseBattery,
+            useDiesel: config.drUseDiesel
+        } : null
+    };
+}
+
+// ===== ENERGY AUDIT =====
+// Slack (kWh or kW) before a ledger check counts as a violation; well above float noise
+const AUDIT_TOLERANCE = 1e-6;
+
+/**
+ * Energy ledger of one dispatched interval, in kWh: sources (solar, wind, grid,
+ * diesel, energy drawn from storage) must equal sinks (load served, export,
+ * energy stored, genset dump load) + battery losses + curtailment. Also checks the SOC moved by
+ * exactly stored − drawn and stayed within [0, capacity] (and above the floor
+ * when discharging), charge / discharge stayed within the C-rate, and grid
+ * flows respected the import / export limits and outages.
+ * `socStartKwh` is the SOC before the interval, `battery` the model after it,
+ * `limits` the dispatch inputs ({ gridLimitKw, exportLimitKw }).
+ * violations = [{ check, detail }].
+ */
+export function auditInterval(flows, socStartKwh, battery, limits = {}) {
+    const dt = flows.dtHours ?? 1;
+    const { gridLimitKw = Infinity, exportLimitKw = Infinity } = limits;
+    // Grid-service response energy flows straight between the battery and the grid
+    const serviceUpKw = flows.serviceUpKw || 0;
+    const serviceDownKw = flows.serviceDownKw || 0;
+    const chargeKw = flows.solarToBattKw + flows.windToBattKw + flows.gridToBattKw + flows.dieselToBattKw + serviceDownKw;
+    const dischargeKw = flows.battToLoadKw + serviceUpKw;
+    const sources = {
+        solar: flows.solarGenKw * dt,
+        wind: flows.windGenKw * dt,
+        grid: (flows.gridImportKw + serviceDownKw) * dt,
+        diesel: (flows.dieselToLoadKw + flows.dieselToBattKw + (flows.dieselDumpKw || 0)) * dt,
+        storage: dischargeKw * dt / battery.etaD
+    };
+    const sinks = {
+        load: (flows.loadKw - flows.unmetLoadKw) * dt,
+        export: (flows.gridExportKw + serviceUpKw) * dt,
+        storage: chargeKw * dt * battery.etaC,
+        dump: (flows.dieselDumpKw || 0) * dt
+    };
+    const losses = {
+        charge: chargeKw * dt * (1 - battery.etaC),
+        discharge: sources.storage - dischargeKw * dt
+    };
+    const curtailedKwh = (flows.curtailedKw + flows.windCurtailedKw) * dt;
+    const sum = obj => Object.values(obj).reduce((s, v) => s + v, 0);
+    const residualKwh = sum(sources) - sum(sinks) - sum(losses) - curtailedKwh;
+    const socResidualKwh = (flows.socKwh - socStartKwh) - (sinks.storage - sources.storage);
+
+    const violations = [];
+    const fail = (check, detail) => violations.push({ check, detail });
+    const kw = v => `${v.toFixed(3)} kW`;
+    const kwh = v => `${v.toFixed(6)} kWh`;
+    if (Math.abs(residualKwh) > AUDIT_TOLERANCE) {
+        fail('balance', `sources − (sinks + losses + curtailment) = ${kwh(residualKwh)}`);
+    }
+    if (Math.abs(socResidualKwh) > AUDIT_TOLERANCE) {
+        fail('soc-balance', `SOC change differs from stored − drawn by ${kwh(socResidualKwh)}`);
+    }
+    if (flows.socKwh < -AUDIT_TOLERANCE || flows.socKwh > battery.capacityKwh + AUDIT_TOLERANCE) {
+        fail('soc-bounds', `SOC ${flows.socKwh.toFixed(3)} kWh outside 0–${battery.capacityKwh} kWh`);
+    } else if (dischargeKw > 0 && flows.socKwh < battery.minSocKwh - AUDIT_TOLERANCE) {
+        fail('soc-bounds', `discharged below the ${battery.minSocKwh.toFixed(3)} kWh floor`);
+    }
+    if (chargeKw > battery.maxChargeKw + AUDIT_TOLERANCE) {
+        fail('c-rate', `charging at ${kw(chargeKw)} > ${kw(battery.maxChargeKw)} limit`);
+    }
+    if (dischargeKw > battery.maxDischargeKw + AUDIT_TOLERANCE) {
+        fail('c-rate', `discharging at ${kw(dischargeKw)} > ${kw(battery.maxDischargeKw)} limit`);
+    }
+    if (flows.gridImportKw > gridLimitKw + AUDIT_TOLERANCE) {
+        fail('grid-limit', `importing ${kw(flows.gridImportKw)} > ${kw(gridLimitKw)} limit`);
+    }
+    if (flows.gridExportKw > exportLimitKw + AUDIT_TOLERANCE) {
+        fail('export-limit', `exporting ${kw(flows.gridExportKw)} > ${kw(exportLimitKw)} limit`);
+    }
+    if (!flows.gridAvailable && (flows.gridImportKw + serviceDownKw > AUDIT_TOLERANCE || flows.gridExportKw + serviceUpKw > AUDIT_TOLERANCE)) {
+        fail('islanding', 'grid exchange during an outage');
+    }
+    const negative = Object.entries(flows).filter(([key, value]) => key.endsWith('Kw') && value < -AUDIT_TOLERANCE);
+    negative.forEach(([key, value]) => fail('negative-flow', `${key} = ${kw(value)}`));
+
+    return {
+        step: flows.step,
+        hour: flows.hour,
+        sources,
+        sinks,
+        losses,
+        curtailedKwh,
+        residualKwh,
+        socResidualKwh,
+        violations
+    };
+}
+
+/**
+ * Day-level roll-up of auditInterval ledgers: summed sources / sinks / losses,
+ * the largest residuals and every violation tagged with its interval.
+ */
+export function summarizeAudit(intervals) {
+    const addInto = (acc, obj) => {
+        Object.entries(obj).forEach(([key, value]) => { acc[key] = (acc[key] || 0) + value; });
+        return acc;
+    };
+    return {
+        intervals: intervals.length,
+        cleanIntervals: intervals.filter(a => a.violations.length === 0).length,
+        sources: intervals.reduce((acc, a) => addInto(acc, a.sources), {}),
+        sinks: intervals.reduce((acc, a) => addInto(acc, a.sinks), {}),
+        losses: intervals.reduce((acc, a) => addInto(acc, a.losses), {}),
+        curtailedKwh: intervals.reduce((s, a) => s + a.curtailedKwh, 0),
+        maxResidualKwh: Math.max(0, ...intervals.map(a => Math.abs(a.residualKwh))),
+        maxSocResidualKwh: Math.max(0, ...intervals.map(a => Math.abs(a.socResidualKwh))),
+        violations: intervals.flatMap(a => a.violations.map(v => ({ step: a.step, hour: a.hour, ...v })))
+    };
+}
+
+// ===== OPTIMAL DISPATCH (BENCHMARK) =====
+// Grid-charge setpoints the optimizer may pick, as fractions of maxChargeKw
+const OPTIMAL_CHARGE_LEVELS = [0, 0.25, 0.5, 0.75, 1];
+
+// Export value per kWh used inside the optimizer. Net metering really settles
+// over the whole day; valuing exports at the retail tariff is its upper bound.
+function exportValuePerKwh(tariff, config) {
+    if (config.exportMode === 'net-metering') return tariff;
+    if (config.exportMode === 'feed-in' || config.exportMode === 'net-billing') return config.feedInTariff;
+    return 0;
+}
+
+// Energy cost of one dispatched interval as the optimizer values it: the bill
+// less service revenue and export value, plus the demand-response penalty net
+// of its incentive (as settleDemandResponse books it)
+function plannedIntervalCost(flows, inputs, drEvent, config) {
+    let cost = flows.grossCost - flows.serviceRevenue - flows.gridExportKw * inputs.dtHours * exportValuePerKwh(inputs.tariff, config);
+    if (drEvent && inputs.gridAvailable) {
+        const { incentive, penalty } = scoreDemandResponseInterval(drEvent, flows, inputs.dtHours, config);
+        cost += penalty - incentive;
+    }
+    return cost;
+}
+
+/**
+ * Backward dynamic programming over a discretized SOC grid, from `startStep`
+ * to the end of the day: V[t](soc) = min over actions of interval cost +
+ * V[t+1](soc'). An action is { discharge, gridChargeKw } and each transition
+ * is evaluated with dispatchHour itself, so the optimizer sees exactly the
+ * same battery limits, efficiencies, genset and outage rules as the policies.
+ * Unserved load is penalized so the optimizer never sheds load to save money.
+ * The interval objective is costWeight × cost + carbonPricePerKg × marginal CO2
+ * (plain cost by default).
+ * Demand charges depend on the day's peak, which is not part of the DP state.
+ * With `peakCapKw` the DP plans for a given peak instead: grid charging stays
+ * under the cap, the battery may discharge just enough to hold it, and import
+ * above it costs the marginal demand bill (1/30 of the monthly increment) in
+ * each interval that exceeds it. createOptimalPolicy searches over caps.
+ * Demand-response events on the inputs (drEvent) are priced per interval
+ * with the same penalty and incentive that settleDemandResponse books.
+ * Approximations: the genset's minimum-run state is not part of the DP state,
+ * exports are valued per interval (see exportValuePerKwh), and telescopic
+ * slabs are not seen (imports are valued at the interval's tariff).
+ * Returns { valueAt(step, socKwh), bestAction(step, socKwh, genset) }.
+ */
+export function solveDispatchDp(dayInputs, config, { startStep = 0, socSteps = 51, unservedPenaltyPerKwh = 100, costWeight = 1, carbonPricePerKg = 0, peakCapKw = null } = {}) {
+    const template = createDayState(config);
+    const capacityKwh = template.battery.capacityKwh;
+    const socGridKwh = capacityKwh > 0 ? capacityKwh / (socSteps - 1) : 0;
+    const actions = [];
+    // 'cap' discharges only what the net load exceeds the peak cap by
+    (peakCapKw === null ? [false, true] : [false, true, 'cap']).forEach(discharge => {
+        OPTIMAL_CHARGE_LEVELS.forEach(level => {
+            const action = { discharge, gridChargeKw: level * config.maxChargeKw };
+            actions.push({ ...action, policy: dpStepPolicy(action, peakCapKw) });
+        });
+    });
+    const capBill = peakCapKw === null ? 0 : monthlyDemandCharge(peakCapKw, config).total;
+    const peakPenalty = importKw => (peakCapKw === null || importKw <= peakCapKw ? 0
+        : (monthlyDemandCharge(importKw, config).total - capBill) / BILLING_DAYS_PER_MONTH);
+
+    // Piecewise-linear value function lookup
+    const interpolate = (values, socKwh) => {
+        if (socGridKwh <= 0) return values[0];
+        const x = clamp(socKwh / socGridKwh, 0, socSteps - 1);
+        const k = Math.min(socSteps - 2, Math.floor(x));
+        return values[k] + (values[k + 1] - values[k]) * (x - k);
+    };
+
+    // Cost of one interval plus the value of where it leaves the battery
+    const evaluate = (i, socKwh, genset, action, nextValues) => {
+        const state = { battery: { ...template.battery, socKwh }, genset: { ...genset } };
+        const inputs = dispatchInputsFor(dayInputs[i], i, config);
+        const flows = dispatchHour(inputs, state, action.policy, { dayInputs });
+        const cost = costWeight * (plannedIntervalCost(flows, inputs, dayInputs[i].drEvent, config) + peakPenalty(flows.gridImportKw))
+            + carbonPricePerKg * flows.co2MarginalKg
+            + flows.unmetLoadKw * inputs.dtHours * unservedPenaltyPerKwh;
+        return cost + interpolate(nextValues, flows.socKwh);
+    };
+
+    const best = (i, socKwh, genset, nextValues) => {
+        let result = { action: actions[0], value: Infinity };
+        actions.forEach(action => {
+            // Grid charging is pointless (and impossible) while islanded
+            if (action.gridChargeKw > 0 && dayInputs[i].gridAvailable === false) return;
+            const value = evaluate(i, socKwh, genset, action, nextValues);
+            if (value < result.value - 1e-9) result = { action, value };
+        });
+        return result;
+    };
+
+    // V[n] = 0: the day's cost is all that counts, as for the other policies
+    const steps = dayInputs.length;
+    const values = [];
+    values[steps] = new Array(socSteps).fill(0);
+    for (let i = steps - 1; i >= startStep; i--) {
+        values[i] = new Array(socSteps);
+        for (let k = 0; k < socSteps; k++) {
+            values[i][k] = best(i, k * socGridKwh, template.genset, values[i + 1]).value;
+        }
+    }
+
+    return {
+        peakCapKw,
+        valueAt: (step, socKwh) => interpolate(values[step], socKwh),
+        bestAction: (step, socKwh, genset = template.genset) => best(step, socKwh, genset, values[step + 1]).action
+    };
+}
+
+// Dispatch decisions of one DP action { discharge: false | true | 'cap', gridChargeKw }
+// under an optional peak cap (null = none)
+function dpStepPolicy(action, peakCapKw) {
+    return {
+        allowDischarge: () => action.discharge !== false,
+        maxDischargeKw: ({ inputs }) => (action.discharge === 'cap' ? inputs.loadKw - inputs.solarGenKw - (inputs.windGenKw || 0) - peakCapKw : Infinity),
+        maxGridImportKw: () => peakCapKw ?? Infinity,
+        allowGridCharge: () => action.gridChargeKw > 0,
+        desiredGridChargeKw: () => action.gridChargeKw
+    };
+}
+
+// Policy that replays a DP solution closed-loop: planStep picks the best
+// action for the actual start-of-interval SOC and genset state. With
+// holdBilledPeak a capped plan made from forecasts still holds its cap (or the
+// higher peak already billed today) when the measured load runs above the forecast.
+function dpActionPolicy(name, getSolution, { holdBilledPeak = false } = {}) {
+    let planned = dpStepPolicy({ discharge: false, gridChargeKw: 0 }, null);
+    return {
+        name,
+        planStep: (ctx) => {
+            const solution = getSolution(ctx);
+            let action = solution.bestAction(ctx.step, ctx.state.battery.socKwh, ctx.state.genset);
+            let peakCapKw = solution.peakCapKw;
+            if (holdBilledPeak && peakCapKw !== null) {
+                peakCapKw = Math.max(peakCapKw, ctx.state.peakImportKw);
+                if (action.discharge === false) action = { ...action, discharge: 'cap' };
+            }
+            planned = dpStepPolicy(action, peakCapKw);
+        },
+        allowDischarge: ctx => planned.allowDischarge(ctx),
+        maxDischargeKw: ctx => planned.maxDischargeKw(ctx),
+        maxGridImportKw: ctx => planned.maxGridImportKw(ctx),
+        allowGridCharge: ctx => planned.allowGridCharge(ctx),
+        desiredGridChargeKw: ctx => planned.desiredGridChargeKw(ctx)
+    };
+}
+
+// Peak caps the DP policies try when demand is billed, lowest first: the
+// lowest cap the battery can hold, the sanctioned load and evenly spaced caps
+// up to the unconstrained schedule's peak. A peak already billed (floorKw)
+// costs nothing more, so no cap goes below it.
+const OPTIMAL_CAP_STEPS = 4;
+
+function optimalPeakCaps(dayInputs, config, uncappedPeakKw, floorKw = 0) {
+    let lowKw = Math.max(floorKw, findPeakShavingTargetKw(dayInputs, config));
+    if (lowKw >= uncappedPeakKw) lowKw = floorKw;
+    const caps = [floorKw, lowKw, Math.max(floorKw, config.sanctionedLoadKw)];
+    for (let k = 1; k < OPTIMAL_CAP_STEPS; k++) caps.push(lowKw + (uncappedPeakKw - lowKw) * k / OPTIMAL_CAP_STEPS);
+    return [...new Set(caps.map(kw => Math.round(kw * 100) / 100))]
+        .filter(kw => kw > 0 && kw < uncappedPeakKw - 1e-6)
+        .sort((a, b) => a - b);
+}
+
+function isDemandBilled(config) {
+    return config.demandChargePerKw > 0 || (config.sanctionedLoadKw > 0 && config.excessDemandPenaltyPerKw > 0);
+}
+
+// Peak-cap search shared by the optimal and MPC policies: solve the DP without
+// a cap and for each of optimalPeakCaps, and keep the solution whose schedule
+// costOf(solution) → { cost, peakImportKw } prices lowest. On a tie a cap wins
+// over none, and a lower cap over a higher one.
+function solvePeakCapped(dayInputs, config, options, costOf, floorKw = 0) {
+    let solution = solveDispatchDp(dayInputs, config, options);
+    const uncapped = costOf(solution);
+    let bestCost = uncapped.cost + 1e-6;
+    optimalPeakCaps(dayInputs, config, uncapped.peakImportKw, floorKw).forEach(peakCapKw => {
+        const candidate = solveDispatchDp(dayInputs, config, { ...options, peakCapKw });
+        const cost = costOf(candidate).cost;
+        if (cost < bestCost - 1e-9) {
+            bestCost = cost;
+            solution = candidate;
+        }
+    });
+    return solution;
+}
+
+/**
+ * Cost-optimal benchmark with perfect foresight of the day (see solveDispatchDp).
+ * With demand charges the DP is solved for a few peak caps as well
+ * (solvePeakCapped) and the schedule whose replay costs least is kept.
+ * Reported costs come from the normal simulateDay replay, so they are exact.
+ */
+export function createOptimalPolicy(dayInputs, config, options = {}) {
+    const socKwh = createDayState(config).battery.socKwh;
+    const replay = candidate => simulateDay(dayInputs, config, dpActionPolicy('optimal', () => candidate)).totals;
+    const solution = isDemandBilled(config)
+        ? solvePeakCapped(dayInputs, config, options, replay)
+        : solveDispatchDp(dayInputs, config, options);
+    const policy = dpActionPolicy('optimal', () => solution);
+    policy.expectedCost = solution.valueAt(0, socKwh);
+    return policy;
+}
+
+/**
+ * Carbon-minimizing benchmark: the same perfect-foresight DP with marginal
+ * CO2 (grid imports at the hour's marginal factor, plus diesel) as the
+ * objective. Cost only breaks ties between equally clean schedules.
+ */
+export function createCarbonPolicy(dayInputs, config, options = {}) {
+    const solution = solveDispatchDp(dayInputs, config, { costWeight: 1e-3, carbonPricePerKg: 1, ...options });
+    return dpActionPolicy('carbon', () => solution);
+}
+
+/**
+ * Model-predictive control: a rolling (shrinking, to midnight) horizon plan
+ * built from forecasts only. Every `replanHours` the DP is re-solved from the
+ * current interval with the dataset's predicted solar / wind and the profile
+ * load forecast, rescaled by the actual/forecast ratio observed so far today
+ * (clamped to 0.5-2). The current interval is measured, not forecast, and only
+ * announced outages and demand-response events are known ahead; grid
+ * frequency and voltage ahead are unknown, so no service activation is
+ * planned for. When demand is billed each re-plan runs the peak-cap search
+ * (solvePeakCapped) over forecast rollouts, with the peak already reached
+ * today as the floor. Planning uses a coarser SOC grid to keep the re-solves
+ * cheap.
+ */
+export function createMpcPolicy(dayInputs, config, { replanHours = 1, socSteps = 26 } = {}) {
+    const ratio = (actual, forecast) => (forecast > 1e-6 ? clamp(actual / forecast, 0.5, 2) : 1);
+    let solution = null;
+    let lastPlanHour = -Infinity;
+
+    // Forecast cost of following `solution` from `step` with the current state:
+    // interval costs plus the demand bill of the peak above floorKw
+    function rollout(planInputs, solution, step, state) {
+        const sim = { battery: { ...state.battery }, genset: { ...state.genset }, peakImportKw: state.peakImportKw };
+        const policy = dpActionPolicy('mpc', () => solution, { holdBilledPeak: true });
+        let cost = 0;
+        for (let i = step; i < planInputs.length; i++) {
+            const inputs = dispatchInputsFor(planInputs[i], i, config);
+            const flows = dispatchHour(inputs, sim, policy, { dayInputs: planInputs });
+            cost += plannedIntervalCost(flows, inputs, planInputs[i].drEvent, config);
+            sim.peakImportKw = Math.max(sim.peakImportKw, flows.gridImportKw);
+        }
+        cost += (monthlyDemandCharge(sim.peakImportKw, config).total - monthlyDemandCharge(state.peakImportKw, config).total) / BILLING_DAYS_PER_MONTH;
+        return { cost, peakImportKw: sim.peakImportKw };
+    }
+
+    function replan(step, state) {
+        let actualRenewable = 0, forecastRenewable = 0, actualLoad = 0, forecastLoad = 0;
+        for (let i = 0; i < step; i++) {
+            const inp = dayInputs[i];
+            actualRenewable += (inp.solarGenKw + (inp.windGenKw || 0)) * (inp.dtHours ?? 1);
+            forecastRenewable += (inp.forecastSolarKw + inp.forecastWindKw) * (inp.dtHours ?? 1);
+            actualLoad += inp.loadKw * (inp.dtHours ?? 1);
+            forecastLoad += inp.forecastLoadKw * (inp.dtHours ?? 1);
+        }
+        const renewableScale = ratio(actualRenewable, forecastRenewable);
+        const loadScale = ratio(actualLoad, forecastLoad);
+
+        const planInputs = dayInputs.map((inp, i) => (i <= step ? inp : {
+            ...inp,
+            solarGenKw: inp.forecastSolarKw * renewableScale,
+            windGenKw: inp.forecastWindKw * renewableScale,
+            loadKw: inp.forecastLoadKw * loadScale,
+            gridAvailable: inp.outageAnnounced ? inp.gridAvailable : true,
+            drEvent: inp.drEvent?.announced ? inp.drEvent : null,
+            gridFrequencyHz: null,
+            gridVoltageV: null
+        }));
+        const options = { startStep: step, socSteps };
+        solution = isDemandBilled(config)
+            ? solvePeakCapped(planInputs, config, options, candidate => rollout(planInputs, candidate, step, state), state.peakImportKw)
+            : solveDispatchDp(planInputs, config, options);
+    }
+
+    return dpActionPolicy('mpc', ({ step, hour, state }) => {
+        if (!solution || hour - lastPlanHour >= replanHours - 1e-9) {
+            replan(step, state);
+            lastPlanHour = hour;
+        }
+        return solution;
+    }, { holdBilledPeak: true });
+}
+
+/**
+ * Optimality gap of a policy against the DP benchmark for the same day:
+ * how much more it costs and which share of the achievable savings
+ * (baseline → optimal) it captured (null when nothing was achievable).
+ * The DP is approximate (see solveDispatchDp); when the policy beats it the
+ * benchmark is no bound, `bounded` is false and capturedShare is null.
+ */
+export function computeOptimalityGap(baselineCost, policyCost, optimalCost) {
+    const achievable = baselineCost - optimalCost;
+    const bounded = policyCost >= optimalCost - 1e-6;
+    return {
+        gapCost: policyCost - optimalCost,
+        bounded,
+        capturedShare: bounded && achievable > 1e-6 ? (baselineCost - policyCost) / achievable : null
+    };
+}
+
+// Demand-response day totals from settleDemandResponse's events
+function summarizeDemandResponse(events) {
+    const sum = key => events.reduce((s, e) => s + e[key], 0);
+    const drRequiredKwh = sum('requiredKwh');
+    const drDeliveredKwh = sum('deliveredKwh');
+    return {
+        drEvents: events.length,
+        drRequiredKwh,
+        drDeliveredKwh,
+        drCompliance: drRequiredKwh > 0 ? drDeliveredKwh / drRequiredKwh : 1,
+        drIncentive: sum('incentive'),
+        drPenalty: sum('penalty'),
+        drDeferredKwh: sum('deferredKwh')
+    };
+}
+
+export function simulateDay(dayInputs, config, policy, { monthToDateImportKwh = null } = {}) {
+    const state = createDayState(config);
+
+    // One entry per interval (the name predates sub-hourly steps)
+    const hourly = [];
+    const totals = {
+        cost: 0,
+        gridKwh: 0,
+        dieselKwh: 0,
+        dieselToBattKwh: 0,
+        dieselDumpKwh: 0,
+        dieselStarts: 0,
+        dieselRunHours: 0,
+        dieselFuelL: 0,
+        dieselCost: 0,
+        solarToLoadKwh: 0,
+        solarToBattKwh: 0,
+        windGenKwh: 0,
+        windToLoadKwh: 0,
+        windToBattKwh: 0,
+        windCurtailedKwh: 0,
+        battToLoadKwh: 0,
+        exportKwh: 0,
+        exportRevenue: 0,
+        grossCost: 0,
+        serviceRevenue: 0,
+        serviceAvailabilityRevenue: 0,
+        serviceEnergyRevenue: 0,
+        reactiveRevenue: 0,
+        serviceReserveKwh: 0,
+        serviceUpKwh: 0,
+        serviceDownKwh: 0,
+        reactiveKvarh: 0,
+        drEvents: 0,
+        drRequiredKwh: 0,
+        drDeliveredKwh: 0,
+        drCompliance: 1,
+        drIncentive: 0,
+        drPenalty: 0,
+        drDeferredKwh: 0,
+        // Month-end demand true-up booked by settleMonthlyDemand (multi-day runs)
+        demandTrueUp: 0,
+        demandPenaltyTrueUp: 0,
+        solarGenKwh: 0,
+        curtailedKwh: 0,
+        pvTempLossKwh: 0,
+        pvClippedKwh: 0,
+        unservedKwh: 0,
+        unservedCriticalKwh: 0,
+        outageHours: 0,
+        outageSurvivedHours: 0,
+        co2Kg: 0,
+        co2MarginalKg: 0,
+        gridCo2Kg: 0,
+        gridCo2MarginalKg: 0,
+        batteryLossKwh: 0,
+        auditViolations: 0
+    };
+    // Energy ledger of every interval (auditInterval)
+    const audit = [];
+
+    for (let i = 0; i < dayInputs.length; i++) {
+        const inp = dayInputs[i];
+        const dtHours = inp.dtHours ?? 1;
+        const inputs = dispatchInputsFor(inp, i, config);
+        const socStartKwh = state.battery.socKwh;
+        const flows = dispatchHour(inputs, state, policy, { dayInputs });
+        const ledger = auditInterval(flows, socStartKwh, state.battery, inputs);
+        audit.push(ledger);
+        state.peakImportKw = Math.max(state.peakImportKw, flows.gridImportKw);
+
+        hourly.push({
+            ...flows,
+            activeAppliances: inp.activeAppliances
+        });
+
+        // Flows are kW; energy totals integrate them over the interval
+        totals.gridKwh += flows.gridImportKw * dtHours;
+        totals.dieselKwh += (flows.dieselToLoadKw + flows.dieselToBattKw) * dtHours;
+        totals.dieselToBattKwh += flows.dieselToBattKw * dtHours;
+        totals.dieselDumpKwh += flows.dieselDumpKw * dtHours;
+        if (flows.dieselStarted) totals.dieselStarts++;
+        if (flows.dieselRunning) totals.dieselRunHours += dtHours;
+        totals.dieselFuelL += flows.dieselFuelL;
+        totals.dieselCost += flows.dieselCost;
+        totals.solarToLoadKwh += flows.solarToLoadKw * dtHours;
+        totals.solarToBattKwh += flows.solarToBattKw * dtHours;
+        totals.battToLoadKwh += flows.battToLoadKw * dtHours;
+        totals.solarGenKwh += flows.solarGenKw * dtHours;
+        totals.windGenKwh += flows.windGenKw * dtHours;
+        totals.windToLoadKwh += flows.windToLoadKw * dtHours;
+        totals.windToBattKwh += flows.windToBattKw * dtHours;
+        totals.windCurtailedKwh += flows.windCurtailedKw * dtHours;
+        totals.curtailedKwh += flows.curtailedKw * dtHours;
+        totals.pvTempLossKwh += (inp.pvTempLossKw || 0) * dtHours;
+        totals.pvClippedKwh += (inp.pvClippedKw || 0) * dtHours;
+        totals.unservedKwh += flows.unmetLoadKw * dtHours;
+        totals.unservedCriticalKwh += flows.unservedCriticalKw * dtHours;
+        if (!flows.gridAvailable) {
+            totals.outageHours += dtHours;
+            // An outage interval is survived when all critical load was served
+            if (flows.unservedCriticalKw < 1e-6) totals.outageSurvivedHours += dtHours;
+        }
+        totals.co2Kg += flows.co2Kg;
+        totals.co2MarginalKg += flows.co2MarginalKg;
+        totals.gridCo2Kg += flows.gridImportKw * flows.co2GridPerKwh * dtHours;
+        totals.gridCo2MarginalKg += flows.gridImportKw * flows.co2MarginalPerKwh * dtHours;
+        totals.batteryLossKwh += ledger.losses.charge + ledger.losses.discharge;
+        totals.auditViolations += ledger.violations.length;
+        totals.serviceRevenue += flows.serviceRevenue;
+        totals.serviceAvailabilityRevenue += flows.serviceAvailabilityRevenue;
+        totals.serviceEnergyRevenue += flows.serviceEnergyRevenue;
+        totals.reactiveRevenue += flows.reactiveRevenue;
+        totals.serviceReserveKwh += flows.serviceReserveKw * dtHours;
+        totals.serviceUpKwh += flows.serviceUpKw * dtHours;
+        totals.serviceDownKwh += flows.serviceDownKw * dtHours;
+        totals.reactiveKvarh += Math.abs(flows.reactiveKvar) * dtHours;
+    }
+
+    totals.slabAdjustment = settleImportSlabs(hourly, resolveTariff(config), monthToDateImportKwh);
+    Object.assign(totals, settleDemandCharges(hourly, config));
+    const demandResponse = settleDemandResponse(hourly, dayInputs, config);
+    Object.assign(totals, summarizeDemandResponse(demandResponse));
+    const settlement = settleGridExport(hourly, config);
+    totals.exportKwh = settlement.exportKwh;
+    totals.exportRevenue = settlement.exportRevenue;
+    totals.grossCost = settlement.grossCost;
+    totals.cost = settlement.netCost;
+    // Share of PV generation that was spilled (0-1)
+    totals.curtailmentRatio = totals.solarGenKwh > 0 ? totals.curtailedKwh / totals.solarGenKwh : 0;
+
+    // Final battery state lets the next day start where this one ended
+    const finalSocKwh = state.battery.socKwh;
+    const finalSocPct = state.battery.capacityKwh > 0 ? (finalSocKwh / state.battery.capacityKwh) * 100 : 0;
+
+    return { hourly, totals, audit, demandResponse, initialSocPct: config.initialSocPct, finalSocKwh, finalSocPct };
+}
+
+/**
+ * Continuous multi-day run: simulate consecutive days back-to-back, each
+ * starting from the previous day's final SOC (overnight storage carries over).
+ * `policyFactory(dayInputs, dayConfig)` builds a fresh policy for every day so
+ * look-ahead policies only see their own day. Demand charges are billed on
+ * each month's peak (settleMonthlyDemand); `months` is that monthly summary.
+ * Import slabs run on the billing month's cumulative import, reset when the
+ * month changes. A run continuing an earlier one (a chunk of a longer run)
+ * passes that run's `importMonth` ({ month, importKwh }) back in.
+ */
+export function simulateDays(daysInputs, config, policyFactory, { importMonth = null } = {}) {
+    let initialSocPct = config.initialSocPct;
+    const days = [];
+    const totals = {};
+
+    daysInputs.forEach((dayInputs, d) => {
+        const dayConfig = { ...config, initialSocPct };
+        const month = billingMonthOf(daysInputs, d);
+        const monthToDateImportKwh = importMonth?.month === month ? importMonth.importKwh : 0;
+        const result = simulateDay(dayInputs, dayConfig, policyFactory(dayInputs, dayConfig), { monthToDateImportKwh });
+        days.push(result);
+        initialSocPct = result.finalSocPct;
+        importMonth = { month, importKwh: monthToDateImportKwh + result.totals.gridKwh };
+    });
+    const months = settleMonthlyDemand(days, daysInputs, config);
+    days.forEach(day => {
+        Object.entries(day.totals).forEach(([key, value]) => {
+            totals[key] = (totals[key] || 0) + value;
+        });
+    });
+    // Ratios and peaks don't add up across days; recompute them
+    totals.curtailmentRatio = totals.solarGenKwh > 0 ? totals.curtailedKwh / totals.solarGenKwh : 0;
+    totals.peakImportKw = Math.max(0, ...days.map(d => d.totals.peakImportKw));
+    totals.excessDemandKw = Math.max(0, ...days.map(d => d.totals.excessDemandKw));
+    totals.drCompliance = totals.drRequiredKwh > 0 ? totals.drDeliveredKwh / totals.drRequiredKwh : 1;
+
+    return { days, totals, months, importMonth, initialSocPct: config.initialSocPct, finalSocPct: initialSocPct };
+}
+
+// ===== POLICY REGISTRY =====
+// A policy factory is (dayInputs, config) => policy. A policy either answers the
+// three dispatch questions (allowDischarge / allowGridCharge / desiredGridChargeKw)
+// or implements setpoints(ctx) returning { dischargeKw, gridChargeKw } directly.
+const policyRegistry = {};
+
+const DECISION_METHODS = ['allowDischarge', 'allowGridCharge', 'desiredGridChargeKw'];
+
+/**
+ * Check a policy against the contract and adapt the setpoint form.
+ * dischargeKw caps battery -> load power (0 = hold the battery, omitted = no cap);
+ * gridChargeKw is the grid -> battery setpoint. Throws on anything else.
+ */
+export function normalizePolicy(policy, name = policy?.name) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error(`Policy "${name}" factory must return an object`);
+    }
+    if (typeof policy.setpoints === 'function') {
+        let planned = { dischargeKw: Infinity, gridChargeKw: 0 };
+        return {
+            ...policy,
+            name: policy.name || name,
+            planStep: (ctx) => {
+                if (policy.planStep) policy.planStep(ctx);
+                const sp = policy.setpoints(ctx) || {};
+                planned = {
+                    dischargeKw: Number.isFinite(sp.dischargeKw) ? Math.max(0, sp.dischargeKw) : Infinity,
+                    gridChargeKw: Number.isFinite(sp.gridChargeKw) ? Math.max(0, sp.gridChargeKw) : 0
+                };
+            },
+            allowDischarge: () => planned.dischargeKw > 0,
+            maxDischargeKw: () => planned.dischargeKw,
+            allowGridCharge: () => planned.gridChargeKw > 0,
+            desiredGridChargeKw: () => planned.gridChargeKw
+        };
+    }
+    const missing = DECISION_METHODS.filter(m => typeof policy[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Policy "${name}" must implement setpoints(ctx) or ${DECISION_METHODS.join('/')} (missing ${missing.join(', ')})`);
+    }
+    return policy.name ? policy : { ...policy, name };
+}
+
+/**
+ * Register a policy factory under a unique name. Built-ins can't be replaced.
+ * Returns the registry entry.
+ */
+export function registerPolicy(name, factory, { label = name, description = '', builtIn = false } = {}) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+        throw new Error(`Invalid policy name "${name}" (letters, digits, "-" and "_")`);
+    }
+    if (typeof factory !== 'function') throw new Error(`Policy "${name}" needs a factory function`);
+    if (policyRegistry[name]?.builtIn) throw new Error(`Policy "${name}" is built in and can't be replaced`);
+    policyRegistry[name] = { name, label, description, builtIn, factory };
+    return policyRegistry[name];
+}
+
+export function unregisterPolicy(name) {
+    if (policyRegistry[name]?.builtIn) throw new Error(`Policy "${name}" is built in and can't be removed`);
+    delete policyRegistry[name];
+}
+
+// Registered policies in registration order: [{ name, label, description, builtIn }]
+export function listPolicies() {
+    return Object.values(policyRegistry).map(({ name, label, description, builtIn }) => ({ name, label, description, builtIn }));
+}
+
+// Factory that validates what the registered factory returns
+export function getPolicyFactory(name) {
+    const entry = policyRegistry[name];
+    if (!entry) throw new Error(`Unknown policy "${name}" (available: ${Object.keys(policyRegistry).join(', ')})`);
+    return (dayInputs, config) => normalizePolicy(entry.factory(dayInputs, config), name);
+}
+
+/**
+ * Register the policies of a user module. The default export (or a named
+ * `policies` export) is one definition or an array of them:
+ *   { name, label?, description?, create(dayInputs, config) }
+ * Returns the registered names.
+ */
+export function registerPolicyModule(mod) {
+    const exported = mod?.default ?? mod?.policies;
+    const definitions = Array.isArray(exported) ? exported : [exported];
+    if (definitions.length === 0 || definitions.some(d => !d || typeof d.create !== 'function')) {
+        throw new Error('Policy module must export { name, create(dayInputs, config) } (or an array of them)');
+    }
+    return definitions.map(def => registerPolicy(def.name, def.create, { label: def.label || def.name, description: def.description || '' }).name);
+}
+
+registerPolicy('baseline', () => createBaselinePolicy(), { label: 'Baseline', description: 'Discharge whenever there is load, never grid-charge', builtIn: true });
+registerPolicy('smart', createSmartPolicy, { label: 'Smart', description: 'TOU heuristic: hold the battery for peaks, grid-charge off-peak', builtIn: true });
+registerPolicy('optimal', createOptimalPolicy, { label: 'Optimal (DP)', description: 'Perfect-foresight dynamic-programming benchmark', builtIn: true });
+registerPolicy('mpc', createMpcPolicy, { label: 'MPC', description: 'Hourly re-planning from the dataset forecasts', builtIn: true });
+registerPolicy('carbon', createCarbonPolicy, { label: 'Carbon-min', description: 'Perfect-foresight DP minimizing marginal CO2 (cost breaks ties)', builtIn: true });
+
+// ===== MONTE CARLO =====
+export const MONTE_CARLO_DISTRIBUTIONS = ['normal', 'lognormal', 'uniform', 'none'];
+
+/**
+ * Input uncertainty for runMonteCarlo. Solar, load and tariff get a
+ * multiplier per run (daySpread: weather / occupancy / price level) times one
+ * per interval (stepSpread: passing clouds, appliance timing); spreads are
+ * the standard deviation (normal, lognormal) or half-width (uniform) around 1.
+ * Outages are unannounced Poisson events on top of the configured schedule.
+ */
+export const DEFAULT_MONTE_CARLO = {
+    runs: 200,
+    seed: 1,
+    solar: { distribution: 'normal', daySpread: 0.15, stepSpread: 0.05 },
+    load: { distribution: 'normal', daySpread: 0.1, stepSpread: 0.05 },
+    tariff: { distribution: 'uniform', daySpread: 0.05, stepSpread: 0 },
+    outages: { perDay: 0.2, meanHours: 1.5 }
+};
+
+// Runs allowed per Monte Carlo batch (keeps the browser responsive)
+export const MAX_MONTE_CARLO_RUNS = 2000;
+
+// DEFAULT_MONTE_CARLO with per-input overrides merged in, validated
+export function buildMonteCarloOptions(overrides = {}) {
+    const options = { ...DEFAULT_MONTE_CARLO, ...overrides };
+    ['solar', 'load', 'tariff', 'outages'].forEach(key => {
+        options[key] = { ...DEFAULT_MONTE_CARLO[key], ...(overrides[key] || {}) };
+    });
+    if (!Number.isInteger(options.runs) || options.runs < 1 || options.runs > MAX_MONTE_CARLO_RUNS) {
+        throw new Error(`Monte Carlo runs must be a whole number from 1 to ${MAX_MONTE_CARLO_RUNS}`);
+    }
+    ['solar', 'load', 'tariff'].forEach(key => {
+        const { distribution, daySpread, stepSpread } = options[key];
+        if (!MONTE_CARLO_DISTRIBUTIONS.includes(distribution)) {
+            throw new Error(`Unknown ${key} distribution "${distribution}" (use ${MONTE_CARLO_DISTRIBUTIONS.join(', ')})`);
+        }
+        if (!(daySpread >= 0) || !(stepSpread >= 0)) throw new Error(`${key} spreads must be >= 0`);
+    });
+    if (!(options.outages.perDay >= 0) || !(options.outages.meanHours > 0)) {
+        throw new Error('Monte Carlo outages need perDay >= 0 and meanHours > 0');
+    }
+    return options;
+}
+
+// Standard normal draw (Box-Muller)
+function normalSample(rng) {
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+// Non-negative multiplier with mean 1
+export function sampleMultiplier(rng, distribution, spread) {
+    if (distribution === 'none' || spread === 0) return 1;
+    if (distribution === 'uniform') return Math.max(0, 1 + spread * (2 * rng() - 1));
+    if (distribution === 'lognormal') return Math.exp(spread * normalSample(rng) - spread * spread / 2);
+    return Math.max(0, 1 + spread * normalSample(rng));
+}
+
+/**
+ * One Monte Carlo realization of a day: solar, load and tariff scaled by
+ * their sampled multipliers and random outages added. Forecast columns are
+ * left alone: they are what a policy would have known beforehand.
+ */
+export function perturbDayInputs(dayInputs, rng, options) {
+    const dtHours = dayInputs[0]?.dtHours ?? 1;
+    const { solar, load, tariff, outages } = options;
+    const dayFactor = ({ distribution, daySpread }) => sampleMultiplier(rng, distribution, daySpread);
+    const solarDay = dayFactor(solar);
+    const loadDay = dayFactor(load);
+    const tariffDay = dayFactor(tariff);
+    const down = drawOutageSteps(rng, dayInputs.length, dtHours, outages.perDay, outages.meanHours);
+    return dayInputs.map((inp, i) => ({
+        ...inp,
+        solarGenKw: inp.solarGenKw * solarDay * sampleMultiplier(rng, solar.distribution, solar.stepSpread),
+        loadKw: inp.loadKw * loadDay * sampleMultiplier(rng, load.distribution, load.stepSpread),
+        tariff: inp.tariff * tariffDay * sampleMultiplier(rng, tariff.distribution, tariff.stepSpread),
+        gridAvailable: inp.gridAvailable !== false && !down[i],
+        outageAnnounced: inp.outageAnnounced && !down[i]
+    }));
+}
+
+// Linear-interpolated percentile (p in 0-100) of an ascending array
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+// { p10, p50, p90, mean, min, max } of a sample
+export function summarizeSamples(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        p10: percentile(sorted, 10),
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        mean: sorted.reduce((s, v) => s + v, 0) / (sorted.length || 1),
+        min: sorted[0] ?? 0,
+        max: sorted[sorted.length - 1] ?? 0
+    };
+}
+
+/**
+ * Monte Carlo uncertainty run: `options.runs` realizations of the day
+ * (perturbDayInputs), each simulated with every policy in `policyFactories`
+ * ({ name: (dayInputs, config) => policy }) on the same realization. Run i is
+ * seeded from (seed, i), so results don't depend on the batch size.
+ * `policyConfigs` optionally gives a policy its own config (e.g. its carried-over
+ * start SOC in a continuous run).
+ * Returns { runs, seed, options, policies: { name: { cost, gridKwh, dieselKwh,
+ * unservedKwh } }, savings, savingsPositiveShare, bands, samples }: metrics are
+ * summarizeSamples, savings is baseline − smart (null without both), bands hold
+ * per-interval P10/P50/P90 of solarKw, loadKw and each policy's gridKw / socPct.
+ */
+export function runMonteCarlo(dayInputs, config, policyFactories, overrides = {}, policyConfigs = {}) {
+    const options = buildMonteCarloOptions(overrides);
+    const names = Object.keys(policyFactories);
+    const samples = [];
+    const series = { solarKw: [], loadKw: [], gridKw: {}, socPct: {} };
+    names.forEach(name => { series.gridKw[name] = []; series.socPct[name] = []; });
+
+    for (let run = 0; run < options.runs; run++) {
+        const rng = createRng(hashString(`${options.seed}|${run}`));
+        const inputs = perturbDayInputs(dayInputs, rng, options);
+        const sample = { run };
+        series.solarKw.push(inputs.map(inp => inp.solarGenKw));
+        series.loadKw.push(inputs.map(inp => inp.loadKw));
+        names.forEach(name => {
+            const policyConfig = policyConfigs[name] || config;
+            const result = simulateDay(inputs, policyConfig, policyFactories[name](inputs, policyConfig));
+            sample[name] = {
+                cost: result.totals.cost,
+                gridKwh: result.totals.gridKwh,
+                dieselKwh: result.totals.dieselKwh,
+                unservedKwh: result.totals.unservedKwh
+            };
+            series.gridKw[name].push(result.hourly.map(h => h.gridImportKw));
+            series.socPct[name].push(result.hourly.map(h => h.socPct));
+        });
+        samples.push(sample);
+    }
+
+    // Per-interval P10/P50/P90 across runs
+    const band = rows => dayInputs.map((_, i) => {
+        const { p10, p50, p90 } = summarizeSamples(rows.map(row => row[i]));
+        return { p10, p50, p90 };
+    });
+    const mapNames = pick => Object.fromEntries(names.map(name => [name, pick(name)]));
+    const policies = mapNames(name => ({
+        cost: summarizeSamples(samples.map(s => s[name].cost)),
+        gridKwh: summarizeSamples(samples.map(s => s[name].gridKwh)),
+        dieselKwh: summarizeSamples(samples.map(s => s[name].dieselKwh)),
+        unservedKwh: summarizeSamples(samples.map(s => s[name].unservedKwh))
+    }));
+    const savingsSamples = samples.map(s => (s.baseline && s.smart ? s.baseline.cost - s.smart.cost : null));
+    const hasSavings = names.includes('baseline') && names.includes('smart');
+
+    return {
+        runs: options.runs,
+        seed: options.seed,
+        options,
+        policies,
+        savings: hasSavings ? summarizeSamples(savingsSamples) : null,
+        savingsPositiveShare: hasSavings ? savingsSamples.filter(v => v > 0).length / options.runs : null,
+        bands: {
+            solarKw: band(series.solarKw),
+            loadKw: band(series.loadKw),
+            gridKw: mapNames(name => band(series.gridKw[name])),
+            socPct: mapNames(name => band(series.socPct[name]))
+        },
+        samples
+    };
+}
+
+// ===== SYSTEM SIZING =====
+/**
+ * Sizing study grid and cost assumptions for runSizingStudy. Every solarKw ×
+ * batteryKwh (× inverterKw × dieselKw) combination is a candidate; a null
+ * inverterKw keeps the configured DC/AC ratio (inverter = solarKw / dcAcRatio)
+ * and a null dieselKw keeps the configured genset. CAPEX is ₹ per kW / kWh
+ * installed, annualized over each component's life at discountRate, plus
+ * omShare of CAPEX per year for O&M. Unserved energy is charged at
+ * valueOfLostLoad so an undersized system can't look cheap by shedding load.
+ * `days` is how many representative dataset dates the caller simulates.
+ */
+export const DEFAULT_SIZING = {
+    solarKw: [2, 4, 6, 8, 10, 12],
+    batteryKwh: [5, 10, 15, 20, 30, 40],
+    inverterKw: null,
+    dieselKw: null,
+    days: 12,
+    policy: 'smart',
+    discountRate: 0.08,
+    omShare: 0.01,
+    valueOfLostLoad: 50,        // ₹ per unserved kWh
+    capex: {
+        solar: { perUnit: 45000, lifeYears: 25 },     // ₹/kW DC
+        battery: { perUnit: 20000, lifeYears: 10 },   // ₹/kWh
+        inverter: { perUnit: 8000, lifeYears: 12 },   // ₹/kW AC
+        diesel: { perUnit: 12000, lifeYears: 15 }     // ₹/kW
+    }
+};
+
+// Candidates allowed per sizing study (each one simulates every representative day)
+export const MAX_SIZING_CANDIDATES = 400;
+
+const SIZING_COMPONENTS = ['solar', 'battery', 'inverter', 'diesel'];
+
+// DEFAULT_SIZING with overrides merged in (per-component CAPEX too), validated
+export function buildSizingOptions(overrides = {}) {
+    const options = { ...DEFAULT_SIZING, ...overrides };
+    options.capex = {};
+    SIZING_COMPONENTS.forEach(key => {
+        options.capex[key] = { ...DEFAULT_SIZING.capex[key], ...(overrides.capex?.[key] || {}) };
+        const { perUnit, lifeYears } = options.capex[key];
+        if (!(perUnit >= 0) || !(lifeYears > 0)) throw new Error(`${key} CAPEX needs perUnit >= 0 and lifeYears > 0`);
+    });
+    const checkList = (key, min, allowNull) => {
+        const list = options[key];
+        if (list === null && allowNull) return;
+        if (!Array.isArray(list) || list.length === 0 || !list.every(v => Number.isFinite(v) && v >= min)) {
+            throw new Error(`Sizing ${key} must be a list of numbers >= ${min}`);
+        }
+        options[key] = [...new Set(list)].sort((a, b) => a - b);
+    };
+    checkList('solarKw', 0.1, false);
+    checkList('batteryKwh', 0, false);
+    checkList('inverterKw', 0.1, true);
+    checkList('dieselKw', 0, true);
+    const count = ['solarKw', 'batteryKwh', 'inverterKw', 'dieselKw'].reduce((n, key) => n * (options[key]?.length || 1), 1);
+    if (count > MAX_SIZING_CANDIDATES) {
+        throw new Error(`Sizing grid has ${count} candidates (at most ${MAX_SIZING_CANDIDATES}); use fewer sizes`);
+    }
+    if (!Number.isInteger(options.days) || options.days < 1) throw new Error('Sizing days must be a whole number >= 1');
+    if (!(options.discountRate >= 0) || !(options.omShare >= 0) || !(options.valueOfLostLoad >= 0)) {
+        throw new Error('Sizing discountRate, omShare and valueOfLostLoad must be >= 0');
+    }
+    return options;
+}
+
+// Annuity per ₹ of CAPEX over `years` at `rate` (straight-line when rate is 0)
+export function capitalRecoveryFactor(rate, years) {
+    if (rate === 0) return 1 / years;
+    const growth = Math.pow(1 + rate, years);
+    return rate * growth / (growth - 1);
+}
+
+// `count` dates spread evenly over the sorted dataset dates (all of them when fewer)
+export function selectRepresentativeDays(dates, count) {
+    if (dates.length <= count) return [...dates];
+    return Array.from({ length: count }, (_, i) => dates[Math.floor((i + 0.5) * dates.length / count)]);
+}
+
+// Non-dominated candidates (lower is better on every key), sorted by the first key
+export function paretoFront(candidates, keys) {
+    const dominates = (a, b) => keys.every(k => a[k] <= b[k]) && keys.some(k => a[k] < b[k]);
+    return candidates
+        .filter(c => !candidates.some(other => dominates(other, c)))
+        .sort((a, b) => a[keys[0]] - b[keys[0]]);
+}
+
+/**
+ * System sizing sweep. `buildDaysInputs(candidateConfig)` returns the day
+ * inputs of the representative days for one candidate (PV output depends on
+ * the array and inverter size); the days run back to back under
+ * options.policy, and their totals are scaled to a year (365 / days).
+ * Battery power limits follow the configured C-rate. Inverter sizes change
+ * output only in the physics PV model (the scaled model doesn't clip), so
+ * sweeping them needs pvModel 'physics'.
+ * Returns { options, days, annualScale, candidates, best, pareto, heatMap }:
+ * each candidate has its sizes, capex, annualCapex, annualOm, annualEnergyCost,
+ * annualUnservedKwh, unservedCost, annualGridKwh, annualDieselKwh,
+ * annualCo2Kg and annualizedCost (the score); best is the cheapest, pareto
+ * trades annualized cost against CO2 and heatMap holds the cheapest candidate
+ * per solar × battery cell (rows follow batteryKwh, columns solarKw).
+ */
+export function runSizingStudy(config, buildDaysInputs, overrides = {}) {
+    const options = buildSizingOptions(overrides);
+    if (options.inverterKw && config.pvModel !== 'physics') {
+        throw new Error('Inverter sizing needs the physics PV model (the scaled model does not clip)');
+    }
+    const policyFactory = getPolicyFactory(options.policy);
+    const crf = key => capitalRecoveryFactor(options.discountRate, options.capex[key].lifeYears);
+    // Day inputs depend on the PV array only; reuse them across battery and genset sizes
+    const inputsCache = new Map();
+    const candidates = [];
+    let days = 0;
+
+    options.solarKw.forEach(solarKw => {
+        (options.inverterKw || [null]).forEach(inverter => {
+            const inverterKw = inverter ?? solarKw / config.dcAcRatio;
+            const pvConfig = { ...config, solarCap: solarKw, dcAcRatio: solarKw / inverterKw };
+            const pvKey = `${solarKw}|${inverterKw}`;
+            if (!inputsCache.has(pvKey)) inputsCache.set(pvKey, buildDaysInputs(pvConfig));
+            const daysInputs = inputsCache.get(pvKey);
+            days = daysInputs.length;
+            const annualScale = 365 / days;
+
+            options.batteryKwh.forEach(batteryKwh => {
+                (options.dieselKw || [config.dieselRatedKw]).forEach(dieselKw => {
+                    const candidateConfig = {
+                        ...pvConfig,
+                        batteryCapacityKwh: batteryKwh,
+                        maxChargeKw: batteryKwh * config.cRate,
+                        maxDischargeKw: batteryKwh * config.cRate,
+                        dieselRatedKw: dieselKw
+                    };
+                    const { totals } = simulateDays(daysInputs, candidateConfig, policyFactory);
+                    const sizes = { solar: solarKw, battery: batteryKwh, inverter: inverterKw, diesel: dieselKw };
+                    const capex = SIZING_COMPONENTS.reduce((s, key) => s + sizes[key] * options.capex[key].perUnit, 0);
+                    const annualCapex = SIZING_COMPONENTS.reduce((s, key) => s + sizes[key] * options.capex[key].perUnit * crf(key), 0);
+                    const annualOm = capex * options.omShare;
+                    const annualEnergyCost = totals.cost * annualScale;
+                    const annualUnservedKwh = totals.unservedKwh * annualScale;
+                    const unservedCost = annualUnservedKwh * options.valueOfLostLoad;
+                    candidates.push({
+                        solarKw,
+                        batteryKwh,
+                        inverterKw,
+                        dieselKw,
+                        capex,
+                        annualCapex,
+                        annualOm,
+                        annualEnergyCost,
+                        annualUnservedKwh,
+                        unservedCost,
+                        annualGridKwh: totals.gridKwh * annualScale,
+                        annualDieselKwh: totals.dieselKwh * annualScale,
+                        annualCo2Kg: totals.co2Kg * annualScale,
+                        annualizedCost: annualCapex + annualOm + annualEnergyCost + unservedCost
+                    });
+                });
+            });
+        });
+    });
+
+    const cheapest = list => list.reduce((best, c) => (!best || c.annualizedCost < best.annualizedCost ? c : best), null);
+    const heatMap = {
+        solarKw: options.solarKw,
+        batteryKwh: options.batteryKwh,
+        cells: options.batteryKwh.map(b => options.solarKw.map(s => cheapest(candidates.filter(c => c.batteryKwh === b && c.solarKw === s))))
+    };
+
+    return {
+        options,
+        days,
+        annualScale: 365 / days,
+        candidates,
+        best: cheapest(candidates),
+        pareto: paretoFront(candidates, ['annualizedCost', 'annualCo2Kg']),
+        heatMap
+    };
+}
+
+// ===== FINANCIALS =====
+/**
+ * Lifetime financial assumptions for runFinancialAnalysis. The investment is
+ * the PV array, its inverter (solarCap / dcAcRatio) and the battery; wind and
+ * the genset are existing assets present in the no-PV/battery reference too
+ * (grid + genset; its diesel cost is reported as annual.reference.dieselCost).
+ * Equipment prices and lives default to the sizing study's. Components are
+ * replaced at the end of their life (the battery also when its health falls
+ * below batteryReplaceSoh) at today's price × (1 + replacementCostChange)^year;
+ * what is left of their life at the end is salvaged linearly. Bill savings
+ * grow with tariffEscalation, O&M (omShare of CAPEX) with omEscalation.
+ * Subsidies (subsidyShare of PV + inverter CAPEX plus subsidyPerSolarKw, up to
+ * subsidyCap) reduce the upfront cost. The battery loses 20% of its capacity
+ * over batteryCycleLife equivalent full cycles plus batteryCalendarFade a year.
+ */
+export const DEFAULT_FINANCIALS = {
+    lifetimeYears: 25,
+    discountRate: 0.08,
+    tariffEscalation: 0.03,
+    omShare: 0.01,
+    omEscalation: 0.03,
+    capex: {
+        solar: DEFAULT_SIZING.capex.solar,
+        battery: DEFAULT_SIZING.capex.battery,
+        inverter: DEFAULT_SIZING.capex.inverter
+    },
+    replacementCostChange: -0.03,
+    subsidyShare: 0,
+    subsidyPerSolarKw: 0,
+    subsidyCap: null,
+    pvDegradation: 0.005,       // PV output lost per year
+    batteryCycleLife: 6000,     // Equivalent full cycles to 80% health
+    batteryCalendarFade: 0.01,  // Health lost per year at rest
+    batteryReplaceSoh: 0.7,
+    days: 12,
+    policy: 'smart'
+};
+
+const FINANCIAL_COMPONENTS = ['solar', 'battery', 'inverter'];
+
+// DEFAULT_FINANCIALS with overrides merged in (per-component CAPEX too), validated
+export function buildFinancialOptions(overrides = {}) {
+    const options = { ...DEFAULT_FINANCIALS, ...overrides };
+    options.capex = {};
+    FINANCIAL_COMPONENTS.forEach(key => {
+        options.capex[key] = { ...DEFAULT_FINANCIALS.capex[key], ...(overrides.capex?.[key] || {}) };
+        const { perUnit, lifeYears } = options.capex[key];
+        if (!(perUnit >= 0) || !(lifeYears > 0)) throw new Error(`${key} CAPEX needs perUnit >= 0 and lifeYears > 0`);
+    });
+    if (!Number.isInteger(options.lifetimeYears) || options.lifetimeYears < 1 || options.lifetimeYears > 50) {
+        throw new Error('Financial lifetime must be a whole number of years from 1 to 50');
+    }
+    ['discountRate', 'omShare', 'subsidyShare', 'subsidyPerSolarKw', 'pvDegradation', 'batteryCalendarFade'].forEach(key => {
+        if (!(options[key] >= 0)) throw new Error(`Financial ${key} must be >= 0`);
+    });
+    ['tariffEscalation', 'omEscalation', 'replacementCostChange'].forEach(key => {
+        if (!(options[key] > -1)) throw new Error(`Financial ${key} must be > -1`);
+    });
+    if (options.subsidyShare > 1 || options.pvDegradation >= 1) throw new Error('subsidyShare and pvDegradation must be below 1');
+    if (!(options.batteryCycleLife > 0) || !(options.batteryReplaceSoh >= 0 && options.batteryReplaceSoh < 1)) {
+        throw new Error('batteryCycleLife must be > 0 and batteryReplaceSoh from 0 to 1');
+    }
+    if (options.subsidyCap !== null && !(options.subsidyCap >= 0)) throw new Error('subsidyCap must be >= 0 or null');
+    if (!Number.isInteger(options.days) || options.days < 1) throw new Error('Financial days must be a whole number >= 1');
+    return options;
+}
+
+// Present value of yearly cash flows (index 0 = today, undiscounted)
+export function netPresentValue(rate, cashFlows) {
+    return cashFlows.reduce((s, flow, year) => s + flow / Math.pow(1 + rate, year), 0);
+}
+
+// Discount rate at which the NPV is zero (bisection), or null without a sign change
+export function internalRateOfReturn(cashFlows) {
+    let lo = -0.99;
+    let hi = 10;
+    let npvLo = netPresentValue(lo, cashFlows);
+    if (npvLo * netPresentValue(hi, cashFlows) > 0) return null;
+    for (let i = 0; i < 200 && hi - lo > 1e-7; i++) {
+        const mid = (lo + hi) / 2;
+        const npvMid = netPresentValue(mid, cashFlows);
+        if (npvLo * npvMid <= 0) hi = mid;
+        else { lo = mid; npvLo = npvMid; }
+    }
+    return (lo + hi) / 2;
+}
+
+// Years until the running total of cash flows turns non-negative (interpolated within the year), or null
+export function paybackYears(cashFlows) {
+    let cumulative = cashFlows[0];
+    if (cumulative >= 0) return 0;
+    for (let year = 1; year < cashFlows.length; year++) {
+        const next = cumulative + cashFlows[year];
+        if (next >= 0) return year - 1 + (cashFlows[year] > 0 ? -cumulative / cashFlows[year] : 1);
+        cumulative = next;
+    }
+    return null;
+}
+
+/**
+ * Year-by-year cash flows of the investment from the annual energy results of
+ * the no-PV/battery reference (grid + genset), the PV-only system and the
+ * full system (each { bill, solarKwh, dischargeKwh, gridChargeCost }). PV savings
+ * (reference − PV-only bill) fade with PV degradation, storage savings
+ * (PV-only − system bill) with battery health. LCOE is the levelized cost of
+ * the delivered PV energy (PV + inverter costs net of the subsidy); LCOS the
+ * levelized cost per kWh the battery discharges, including the grid energy
+ * that charges it. Returns { sizes, capex, subsidy, netCapex, pvSavings,
+ * storageSavings, cyclesPerYear, years, npv, irr, simplePaybackYears,
+ * discountedPaybackYears, lcoe, lcos, batteryReplacementYears }.
+ */
+export function projectCashFlows(annual, sizes, options) {
+    const { reference, solarOnly, system } = annual;
+    const r = options.discountRate;
+    const cost = key => sizes[key] * options.capex[key].perUnit;
+    const capex = FINANCIAL_COMPONENTS.reduce((s, key) => s + cost(key), 0);
+    const pvCapex = cost('solar') + cost('inverter');
+    const subsidy = Math.min(pvCapex, options.subsidyCap ?? Infinity,
+        options.subsidyShare * pvCapex + options.subsidyPerSolarKw * sizes.solar);
+    const pvSavings = reference.bill - solarOnly.bill;
+    const storageSavings = solarOnly.bill - system.bill;
+    const cyclesPerYear = sizes.battery > 0 ? system.dischargeKwh / sizes.battery : 0;
+    const fadePerYear = cyclesPerYear * 0.2 / options.batteryCycleLife + options.batteryCalendarFade;
+
+    const age = { solar: 0, battery: 0, inverter: 0 };
+    const lastPrice = Object.fromEntries(FINANCIAL_COMPONENTS.map(key => [key, cost(key)]));
+    const levelized = { pvCost: pvCapex - subsidy, pvKwh: 0, storageCost: cost('battery'), storageKwh: 0 };
+    const cashFlows = [-(capex - subsidy)];
+    const discounted = [...cashFlows];
+    const years = [];
+    let soh = 1;
+    let cumulative = cashFlows[0];
+    let cumulativeDiscounted = cashFlows[0];
+
+    for (let year = 1; year <= options.lifetimeYears; year++) {
+        const discount = 1 / Math.pow(1 + r, year);
+        const tariffFactor = Math.pow(1 + options.tariffEscalation, year - 1);
+        const pvFactor = Math.pow(1 - options.pvDegradation, year - 1);
+        const sohStart = soh;
+        soh = Math.max(0, soh - fadePerYear);
+        const sohAvg = (sohStart + soh) / 2;
+        const savings = (pvSavings * pvFactor + storageSavings * sohAvg) * tariffFactor;
+        const omFactor = Math.pow(1 + options.omEscalation, year - 1);
+        const om = Object.fromEntries(FINANCIAL_COMPONENTS.map(key => [key, cost(key) * options.omShare * omFactor]));
+
+        // Replacements happen at year end (none in the final year); the rest of a life is salvaged
+        const replacements = { solar: 0, battery: 0, inverter: 0 };
+        const salvage = { solar: 0, battery: 0, inverter: 0 };
+        FINANCIAL_COMPONENTS.forEach(key => {
+            age[key]++;
+            if (sizes[key] <= 0) return;
+            const wornOut = age[key] >= options.capex[key].lifeYears || (key === 'battery' && soh < options.batteryReplaceSoh);
+            if (year < options.lifetimeYears && wornOut) {
+                replacements[key] = cost(key) * Math.pow(1 + options.replacementCostChange, year);
+                lastPrice[key] = replacements[key];
+                age[key] = 0;
+                if (key === 'battery') soh = 1;
+            } else if (year === options.lifetimeYears) {
+                salvage[key] = lastPrice[key] * Math.max(0, 1 - age[key] / options.capex[key].lifeYears);
+            }
+        });
+        const sum = parts => FINANCIAL_COMPONENTS.reduce((s, key) => s + parts[key], 0);
+        const net = savings - sum(om) - sum(replacements) + sum(salvage);
+        cashFlows.push(net);
+        discounted.push(net * discount);
+        cumulative += net;
+        cumulativeDiscounted += net * discount;
+
+        const pvPart = parts => parts.solar + parts.inverter;
+        levelized.pvCost += (pvPart(om) + pvPart(replacements) - pvPart(salvage)) * discount;
+        levelized.pvKwh += system.solarKwh * pvFactor * discount;
+        levelized.storageCost += (om.battery + replacements.battery - salvage.battery + system.gridChargeCost * tariffFactor) * discount;
+        levelized.storageKwh += system.dischargeKwh * sohAvg * discount;
+
+        years.push({
+            year,
+            savings,
+            om: sum(om),
+            replacements: sum(replacements),
+            batteryReplaced: replacements.battery > 0,
+            salvage: sum(salvage),
+            net,
+            discountedNet: net * discount,
+            cumulative,
+            cumulativeDiscounted,
+            batterySohPct: sohAvg * 100,
+            pvFactor,
+            tariffFactor
+        });
+    }
+
+    return {
+        sizes,
+        capex,
+        subsidy,
+        netCapex: capex - subsidy,
+        pvSavings,
+        storageSavings,
+        cyclesPerYear,
+        years,
+        npv: discounted.reduce((s, v) => s + v, 0),
+        irr: internalRateOfReturn(cashFlows),
+        simplePaybackYears: paybackYears(cashFlows),
+        discountedPaybackYears: paybackYears(discounted),
+        lcoe: sizes.solar > 0 && levelized.pvKwh > 0 ? levelized.pvCost / levelized.pvKwh : null,
+        lcos: sizes.battery > 0 && levelized.storageKwh > 0 ? levelized.storageCost / levelized.storageKwh : null,
+        batteryReplacementYears: years.filter(y => y.batteryReplaced).map(y => y.year)
+    };
+}
+
+/**
+ * Lifetime financial analysis of the configured PV + battery system.
+ * `buildDaysInputs(config)` returns the representative days (as in
+ * runSizingStudy); the full system and a PV-only variant run under
+ * options.policy and a reference without PV or battery (grid + the existing
+ * genset) under the baseline policy, and each is scaled to a year, with its
+ * diesel cost (part of the bill) alongside. Returns projectCashFlows plus { options, annual }.
+ */
+export function runFinancialAnalysis(config, buildDaysInputs, overrides = {}) {
+    const options = buildFinancialOptions(overrides);
+    const annualRun = (runConfig, daysInputs, policyFactory) => {
+        const run = simulateDays(daysInputs, runConfig, policyFactory);
+        const scale = 365 / daysInputs.length;
+        const intervals = run.days.flatMap(day => day.hourly);
+        const t = run.totals;
+        return {
+            bill: t.cost * scale,
+            gridKwh: t.gridKwh * scale,
+            co2Kg: t.co2Kg * scale,
+            dieselCost: t.dieselCost * scale,
+            solarKwh: (t.solarGenKwh - t.curtailedKwh) * scale,
+            dischargeKwh: t.battToLoadKwh * scale,
+            gridChargeKwh: intervals.reduce((s, h) => s + h.gridToBattKw * h.dtHours, 0) * scale,
+            gridChargeCost: intervals.reduce((s, h) => s + h.gridToBattKw * h.dtHours * h.tariff, 0) * scale
+        };
+    };
+    const policyFactory = getPolicyFactory(options.policy);
+    const noBattery = { batteryCapacityKwh: 0, maxChargeKw: 0, maxDischargeKw: 0 };
+    const pvInputs = buildDaysInputs(config);
+    const annual = {
+        system: annualRun(config, pvInputs, policyFactory),
+        solarOnly: annualRun({ ...config, ...noBattery }, pvInputs, policyFactory),
+        reference: (() => {
+            const referenceConfig = { ...config, ...noBattery, solarCap: 0 };
+            return annualRun(referenceConfig, buildDaysInputs(referenceConfig), () => createBaselinePolicy());
+        })()
+    };
+    const sizes = { solar: config.solarCap, battery: config.batteryCapacityKwh, inverter: config.solarCap / config.dcAcRatio };
+    return { options, annual, ...projectCashFlows(annual, sizes, options) };
+}
+
+// ===== FULL DATASET RUN =====
+// Meteorological seasons as the IMD reports them for the subcontinent
+export const DATASET_SEASONS = [
+    { name: 'winter', label: 'Winter', months: [12, 1, 2] },
+    { name: 'summer', label: 'Summer', months: [3, 4, 5] },
+    { name: 'monsoon', label: 'Monsoon', months: [6, 7, 8, 9] },
+    { name: 'post-monsoon', label: 'Post-Monsoon', months: [10, 11] }
+];
+
+export function seasonOfDate(dayKey) {
+    const month = Number(String(dayKey || '').match(/^\d{4}-(\d{2})-\d{2}/)?.[1]);
+    return DATASET_SEASONS.find(s => s.months.includes(month))?.name || 'unknown';
+}
+
+const DATASET_SUM_KEYS = [
+    'cost', 'loadKwh', 'gridKwh', 'exportKwh', 'solarGenKwh', 'curtailedKwh', 'dieselKwh',
+    'dieselFuelL', 'dieselCost', 'unservedKwh', 'co2Kg', 'batteryCycles'
+];
+const DATASET_MIX_KEYS = ['solar', 'wind', 'battery', 'grid', 'diesel'];
+
+/**
+ * Compact record of one simulated day: totals plus the energy mix that served
+ * the load and equivalent full battery cycles (discharge / capacity). The
+ * hourly flows are dropped so a whole-dataset run stays small.
+ */
+export function summarizeSimulatedDay(result, date, capacityKwh) {
+    const mix = Object.fromEntries(DATASET_MIX_KEYS.map(key => [key, 0]));
+    let loadKwh = 0;
+    result.hourly.forEach(h => {
+        const dt = h.dtHours ?? 1;
+        loadKwh += h.loadKw * dt;
+        mix.solar += h.solarToLoadKw * dt;
+        mix.wind += h.windToLoadKw * dt;
+        mix.battery += h.battToLoadKw * dt;
+        mix.grid += h.gridToLoadKw * dt;
+        mix.diesel += h.dieselToLoadKw * dt;
+    });
+    const t = result.totals;
+    return {
+        date,
+        cost: t.cost,
+        loadKwh,
+        gridKwh: t.gridKwh,
+        exportKwh: t.exportKwh,
+        solarGenKwh: t.solarGenKwh,
+        curtailedKwh: t.curtailedKwh + (t.windCurtailedKwh || 0),
+        dieselKwh: t.dieselKwh,
+        dieselFuelL: t.dieselFuelL,
+        dieselCost: t.dieselCost,
+        unservedKwh: t.unservedKwh,
+        co2Kg: t.co2Kg,
+        batteryCycles: capacityKwh > 0 ? t.battToLoadKwh / capacityKwh : 0,
+        peakImportKw: t.peakImportKw,
+        finalSocPct: result.finalSocPct,
+        mix
+    };
+}
+
+/**
+ * Sum day records into periods keyed by keyOf(record), in order of first
+ * appearance. Each period carries { period, days, ...sums, mix,
+ * peakImportKw, renewableShare } where renewableShare is the load fraction
+ * served directly by solar and wind.
+ */
+export function aggregateDayRecords(records, keyOf) {
+    const periods = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (!periods.has(key)) {
+            periods.set(key, {
+                period: key,
+                days: 0,
+                ...Object.fromEntries(DATASET_SUM_KEYS.map(k => [k, 0])),
+                mix: Object.fromEntries(DATASET_MIX_KEYS.map(k => [k, 0])),
+                peakImportKw: 0
+            });
+        }
+        const period = periods.get(key);
+        period.days++;
+        DATASET_SUM_KEYS.forEach(k => { period[k] += record[k]; });
+        DATASET_MIX_KEYS.forEach(k => { period.mix[k] += record.mix[k]; });
+        period.peakImportKw = Math.max(period.peakImportKw, record.peakImportKw);
+    });
+    return [...periods.values()].map(p => ({
+        ...p,
+        renewableShare: p.loadKwh > 0 ? (p.mix.solar + p.mix.wind) / p.loadKwh : 0
+    }));
+}
+
+// Whole-run, monthly (YYYY-MM) and seasonal aggregates of one policy's day records
+export function summarizeDatasetRun(records) {
+    return {
+        totals: aggregateDayRecords(records, () => 'all')[0] || null,
+        months: aggregateDayRecords(records, r => String(r.date).slice(0, 7)),
+        seasons: aggregateDayRecords(records, r => seasonOfDate(r.date)),
+        days: records
+    };
+}
+
+/**
+ * Run every date of the dataset back to back (battery SOC carried across
+ * days) under each policy. `policyFactories` maps policy name -> factory.
+ * Returns { dates, policies: { [name]: summarizeDatasetRun(...) } }.
+ * Callers that must stay responsive can run simulateDays on consecutive
+ * chunks, carrying finalSocPct and importMonth, then settleMonthlyDemand over all the days
+ * (chunks split billing months) and summarize the records themselves; the
+ * result is identical.
+ */
+export function simulateDataset(daysInputs, dates, config, policyFactories) {
+    const policies = {};
+    Object.entries(policyFactories).forEach(([name, policyFactory]) => {
+        const run = simulateDays(daysInputs, config, policyFactory);
+        const records = run.days.map((day, d) => summarizeSimulatedDay(day, dates[d], config.batteryCapacityKwh));
+        policies[name] = summarizeDatasetRun(records);
+    });
+    return { dates, policies };
+}
+
+// ===== COMMUNITY MICROGRID =====
+// Hourly load shapes (relative; normalized to a mean of 1). 'dataset' keeps the
+// dataset's own shape; the others keep its daily energy and redistribute it.
+export const COMMUNITY_LOAD_PROFILES = {
+    dataset: null,
+    evening: LOAD_PROFILE,
+    daytime: [0.3, 0.3, 0.3, 0.3, 0.3, 0.4, 0.6, 1.0, 1.6, 1.9, 2.0, 2.0, 2.0, 2.0, 2.0, 1.9, 1.8, 1.5, 1.0, 0.7, 0.5, 0.4, 0.3, 0.3],
+    flat: Array(24).fill(1)
+};
+
+// Local trading settlement:
+//   mid-market   - energy traded inside the community (and through the community
+//                  battery) is priced halfway between the tariff and the feed-in tariff
+//   bill-sharing - the community's utility bill (imports minus export credit) is
+//                  shared: buyers pay it pro rata to imports, sellers get the
+//                  export credit pro rata to exports
+export const COMMUNITY_MARKETS = ['mid-market', 'bill-sharing'];
+
+export const DEFAULT_COMMUNITY = {
+    households: [
+        { name: 'House A', solarCap: 5, batteryCapacityKwh: 10, loadScale: 1, loadProfile: 'dataset' },
+        { name: 'House B', solarCap: 0, batteryCapacityKwh: 0, loadScale: 0.8, loadProfile: 'evening' },
+        { name: 'Shop', solarCap: 3, batteryCapacityKwh: 0, loadScale: 0.6, loadProfile: 'daytime' },
+        { name: 'House C', solarCap: 8, batteryCapacityKwh: 5, loadScale: 1.2, loadProfile: 'dataset' }
+    ],
+    feederLimitKw: 20,          // Shared utility connection, each direction (null = unlimited)
+    communityBattery: { capacityKwh: 20, cRate: 0.25, initialSocPct: 50 },
+    market: 'mid-market',
+    policy: 'smart'             // Dispatch policy of every household battery
+};
+
+export const MAX_COMMUNITY_HOUSEHOLDS = 12;
+
+// DEFAULT_COMMUNITY with overrides merged in and every household validated
+export function buildCommunityOptions(overrides = {}) {
+    const options = {
+        ...DEFAULT_COMMUNITY,
+        ...overrides,
+        communityBattery: { ...DEFAULT_COMMUNITY.communityBattery, ...(overrides.communityBattery || {}) }
+    };
+    const { households } = options;
+    if (!Array.isArray(households) || households.length === 0 || households.length > MAX_COMMUNITY_HOUSEHOLDS) {
+        throw new Error(`A community needs 1-${MAX_COMMUNITY_HOUSEHOLDS} households`);
+    }
+    options.households = households.map((h, i) => {
+        const household = { name: `House ${i + 1}`, solarCap: 0, batteryCapacityKwh: 0, loadScale: 1, loadProfile: 'dataset', ...h };
+        if (!(household.solarCap >= 0) || !(household.batteryCapacityKwh >= 0) || !(household.loadScale >= 0)) {
+            throw new Error(`Household "${household.name}" needs solarCap, batteryCapacityKwh and loadScale >= 0`);
+        }
+        if (!(household.loadProfile in COMMUNITY_LOAD_PROFILES)) {
+            throw new Error(`Household "${household.name}" has unknown load profile "${household.loadProfile}" (${Object.keys(COMMUNITY_LOAD_PROFILES).join(', ')})`);
+        }
+        return household;
+    });
+    if (options.feederLimitKw !== null && !(options.feederLimitKw > 0)) throw new Error('feederLimitKw must be > 0 or null');
+    const battery = options.communityBattery;
+    if (!(battery.capacityKwh >= 0) || !(battery.cRate > 0) || !(battery.initialSocPct >= 0 && battery.initialSocPct <= 100)) {
+        throw new Error('Community battery needs capacityKwh >= 0, cRate > 0 and initialSocPct 0-100');
+    }
+    if (!COMMUNITY_MARKETS.includes(options.market)) throw new Error(`Unknown market "${options.market}" (${COMMUNITY_MARKETS.join(', ')})`);
+    return options;
+}
+
+/**
+ * One household's day inputs from the community's unit inputs (built for a
+ * 1 kW array without wind): PV series scale with solarCap, load with
+ * loadScale and the load profile's shape.
+ */
+export function buildHouseholdDayInputs(unitInputs, household) {
+    const shape = COMMUNITY_LOAD_PROFILES[household.loadProfile];
+    const mean = values => values.reduce((s, v) => s + v, 0) / Math.max(1, values.length);
+    const shapeMean = shape ? mean(shape) : 1;
+    const dayLoadKw = mean(unitInputs.map(inp => inp.loadKw));
+    const dayForecastKw = mean(unitInputs.map(inp => inp.forecastLoadKw));
+    return unitInputs.map(inp => {
+        const factor = shape ? shape[Math.floor(inp.hour)] / shapeMean : 1;
+        return {
+            ...inp,
+            solarGenKw: inp.solarGenKw * household.solarCap,
+            forecastSolarKw: inp.forecastSolarKw * household.solarCap,
+            pvTempLossKw: (inp.pvTempLossKw || 0) * household.solarCap,
+            pvClippedKw: (inp.pvClippedKw || 0) * household.solarCap,
+            loadKw: (shape ? dayLoadKw * factor : inp.loadKw) * household.loadScale,
+            forecastLoadKw: (shape ? dayForecastKw * factor : inp.forecastLoadKw) * household.loadScale,
+            activeAppliances: []
+        };
+    });
+}
+
+/**
+ * Community microgrid run. Each household dispatches its own PV and battery
+ * under options.policy behind its meter; what it imports or exports goes to
+ * the shared feeder. Per interval the feeder matches exports against imports
+ * (local trade), the community battery stores the remaining surplus or covers
+ * the remaining deficit, and the rest is exchanged with the utility within
+ * feederLimitKw (imports beyond it are shed pro rata, exports curtailed).
+ * Bills settle interval energy: imports at the tariff, exports at the
+ * feed-in tariff (0 with exportMode 'none'), local trade per options.market.
+ * Each household's reference bill is the same energy on its own meter.
+ * `buildDaysInputs(unitConfig)` returns the days to run back to back.
+ * Household bills add up to the utility bill plus the community battery's
+ * account (mid-market trades through it).
+ * Returns { options, days, households: [...], community, intervals }.
+ */
+export function runCommunity(config, buildDaysInputs, overrides = {}) {
+    const options = buildCommunityOptions(overrides);
+    const fit = config.exportMode === 'none' ? 0 : config.feedInTariff;
+    const unitDays = buildDaysInputs({ ...config, solarCap: 1, windRatedKw: 0 });
+    const policyFactory = getPolicyFactory(options.policy);
+
+    // Households always export to the feeder; the utility pays `fit` for what leaves it
+    const runs = options.households.map(household => {
+        const householdConfig = {
+            ...config,
+            solarCap: household.solarCap,
+            windRatedKw: 0,
+            dieselRatedKw: 0,
+            batteryCapacityKwh: household.batteryCapacityKwh,
+            maxChargeKw: household.batteryCapacityKwh * config.cRate,
+            maxDischargeKw: household.batteryCapacityKwh * config.cRate,
+            exportMode: 'feed-in',
+            feedInTariff: fit
+        };
+        return simulateDays(unitDays.map(day => buildHouseholdDayInputs(day, household)), householdConfig, policyFactory);
+    });
+
+    const batteryConfig = options.communityBattery;
+    const battery = createBatteryModel({
+        capacityKwh: batteryConfig.capacityKwh,
+        initialSocPct: batteryConfig.initialSocPct,
+        minSocPct: config.minSocPct,
+        roundTripEfficiency: config.roundTripEfficiency,
+        maxChargeKw: batteryConfig.capacityKwh * batteryConfig.cRate,
+        maxDischargeKw: batteryConfig.capacityKwh * batteryConfig.cRate
+    });
+    const households = options.households.map(household => ({
+        ...household,
+        loadKwh: 0, solarKwh: 0, importKwh: 0, exportKwh: 0, localBoughtKwh: 0, localSoldKwh: 0,
+        utilityImportKwh: 0, utilityExportKwh: 0, shedKwh: 0, unservedKwh: 0,
+        referenceBill: 0, bill: 0, referenceCo2Kg: 0, co2Kg: 0
+    }));
+    const community = {
+        loadKwh: 0, solarKwh: 0, localTradeKwh: 0, batteryChargeKwh: 0, batteryDischargeKwh: 0,
+        utilityImportKwh: 0, utilityExportKwh: 0, shedKwh: 0, curtailedKwh: 0, peakFeederKw: 0,
+        referenceBill: 0, bill: 0, utilityBill: 0, batteryAccount: 0, referenceCo2Kg: 0, co2Kg: 0
+    };
+    const intervals = [];
+    const feederKwh = dt => (options.feederLimitKw === null ? Infinity : options.feederLimitKw * dt);
+
+    unitDays.forEach((day, d) => day.forEach((inp, s) => {
+        const dt = inp.dtHours ?? 1;
+        const flows = runs.map(run => run.days[d].hourly[s]);
+        const imports = flows.map(h => h.gridImportKw * dt);
+        const exports = flows.map(h => h.gridExportKw * dt);
+        const totalImport = imports.reduce((a, v) => a + v, 0);
+        const totalExport = exports.reduce((a, v) => a + v, 0);
+        const localKwh = Math.min(totalImport, totalExport);
+        const chargeKwh = batteryCharge(battery, (totalExport - localKwh) / dt, dt) * dt;
+        const dischargeKwh = batteryDischargeToLoad(battery, (totalImport - localKwh) / dt, dt) * dt;
+        const utilityImportKwh = Math.min(totalImport - localKwh - dischargeKwh, feederKwh(dt));
+        const shedKwh = totalImport - localKwh - dischargeKwh - utilityImportKwh;
+        const utilityExportKwh = Math.min(totalExport - localKwh - chargeKwh, feederKwh(dt));
+        const curtailedKwh = totalExport - localKwh - chargeKwh - utilityExportKwh;
+
+        // Shares of each household's import / export by counterparty
+        const localBuyShare = totalImport > 0 ? (localKwh + dischargeKwh) / totalImport : 0;
+        const shedShare = totalImport > 0 ? shedKwh / totalImport : 0;
+        const localSellShare = totalExport > 0 ? (localKwh + chargeKwh) / totalExport : 0;
+        const utilitySellShare = totalExport > 0 ? utilityExportKwh / totalExport : 0;
+        const midPrice = (inp.tariff + fit) / 2;
+        const co2 = inp.co2GridPerKwh;
+
+        households.forEach((h, i) => {
+            const f = flows[i];
+            h.loadKwh += f.loadKw * dt;
+            h.solarKwh += f.solarGenKw * dt;
+            h.importKwh += imports[i];
+            h.exportKwh += exports[i];
+            h.localBoughtKwh += imports[i] * localBuyShare;
+            h.localSoldKwh += exports[i] * localSellShare;
+            h.utilityImportKwh += imports[i] * (1 - localBuyShare - shedShare);
+            h.utilityExportKwh += exports[i] * utilitySellShare;
+            h.shedKwh += imports[i] * shedShare;
+            h.unservedKwh += f.unmetLoadKw * dt + imports[i] * shedShare;
+            h.referenceBill += imports[i] * inp.tariff - exports[i] * fit;
+            h.referenceCo2Kg += imports[i] * co2;
+            h.co2Kg += imports[i] * (1 - localBuyShare - shedShare) * co2;
+            if (options.market === 'mid-market') {
+                h.bill += imports[i] * (localBuyShare * midPrice + (1 - localBuyShare - shedShare) * inp.tariff) -
+                    exports[i] * (localSellShare * midPrice + utilitySellShare * fit);
+            } else {
+                h.bill += (totalImport > 0 ? imports[i] / totalImport * utilityImportKwh * inp.tariff : 0) -
+                    (totalExport > 0 ? exports[i] / totalExport * utilityExportKwh * fit : 0);
+            }
+        });
+
+        community.loadKwh += flows.reduce((a, f) => a + f.loadKw * dt, 0);
+        community.solarKwh += flows.reduce((a, f) => a + f.solarGenKw * dt, 0);
+        community.localTradeKwh += localKwh;
+        community.batteryChargeKwh += chargeKwh;
+        community.batteryDischargeKwh += dischargeKwh;
+        community.utilityImportKwh += utilityImportKwh;
+        community.utilityExportKwh += utilityExportKwh;
+        community.shedKwh += shedKwh;
+        community.curtailedKwh += curtailedKwh;
+        community.peakFeederKw = Math.max(community.peakFeederKw, utilityImportKwh / dt);
+        community.utilityBill += utilityImportKwh * inp.tariff - utilityExportKwh * fit;
+        community.co2Kg += utilityImportKwh * co2;
+        // The battery buys surplus and sells to buyers at the mid-market price
+        if (options.market === 'mid-market') community.batteryAccount += (dischargeKwh - chargeKwh) * midPrice;
+        intervals.push({
+            day: d,
+            hour: inp.hour,
+            dtHours: dt,
+            tariff: inp.tariff,
+            importKw: totalImport / dt,
+            exportKw: totalExport / dt,
+            localTradeKw: localKwh / dt,
+            batteryKw: (dischargeKwh - chargeKwh) / dt,
+            utilityImportKw: utilityImportKwh / dt,
+            utilityExportKw: utilityExportKwh / dt,
+            shedKw: shedKwh / dt,
+            curtailedKw: curtailedKwh / dt,
+            batterySocPct: battery.capacityKwh > 0 ? battery.socKwh / battery.capacityKwh * 100 : 0,
+            batteryLossKwh: chargeKwh * (1 - battery.etaC) + dischargeKwh * (1 / battery.etaD - 1)
+        });
+    }));
+
+    households.forEach(h => {
+        h.savings = h.referenceBill - h.bill;
+        h.selfSufficiency = h.loadKwh > 0 ? 1 - (h.utilityImportKwh + h.unservedKwh) / h.loadKwh : 0;
+        community.referenceBill += h.referenceBill;
+        community.bill += h.bill;
+        community.referenceCo2Kg += h.referenceCo2Kg;
+    });
+    community.savings = community.referenceBill - community.bill;
+    community.unservedKwh = households.reduce((a, h) => a + h.unservedKwh, 0);
+    community.selfSufficiency = community.loadKwh > 0 ? 1 - (community.utilityImportKwh + community.unservedKwh) / community.loadKwh : 0;
+    community.batteryFinalSocPct = battery.capacityKwh > 0 ? battery.socKwh / battery.capacityKwh * 100 : 0;
+    return { options, days: unitDays.length, households, community, intervals };
+}
+
+// ===== FORECASTING =====
+// Load and solar forecasts learnt from earlier days' inputs (oldest first):
+//   dataset     - the dataset's predicted_* columns (solar) and the typical profile (load)
+//   persistence - seasonal persistence: the same interval of the last available
+//                 day (the dataset has date gaps, so not always yesterday)
+//   smoothing   - exponential smoothing of each interval across the training days
+//   regression  - least squares on the previous day's temperature, the dataset's
+//                 solar forecast, hour and day of week
+// No model sees the forecast day's measured weather or output.
+export const FORECAST_MODELS = ['dataset', 'persistence', 'smoothing', 'regression'];
+
+// Ridge term keeping the regression solvable with few training days
+const FORECAST_RIDGE = 1e-3;
+
+// Day inputs with the forecast columns in place of the measured series (planning view)
+export function forecastPlanInputs(dayInputs) {
+    return dayInputs.map(inp => ({
+        ...inp,
+        solarGenKw: inp.forecastSolarKw,
+        windGenKw: inp.forecastWindKw ?? inp.windGenKw,
+        loadKw: inp.forecastLoadKw
+    }));
+}
+
+// Regression features of one interval, known the day before: bias, the same interval's
+// temperature on the previous day, the day's solar forecast, hour and weekday dummies
+function forecastFeatures(inp, previous) {
+    const hour = Math.floor(inp.hour);
+    const weekday = Number.isFinite(inp.realData?.day_of_week) ? inp.realData.day_of_week : -1;
+    return [
+        1,
+        (previous.realData?.temperature ?? AMBIENT_TEMP_PROFILE[hour]) / 40,
+        inp.forecastSolarKw ?? 0,
+        ...Array.from({ length: 23 }, (_, h) => (hour === h + 1 ? 1 : 0)),
+        ...Array.from({ length: 6 }, (_, d) => (weekday === d + 1 ? 1 : 0))
+    ];
+}
+
+// Ridge least squares: solves (XᵀX + λI) w = Xᵀy for each target by Gauss-Jordan elimination
+function fitLeastSquares(rows, targets) {
+    const n = rows[0].length;
+    const a = Array.from({ length: n }, (_, i) => Array.from({ length: n + targets.length }, (_, j) => {
+        if (j < n) return rows.reduce((s, x) => s + x[i] * x[j], 0) + (i === j ? FORECAST_RIDGE * rows.length : 0);
+        return rows.reduce((s, x, r) => s + x[i] * targets[j - n][r], 0);
+    }));
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        const p = a[col][col];
+        if (Math.abs(p) < 1e-12) continue;
+        for (let j = col; j < a[col].length; j++) a[col][j] /= p;
+        for (let r = 0; r < n; r++) {
+            if (r === col || a[r][col] === 0) continue;
+            const f = a[r][col];
+            for (let j = col; j < a[r].length; j++) a[r][j] -= f * a[col][j];
+        }
+    }
+    return targets.map((_, t) => a.map(row => row[n + t]));
+}
+
+/**
+ * Forecast the load and solar series of `target` (day inputs) from `history`
+ * (earlier days' inputs, oldest first, same timestep) with one of
+ * FORECAST_MODELS. Only the last `trainingDays` days are used (the
+ * regression also reads the day before them for its weather feature); without
+ * history every model falls back to the dataset forecast.
+ * Returns { model, trainingDays, loadKw: [...], solarKw: [...] }.
+ */
+export function forecastDay(history, target, { model = 'dataset', trainingDays = 14, alpha = 0.3 } = {}) {
+    if (!FORECAST_MODELS.includes(model)) throw new Error(`Unknown forecast model "${model}" (${FORECAST_MODELS.join(', ')})`);
+    const days = history.filter(day => day.length === target.length).slice(-Math.max(1, trainingDays));
+    const fallback = { model: 'dataset', trainingDays: 0, loadKw: target.map(inp => inp.forecastLoadKw), solarKw: target.map(inp => inp.forecastSolarKw) };
+    if (model === 'dataset' || days.length === 0) return fallback;
+    const series = (day, key) => day.map(inp => inp[key]);
+
+    if (model === 'persistence') {
+        const last = days[days.length - 1];
+        return { model, trainingDays: 1, loadKw: series(last, 'loadKw'), solarKw: series(last, 'solarGenKw') };
+    }
+    if (model === 'smoothing') {
+        const smooth = key => days.slice(1).reduce((level, day) => level.map((v, i) => alpha * day[i][key] + (1 - alpha) * v), series(days[0], key));
+        return { model, trainingDays: days.length, loadKw: smooth('loadKw'), solarKw: smooth('solarGenKw') };
+    }
+    // Each training day is paired with the day before it for the weather feature
+    const paired = history.filter(day => day.length === target.length).slice(-Math.max(1, trainingDays) - 1);
+    if (paired.length < 2) return fallback;
+    const rows = [];
+    const loads = [];
+    const solars = [];
+    paired.slice(1).forEach((day, d) => day.forEach((inp, i) => {
+        rows.push(forecastFeatures(inp, paired[d][i]));
+        loads.push(inp.loadKw);
+        solars.push(inp.solarGenKw);
+    }));
+    const [loadWeights, solarWeights] = fitLeastSquares(rows, [loads, solars]);
+    const last = paired[paired.length - 1];
+    const predict = (weights, i) => Math.max(0, forecastFeatures(target[i], last[i]).reduce((s, x, k) => s + x * weights[k], 0));
+    return {
+        model,
+        trainingDays: paired.length - 1,
+        loadKw: target.map((_, i) => predict(loadWeights, i)),
+        // No solar where the day's own forecast has none (night, zero-capacity arrays);
+        // the measured output is what is being forecast, so it must not gate it
+        solarKw: target.map((inp, i) => (inp.forecastSolarKw > 0 ? predict(solarWeights, i) : 0))
+    };
+}
+
+/**
+ * Copy of `dayInputs` carrying config.forecastModel's forecasts in
+ * forecastLoadKw / forecastSolarKw, the columns policies plan from (MPC,
+ * the smart policy with smartUsesForecast, user policies via
+ * ctx.forecast.dayInputs). `history` is the earlier days' inputs.
+ */
+export function applyForecastModel(dayInputs, history, config) {
+    if ((config.forecastModel || 'dataset') === 'dataset') return dayInputs;
+    const forecast = forecastDay(history, dayInputs, {
+        model: config.forecastModel,
+        trainingDays: config.forecastTrainingDays,
+        alpha: config.forecastAlpha
+    });
+    return dayInputs.map((inp, i) => ({ ...inp, forecastLoadKw: forecast.loadKw[i], forecastSolarKw: forecast.solarKw[i] }));
+}
+
+// MAPE skips actual values under this share of the series peak (near-zero output)
+const FORECAST_MAPE_FLOOR = 0.05;
+
+// Error statistics of { actual, predicted } samples (errors are predicted − actual):
+// n, mean actual / predicted, MAE, RMSE, bias and MAPE (%), null when n = 0.
+// MAPE only counts actual values above mapeFloor (null when none are left).
+function errorStats(samples, mapeFloor) {
+    const n = samples.length;
+    if (n === 0) return { n: 0, actualMean: null, predictedMean: null, mae: null, rmse: null, bias: null, mape: null };
+    let actualSum = 0, abs = 0, sq = 0, sum = 0, pct = 0, pctN = 0;
+    samples.forEach(({ actual, predicted }) => {
+        const e = predicted - actual;
+        actualSum += actual;
+        abs += Math.abs(e);
+        sq += e * e;
+        sum += e;
+        if (actual > mapeFloor && actual > 1e-9) { pct += Math.abs(e) / actual; pctN++; }
+    });
+    return {
+        n,
+        actualMean: actualSum / n,
+        predictedMean: (actualSum + sum) / n,
+        mae: abs / n,
+        rmse: Math.sqrt(sq / n),
+        bias: sum / n,
+        mape: pctN ? pct / pctN * 100 : null
+    };
+}
+
+/**
+ * MAE, RMSE (kW) and MAPE (%) of a forecast. MAPE skips intervals whose
+ * actual value is under FORECAST_MAPE_FLOOR of the day's peak (night-time
+ * solar); it is null when none are left.
+ */
+export function forecastErrors(actual, predicted) {
+    if (actual.length === 0) return { mae: 0, rmse: 0, mape: null };
+    const { mae, rmse, mape } = errorStats(actual.map((a, i) => ({ actual: a, predicted: predicted[i] })),
+        FORECAST_MAPE_FLOOR * Math.max(0, ...actual));
+    return { mae, rmse, mape };
+}
+
+// Forecast error of a day's forecast columns against what happened
+export function evaluateDayForecast(dayInputs) {
+    return {
+        load: forecastErrors(dayInputs.map(inp => inp.loadKw), dayInputs.map(inp => inp.forecastLoadKw)),
+        solar: forecastErrors(dayInputs.map(inp => inp.solarGenKw), dayInputs.map(inp => inp.forecastSolarKw))
+    };
+}
+
+// ===== FORECAST ACCURACY =====
+// How well the dataset's predicted_* columns track the measured output, in
+// dataset units. Errors are predicted − actual (positive = over-forecast).
+export const FORECAST_ACCURACY_SERIES = {
+    solar: { label: 'Solar PV', actual: 'solar_pv_output', predicted: 'predicted_solar_pv_output' },
+    wind: { label: 'Wind', actual: 'wind_power_output', predicted: 'predicted_wind_power_output' }
+};
+
+// Weather bands the skill is broken down by (the last band is open-ended)
+export const FORECAST_WEATHER_BANDS = {
+    humidity: { label: 'Humidity', unit: '%', edges: [0, 20, 40, 60, 80] },
+    solar_irradiance: { label: 'Irradiance', unit: 'W/m²', edges: [0, 200, 400, 600, 800] }
+};
+
+function previousDateKey(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * errorStats of { actual, predicted, persistence } samples plus the skill
+ * score against 24-hour persistence (1 − MSE / MSE of "same time
+ * yesterday"; null without it).
+ */
+function forecastAccuracyStats(samples, mapeFloor) {
+    let skillSq = 0, persistSq = 0;
+    samples.forEach(({ actual, predicted, persistence }) => {
+        if (persistence === null) return;
+        skillSq += (predicted - actual) ** 2;
+        persistSq += (persistence - actual) ** 2;
+    });
+    return { ...errorStats(samples, mapeFloor), skill: persistSq > 0 ? 1 - skillSq / persistSq : null };
+}
+
+function groupForecastSamples(samples, keyOf, mapeFloor) {
+    const groups = new Map();
+    samples.forEach(s => {
+        const key = keyOf(s);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(s);
+    });
+    return [...groups.entries()].map(([period, group]) => ({ period, ...forecastAccuracyStats(group, mapeFloor) }));
+}
+
+/**
+ * Compare the dataset's predicted columns with the measured ones (see
+ * FORECAST_ACCURACY_SERIES). Per series: overall statistics, breakdowns by
+ * hour of day (bias by hour), date, month and weather band, plus an error
+ * histogram with percentiles. `bins` sets the histogram resolution.
+ */
+export function analyzeDatasetForecasts(records, { bins = 20 } = {}) {
+    const rows = records
+        .map(record => ({ record, date: String(record.timestamp).match(/(\d{4}-\d{2}-\d{2})/)?.[1] }))
+        .filter(row => row.date);
+    const byTime = new Map(rows.map(row => [`${row.date}|${row.record.minute_of_day}`, row.record]));
+    const series = {};
+    Object.entries(FORECAST_ACCURACY_SERIES).forEach(([name, def]) => {
+        const samples = rows
+            .filter(({ record }) => Number.isFinite(record[def.actual]) && Number.isFinite(record[def.predicted]))
+            .map(({ record, date }) => {
+                const yesterday = byTime.get(`${previousDateKey(date)}|${record.minute_of_day}`);
+                return {
+                    date,
+                    hour: Math.floor((record.minute_of_day ?? record.hour_of_day * 60) / 60),
+                    actual: record[def.actual],
+                    predicted: record[def.predicted],
+                    persistence: Number.isFinite(yesterday?.[def.actual]) ? yesterday[def.actual] : null,
+                    record
+                };
+            });
+        if (samples.length === 0) return;
+        const mapeFloor = FORECAST_MAPE_FLOOR * samples.reduce((m, s) => Math.max(m, s.actual), 0);
+        const byHour = Array.from({ length: 24 }, (_, hour) => ({
+            period: hour, ...forecastAccuracyStats(samples.filter(s => s.hour === hour), mapeFloor)
+        }));
+
+        const errors = samples.map(s => s.predicted - s.actual).sort((a, b) => a - b);
+        const lo = errors[0];
+        const width = (errors[errors.length - 1] - lo) / bins || 1;
+        const counts = new Array(bins).fill(0);
+        errors.forEach(e => { counts[Math.min(bins - 1, Math.floor((e - lo) / width))]++; });
+
+        const byWeather = {};
+        Object.entries(FORECAST_WEATHER_BANDS).forEach(([field, band]) => {
+            const withField = samples.filter(s => Number.isFinite(s.record[field]));
+            byWeather[field] = band.edges.map((edge, i) => {
+                const next = band.edges[i + 1];
+                const group = withField.filter(s => s.record[field] >= edge && (next === undefined || s.record[field] < next));
+                return { period: next === undefined ? `≥${edge}` : `${edge}–${next}`, from: edge, to: next ?? null, ...forecastAccuracyStats(group, mapeFloor) };
+            }).filter(row => row.n > 0);
+        });
+
+        series[name] = {
+            label: def.label,
+            overall: forecastAccuracyStats(samples, mapeFloor),
+            byHour,
+            byDay: groupForecastSamples(samples, s => s.date, mapeFloor),
+            byMonth: groupForecastSamples(samples, s => s.date.slice(0, 7), mapeFloor),
+            byWeather,
+            distribution: {
+                edges: Array.from({ length: bins + 1 }, (_, i) => lo + i * width),
+                counts,
+                p10: percentile(errors, 10),
+                p50: percentile(errors, 50),
+                p90: percentile(errors, 90)
+            }
+        };
+    });
+    return { samples: rows.length, dates: new Set(rows.map(row => row.date)).size, series };
+}
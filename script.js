@@ -7,13 +7,14 @@
  * KEY FEATURES (Competition-Ready):
  * 
  * 1. REAL DATA SCALING (Min-Max Normalization):
- *    - Solar: (rawValue / datasetMax) × userSolarCapacity
+ *    - Solar: (rawValue / datasetMax) × userSolarCapacity, or the physics PV
+ *             model (irradiance → cell temperature → losses → inverter clipping)
  *    - Load:  (rawValue / datasetMax) × typicalHousePeakLoad (7kW)
- *    - Wind:  (rawValue / datasetMax) × (solarCap × 0.25)
+ *    - Wind:  turbine power curve of the dataset wind_speed (cut-in/rated/cut-out)
  * 
  * 2. PHYSICS-BASED COST CALCULATION:
  *    - Grid Cost  = Grid_kWh × Grid_Tariff (₹/kWh)
- *    - Diesel Cost = Diesel_kWh × Diesel_Price (₹/kWh)
+ *    - Diesel Cost = Fuel_L × Fuel_Price (₹/L) + Start_Cost per start
  *    - Total Cost = Grid Cost + Diesel Cost
  *    - NO artificial multipliers or forced savings!
  * 
@@ -30,21 +31,82 @@
  *    - Savings emerge from algorithm, NOT injected!
  * 
  * 5. ENERGY FLOW PRIORITY:
- *    - Solar → Load (direct consumption)
- *    - Excess Solar → Battery (store for later)
+ *    - Solar → Load, then Wind → Load (direct consumption)
+ *    - Excess Solar / Wind → Battery (store for later)
  *    - Battery → Load (when solar insufficient)
  *    - Grid → Load (remaining deficit, max 5kW)
  *    - Diesel → Load (only when grid limit exceeded)
+ * 
+ * The physics core is a standalone ES module (core/microgrid-core.mjs)
+ * shared with the Node command-line runner (tools/simulate.mjs).
+ * Dispatch runs at a configurable timestep (60/30/15/5 min); flows are kW
+ * and every energy/cost total is power × Δt.
  */
 
+import {
+    WEATHER_IMPACT,
+    LOAD_PROFILE,
+    clamp,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    groupRecordsByDateMinute,
+    hasSubHourlyRecords,
+    getStepsPerDay,
+    scaleRealData,
+    buildSimConfig,
+    buildDayInputs,
+    createBaselinePolicy,
+    createSmartPolicy,
+    listPolicies,
+    getPolicyFactory,
+    registerPolicyModule,
+    computeOptimalityGap,
+    runMonteCarlo,
+    selectRepresentativeDays,
+    runSizingStudy,
+    runFinancialAnalysis,
+    DATASET_SEASONS,
+    summarizeSimulatedDay,
+    summarizeDatasetRun,
+    DEFAULT_COMMUNITY,
+    COMMUNITY_LOAD_PROFILES,
+    COMMUNITY_MARKETS,
+    MAX_COMMUNITY_HOUSEHOLDS,
+    runCommunity,
+    summarizeMonthlyDemand,
+    settleMonthlyDemand,
+    TARIFF_PRESETS,
+    validateTariff,
+    resolveTariff,
+    tariffDayBands,
+    tariffBandAt,
+    parseGridEmissionsCsv,
+    resolveGridEmissions,
+    compareGridEmissions,
+    summarizeAudit,
+    simulateDay,
+    simulateDays,
+    applyForecastModel,
+    evaluateDayForecast,
+    FORECAST_WEATHER_BANDS,
+    analyzeDatasetForecasts,
+    stackBatteryValue
+} from './core/microgrid-core.mjs';
+
 // ===== CONFIGURATION =====
 const CONFIG = {
     BASE_GRID_PRICE: 10,        // ₹/kWh off-peak
-    PEAK_FACTOR: 1.5,           // Peak price multiplier
-    DIESEL_PRICE: 25,           // ₹/kWh (expensive backup)
-    PEAK_HOURS: [17, 18, 19, 20, 21, 22],  // Evening peak 5-10 PM
-    WEATHER_IMPACT: { sunny: 1.0, cloudy: 0.4, rainy: 0.15 },
-    CO2_PER_GRID_KWH: 0.5,      // kg CO2 per grid kWh
+    TARIFF_BAND_LABELS: { 'off-peak': 'OFF-PEAK', 'shoulder': 'SHOULDER', 'peak': 'PEAK', 'solar': 'SOLAR HOURS' },
+    EXPORT_MODE_LABELS: { 'none': 'NO EXPORT', 'feed-in': 'FEED-IN TARIFF', 'net-metering': 'NET METERING', 'net-billing': 'NET BILLING' },
+    VOLTAGE_SUPPORT_LABELS: { 'none': 'FREQ', 'volt-var': 'VOLT-VAR', 'volt-watt': 'VOLT-WATT' },
+    DR_MODE_LABELS: { 'none': 'OFF', 'scheduled': 'SCHEDULED', 'triggered': 'TRIGGERED' },
+    DR_TRIGGER_LABELS: { 'schedule': 'Scheduled', 'tariff': 'High tariff', 'frequency': 'Low frequency' },
+    OUTAGE_MODE_LABELS: { 'none': 'GRID UP', 'scheduled': 'SCHEDULED', 'reliability': 'RELIABILITY' },
+    CRITICAL_LOAD_FRACTION: 0.6, // Share of household load kept on during an outage
+    OUTAGE_SEED: 1,             // Reliability model seed (same day → same outages)
+    PV_MODEL_LABELS: { 'scaled': 'SCALED', 'physics': 'PHYSICS' },
+    WEATHER_IMPACT,
+    CO2_PER_GRID_KWH: 0.5,      // kg CO2 per grid kWh (the 'constant' carbon profile)
     CO2_PER_DIESEL_KWH: 0.8,    // kg CO2 per diesel kWh
     TREE_CO2_ABSORPTION: 21,    // kg CO2 absorbed per tree/year
     CAR_KM_PER_KG_CO2: 6,       // km driven per kg CO2
@@ -71,44 +133,10 @@ async function loadRealEnergyData() {
     try {
         const response = await fetch('Renewable_energy_dataset.csv');
         const csvText = await response.text();
-        const lines = csvText.trim().split('\n');
-        const headers = lines[0].split(',');
-        
-        realEnergyData = [];
-        
-        // Track min/max for proper normalization
-        let solarValues = [];
-        let loadValues = [];
-        let windValues = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',');
-            const row = {};
-            headers.forEach((header, idx) => {
-                const val = values[idx];
-                if (header === 'timestamp') {
-                    row[header] = val;
-                } else {
-                    row[header] = parseFloat(val);
-                }
-            });
-            realEnergyData.push(row);
-            
-            // Collect values for statistics
-            if (!isNaN(row.solar_pv_output)) solarValues.push(row.solar_pv_output);
-            if (!isNaN(row.grid_load_demand)) loadValues.push(row.grid_load_demand);
-            if (!isNaN(row.wind_power_output)) windValues.push(row.wind_power_output);
-        }
+        const parsed = parseDatasetCsv(csvText);
         
-        // Calculate actual min/max from dataset
-        datasetStats = {
-            solarMax: Math.max(...solarValues),
-            solarMin: Math.min(...solarValues),
-            loadMax: Math.max(...loadValues),
-            loadMin: Math.min(...loadValues),
-            windMax: Math.max(...windValues),
-            windMin: Math.min(...windValues)
-        };
+        realEnergyData = parsed.records;
+        datasetStats = parsed.stats;
         
         dataLoaded = true;
         console.log(`✓ Loaded ${realEnergyData.length} authentic energy records`);
@@ -127,22 +155,13 @@ async function loadRealEnergyData() {
 
 // Organize real data by day and hour for quick lookup
 let realDataByDay = {};
+// Minute-of-day index, only built for 15/5-minute datasets
+let realDataByDayMinute = null;
 
 function organizeDataByDay() {
-    realDataByDay = {};
-    realEnergyData.forEach(record => {
-        const timestamp = record.timestamp;
-        const dateMatch = timestamp.match(/(\d{4}-\d{2}-\d{2})/);
-        if (dateMatch) {
-            const date = dateMatch[1];
-            if (!realDataByDay[date]) {
-                realDataByDay[date] = {};
-            }
-            const hour = record.hour_of_day;
-            realDataByDay[date][hour] = record;
-        }
-    });
-    console.log(`✓ Organized data for ${Object.keys(realDataByDay).length} days`);
+    realDataByDay = groupRecordsByDate(realEnergyData);
+    realDataByDayMinute = hasSubHourlyRecords(realEnergyData) ? groupRecordsByDateMinute(realEnergyData) : null;
+    console.log(`✓ Organized data for ${Object.keys(realDataByDay).length} days${realDataByDayMinute ? ' (sub-hourly)' : ''}`);
 }
 
 // Get available dates from the real dataset
@@ -165,74 +184,17 @@ function getRealDataForHour(simDay, hour) {
     return null;
 }
 
-// Scale real data values to match simulator parameters using PROPER NORMALIZATION
-function scaleRealData(realRecord, solarCapacity, batteryCapacity) {
-    if (!realRecord) return null;
-    
-    // PROPER MIN-MAX NORMALIZATION based on actual dataset statistics
-    // Formula: scaledValue = (rawValue / datasetMax) * userCapacity
-    
-    // Typical Indian residential peak load: 6-8 kW (AC, appliances, etc.)
-    const typicalHousePeakLoad = 7; // kW
-    
-    // Normalize solar: (raw / datasetMax) * userSolarCapacity
-    const normalizedSolar = datasetStats.solarMax > 0 
-        ? (realRecord.solar_pv_output / datasetStats.solarMax) * solarCapacity 
-        : 0;
-    
-    // Normalize wind (supplementary, typically 20-30% of solar capacity)
-    const normalizedWind = datasetStats.windMax > 0 
-        ? (realRecord.wind_power_output / datasetStats.windMax) * (solarCapacity * 0.25)
-        : 0;
-    
-    // Normalize load: (raw / datasetMax) * typicalHousePeakLoad
-    const normalizedLoad = datasetStats.loadMax > 0
-        ? (realRecord.grid_load_demand / datasetStats.loadMax) * typicalHousePeakLoad
-        : 2; // Default base load
-    
-    return {
-        // Solar and renewable outputs - properly normalized, NEVER negative
-        solarOutput: Math.max(0, normalizedSolar),
-        windOutput: Math.max(0, normalizedWind),
-        totalRenewable: Math.max(0, normalizedSolar + normalizedWind),
-        solarIrradiance: Math.max(0, realRecord.solar_irradiance),
-        windSpeed: Math.max(0, realRecord.wind_speed),
-        temperature: realRecord.temperature, // Temperature CAN be negative (weather)
-        humidity: Math.max(0, Math.min(100, realRecord.humidity)),
-        pressure: realRecord.atmospheric_pressure,
-        // Load demand - properly normalized (minimum 0.5 kW base load)
-        gridLoadDemand: Math.max(0.5, normalizedLoad),
-        gridFrequency: realRecord.frequency,
-        gridVoltage: realRecord.voltage,
-        powerExchange: (datasetStats.loadMax > 0)
-            ? (realRecord.power_exchange * (typicalHousePeakLoad / datasetStats.loadMax))
-            : 0,
-        batterySOC: Math.max(0, Math.min(100, realRecord.battery_state_of_charge)),
-        batteryChargingRate: Math.max(0, (realRecord.battery_charging_rate / 100) * batteryCapacity * 0.5),
-        batteryDischargingRate: Math.max(0, (realRecord.battery_discharging_rate / 100) * batteryCapacity * 0.5),
-        predictedSolar: Math.max(0, (realRecord.predicted_solar_pv_output / datasetStats.solarMax) * solarCapacity),
-        predictedWind: Math.max(0, (realRecord.predicted_wind_power_output / datasetStats.windMax) * solarCapacity * 0.25),
-        predictedTotal: Math.max(0, ((realRecord.predicted_solar_pv_output / (datasetStats.solarMax || 1)) * solarCapacity) +
-            ((realRecord.predicted_wind_power_output / (datasetStats.windMax || 1)) * solarCapacity * 0.25))
-    };
+// Minute-of-day records for a simulation day, or null for hourly datasets
+function getRealIntervalDataForDay(simDay) {
+    const dates = getAvailableDates();
+    if (!realDataByDayMinute || dates.length === 0) return null;
+    return realDataByDayMinute[dates[(simDay - 1) % dates.length]] || null;
 }
 
-// ===== APPLIANCES DATA =====
-const APPLIANCES = [
-    { id: 'coffee', name: "Coffee Maker", hours: [7, 8], power: 1.5, icon: 'microwave' },
-    { id: 'microwave', name: "Microwave", hours: [12, 13, 20], power: 2.0, icon: 'microwave' },
-    { id: 'washer', name: "Washing Machine", hours: [10, 11], power: 2.5, icon: 'washer' },
-    { id: 'ac', name: "Air Conditioner", hours: [14, 15, 16, 17, 18], power: 3.5, icon: 'ac' },
-    { id: 'tv', name: "Television", hours: [19, 20, 21, 22], power: 0.5, icon: 'tv' },
-    { id: 'lights', name: "Lights", hours: [18, 19, 20, 21, 22, 23, 0, 1, 2, 3, 4, 5, 6], power: 0.3, icon: 'lights' },
-    { id: 'ev', name: "EV Charger", hours: [1, 2, 3, 4, 5], power: 7.0, icon: 'ev' },
-    { id: 'fridge', name: "Refrigerator", hours: Array.from({length: 24}, (_, i) => i), power: 0.2, icon: 'fridge' }
-];
-
 // ===== LOAD PROFILES =====
 const PROFILES = {
     // Realistic Indian household load profile (kW) - higher with AC and appliances
-    load: [1.5, 1.2, 1.2, 1.2, 1.4, 2.0, 3.0, 3.5, 2.5, 2.2, 2.0, 2.0, 2.0, 2.0, 2.2, 2.8, 4.5, 6.0, 6.5, 6.0, 5.0, 3.5, 2.5, 2.0],
+    load: LOAD_PROFILE,
     temp: {
         sunny: [28, 27, 26, 26, 26, 27, 29, 31, 33, 35, 36, 37, 38, 38, 37, 36, 35, 33, 31, 30, 29, 29, 28, 28],
         cloudy: [24, 23, 23, 22, 22, 23, 24, 25, 26, 27, 28, 28, 28, 28, 27, 27, 26, 25, 25, 24, 24, 24, 24, 24],
@@ -258,11 +220,60 @@ const simState = {
     viewDay: 1,
     isPlaying: false,
     interval: null,
-    hour: 0,
+    step: 0,            // Dispatch interval index within the day
+    hour: 0,            // Interval start in (fractional) hours = step × Δt
+    timestepMinutes: 60,
     speed: 1000,
     solarCap: 5,
+    windCap: 0,         // Wind turbine rating (kW), 0 = none
+    // PV model (see calculateSolarOutput in the core)
+    pvModel: 'scaled',
+    pvCellTempModel: 'noct',
+    pvTempCoeffPct: -0.4,   // %/°C
+    pvLossesPct: 14,
+    dcAcRatio: 1.2,
+    latitude: 23,
+    tilt: 20,
+    azimuth: 180,
     battCap: 10,
     gridCost: 10,
+    // Grid export settlement (see EXPORT_MODES in the core)
+    exportMode: 'net-metering',
+    feedInTariff: 4,
+    exportLimitKw: 5,
+    // Battery grid services (see gridServiceReserve / applyGridServices in the core)
+    gridServices: false,
+    serviceReservePct: 30,
+    voltageSupport: 'volt-var',
+    serviceAvailabilityPrice: 1,
+    serviceEnergyPrice: 12,
+    // Grid outages (see OUTAGE_MODES in the core)
+    outageMode: 'none',
+    outageStart: 18,
+    outageDurationHours: 3,
+    outagesPerDay: 0.3,
+    outageMeanHours: 2,
+    // Demand response (see buildDemandResponseEvents / settleDemandResponse in the core)
+    demandResponse: 'none',
+    drEventStart: 18,
+    drEventHours: 2,
+    drReductionKw: 1.5,
+    drIncentivePerKwh: 15,
+    drPenaltyPerKwh: 10,
+    drResponse: 'battery,appliances', // Resources that answer events (DR_RESPONSE_OPTIONS)
+    // Diesel genset (see createGensetModel in the core)
+    dieselRatedKw: 8,
+    dieselFuelPrice: 95,
+    dieselMinRunHours: 1,
+    dieselMinLoadPct: 30,
+    dieselStartCost: 15,
+    dieselChargeBattery: false,
+    // Demand billing (see settleDemandCharges in the core)
+    demandChargePerKw: 0,
+    sanctionedLoadKw: 0,        // 0 = no sanctioned-load limit
+    excessDemandPenaltyPerKw: 0,
+    peakShaving: false,
+    peakShavingKw: 0,           // 0 = automatic cap
     isSmart: false,
     weather: 'sunny',
     soc: 50,
@@ -273,10 +284,49 @@ const simState = {
     days: {
         1: createNewDay()
     },
-    activeSeries: [true, true, true, true, true],
+    activeSeries: [true, true, true, true, true, true, true],
     achievements: [...ACHIEVEMENTS],
     isFullscreen: false,
     flowAnimationFrame: null,
+    // Continuous mode: each day starts from the previous day's final SOC (per strategy)
+    continuousMode: false,
+    multiDayCount: 7,
+    multiDayRun: null,
+    // Whole-dataset run (every date, every policy); kept for the session's reports only
+    datasetRun: null,
+    // Extra policies simulated next to baseline/smart on identical inputs
+    comparePolicies: ['optimal', 'mpc'],
+    // Grid tariff: a TARIFF_PRESETS name, or 'custom' with the edited definition
+    tariffPreset: 'standard',
+    customTariff: null,
+    // Grid carbon intensity: 'constant', a GRID_EMISSION_PRESETS name, or 'custom' with an imported series
+    gridCarbonPreset: 'constant',
+    customGridEmissions: null,
+    carbonPricePerKg: 0,        // ₹/kg CO2 weighed into the smart policy's prices
+    // Forecasting: model behind the forecast columns policies plan from (see applyForecastModel)
+    forecastModel: 'dataset',
+    forecastTrainingDays: 14,
+    forecastAlpha: 0.3,         // Smoothing weight of the newest day
+    smartUsesForecast: false,
+    // Monte Carlo uncertainty: spreads are ± % around the day's solar / load / price level
+    monteCarlo: { runs: 200, seed: 1, distribution: 'normal', solarPct: 15, loadPct: 10, tariffPct: 5, outagesPerDay: 0.2 },
+    // Sizing study sweep (empty inverter / genset lists keep the current DC/AC ratio and genset)
+    sizing: {
+        solarKw: [2, 4, 6, 8, 10, 12], batteryKwh: [5, 10, 15, 20, 30, 40], inverterKw: [], dieselKw: [], days: 12, policy: 'smart',
+        solarCost: 45000, batteryCost: 20000, inverterCost: 8000, dieselCost: 12000, discountPct: 8, valueOfLostLoad: 50
+    },
+    sizingStudy: null,
+    // Lifetime financials of the current solar + battery system (result is not tied to a day)
+    financials: { lifetimeYears: 25, discountPct: 8, escalationPct: 3, solarCost: 45000, batteryCost: 20000, omPct: 1, subsidyPct: 0, batteryLifeYears: 10 },
+    financialResult: null,
+    // Community microgrid: prosumer households on a shared feeder (battery kWh 0 = no community battery)
+    community: {
+        households: DEFAULT_COMMUNITY.households.map(h => ({ ...h })),
+        feederLimitKw: DEFAULT_COMMUNITY.feederLimitKw, batteryKwh: DEFAULT_COMMUNITY.communityBattery.capacityKwh, market: DEFAULT_COMMUNITY.market, days: 1
+    },
+    communityRun: null,
+    // Dataset predicted_* columns vs measurements; recomputed when the analytics view opens
+    forecastAccuracy: null,
     // Real data tracking
     useRealData: true,
     currentRealData: null,
@@ -295,16 +345,66 @@ let mainChart = null;
 let sankeyCanvas = null;
 let sankeyCtx = null;
 let flowParticles = [];
+let multiDayChart = null;
+let financialChart = null;
+let datasetCostChart = null;
+let datasetMixChart = null;
+let communityChart = null;
+let forecastHourChart = null;
+let forecastDayChart = null;
+let forecastDistChart = null;
 
 // ===== STATE PERSISTENCE =====
 function saveState() {
     const stateToSave = {
         currentDay: simState.currentDay,
         viewDay: simState.viewDay,
+        step: simState.step,
         hour: simState.hour,
+        timestepMinutes: simState.timestepMinutes,
         solarCap: simState.solarCap,
+        windCap: simState.windCap,
+        pvModel: simState.pvModel,
+        pvCellTempModel: simState.pvCellTempModel,
+        pvTempCoeffPct: simState.pvTempCoeffPct,
+        pvLossesPct: simState.pvLossesPct,
+        dcAcRatio: simState.dcAcRatio,
+        latitude: simState.latitude,
+        tilt: simState.tilt,
+        azimuth: simState.azimuth,
         battCap: simState.battCap,
         gridCost: simState.gridCost,
+        exportMode: simState.exportMode,
+        feedInTariff: simState.feedInTariff,
+        exportLimitKw: simState.exportLimitKw,
+        gridServices: simState.gridServices,
+        serviceReservePct: simState.serviceReservePct,
+        voltageSupport: simState.voltageSupport,
+        serviceAvailabilityPrice: simState.serviceAvailabilityPrice,
+        serviceEnergyPrice: simState.serviceEnergyPrice,
+        outageMode: simState.outageMode,
+        outageStart: simState.outageStart,
+        outageDurationHours: simState.outageDurationHours,
+        outagesPerDay: simState.outagesPerDay,
+        outageMeanHours: simState.outageMeanHours,
+        demandResponse: simState.demandResponse,
+        drEventStart: simState.drEventStart,
+        drEventHours: simState.drEventHours,
+        drReductionKw: simState.drReductionKw,
+        drIncentivePerKwh: simState.drIncentivePerKwh,
+        drPenaltyPerKwh: simState.drPenaltyPerKwh,
+        drResponse: simState.drResponse,
+        dieselRatedKw: simState.dieselRatedKw,
+        dieselFuelPrice: simState.dieselFuelPrice,
+        dieselMinRunHours: simState.dieselMinRunHours,
+        dieselMinLoadPct: simState.dieselMinLoadPct,
+        dieselStartCost: simState.dieselStartCost,
+        dieselChargeBattery: simState.dieselChargeBattery,
+        demandChargePerKw: simState.demandChargePerKw,
+        sanctionedLoadKw: simState.sanctionedLoadKw,
+        excessDemandPenaltyPerKw: simState.excessDemandPenaltyPerKw,
+        peakShaving: simState.peakShaving,
+        peakShavingKw: simState.peakShavingKw,
         isSmart: simState.isSmart,
         weather: simState.weather,
         soc: simState.soc,
@@ -313,6 +413,23 @@ function saveState() {
         totalCO2Saved: simState.totalCO2Saved,
         days: simState.days,
         activeSeries: simState.activeSeries,
+        continuousMode: simState.continuousMode,
+        multiDayCount: simState.multiDayCount,
+        comparePolicies: simState.comparePolicies,
+        tariffPreset: simState.tariffPreset,
+        customTariff: simState.customTariff,
+        gridCarbonPreset: simState.gridCarbonPreset,
+        customGridEmissions: simState.customGridEmissions,
+        carbonPricePerKg: simState.carbonPricePerKg,
+        forecastModel: simState.forecastModel,
+        forecastTrainingDays: simState.forecastTrainingDays,
+        forecastAlpha: simState.forecastAlpha,
+        smartUsesForecast: simState.smartUsesForecast,
+        monteCarlo: simState.monteCarlo,
+        sizing: simState.sizing,
+        financials: simState.financials,
+        financialResult: simState.financialResult,
+        community: simState.community,
         achievements: simState.achievements,
         is3DMode: document.getElementById('main-chart-container')?.classList.contains('chart-3d-mode') || false
     };
@@ -330,16 +447,77 @@ function loadState() {
         simState.currentDay = state.currentDay || 1;
         simState.viewDay = state.viewDay || 1;
         simState.hour = state.hour || 0;
+        simState.step = state.step ?? simState.hour;
+        simState.timestepMinutes = state.timestepMinutes || 60;
         simState.solarCap = state.solarCap || 5;
+        simState.windCap = state.windCap ?? 0;
+        simState.pvModel = state.pvModel || 'scaled';
+        simState.pvCellTempModel = state.pvCellTempModel || 'noct';
+        simState.pvTempCoeffPct = state.pvTempCoeffPct ?? -0.4;
+        simState.pvLossesPct = state.pvLossesPct ?? 14;
+        simState.dcAcRatio = state.dcAcRatio ?? 1.2;
+        simState.latitude = state.latitude ?? 23;
+        simState.tilt = state.tilt ?? 20;
+        simState.azimuth = state.azimuth ?? 180;
         simState.battCap = state.battCap || 10;
         simState.gridCost = state.gridCost || 10;
+        simState.exportMode = state.exportMode || 'net-metering';
+        simState.feedInTariff = state.feedInTariff ?? 4;
+        simState.exportLimitKw = state.exportLimitKw ?? 5;
+        simState.gridServices = state.gridServices || false;
+        simState.serviceReservePct = state.serviceReservePct ?? 30;
+        simState.voltageSupport = state.voltageSupport || 'volt-var';
+        simState.serviceAvailabilityPrice = state.serviceAvailabilityPrice ?? 1;
+        simState.serviceEnergyPrice = state.serviceEnergyPrice ?? 12;
+        simState.outageMode = state.outageMode || 'none';
+        simState.outageStart = state.outageStart ?? 18;
+        simState.outageDurationHours = state.outageDurationHours ?? 3;
+        simState.outagesPerDay = state.outagesPerDay ?? 0.3;
+        simState.outageMeanHours = state.outageMeanHours ?? 2;
+        simState.demandResponse = state.demandResponse || 'none';
+        simState.drEventStart = state.drEventStart ?? 18;
+        simState.drEventHours = state.drEventHours ?? 2;
+        simState.drReductionKw = state.drReductionKw ?? 1.5;
+        simState.drIncentivePerKwh = state.drIncentivePerKwh ?? 15;
+        simState.drPenaltyPerKwh = state.drPenaltyPerKwh ?? 10;
+        simState.drResponse = state.drResponse || 'battery,appliances';
+        simState.dieselRatedKw = state.dieselRatedKw ?? 8;
+        simState.dieselFuelPrice = state.dieselFuelPrice ?? 95;
+        simState.dieselMinRunHours = state.dieselMinRunHours ?? 1;
+        simState.dieselMinLoadPct = state.dieselMinLoadPct ?? 30;
+        simState.dieselStartCost = state.dieselStartCost ?? 15;
+        simState.dieselChargeBattery = state.dieselChargeBattery || false;
+        simState.demandChargePerKw = state.demandChargePerKw || 0;
+        simState.sanctionedLoadKw = state.sanctionedLoadKw || 0;
+        simState.excessDemandPenaltyPerKw = state.excessDemandPenaltyPerKw || 0;
+        simState.peakShaving = state.peakShaving || false;
+        simState.peakShavingKw = state.peakShavingKw || 0;
         simState.isSmart = state.isSmart || false;
         simState.weather = state.weather || 'sunny';
         simState.soc = state.soc || 50;
         simState.soh = state.soh || 100;
         simState.totalDischarge = state.totalDischarge || 0;
         simState.totalCO2Saved = state.totalCO2Saved || 0;
-        simState.activeSeries = state.activeSeries || [true, true, true, true, true];
+        simState.activeSeries = state.activeSeries || [true, true, true, true, true, true, true];
+        // States saved before the curtailment / wind series existed have fewer entries
+        while (simState.activeSeries.length < 7) simState.activeSeries.push(true);
+        simState.continuousMode = state.continuousMode || false;
+        simState.multiDayCount = state.multiDayCount || 7;
+        simState.comparePolicies = state.comparePolicies || ['optimal', 'mpc'];
+        simState.customTariff = state.customTariff || null;
+        simState.tariffPreset = state.tariffPreset === 'custom' && !simState.customTariff ? 'standard' : (state.tariffPreset || 'standard');
+        simState.customGridEmissions = state.customGridEmissions || null;
+        simState.gridCarbonPreset = state.gridCarbonPreset === 'custom' && !simState.customGridEmissions ? 'constant' : (state.gridCarbonPreset || 'constant');
+        simState.carbonPricePerKg = state.carbonPricePerKg || 0;
+        simState.forecastModel = state.forecastModel || 'dataset';
+        simState.forecastTrainingDays = state.forecastTrainingDays || 14;
+        simState.forecastAlpha = state.forecastAlpha || 0.3;
+        simState.smartUsesForecast = state.smartUsesForecast || false;
+        simState.monteCarlo = { ...simState.monteCarlo, ...state.monteCarlo };
+        simState.sizing = { ...simState.sizing, ...state.sizing };
+        simState.financials = { ...simState.financials, ...state.financials };
+        simState.financialResult = state.financialResult || null;
+        simState.community = { ...simState.community, ...state.community };
         
         // Restore days data
         if (state.days) {
@@ -374,6 +552,23 @@ function restoreUIFromState(options) {
         const solarVal = document.getElementById('solar-value');
         if (solarVal) solarVal.textContent = simState.solarCap + ' kW';
     }
+    const windSlider = document.getElementById('input-wind-cap');
+    if (windSlider) {
+        windSlider.value = simState.windCap;
+        document.getElementById('lbl-wind-cap').textContent = simState.windCap + ' kW';
+    }
+    const pvModelSelect = document.getElementById('input-pv-model');
+    if (pvModelSelect) {
+        pvModelSelect.value = simState.pvModel;
+        document.getElementById('input-pv-temp-model').value = simState.pvCellTempModel;
+        document.getElementById('input-pv-temp-coeff').value = simState.pvTempCoeffPct;
+        document.getElementById('input-pv-losses').value = simState.pvLossesPct;
+        document.getElementById('input-pv-dcac').value = simState.dcAcRatio;
+        document.getElementById('input-pv-lat').value = simState.latitude;
+        document.getElementById('input-pv-tilt').value = simState.tilt;
+        document.getElementById('input-pv-azimuth').value = simState.azimuth;
+        updatePvControls();
+    }
     if (battSlider) {
         battSlider.value = simState.battCap;
         const battVal = document.getElementById('battery-value');
@@ -385,7 +580,87 @@ function restoreUIFromState(options) {
         if (gridVal) gridVal.textContent = '₹' + simState.gridCost + '/kWh';
     }
     if (smartToggle) smartToggle.checked = simState.isSmart;
+    const exportModeSelect = document.getElementById('input-export-mode');
+    if (exportModeSelect) {
+        exportModeSelect.value = simState.exportMode;
+        document.getElementById('input-feed-in').value = simState.feedInTariff;
+        document.getElementById('lbl-feed-in').textContent = '₹' + simState.feedInTariff;
+        document.getElementById('input-export-cap').value = simState.exportLimitKw;
+        document.getElementById('lbl-export-cap').textContent = simState.exportLimitKw + ' kW';
+        updateExportControls();
+    }
+    const voltageSupportSelect = document.getElementById('input-voltage-support');
+    if (voltageSupportSelect) {
+        voltageSupportSelect.value = simState.voltageSupport;
+        document.getElementById('input-service-reserve').value = simState.serviceReservePct;
+        document.getElementById('input-service-price').value = simState.serviceAvailabilityPrice;
+        document.getElementById('input-service-energy-price').value = simState.serviceEnergyPrice;
+        document.getElementById('input-grid-services').checked = simState.gridServices;
+        updateGridServicesControls();
+    }
+    const outageModeSelect = document.getElementById('input-outage-mode');
+    if (outageModeSelect) {
+        outageModeSelect.value = simState.outageMode;
+        document.getElementById('input-outage-start').value = simState.outageStart;
+        document.getElementById('input-outage-duration').value = simState.outageDurationHours;
+        document.getElementById('input-outage-rate').value = simState.outagesPerDay;
+        document.getElementById('input-outage-mean').value = simState.outageMeanHours;
+        updateOutageControls();
+    }
+    const drModeSelect = document.getElementById('input-dr-mode');
+    if (drModeSelect) {
+        drModeSelect.value = simState.demandResponse;
+        document.getElementById('input-dr-start').value = simState.drEventStart;
+        document.getElementById('input-dr-duration').value = simState.drEventHours;
+        document.getElementById('input-dr-reduction').value = simState.drReductionKw;
+        document.getElementById('input-dr-incentive').value = simState.drIncentivePerKwh;
+        document.getElementById('input-dr-penalty').value = simState.drPenaltyPerKwh;
+        document.getElementById('input-dr-response').value = simState.drResponse;
+        updateDemandResponseControls();
+    }
+    const dieselRatedSelect = document.getElementById('input-diesel-rated');
+    if (dieselRatedSelect) {
+        dieselRatedSelect.value = simState.dieselRatedKw;
+        document.getElementById('input-diesel-fuel').value = simState.dieselFuelPrice;
+        document.getElementById('input-diesel-min-run').value = simState.dieselMinRunHours;
+        document.getElementById('input-diesel-min-load').value = simState.dieselMinLoadPct;
+        document.getElementById('input-diesel-start').value = simState.dieselStartCost;
+        document.getElementById('input-diesel-charge').checked = simState.dieselChargeBattery;
+        updateGensetControls();
+    }
+    const demandSlider = document.getElementById('input-demand-charge');
+    if (demandSlider) {
+        demandSlider.value = simState.demandChargePerKw;
+        document.getElementById('input-sanctioned-load').value = simState.sanctionedLoadKw;
+        document.getElementById('input-excess-penalty').value = simState.excessDemandPenaltyPerKw;
+        document.getElementById('input-shave-target').value = simState.peakShavingKw;
+        document.getElementById('input-peak-shaving').checked = simState.peakShaving;
+        updateDemandControls();
+    }
+    const continuousToggle = document.getElementById('input-continuous');
+    if (continuousToggle) {
+        continuousToggle.checked = simState.continuousMode;
+        updateContinuousStatus();
+    }
+    const multiDaySlider = document.getElementById('input-multi-days');
+    if (multiDaySlider) {
+        multiDaySlider.value = simState.multiDayCount;
+        document.getElementById('lbl-multi-days').textContent = simState.multiDayCount;
+    }
+    renderPolicyList();
+    updateTariffControls();
+    updateCarbonControls();
+    updateForecastControls();
+    updateMonteCarloControls();
+    updateFinancialControls();
+    updateFinancialPanel(simState.financialResult);
     if (weatherSelect) weatherSelect.value = simState.weather;
+    const timestepSelect = document.getElementById('input-timestep');
+    if (timestepSelect) {
+        timestepSelect.value = simState.timestepMinutes;
+        document.getElementById('lbl-timestep').textContent = simState.timestepMinutes + ' min';
+    }
+    setTimeResolution(simState.timestepMinutes);
     
     // Update clock
     const clock = document.getElementById('sim-clock');
@@ -435,7 +710,10 @@ function updateChartFromDay(dayNum) {
     // Battery CAN be negative (negative = charging)
     mainChart.data.datasets[3].data = day.hourly.map(h => h.battery);
     mainChart.data.datasets[4].data = day.hourly.map(h => h.soc);
+    mainChart.data.datasets[5].data = day.hourly.map(h => h.curtailed ?? 0);
+    mainChart.data.datasets[6].data = day.hourly.map(h => h.wind ?? 0);
     mainChart.update();
+    updateMonteCarloBands(day);
 }
 
 function updateResultsDisplay() {
@@ -458,8 +736,19 @@ function createNewDay() {
         baselineCost: 0,
         smartCost: 0,
         gridKwh: 0,
+        exportKwh: 0,
+        exportRevenue: 0,
+        curtailedKwh: 0,
+        unservedKwh: 0,
+        outageHours: 0,
+        outageSurvivedHours: 0,
         solarKwh: 0,
+        windKwh: 0,
         dieselKwh: 0,
+        dieselFuelL: 0,
+        dieselCost: 0,
+        dieselStarts: 0,
+        dieselRunHours: 0,
         batteryKwh: 0,
         co2Saved: 0,
         baselineEmissionsKg: 0,
@@ -472,15 +761,29 @@ function createNewDay() {
 }
 
 function formatTime(hour) {
-    return (hour < 10 ? '0' : '') + hour + ':00';
+    // Fractional hours come from sub-hourly steps (e.g. 17.25 → 17:15)
+    const minutes = Math.round(hour * 60);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return (h < 10 ? '0' : '') + h + ':' + (m < 10 ? '0' : '') + m;
+}
+
+function getStepLabels(timestepMinutes = simState.timestepMinutes) {
+    return Array.from({ length: getStepsPerDay(timestepMinutes) }, (_, i) => formatTime(i * timestepMinutes / 60));
+}
+
+// Entries hold kW averaged over their interval; energy is kW × Δt
+function sumEnergyKwh(entries, pick) {
+    return entries.reduce((s, h) => s + pick(h) * (h.dtHours ?? 1), 0);
 }
 
 function formatCurrency(amount) {
     return '₹' + Math.round(amount);
 }
 
-function clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
+// Policy labels come from user files; keep them out of the markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
 function getTimePeriod(hour) {
@@ -655,7 +958,7 @@ function updateWeatherBadge() {
         if (CONFIG.USE_REAL_DATA && dataLoaded && simState.realDataStats.temperature !== undefined) {
             tempValue = simState.realDataStats.temperature;
         } else {
-            tempValue = PROFILES.temp[simState.weather][simState.hour] || 30;
+            tempValue = PROFILES.temp[simState.weather][Math.floor(simState.hour)] || 30;
         }
         temp.textContent = tempValue.toFixed(1) + '°C';
     }
@@ -733,6 +1036,28 @@ function animateEnergyFlows(data) {
         }
     }
     
+    if (data.windToLoad > 0.1) {
+        for (let i = 0; i < Math.ceil(data.windToLoad * 2); i++) {
+            flowParticles.push({
+                x: 0, y: h * 0.35 + Math.random() * 20,
+                targetX: w, targetY: h * 0.3,
+                progress: 0, speed: 0.015 + Math.random() * 0.01,
+                color: '#14b8a6', size: 3 + data.windToLoad * 0.5, type: 'wind'
+            });
+        }
+    }
+    
+    if (data.windToBatt > 0.1) {
+        for (let i = 0; i < Math.ceil(data.windToBatt * 2); i++) {
+            flowParticles.push({
+                x: 0, y: h * 0.35 + Math.random() * 20,
+                targetX: w, targetY: h * 0.7,
+                progress: 0, speed: 0.013 + Math.random() * 0.008,
+                color: '#14b8a6', size: 3, type: 'wind-charge'
+            });
+        }
+    }
+    
     if (data.grid > 0.1) {
         for (let i = 0; i < Math.ceil(data.grid * 2); i++) {
             flowParticles.push({
@@ -857,15 +1182,25 @@ function initChart() {
     mainChart = new Chart(ctx.getContext('2d'), {
         type: 'line',
         data: {
-            labels: Array.from({ length: 24 }, (_, i) => formatTime(i)),
+            labels: getStepLabels(),
             datasets: [
                 { label: 'Solar (kW)', data: [], borderColor: '#fbbf24', backgroundColor: 'rgba(251, 191, 36, 0.15)', fill: true, tension: 0.4, borderWidth: 3, pointRadius: 0, pointHoverRadius: 8 },
                 { label: 'Load (kW)', data: [], borderColor: '#ffffff', borderDash: [5, 5], tension: 0.4, borderWidth: 2, pointRadius: 0, pointHoverRadius: 6 },
                 { label: 'Grid (kW)', data: [], borderColor: '#ef4444', backgroundColor: 'rgba(239, 68, 68, 0.1)', fill: true, tension: 0.3, borderWidth: 2, pointRadius: 0, pointHoverRadius: 6 },
                 { label: 'Battery (kW)', data: [], borderColor: '#22d3ee', backgroundColor: 'rgba(34, 211, 238, 0.1)', fill: true, tension: 0.4, borderWidth: 2, pointRadius: 0, pointHoverRadius: 6 },
-                { label: 'SOC (%)', data: [], borderColor: '#10b981', yAxisID: 'y1', tension: 0.4, borderWidth: 3, pointRadius: 0, pointHoverRadius: 8 }
+                { label: 'SOC (%)', data: [], borderColor: '#10b981', yAxisID: 'y1', tension: 0.4, borderWidth: 3, pointRadius: 0, pointHoverRadius: 8 },
+                { label: 'Curtailed (kW)', data: [], borderColor: '#a855f7', backgroundColor: 'rgba(168, 85, 247, 0.2)', fill: true, tension: 0.3, borderWidth: 2, pointRadius: 0, pointHoverRadius: 6 },
+                { label: 'Wind (kW)', data: [], borderColor: '#14b8a6', backgroundColor: 'rgba(20, 184, 166, 0.12)', fill: true, tension: 0.4, borderWidth: 2, pointRadius: 0, pointHoverRadius: 6 },
+                // Monte Carlo P10–P90 fans (MC_BAND_DATASETS): each P90 edge fills down to its P10 edge
+                { label: 'Solar P10', data: [], borderColor: 'rgba(251, 191, 36, 0.3)', borderWidth: 1, fill: false, tension: 0.4, pointRadius: 0 },
+                { label: 'Solar P90', data: [], borderColor: 'rgba(251, 191, 36, 0.3)', backgroundColor: 'rgba(251, 191, 36, 0.12)', borderWidth: 1, fill: '-1', tension: 0.4, pointRadius: 0 },
+                { label: 'Load P10', data: [], borderColor: 'rgba(255, 255, 255, 0.25)', borderWidth: 1, fill: false, tension: 0.4, pointRadius: 0 },
+                { label: 'Load P90', data: [], borderColor: 'rgba(255, 255, 255, 0.25)', backgroundColor: 'rgba(255, 255, 255, 0.08)', borderWidth: 1, fill: '-1', tension: 0.4, pointRadius: 0 },
+                { label: 'Grid P10', data: [], borderColor: 'rgba(239, 68, 68, 0.3)', borderWidth: 1, fill: false, tension: 0.3, pointRadius: 0 },
+                { label: 'Grid P90', data: [], borderColor: 'rgba(239, 68, 68, 0.3)', backgroundColor: 'rgba(239, 68, 68, 0.1)', borderWidth: 1, fill: '-1', tension: 0.3, pointRadius: 0 }
             ]
         },
+        plugins: [outageShadingPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -905,401 +1240,131 @@ function initChart() {
 }
 
 // ===== SIMULATION ENGINE =====
-function calculateSolarOutput(hour) {
-    // Try to use real dataset values first
-    if (CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData) {
-        const realData = getRealDataForHour(simState.currentDay, hour);
-        if (realData) {
-            const scaled = scaleRealData(realData, simState.solarCap, simState.battCap);
-            if (scaled) {
-                // Store current real data for display
-                simState.currentRealData = scaled;
-                simState.realDataStats = {
-                    temperature: realData.temperature,
-                    humidity: realData.humidity,
-                    windSpeed: realData.wind_speed,
-                    solarIrradiance: realData.solar_irradiance,
-                    gridFrequency: realData.frequency,
-                    gridVoltage: realData.voltage
-                };
-                
-                // Apply weather modifier to real solar data (deterministic)
-                const weatherMod = CONFIG.WEATHER_IMPACT[simState.weather];
-                return Math.max(0, scaled.solarOutput * weatherMod);
-            }
-        }
-    }
-    
-    // Fallback to calculated values if real data unavailable
-    if (hour < 6 || hour > 18) return 0;
-    const peakHour = 12;
-    const spread = 18;
-    const baseOutput = simState.solarCap * Math.exp(-Math.pow(hour - peakHour, 2) / spread);
-    const weatherFactor = CONFIG.WEATHER_IMPACT[simState.weather];
-    return baseOutput * weatherFactor;
-}
-
-function calculateLoad(hour) {
-    let baseLoad;
-    let realLoadUsed = false;
-    
-    // Try to use real dataset load values
-    if (CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData) {
-        const realData = getRealDataForHour(simState.currentDay, hour);
-        if (realData) {
-            const scaled = scaleRealData(realData, simState.solarCap, simState.battCap);
-            if (scaled) {
-                baseLoad = scaled.gridLoadDemand;
-                realLoadUsed = true;
-            }
-        }
-    }
-    
-    // Fallback to profile-based load
-    if (!realLoadUsed) {
-        baseLoad = PROFILES.load[hour];
-    }
-    
-    let appliancePower = 0;
-    let activeAppliances = [];
-    
-    APPLIANCES.forEach(app => {
-        if (app.hours.includes(hour)) {
-            appliancePower += app.power;
-            activeAppliances.push(app);
-        }
+// Physics (battery, dispatch, policies) lives in core/microgrid-core.mjs.
+// These wrappers only translate the UI state into explicit core inputs.
+function buildCoreConfig() {
+    return buildSimConfig({
+        solarCap: simState.solarCap,
+        windRatedKw: simState.windCap,
+        pvModel: simState.pvModel,
+        pvCellTempModel: simState.pvCellTempModel,
+        pvTempCoeff: simState.pvTempCoeffPct / 100,
+        pvSystemLosses: simState.pvLossesPct / 100,
+        dcAcRatio: simState.dcAcRatio,
+        latitude: simState.latitude,
+        tilt: simState.tilt,
+        azimuth: simState.azimuth,
+        batteryCapacityKwh: simState.battCap,
+        weather: simState.weather,
+        baseGridPrice: simState.gridCost,
+        exportMode: simState.exportMode,
+        feedInTariff: simState.feedInTariff,
+        exportLimitKw: simState.exportLimitKw,
+        gridServices: simState.gridServices,
+        serviceReservePct: simState.serviceReservePct,
+        voltageSupport: simState.voltageSupport,
+        serviceAvailabilityPrice: simState.serviceAvailabilityPrice,
+        serviceEnergyPrice: simState.serviceEnergyPrice,
+        outageMode: simState.outageMode,
+        outageWindows: [{ start: simState.outageStart, end: (simState.outageStart + simState.outageDurationHours) % 24 }],
+        outagesPerDay: simState.outagesPerDay,
+        outageMeanHours: simState.outageMeanHours,
+        outageSeed: CONFIG.OUTAGE_SEED,
+        demandResponse: simState.demandResponse,
+        drEvents: [{ start: simState.drEventStart, end: (simState.drEventStart + simState.drEventHours) % 24 }],
+        drEventHours: simState.drEventHours,
+        drReductionKw: simState.drReductionKw,
+        drIncentivePerKwh: simState.drIncentivePerKwh,
+        drPenaltyPerKwh: simState.drPenaltyPerKwh,
+        drDeferAppliances: simState.drResponse.includes('appliances'),
+        drUseBattery: simState.drResponse.includes('battery'),
+        drUseDiesel: simState.drResponse.includes('diesel'),
+        criticalLoadFraction: CONFIG.CRITICAL_LOAD_FRACTION,
+        dieselRatedKw: simState.dieselRatedKw,
+        dieselMinLoadRatio: simState.dieselMinLoadPct / 100,
+        dieselFuelPrice: simState.dieselFuelPrice,
+        dieselStartCost: simState.dieselStartCost,
+        dieselMinRunHours: simState.dieselMinRunHours,
+        dieselChargeBattery: simState.dieselChargeBattery,
+        tariff: getActiveTariff(),
+        demandChargePerKw: simState.demandChargePerKw,
+        sanctionedLoadKw: simState.sanctionedLoadKw,
+        excessDemandPenaltyPerKw: simState.excessDemandPenaltyPerKw,
+        peakShaving: simState.peakShaving,
+        peakShavingKw: simState.peakShavingKw || null,
+        co2GridPerKwh: CONFIG.CO2_PER_GRID_KWH,
+        co2DieselPerKwh: CONFIG.CO2_PER_DIESEL_KWH,
+        gridEmissions: getActiveGridEmissions(),
+        carbonPricePerKg: simState.carbonPricePerKg,
+        forecastModel: simState.forecastModel,
+        forecastTrainingDays: simState.forecastTrainingDays,
+        forecastAlpha: simState.forecastAlpha,
+        smartUsesForecast: simState.smartUsesForecast,
+        initialSocPct: simState.soc,
+        timestepMinutes: simState.timestepMinutes
     });
-    
-    let weatherLoadFactor = 1.0;
-    if (simState.weather === 'sunny' && hour >= 12 && hour <= 18) weatherLoadFactor = 1.3;
-    
-    // Combine real load with appliance load for realistic behavior
-    let totalLoad = realLoadUsed 
-        ? baseLoad + (appliancePower * 0.5) // Real data already includes some appliances
-        : (baseLoad + appliancePower) * weatherLoadFactor;
-    
-    // CRITICAL: Load can NEVER be negative - minimum 0.5 kW base consumption
-    totalLoad = Math.max(0.5, totalLoad);
-    
-    return { total: totalLoad, appliances: activeAppliances };
 }
 
-// ==============================
-// PHYSICS-BASED CORE SIMULATION
-// ==============================
-// This core is deterministic and produces baseline + smart results
-// under identical conditions (same solar/load/tariff/initial SOC).
-
-function getGridTariffForHour(hour, baseGridPrice, peakFactor) {
-    return CONFIG.PEAK_HOURS.includes(hour) ? baseGridPrice * peakFactor : baseGridPrice;
-}
-
-function createBatteryModel(params) {
-    const {
-        capacityKwh,
-        initialSocPct,
-        minSocPct = 10,
-        roundTripEfficiency = 0.90,
-        maxChargeKw,
-        maxDischargeKw
-    } = params;
-
-    const eta = Math.max(0.01, Math.min(0.999, roundTripEfficiency));
-    // Split round-trip efficiency into symmetric charge/discharge efficiencies.
-    const etaC = Math.sqrt(eta);
-    const etaD = Math.sqrt(eta);
-
-    const initialSocKwh = clamp((initialSocPct / 100) * capacityKwh, 0, capacityKwh);
-    const minSocKwh = clamp((minSocPct / 100) * capacityKwh, 0, capacityKwh);
-
-    return {
-        capacityKwh,
-        socKwh: initialSocKwh,
-        minSocKwh,
-        etaC,
-        etaD,
-        maxChargeKw,
-        maxDischargeKw
-    };
+function buildDayInputsForCurrentConfig(config = buildCoreConfig(), simDay = simState.currentDay) {
+    const dayInputs = buildMeasuredDayInputs(config, simDay);
+    if (config.forecastModel === 'dataset') return dayInputs;
+    // Forecast models learn from the preceding sim days (none before day 1: dataset forecast);
+    // one more than the training window, the regression's weather for its first day
+    const history = [];
+    for (let d = Math.max(1, simDay - config.forecastTrainingDays - 1); d < simDay; d++) history.push(buildMeasuredDayInputs(config, d));
+    return applyForecastModel(dayInputs, history, config);
 }
 
-function batteryCharge(batt, chargeKw) {
-    const headroomKwh = batt.capacityKwh - batt.socKwh;
-    const maxByCapacityKw = headroomKwh / batt.etaC;
-    const actualKw = clamp(chargeKw, 0, Math.min(batt.maxChargeKw, maxByCapacityKw));
-    batt.socKwh += actualKw * batt.etaC;
-    return actualKw;
+function buildMeasuredDayInputs(config, simDay) {
+    const useRealData = CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData;
+    const records = useRealData
+        ? Array.from({ length: 24 }, (_, h) => getRealDataForHour(simDay, h))
+        : null;
+    return buildDayInputs({
+        records,
+        intervalRecords: useRealData ? getRealIntervalDataForDay(simDay) : null,
+        stats: useRealData ? datasetStats : null,
+        config,
+        dayKey: getSimDayKey(simDay)
+    });
 }
 
-function batteryDischargeToLoad(batt, demandKw) {
-    const availableKwh = Math.max(0, batt.socKwh - batt.minSocKwh);
-    const maxDeliverableKw = availableKwh * batt.etaD;
-    const actualKw = clamp(demandKw, 0, Math.min(batt.maxDischargeKw, maxDeliverableKw));
-    batt.socKwh -= actualKw / batt.etaD;
-    return actualKw;
+// Dataset date of a sim day (reliability-model outages and tariff season / weekday follow it)
+function getSimDayKey(simDay = simState.currentDay) {
+    const dates = getAvailableDates();
+    const useRealData = CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData;
+    return useRealData && dates.length ? dates[(simDay - 1) % dates.length] : `day-${simDay}`;
 }
 
-function dispatchHour(inputs, state, policy, forecast) {
-    const {
-        hour,
-        solarGenKw,
-        loadKw,
-        tariff,
-        gridLimitKw,
-        dieselPrice,
-        co2GridPerKwh,
-        co2DieselPerKwh
-    } = inputs;
-
-    const isPeak = CONFIG.PEAK_HOURS.includes(hour);
-
-    let remainingLoad = Math.max(0, loadKw);
-    let remainingSolar = Math.max(0, solarGenKw);
-
-    const flows = {
-        hour,
-        solarGenKw: Math.max(0, solarGenKw),
-        loadKw: Math.max(0, loadKw),
-        solarToLoadKw: 0,
-        solarToBattKw: 0,
-        battToLoadKw: 0,
-        gridToLoadKw: 0,
-        gridToBattKw: 0,
-        dieselToLoadKw: 0,
-        gridImportKw: 0,
-        unmetLoadKw: 0,
-        socKwh: 0,
-        socPct: 0,
-        cost: 0,
-        co2Kg: 0,
-        tariff,
-        isPeak
-    };
-
-    // 1) Solar -> Load
-    flows.solarToLoadKw = Math.min(remainingSolar, remainingLoad);
-    remainingSolar -= flows.solarToLoadKw;
-    remainingLoad -= flows.solarToLoadKw;
-
-    // 2) Excess Solar -> Battery charge
-    if (remainingSolar > 0) {
-        flows.solarToBattKw = batteryCharge(state.battery, remainingSolar);
-        remainingSolar -= flows.solarToBattKw;
-    }
-
-    // 3) Battery -> Load (policy can restrict discharge)
-    const allowDischarge = policy.allowDischarge({ hour, isPeak, state, inputs, forecast });
-    if (remainingLoad > 0 && allowDischarge) {
-        flows.battToLoadKw = batteryDischargeToLoad(state.battery, remainingLoad);
-        remainingLoad -= flows.battToLoadKw;
-    }
-
-    // 4) Grid -> Remaining load (up to grid limit)
-    if (remainingLoad > 0) {
-        flows.gridToLoadKw = Math.min(remainingLoad, gridLimitKw);
-        remainingLoad -= flows.gridToLoadKw;
-    }
-
-    // 4b) Grid tie-in requirement: grid-connected systems must draw minimum from grid during peak
-    // This simulates real-world grid stability requirements and demand charges
-    if (isPeak && flows.gridToLoadKw < 0.5) {
-        const minGridDraw = 0.5; // Minimum 0.5 kW grid draw during peak
-        const additionalGrid = minGridDraw - flows.gridToLoadKw;
-        flows.gridToLoadKw = minGridDraw;
-        // This extra draw goes to load (or excess is curtailed)
-    }
-
-    // 5) Diesel -> Remaining (only if grid limit exceeded / unmet remains)
-    if (remainingLoad > 0) {
-        flows.dieselToLoadKw = remainingLoad;
-        remainingLoad = 0;
-    }
-
-    // Optional: smart policy may grid-charge battery during low-tariff hours
-    const allowGridCharge = policy.allowGridCharge({ hour, isPeak, state, inputs, forecast });
-    if (allowGridCharge) {
-        const gridHeadroom = Math.max(0, gridLimitKw - flows.gridToLoadKw);
-        if (gridHeadroom > 0) {
-            const desiredChargeKw = policy.desiredGridChargeKw({ hour, isPeak, state, inputs, forecast });
-            const gridChargeKw = Math.min(gridHeadroom, Math.max(0, desiredChargeKw));
-            const chargedKw = batteryCharge(state.battery, gridChargeKw);
-            flows.gridToBattKw = chargedKw;
-        }
-    }
-
-    flows.gridImportKw = flows.gridToLoadKw + flows.gridToBattKw;
-    flows.unmetLoadKw = remainingLoad;
-    flows.socKwh = state.battery.socKwh;
-    flows.socPct = state.battery.capacityKwh > 0 ? (state.battery.socKwh / state.battery.capacityKwh) * 100 : 0;
-
-    // STRICT cost formula (no multipliers, no bonuses)
-    flows.cost = (flows.gridImportKw * tariff) + (flows.dieselToLoadKw * dieselPrice);
-    flows.co2Kg = (flows.gridImportKw * co2GridPerKwh) + (flows.dieselToLoadKw * co2DieselPerKwh);
-
-    return flows;
-}
-
-function buildDayInputsForCurrentConfig() {
-    const hours = [];
-    for (let h = 0; h < 24; h++) {
-        const loadData = calculateLoad(h);
-        const solar = calculateSolarOutput(h);
-        const tariff = getGridTariffForHour(h, simState.gridCost, CONFIG.PEAK_FACTOR);
-        hours.push({
-            hour: h,
-            solarGenKw: Math.max(0, solar),
-            loadKw: Math.max(0, loadData.total),
-            activeAppliances: loadData.appliances,
-            tariff,
-            isPeak: CONFIG.PEAK_HOURS.includes(h),
-            // Keep current real data reference for transparency if available
-            realData: (CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData) ? getRealDataForHour(simState.currentDay, h) : null
-        });
+// Chart x-axis and audit selector follow the dispatch resolution
+function setTimeResolution(timestepMinutes) {
+    if (mainChart) {
+        mainChart.data.labels = getStepLabels(timestepMinutes);
+        mainChart.update('none');
     }
-    return hours;
+    initAuditHourSelect(timestepMinutes);
 }
 
-function createBaselinePolicy() {
-    // Baseline: naive strategy that doesn't optimize for time-of-use pricing
-    // - Discharges battery whenever there's load (no peak preservation)
-    // - Never grid-charges (misses cheap off-peak opportunities)
-    // - Uses grid immediately when solar+battery insufficient
-    return {
-        name: 'baseline',
-        allowDischarge: ({ hour, isPeak, state, inputs }) => {
-            // Baseline always allows discharge when needed
-            return true;
-        },
-        allowGridCharge: () => false,
-        desiredGridChargeKw: () => 0
-    };
+// One timer tick dispatches one interval
+function tickSimulation() {
+    if (simState.step >= getStepsPerDay(simState.timestepMinutes)) { stopSimulation(true); return; }
+    runSimulationStep();
+    simState.step++;
+    simState.hour = simState.step * simState.timestepMinutes / 60;
 }
 
-function createSmartPolicy(dayInputs, config) {
-    const peakHours = new Set(CONFIG.PEAK_HOURS);
-    const offPeakTariff = config.baseGridPrice;
-    const peakTariff = config.baseGridPrice * config.peakFactor;
-
-    // Calculate total daily deficit (load - solar) for the whole day
-    function totalDailyDeficitKwh() {
-        let sum = 0;
-        for (let i = 0; i < 24; i++) {
-            const deficit = Math.max(0, dayInputs[i].loadKw - dayInputs[i].solarGenKw);
-            sum += deficit;
-        }
-        return sum;
-    }
-
-    function expectedPeakDeficitKwhFrom(hourIndex) {
-        let sum = 0;
-        for (let i = hourIndex; i < 24; i++) {
-            if (!peakHours.has(i)) continue;
-            const deficit = Math.max(0, dayInputs[i].loadKw - dayInputs[i].solarGenKw);
-            sum += deficit;
-        }
-        return sum;
-    }
-
-    function expectedDieselRiskKwhFrom(hourIndex) {
-        let sum = 0;
-        for (let i = hourIndex; i < 24; i++) {
-            if (!peakHours.has(i)) continue;
-            const deficit = Math.max(0, dayInputs[i].loadKw - dayInputs[i].solarGenKw);
-            sum += Math.max(0, deficit - config.gridLimitKw);
-        }
-        return sum;
-    }
-
-    // Pre-compute: does this day have any real deficit that needs grid/diesel?
-    const dayHasDeficit = totalDailyDeficitKwh() > 0.5;
-
-    return {
-        name: 'smart',
-        // Smart strategy: use battery when solar can't meet load, but prefer peak discharge
-        allowDischarge: ({ hour, isPeak, state, inputs }) => {
-            // Always allow discharge if solar can't meet current load
-            const solarShortfall = inputs.loadKw > inputs.solarGenKw;
-            if (solarShortfall) return true;
-            // During peak, allow discharge even if solar covers load (to reduce grid dependency later)
-            if (isPeak) return true;
-            // Off-peak with solar surplus: don't discharge (save battery)
-            return false;
-        },
-        // Smart only grid-charges if day actually has deficit AND tariff is low
-        allowGridCharge: ({ hour, isPeak, inputs }) => {
-            if (isPeak) return false;
-            if (!dayHasDeficit) return false; // No point charging if solar covers everything
-            if (inputs.tariff > offPeakTariff + 0.01) return false;
-            return true;
-        },
-        desiredGridChargeKw: ({ hour, state, inputs }) => {
-            if (!dayHasDeficit) return 0; // Don't grid-charge if not needed
-            // Heuristic target SOC: cover part of remaining peak deficit + diesel risk.
-            const remainingPeakDeficit = expectedPeakDeficitKwhFrom(hour + 1);
-            const dieselRisk = expectedDieselRiskKwhFrom(hour + 1);
-            const targetKwh = clamp((remainingPeakDeficit * 0.6) + (dieselRisk * 0.8), 0, state.battery.capacityKwh * 0.9);
-            const needKwh = Math.max(0, targetKwh - state.battery.socKwh);
-
-            // Only charge if price gap suggests it might be beneficial.
-            const priceGap = peakTariff - inputs.tariff;
-            if (priceGap < 0.5) return 0;
-            return Math.min(needKwh, state.battery.maxChargeKw);
-        }
-    };
+// Final SOC of the previous day per strategy, or null when not carrying state over
+function getCarriedStartSoc(dayNum = simState.currentDay) {
+    if (!simState.continuousMode) return null;
+    const prevSim = simState.days[dayNum - 1]?.sim;
+    if (!prevSim?.baseline || prevSim.baseline.finalSocPct === undefined) return null;
+    return { baseline: prevSim.baseline.finalSocPct, smart: prevSim.smart.finalSocPct };
 }
 
-function simulateDay(dayInputs, config, policyFactory) {
-    const state = {
-        battery: createBatteryModel({
-            capacityKwh: config.batteryCapacityKwh,
-            initialSocPct: config.initialSocPct,
-            minSocPct: config.minSocPct,
-            roundTripEfficiency: config.roundTripEfficiency,
-            maxChargeKw: config.maxChargeKw,
-            maxDischargeKw: config.maxDischargeKw
-        })
-    };
-
-    const policy = policyFactory;
-    const hourly = [];
-    const totals = {
-        cost: 0,
-        gridKwh: 0,
-        dieselKwh: 0,
-        solarToLoadKwh: 0,
-        solarToBattKwh: 0,
-        battToLoadKwh: 0,
-        co2Kg: 0
-    };
-
-    for (let i = 0; i < 24; i++) {
-        const inp = dayInputs[i];
-        const flows = dispatchHour({
-            hour: inp.hour,
-            solarGenKw: inp.solarGenKw,
-            loadKw: inp.loadKw,
-            tariff: inp.tariff,
-            gridLimitKw: config.gridLimitKw,
-            dieselPrice: config.dieselPrice,
-            co2GridPerKwh: config.co2GridPerKwh,
-            co2DieselPerKwh: config.co2DieselPerKwh
-        }, state, policy, { dayInputs });
-
-        hourly.push({
-            ...flows,
-            activeAppliances: inp.activeAppliances
-        });
-
-        totals.cost += flows.cost;
-        totals.gridKwh += flows.gridImportKw;
-        totals.dieselKwh += flows.dieselToLoadKw;
-        totals.solarToLoadKwh += flows.solarToLoadKw;
-        totals.solarToBattKwh += flows.solarToBattKw;
-        totals.battToLoadKwh += flows.battToLoadKw;
-        totals.co2Kg += flows.co2Kg;
-    }
-
-    return { hourly, totals };
+function getLiveCarriedSoc(dayNum = simState.currentDay) {
+    const carried = getCarriedStartSoc(dayNum);
+    if (!carried) return null;
+    return simState.isSmart ? carried.smart : carried.baseline;
 }
 
 function prepareDaySimulationsIfNeeded() {
@@ -1307,54 +1372,89 @@ function prepareDaySimulationsIfNeeded() {
     if (!day) return;
     if (day.sim && day.sim.preparedForHour0) return;
 
-    const dayInputs = buildDayInputsForCurrentConfig();
-    const config = {
-        baseGridPrice: simState.gridCost,
-        peakFactor: CONFIG.PEAK_FACTOR,
-        gridLimitKw: 5,
-        dieselPrice: CONFIG.DIESEL_PRICE,
-        co2GridPerKwh: CONFIG.CO2_PER_GRID_KWH,
-        co2DieselPerKwh: CONFIG.CO2_PER_DIESEL_KWH,
-        batteryCapacityKwh: simState.battCap,
-        initialSocPct: simState.soc,
-        minSocPct: 20,  // Increased min SOC for battery longevity
-        roundTripEfficiency: 0.88,  // Realistic efficiency
-        maxChargeKw: simState.battCap * 0.25,   // C/4 rate (realistic for home batteries)
-        maxDischargeKw: simState.battCap * 0.25 // C/4 rate
-    };
+    const config = buildCoreConfig();
+    const dayInputs = buildDayInputsForCurrentConfig(config);
+
+    // In continuous mode each strategy starts from its own end-of-yesterday SOC
+    const startSoc = getCarriedStartSoc() || { baseline: simState.soc, smart: simState.soc };
+    const baselineConfig = { ...config, initialSocPct: startSoc.baseline };
+    const smartConfig = { ...config, initialSocPct: startSoc.smart };
 
     const baselinePolicy = createBaselinePolicy();
-    const smartPolicy = createSmartPolicy(dayInputs, {
-        baseGridPrice: simState.gridCost,
-        peakFactor: CONFIG.PEAK_FACTOR,
-        gridLimitKw: config.gridLimitKw
-    });
+    const smartPolicy = createSmartPolicy(dayInputs, smartConfig);
 
-    const baseline = simulateDay(dayInputs, config, baselinePolicy);
-    const smart = simulateDay(dayInputs, config, smartPolicy);
+    const baseline = simulateDay(dayInputs, baselineConfig, baselinePolicy);
+    const smart = simulateDay(dayInputs, smartConfig, smartPolicy);
+    // Selected comparison policies (DP optimum, MPC, user files) start from the smart strategy's SOC
+    const policies = simulateComparePolicies(name => simulateDay(dayInputs, smartConfig, getPolicyFactory(name)(dayInputs, smartConfig)));
 
     day.sim = {
         preparedForHour0: true,
         inputs: dayInputs,
         baseline,
         smart,
+        policies,
+        // Error of the forecast columns the policies planned from
+        forecast: { model: config.forecastModel, ...evaluateDayForecast(dayInputs) },
         configSnapshot: {
             solarCap: simState.solarCap,
+            windCap: config.windRatedKw,
+            pvModel: config.pvModel,
+            pvCellTempModel: config.pvCellTempModel,
+            pvTempCoeff: config.pvTempCoeff,
+            pvSystemLosses: config.pvSystemLosses,
+            dcAcRatio: config.dcAcRatio,
             battCap: simState.battCap,
             gridCost: simState.gridCost,
+            tariffLabel: config.tariff.label,
+            gridEmissionsLabel: config.gridEmissions.label,
+            carbonPricePerKg: config.carbonPricePerKg,
+            forecastModel: config.forecastModel,
+            smartUsesForecast: config.smartUsesForecast,
+            exportMode: config.exportMode,
+            feedInTariff: config.feedInTariff,
+            exportLimitKw: config.exportLimitKw,
+            gridServices: config.gridServices,
+            serviceReservePct: config.serviceReservePct,
+            voltageSupport: config.voltageSupport,
+            outageMode: config.outageMode,
+            demandResponse: config.demandResponse,
+            drResponse: simState.drResponse,
+            drIncentivePerKwh: config.drIncentivePerKwh,
+            drPenaltyPerKwh: config.drPenaltyPerKwh,
+            dieselRatedKw: config.dieselRatedKw,
+            dieselFuelPrice: config.dieselFuelPrice,
+            dieselChargeBattery: config.dieselChargeBattery,
+            demandChargePerKw: config.demandChargePerKw,
+            sanctionedLoadKw: config.sanctionedLoadKw,
+            excessDemandPenaltyPerKw: config.excessDemandPenaltyPerKw,
+            // Import cap the smart policy actually shaved to (null = not shaving)
+            peakShavingKw: Number.isFinite(smartPolicy.shaveKw) ? smartPolicy.shaveKw : null,
             weather: simState.weather,
-            initialSoc: simState.soc
+            initialSoc: simState.soc,
+            timestepMinutes: config.timestepMinutes,
+            policies: Object.keys(policies),
+            startSoc
         }
     };
 
     // Expose totals for UI comparisons (no fake inflation)
     day.baselineCost = baseline.totals.cost;
     day.smartCost = smart.totals.cost;
+    day.optimalCost = policies.optimal?.totals.cost;
+    day.mpcCost = policies.mpc?.totals.cost;
     day.baselineEmissionsKg = baseline.totals.co2Kg;
     day.smartEmissionsKg = smart.totals.co2Kg;
+    updateOutageDisplay(day);
+    updateTariffTimeline(day);
+    updateForecastErrors(day);
+    updateGridServicesValue(day);
+    updateDemandResponseStatus(day);
 }
 
+
 function runSimulationStep() {
+    const step = simState.step;
     const hour = simState.hour;
     const day = simState.days[simState.currentDay];
     if (!day) return;
@@ -1364,9 +1464,10 @@ function runSimulationStep() {
     const sim = day.sim;
     if (!sim || !sim.inputs || !sim.baseline || !sim.smart) return;
 
-    const inp = sim.inputs[hour];
-    const baselineH = sim.baseline.hourly[hour];
-    const smartH = sim.smart.hourly[hour];
+    const inp = sim.inputs[step];
+    const baselineH = sim.baseline.hourly[step];
+    const smartH = sim.smart.hourly[step];
+    const dtHours = inp.dtHours ?? 1;
 
     // Choose which strategy drives the live UI for this run
     const live = simState.isSmart ? smartH : baselineH;
@@ -1374,7 +1475,7 @@ function runSimulationStep() {
 
     // Update real-data telemetry display deterministically
     if (inp.realData) {
-        const scaled = scaleRealData(inp.realData, simState.solarCap, simState.battCap);
+        const scaled = scaleRealData(inp.realData, datasetStats, simState.solarCap, simState.battCap, { windRatedKw: simState.windCap });
         if (scaled) {
             simState.currentRealData = scaled;
             simState.realDataStats = {
@@ -1390,21 +1491,41 @@ function runSimulationStep() {
 
     // Keep the existing day.hourly series for chart/UI, but include baseline+smart costs.
     // Battery power sign convention: positive = discharge to load, negative = charging (solar+grid).
-    const batteryPowerSigned = live.battToLoadKw - (live.solarToBattKw + live.gridToBattKw);
+    const batteryPowerSigned = live.battToLoadKw - (live.solarToBattKw + live.windToBattKw + live.gridToBattKw + live.dieselToBattKw);
 
-    // Track cumulative totals for *live* run (for existing HUD)
+    // Track cumulative totals for *live* run (for existing HUD); kW × Δt = kWh
     day.cost = (day.cost || 0) + live.cost;
-    day.gridKwh = (day.gridKwh || 0) + live.gridImportKw;
-    day.dieselKwh = (day.dieselKwh || 0) + live.dieselToLoadKw;
-    day.solarKwh = (day.solarKwh || 0) + (live.solarToLoadKw + live.solarToBattKw);
-    day.batteryKwh = (day.batteryKwh || 0) + Math.abs(batteryPowerSigned);
+    day.gridKwh = (day.gridKwh || 0) + live.gridImportKw * dtHours;
+    day.exportKwh = (day.exportKwh || 0) + live.gridExportKw * dtHours;
+    day.exportRevenue = (day.exportRevenue || 0) + live.exportRevenue;
+    day.serviceRevenue = (day.serviceRevenue || 0) + live.serviceRevenue;
+    day.drIncentive = (day.drIncentive || 0) + live.drIncentive;
+    day.drPenalty = (day.drPenalty || 0) + live.drPenalty;
+    day.peakImportKw = Math.max(day.peakImportKw || 0, live.gridImportKw);
+    day.demandCharge = (day.demandCharge || 0) + live.demandCharge;
+    day.curtailedKwh = (day.curtailedKwh || 0) + live.curtailedKw * dtHours;
+    day.dieselKwh = (day.dieselKwh || 0) + (live.dieselToLoadKw + live.dieselToBattKw) * dtHours;
+    day.dieselFuelL = (day.dieselFuelL || 0) + live.dieselFuelL;
+    day.dieselCost = (day.dieselCost || 0) + live.dieselCost;
+    if (live.dieselStarted) day.dieselStarts = (day.dieselStarts || 0) + 1;
+    if (live.dieselRunning) day.dieselRunHours = (day.dieselRunHours || 0) + dtHours;
+    day.unservedKwh = (day.unservedKwh || 0) + live.unmetLoadKw * dtHours;
+    if (!live.gridAvailable) {
+        day.outageHours = (day.outageHours || 0) + dtHours;
+        if (live.unservedCriticalKw < 1e-6) day.outageSurvivedHours = (day.outageSurvivedHours || 0) + dtHours;
+    }
+    day.solarKwh = (day.solarKwh || 0) + (live.solarToLoadKw + live.solarToBattKw) * dtHours;
+    day.windKwh = (day.windKwh || 0) + (live.windToLoadKw + live.windToBattKw) * dtHours;
+    day.pvTempLossKwh = (day.pvTempLossKwh || 0) + (inp.pvTempLossKw || 0) * dtHours;
+    day.pvClippedKwh = (day.pvClippedKwh || 0) + (inp.pvClippedKw || 0) * dtHours;
+    day.batteryKwh = (day.batteryKwh || 0) + Math.abs(batteryPowerSigned) * dtHours;
 
     // Battery Health (SOH) Degradation Model
     // Formula: SOH decreases based on cumulative energy throughput
     // Li-ion degradation: ~0.5% per full cycle for visible simulation effect
     // Full cycle = 2 × battery capacity kWh (charge + discharge)
-    const batteryThroughputThisHour = Math.abs(batteryPowerSigned);
-    simState.totalDischarge += batteryThroughputThisHour;
+    const batteryThroughputThisStep = Math.abs(batteryPowerSigned) * dtHours;
+    simState.totalDischarge += batteryThroughputThisStep;
     
     // Calculate equivalent full cycles and apply degradation
     const fullCycleKwh = 2 * simState.battCap; // One full cycle = charge + discharge
@@ -1419,12 +1540,12 @@ function runSimulationStep() {
     day.smartEmissionsKg = sim.smart.totals.co2Kg;
 
     // CO2 saved = CO2 that WOULD have been emitted if all load came from grid
-    // This represents the environmental benefit of using solar/battery
-    const totalLoadToHour = day.hourly.reduce((s, h) => s + h.load, 0) + live.loadKw;
-    const hypotheticalGridOnlyCO2 = totalLoadToHour * CONFIG.CO2_PER_GRID_KWH;
+    // (at each hour's average grid factor). This represents the environmental benefit of using solar/battery
+    const hypotheticalGridOnlyCO2 = sumEnergyKwh(day.hourly, h => h.load * (h.gridCo2PerKwh ?? CONFIG.CO2_PER_GRID_KWH)) +
+        live.loadKw * live.co2GridPerKwh * dtHours;
     const actualEmissionsToHour = (simState.isSmart ?
-        sim.smart.hourly.slice(0, hour + 1).reduce((s, x) => s + x.co2Kg, 0) :
-        sim.baseline.hourly.slice(0, hour + 1).reduce((s, x) => s + x.co2Kg, 0));
+        sim.smart.hourly.slice(0, step + 1).reduce((s, x) => s + x.co2Kg, 0) :
+        sim.baseline.hourly.slice(0, step + 1).reduce((s, x) => s + x.co2Kg, 0));
     day.co2Saved = Math.max(0, hypotheticalGridOnlyCO2 - actualEmissionsToHour);
     simState.totalCO2Saved = day.co2Saved;
 
@@ -1432,44 +1553,94 @@ function runSimulationStep() {
     simState.soc = clamp(live.socPct, 0, 100);
 
     day.hourly.push({
+        step,
         hour,
+        dtHours,
         solar: live.solarGenKw,
+        wind: live.windGenKw,
+        windToLoad: live.windToLoadKw,
+        windToBatt: live.windToBattKw,
         load: live.loadKw,
         grid: live.gridImportKw,
-        diesel: live.dieselToLoadKw,
+        export: live.gridExportKw,
+        exportRevenue: live.exportRevenue,
+        // Grid-service response of the live strategy (battery ↔ grid, on top of the dispatch)
+        serviceUp: live.serviceUpKw,
+        serviceDown: live.serviceDownKw,
+        reactiveKvar: live.reactiveKvar,
+        serviceRevenue: live.serviceRevenue,
+        // Demand-response event of the interval, the appliance load it moved and its settlement
+        drEventId: inp.drEvent?.id ?? null,
+        drDeferred: inp.deferredKw ?? 0,
+        drRebound: inp.reboundKw ?? 0,
+        drIncentive: live.drIncentive,
+        drPenalty: live.drPenalty,
+        curtailed: live.curtailedKw,
+        poa: inp.poaWm2,
+        cellTemp: inp.cellTempC,
+        // Genset output (to load + to battery)
+        diesel: live.dieselToLoadKw + live.dieselToBattKw,
+        dieselToBatt: live.dieselToBattKw,
+        dieselFuelL: live.dieselFuelL,
+        dieselRunning: live.dieselRunning,
+        unmet: live.unmetLoadKw,
+        gridAvailable: live.gridAvailable,
         battery: batteryPowerSigned,
         soc: simState.soc,
         cost: live.cost,
+        demandCharge: live.demandCharge,
+        co2Kg: live.co2Kg,
+        co2MarginalKg: live.co2MarginalKg,
+        gridCo2PerKwh: live.co2GridPerKwh,
+        gridCo2MarginalPerKwh: live.co2MarginalPerKwh,
+        // Energy ledger of the live strategy for this interval (auditInterval)
+        audit: (simState.isSmart ? sim.smart : sim.baseline).audit?.[step],
         // Expose true baseline vs smart per-hour cost for audits/exports
         baselineCost: baselineH.cost,
         smartCost: smartH.cost,
+        optimalCost: sim.policies?.optimal?.hourly[step]?.cost,
+        mpcCost: sim.policies?.mpc?.hourly[step]?.cost,
+        policyCosts: mapPolicyRuns(sim.policies, run => run.hourly[step]?.cost),
         baselineGrid: baselineH.gridImportKw,
-        baselineDiesel: baselineH.dieselToLoadKw,
+        baselineDiesel: baselineH.dieselToLoadKw + baselineH.dieselToBattKw,
         smartGrid: smartH.gridImportKw,
-        smartDiesel: smartH.dieselToLoadKw,
+        smartDiesel: smartH.dieselToLoadKw + smartH.dieselToBattKw,
+        baselineExport: baselineH.gridExportKw,
+        smartExport: smartH.gridExportKw,
+        baselineUnmet: baselineH.unmetLoadKw,
+        smartUnmet: smartH.unmetLoadKw,
         isPeak: inp.isPeak,
         gridPrice: inp.tariff,
+        tariffBand: inp.tariffBand,
         appliances: liveAppliances.map(a => a.name),
         realData: simState.currentRealData
     });
 
     const dataSource = (dataLoaded && simState.useRealData) ? '📊 REAL' : '🔢 CALC';
     const modeStr = simState.isSmart ? 'SMART' : 'BASE';
-    console.log(`${dataSource} [${modeStr}] Hr${hour}: Solar=${live.solarGenKw.toFixed(2)}kW, Load=${live.loadKw.toFixed(2)}kW, Grid=${live.gridImportKw.toFixed(2)}kW, Diesel=${live.dieselToLoadKw.toFixed(2)}kW, SOC=${live.socPct.toFixed(1)}%, Cost=₹${live.cost.toFixed(2)} | (Base ₹${baselineH.cost.toFixed(2)}, Smart ₹${smartH.cost.toFixed(2)})`);
+    console.log(`${dataSource} [${modeStr}] ${formatTime(hour)}: Solar=${live.solarGenKw.toFixed(2)}kW, Load=${live.loadKw.toFixed(2)}kW, Grid=${live.gridImportKw.toFixed(2)}kW, Diesel=${live.dieselToLoadKw.toFixed(2)}kW, SOC=${live.socPct.toFixed(1)}%, Cost=₹${live.cost.toFixed(2)} | (Base ₹${baselineH.cost.toFixed(2)}, Smart ₹${smartH.cost.toFixed(2)})`);
 
     updateUI({
         solar: live.solarGenKw,
         load: live.loadKw,
         grid: live.gridImportKw,
-        diesel: live.dieselToLoadKw,
+        export: live.gridExportKw,
+        curtailed: live.curtailedKw,
+        wind: live.windGenKw,
+        windToLoad: live.windToLoadKw,
+        windToBatt: live.windToBattKw,
+        diesel: live.dieselToLoadKw + live.dieselToBattKw,
+        unmet: live.unmetLoadKw,
+        gridAvailable: live.gridAvailable,
         battery: batteryPowerSigned,
         cost: live.cost,
         baselineCost: baselineH.cost,
         isPeak: inp.isPeak,
         gridPrice: inp.tariff,
+        tariffBand: inp.tariffBand,
         appliances: liveAppliances
     });
-    animateEnergyFlows({ solar: live.solarGenKw, load: live.loadKw, grid: live.gridImportKw, battery: batteryPowerSigned });
+    animateEnergyFlows({ solar: live.solarGenKw, windToLoad: live.windToLoadKw, windToBatt: live.windToBattKw, load: live.loadKw, grid: live.gridImportKw, battery: batteryPowerSigned });
     
     if (simState.weather === 'rainy') triggerLightning();
 }
@@ -1484,6 +1655,7 @@ function updateUI(data) {
     document.getElementById('hud-co2').textContent = day.co2Saved.toFixed(1) + ' kg';
     
     document.getElementById('val-solar').textContent = data.solar.toFixed(1) + ' kW';
+    document.getElementById('val-wind').textContent = simState.windCap > 0 ? data.wind.toFixed(1) + ' kW' : 'OFF';
     document.getElementById('val-load').textContent = data.load.toFixed(1) + ' kW';
     document.getElementById('val-soc').textContent = Math.round(simState.soc) + '%';
     document.getElementById('val-grid').textContent = data.grid.toFixed(1) + ' kW';
@@ -1500,6 +1672,7 @@ function updateUI(data) {
     updateComparisonBars(day);
     updateEfficiencyRing(data, day);
     updateEcoMetrics(day);
+    updateMonteCarloPanel(day);
     updateBatteryHealth();
     updateRealDataDisplay(); // Update real dataset display
 }
@@ -1565,6 +1738,15 @@ function updateComponentStates(data) {
     const solarBarFill = document.getElementById('solar-bar-fill');
     if (solarBarFill) solarBarFill.style.width = (data.solar / simState.solarCap * 100) + '%';
     
+    const windBox = document.getElementById('wind-box');
+    windBox.classList.toggle('active', data.wind > 0.1);
+    windBox.classList.toggle('disabled', simState.windCap <= 0);
+    const windBarFill = document.getElementById('wind-bar-fill');
+    if (windBarFill) windBarFill.style.width = (simState.windCap > 0 ? data.wind / simState.windCap * 100 : 0) + '%';
+    // Rotor spins faster with more output (0.4 s per turn at rating)
+    const windRotor = document.getElementById('wind-rotor');
+    if (windRotor) windRotor.style.animationDuration = data.wind > 0.1 ? (0.4 + 2 * (1 - data.wind / simState.windCap)).toFixed(2) + 's' : '0s';
+    
     const houseBox = document.getElementById('house-box');
     houseBox.classList.toggle('active', data.load > 1);
     const loadBarFill = document.getElementById('load-bar-fill');
@@ -1601,6 +1783,7 @@ function updateComponentStates(data) {
     
     const gridBox = document.getElementById('grid-box');
     gridBox.classList.toggle('active', data.grid > 0.1);
+    gridBox.classList.toggle('outage', data.gridAvailable === false);
     const gridPriceTag = document.getElementById('grid-price-tag');
     if (gridPriceTag) {
         gridPriceTag.querySelector('span').textContent = '₹' + data.gridPrice.toFixed(0) + '/kWh';
@@ -1626,16 +1809,21 @@ function updateApplianceDisplay(appliances) {
 
 function updateTelemetry(data, day) {
     document.getElementById('tab-solar-kw').textContent = data.solar.toFixed(1) + ' kW';
+    document.getElementById('tab-wind-kw').textContent = (data.wind || 0).toFixed(1) + ' kW';
     document.getElementById('tab-load-kw').textContent = data.load.toFixed(1) + ' kW';
     document.getElementById('tab-batt-kw').textContent = Math.abs(data.battery).toFixed(1) + ' kW';
     document.getElementById('tab-grid-kw').textContent = data.grid.toFixed(1) + ' kW';
     document.getElementById('tab-diesel-kw').textContent = data.diesel.toFixed(1) + ' kW';
+    document.getElementById('tab-export-kw').textContent = (data.export || 0).toFixed(1) + ' kW';
     
     document.getElementById('tab-solar-kwh').textContent = day.solarKwh.toFixed(1) + ' kWh';
-    document.getElementById('tab-load-kwh').textContent = day.hourly.reduce((a, b) => a + b.load, 0).toFixed(1) + ' kWh';
+    document.getElementById('tab-wind-kwh').textContent = (day.windKwh || 0).toFixed(1) + ' kWh';
+    document.getElementById('tab-load-kwh').textContent = sumEnergyKwh(day.hourly, h => h.load).toFixed(1) + ' kWh';
     document.getElementById('tab-batt-kwh').textContent = day.batteryKwh.toFixed(1) + ' kWh';
     document.getElementById('tab-grid-kwh').textContent = day.gridKwh.toFixed(1) + ' kWh';
     document.getElementById('tab-diesel-kwh').textContent = day.dieselKwh.toFixed(1) + ' kWh';
+    document.getElementById('tab-export-kwh').textContent = (day.exportKwh || 0).toFixed(1) + ' kWh';
+    updateAuditLedger(day);
 }
 
 function updatePricingDisplay(data) {
@@ -1645,11 +1833,169 @@ function updatePricingDisplay(data) {
     const timelineFill = document.querySelector('.timeline-fill');
     
     if (currentRate) currentRate.textContent = '₹' + data.gridPrice.toFixed(0);
-    if (indicator) { indicator.className = 'indicator-badge ' + (data.isPeak ? 'peak' : 'off-peak'); indicator.textContent = data.isPeak ? 'PEAK' : 'OFF-PEAK'; }
+    const band = data.tariffBand || (data.isPeak ? 'peak' : 'off-peak');
+    if (indicator) { indicator.className = 'indicator-badge ' + band; indicator.textContent = CONFIG.TARIFF_BAND_LABELS[band]; }
     if (marker) marker.style.left = (simState.hour / 24 * 100) + '%';
     if (timelineFill) timelineFill.style.width = (simState.hour / 24 * 100) + '%';
 }
 
+// Feed-in and cap only matter when exporting
+function updateExportControls() {
+    const exporting = simState.exportMode !== 'none';
+    document.getElementById('lbl-export-mode').textContent = CONFIG.EXPORT_MODE_LABELS[simState.exportMode];
+    ['input-feed-in', 'input-export-cap'].forEach(id => { document.getElementById(id).disabled = !exporting; });
+}
+
+// Grid services: reserve / prices only matter when the battery offers them
+function updateGridServicesControls() {
+    const on = simState.gridServices;
+    document.getElementById('lbl-grid-services').textContent = on ? `${simState.serviceReservePct}% · ${CONFIG.VOLTAGE_SUPPORT_LABELS[simState.voltageSupport]}` : 'OFF';
+    document.getElementById('lbl-service-reserve').textContent = simState.serviceReservePct + '%';
+    document.getElementById('lbl-service-price').textContent = '₹' + simState.serviceAvailabilityPrice;
+    document.getElementById('lbl-service-energy-price').textContent = '₹' + simState.serviceEnergyPrice;
+    ['input-voltage-support', 'input-service-reserve', 'input-service-price', 'input-service-energy-price'].forEach(id => { document.getElementById(id).disabled = !on; });
+    const status = document.getElementById('grid-services-status');
+    status.textContent = on ? 'ON' : 'OFF';
+    status.classList.toggle('active', on);
+}
+
+// Stacked value of the smart battery on the viewed day (filled once the day is prepared)
+function updateGridServicesValue(day) {
+    const el = document.getElementById('grid-services-value');
+    if (!el) return;
+    const sim = day?.sim;
+    if (!sim?.configSnapshot?.gridServices) { el.textContent = ''; return; }
+    const v = stackBatteryValue(sim.baseline.totals, sim.smart.totals);
+    el.textContent = `Smart battery: arbitrage ${formatCurrency(v.arbitrage)} + services ${formatCurrency(v.services)} ` +
+        `(reserve ${formatCurrency(v.availability)}, response ${formatCurrency(v.energy)}, reactive ${formatCurrency(v.reactive)}) = ${formatCurrency(v.total)}`;
+}
+
+// Show only the inputs for the selected outage source
+function updateOutageControls() {
+    document.getElementById('lbl-outage-mode').textContent = CONFIG.OUTAGE_MODE_LABELS[simState.outageMode];
+    document.getElementById('outage-scheduled-row').style.display = simState.outageMode === 'scheduled' ? 'flex' : 'none';
+    document.getElementById('outage-reliability-row').style.display = simState.outageMode === 'reliability' ? 'flex' : 'none';
+    document.getElementById('lbl-outage-start').textContent = formatTime(simState.outageStart);
+    document.getElementById('lbl-outage-duration').textContent = simState.outageDurationHours + ' h';
+    document.getElementById('lbl-outage-rate').textContent = simState.outagesPerDay.toFixed(1);
+    document.getElementById('lbl-outage-mean').textContent = simState.outageMeanHours + ' h';
+}
+
+// Demand response: the event window only applies to scheduled events
+function updateDemandResponseControls() {
+    const on = simState.demandResponse !== 'none';
+    document.getElementById('lbl-dr-mode').textContent = CONFIG.DR_MODE_LABELS[simState.demandResponse] + (on ? ` · ${simState.drReductionKw} kW` : '');
+    document.getElementById('dr-scheduled-row').style.display = simState.demandResponse === 'scheduled' ? 'flex' : 'none';
+    document.getElementById('lbl-dr-start').textContent = formatTime(simState.drEventStart);
+    document.getElementById('lbl-dr-duration').textContent = simState.drEventHours + ' h';
+    document.getElementById('lbl-dr-reduction').textContent = simState.drReductionKw + ' kW';
+    document.getElementById('lbl-dr-incentive').textContent = '₹' + simState.drIncentivePerKwh;
+    document.getElementById('lbl-dr-penalty').textContent = '₹' + simState.drPenaltyPerKwh;
+    ['input-dr-reduction', 'input-dr-incentive', 'input-dr-penalty', 'input-dr-response'].forEach(id => { document.getElementById(id).disabled = !on; });
+}
+
+function formatDrEventWindow(e) {
+    return `${formatTime(e.start)}-${formatTime(e.end % 24)}`;
+}
+
+// Event compliance of baseline and smart on the viewed day (filled once the day is prepared)
+function updateDemandResponseStatus(day) {
+    const el = document.getElementById('dr-compliance');
+    if (!el) return;
+    const sim = day?.sim;
+    if (!sim?.smart?.demandResponse?.length) {
+        el.textContent = sim?.configSnapshot?.demandResponse && sim.configSnapshot.demandResponse !== 'none' ? 'No events today' : '';
+        return;
+    }
+    const net = t => formatCurrency(t.drIncentive - t.drPenalty);
+    const events = sim.smart.demandResponse.map(e => `${formatDrEventWindow(e)} ${CONFIG.DR_TRIGGER_LABELS[e.trigger]}${e.announced ? '' : ' (unannounced)'}`).join(', ');
+    el.textContent = `${events} · compliance Base ${(sim.baseline.totals.drCompliance * 100).toFixed(0)}% / Smart ${(sim.smart.totals.drCompliance * 100).toFixed(0)}%` +
+        ` · net incentive ${net(sim.baseline.totals)} / ${net(sim.smart.totals)}`;
+}
+
+function updatePvControls() {
+    const physics = simState.pvModel === 'physics';
+    document.getElementById('lbl-pv-model').textContent = CONFIG.PV_MODEL_LABELS[simState.pvModel];
+    document.getElementById('pv-physics-row').style.display = physics ? 'flex' : 'none';
+    document.getElementById('pv-inverter-row').style.display = physics ? 'flex' : 'none';
+    document.getElementById('lbl-pv-temp-coeff').textContent = simState.pvTempCoeffPct.toFixed(2) + '%/°C';
+    document.getElementById('lbl-pv-losses').textContent = simState.pvLossesPct + '%';
+    document.getElementById('lbl-pv-dcac').textContent = simState.dcAcRatio.toFixed(2);
+    document.getElementById('lbl-pv-lat').textContent = simState.latitude + '°N';
+    document.getElementById('lbl-pv-tilt').textContent = simState.tilt + '°';
+    document.getElementById('lbl-pv-azimuth').textContent = simState.azimuth + '°';
+}
+
+function updateDemandControls() {
+    const billed = simState.demandChargePerKw > 0 || simState.sanctionedLoadKw > 0;
+    document.getElementById('lbl-demand-mode').textContent = billed ? `₹${simState.demandChargePerKw}/kW` + (simState.peakShaving ? ' · SHAVING' : '') : (simState.peakShaving ? 'SHAVING' : 'OFF');
+    document.getElementById('lbl-demand-charge').textContent = '₹' + simState.demandChargePerKw;
+    document.getElementById('lbl-sanctioned-load').textContent = simState.sanctionedLoadKw > 0 ? simState.sanctionedLoadKw + ' kW' : 'NONE';
+    document.getElementById('lbl-excess-penalty').textContent = '₹' + simState.excessDemandPenaltyPerKw;
+    document.getElementById('lbl-shave-target').textContent = simState.peakShavingKw > 0 ? simState.peakShavingKw + ' kW' : 'AUTO';
+    const status = document.getElementById('peak-shaving-status');
+    status.textContent = simState.peakShaving ? 'ON' : 'OFF';
+    status.classList.toggle('active', simState.peakShaving);
+    document.getElementById('input-excess-penalty').disabled = !(simState.sanctionedLoadKw > 0);
+    document.getElementById('input-shave-target').disabled = !simState.peakShaving;
+}
+
+function updateGensetControls() {
+    const hasGenset = simState.dieselRatedKw > 0;
+    document.getElementById('lbl-diesel-rated').textContent = hasGenset ? simState.dieselRatedKw + ' kW' : 'NONE';
+    document.getElementById('lbl-diesel-fuel').textContent = '₹' + simState.dieselFuelPrice;
+    document.getElementById('lbl-diesel-min-run').textContent = simState.dieselMinRunHours + ' h';
+    document.getElementById('lbl-diesel-min-load').textContent = simState.dieselMinLoadPct + '%';
+    document.getElementById('lbl-diesel-start').textContent = '₹' + simState.dieselStartCost;
+    const chargeStatus = document.getElementById('diesel-charge-status');
+    chargeStatus.textContent = simState.dieselChargeBattery ? 'ON' : 'OFF';
+    chargeStatus.classList.toggle('active', simState.dieselChargeBattery);
+    ['input-diesel-fuel', 'input-diesel-min-run', 'input-diesel-min-load', 'input-diesel-start', 'input-diesel-charge'].forEach(id => { document.getElementById(id).disabled = !hasGenset; });
+}
+
+// Outage windows of a prepared day on the price timeline and behind the chart
+function updateOutageDisplay(day) {
+    const mask = (day?.sim?.inputs || []).map(inp => inp.gridAvailable === false);
+    const zones = document.getElementById('outage-zones');
+    if (zones) {
+        zones.innerHTML = '';
+        const hoursPerStep = 24 / Math.max(1, mask.length);
+        mask.forEach((out, i) => {
+            if (!out || mask[i - 1]) return;
+            let end = i;
+            while (mask[end + 1]) end++;
+            const zone = document.createElement('div');
+            zone.className = 'outage-zone';
+            zone.style.left = (i * hoursPerStep / 24 * 100) + '%';
+            zone.style.width = ((end - i + 1) * hoursPerStep / 24 * 100) + '%';
+            zone.title = `Grid outage ${formatTime(i * hoursPerStep)}–${formatTime((end + 1) * hoursPerStep)}`;
+            zones.appendChild(zone);
+        });
+    }
+    if (mainChart) {
+        mainChart.$outageMask = mask;
+        mainChart.update('none');
+    }
+}
+
+// Shades islanded intervals behind the live chart series
+const outageShadingPlugin = {
+    id: 'outageShading',
+    beforeDatasetsDraw(chart) {
+        const mask = chart.$outageMask;
+        const x = chart.scales.x;
+        if (!mask || !mask.some(Boolean) || !x) return;
+        const { ctx, chartArea } = chart;
+        const stepPx = mask.length > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : chartArea.right - chartArea.left;
+        ctx.save();
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.12)';
+        mask.forEach((out, i) => {
+            if (out) ctx.fillRect(x.getPixelForValue(i), chartArea.top, stepPx, chartArea.bottom - chartArea.top);
+        });
+        ctx.restore();
+    }
+};
+
 function updateChart(data) {
     if (!mainChart) return;
     // Ensure non-negative values for Solar, Load, Grid (these should NEVER be negative)
@@ -1659,11 +2005,14 @@ function updateChart(data) {
     // Battery CAN be negative (negative = charging, positive = discharging)
     mainChart.data.datasets[3].data.push(data.battery);
     mainChart.data.datasets[4].data.push(simState.soc);
+    mainChart.data.datasets[5].data.push(data.curtailed || 0);
+    mainChart.data.datasets[6].data.push(data.wind || 0);
     mainChart.update('none');
 }
 
 function updateSankeyDiagram(data) {
     document.getElementById('sankey-solar').textContent = data.solar.toFixed(1) + ' kW';
+    document.getElementById('sankey-wind').textContent = (data.wind || 0).toFixed(1) + ' kW';
     document.getElementById('sankey-grid').textContent = data.grid.toFixed(1) + ' kW';
     document.getElementById('sankey-load').textContent = data.load.toFixed(1) + ' kW';
     const battOut = document.getElementById('sankey-batt-out');
@@ -1678,14 +2027,21 @@ function updateComparisonBars(day) {
     const sim = day.sim;
     if (!sim) return;
 
-    const upto = Math.min(simState.hour, 23);
+    const upto = Math.min(simState.step, sim.baseline.hourly.length - 1);
     const baselineCost = sim.baseline.hourly.slice(0, upto + 1).reduce((s, h) => s + h.cost, 0);
     const smartCost = sim.smart.hourly.slice(0, upto + 1).reduce((s, h) => s + h.cost, 0);
+    const optimalRun = sim.policies?.optimal;
+    const mpcRun = sim.policies?.mpc;
+    const optimalCost = optimalRun ? optimalRun.hourly.slice(0, upto + 1).reduce((s, h) => s + h.cost, 0) : undefined;
+    const mpcCost = mpcRun ? mpcRun.hourly.slice(0, upto + 1).reduce((s, h) => s + h.cost, 0) : undefined;
     
-    const maxCost = Math.max(baselineCost, smartCost, 100);
+    const maxCost = Math.max(baselineCost, smartCost, optimalCost ?? 0, mpcCost ?? 0, 100);
     
     const baselineFill = document.getElementById('baseline-fill');
     const smartFill = document.getElementById('smart-fill');
+    const optimalFill = document.getElementById('optimal-fill');
+    document.querySelector('.optimal-group')?.style.setProperty('display', optimalRun ? '' : 'none');
+    document.querySelector('.mpc-group')?.style.setProperty('display', mpcRun ? '' : 'none');
     const baselineCostEl = document.getElementById('baseline-cost');
     const smartCostEl = document.getElementById('smart-cost');
     const savingsAmount = document.getElementById('savings-amount');
@@ -1695,6 +2051,17 @@ function updateComparisonBars(day) {
     if (smartFill) smartFill.style.width = (smartCost / maxCost * 100) + '%';
     if (baselineCostEl) baselineCostEl.textContent = formatCurrency(baselineCost);
     if (smartCostEl) smartCostEl.textContent = formatCurrency(smartCost);
+    if (optimalFill && optimalCost !== undefined) {
+        optimalFill.style.width = (Math.max(0, optimalCost) / maxCost * 100) + '%';
+        document.getElementById('optimal-cost').textContent = formatCurrency(optimalCost);
+        document.getElementById('optimality-gap').textContent = formatOptimalityGap(baselineCost, smartCost, optimalCost);
+    }
+    const mpcFill = document.getElementById('mpc-fill');
+    if (mpcFill && mpcCost !== undefined) {
+        mpcFill.style.width = (Math.max(0, mpcCost) / maxCost * 100) + '%';
+        document.getElementById('mpc-cost').textContent = formatCurrency(mpcCost);
+        if (optimalCost !== undefined) document.getElementById('mpc-share').textContent = formatMpcShare(baselineCost, mpcCost, optimalCost);
+    }
     
     const savings = Math.max(0, baselineCost - smartCost);
     const savingsPercentValue = baselineCost > 0 ? (savings / baselineCost * 100) : 0;
@@ -1702,11 +2069,25 @@ function updateComparisonBars(day) {
     if (savingsPercent) savingsPercent.textContent = savingsPercentValue.toFixed(1) + '%';
 }
 
+// "Gap ₹X · captures Y%" of smart vs the DP optimum
+function formatOptimalityGap(baselineCost, smartCost, optimalCost) {
+    const gap = computeOptimalityGap(baselineCost, smartCost, optimalCost);
+    return `Gap ${formatCurrency(gap.gapCost)}` + (gap.capturedShare === null ? '' : ` · captures ${(gap.capturedShare * 100).toFixed(0)}%`) +
+        (gap.bounded ? '' : ' · DP not a bound');
+}
+
+// "MPC keeps Y%" of the perfect-foresight (DP) savings
+function formatMpcShare(baselineCost, mpcCost, optimalCost) {
+    const gap = computeOptimalityGap(baselineCost, mpcCost, optimalCost);
+    if (!gap.bounded) return `MPC ${formatCurrency(gap.gapCost)} vs optimal · DP not a bound`;
+    return gap.capturedShare === null ? `MPC +${formatCurrency(gap.gapCost)} vs optimal` : `MPC keeps ${(gap.capturedShare * 100).toFixed(0)}% of optimal savings`;
+}
+
 function updateEfficiencyRing(data, day) {
     const fill = document.getElementById('efficiency-fill');
     const percent = document.getElementById('efficiency-percent');
     if (!fill || !percent) return;
-    const totalLoad = day.hourly.reduce((a, b) => a + b.load, 0);
+    const totalLoad = sumEnergyKwh(day.hourly, h => h.load);
     const efficiency = totalLoad > 0 ? Math.min(100, (day.solarKwh / totalLoad) * 100) : 0;
     const circumference = 2 * Math.PI * 40;
     const offset = circumference - (efficiency / 100 * circumference);
@@ -1723,6 +2104,50 @@ function updateEcoMetrics(day) {
     if (trees) trees.textContent = (co2 / (CONFIG.TREE_CO2_ABSORPTION / 365)).toFixed(1);
     if (kmSaved) kmSaved.textContent = (co2 * CONFIG.CAR_KM_PER_KG_CO2).toFixed(0) + ' km';
     if (co2Total) co2Total.textContent = co2.toFixed(1) + ' kg';
+    updateCarbonComparison(day);
+}
+
+// Emission totals of a run up to interval `upto` (the keys compareGridEmissions reads)
+function emissionTotalsUpTo(run, upto) {
+    return run.hourly.slice(0, upto + 1).reduce((t, h) => {
+        const dt = h.dtHours ?? 1;
+        t.gridKwh += h.gridImportKw * dt;
+        t.co2Kg += h.co2Kg;
+        t.co2MarginalKg += h.co2MarginalKg ?? h.co2Kg;
+        t.gridCo2Kg += h.gridImportKw * (h.co2GridPerKwh ?? CONFIG.CO2_PER_GRID_KWH) * dt;
+        t.gridCo2MarginalKg += h.gridImportKw * (h.co2MarginalPerKwh ?? h.co2GridPerKwh ?? CONFIG.CO2_PER_GRID_KWH) * dt;
+        return t;
+    }, { gridKwh: 0, co2Kg: 0, co2MarginalKg: 0, gridCo2Kg: 0, gridCo2MarginalKg: 0 });
+}
+
+// Baseline vs smart CO2 so far on the average and marginal factors; the marginal
+// difference is split into import volume, import timing and diesel
+function updateCarbonComparison(day) {
+    const sim = day.sim;
+    const profile = document.getElementById('eco-profile');
+    if (profile) profile.textContent = (sim?.configSnapshot?.gridEmissionsLabel ?? getGridEmissionsLabel()).toUpperCase();
+    if (!sim?.baseline || !sim.smart || !document.getElementById('co2-avg-baseline')) return;
+
+    const upto = Math.min(simState.step, sim.baseline.hourly.length - 1);
+    const baseline = emissionTotalsUpTo(sim.baseline, upto);
+    const smart = emissionTotalsUpTo(sim.smart, upto);
+    const average = compareGridEmissions(baseline, smart, 'average');
+    const marginal = compareGridEmissions(baseline, smart, 'marginal');
+    const kg = value => value.toFixed(1) + ' kg';
+    const gramsPerKwh = (totals, value) => (totals.gridKwh > 1e-6 ? (value * 1000).toFixed(0) : '—');
+
+    document.getElementById('co2-avg-baseline').textContent = kg(average.baselineKg);
+    document.getElementById('co2-avg-smart').textContent = kg(average.kg);
+    document.getElementById('co2-avg-delta').textContent = kg(average.deltaKg);
+    document.getElementById('co2-marg-baseline').textContent = kg(marginal.baselineKg);
+    document.getElementById('co2-marg-smart').textContent = kg(marginal.kg);
+    document.getElementById('co2-marg-delta').textContent = kg(marginal.deltaKg);
+    document.getElementById('co2-int-baseline').textContent = gramsPerKwh(baseline, marginal.baselineIntensity);
+    document.getElementById('co2-int-smart').textContent = gramsPerKwh(smart, marginal.importIntensity);
+    document.getElementById('co2-int-delta').textContent = baseline.gridKwh > 1e-6 && smart.gridKwh > 1e-6
+        ? ((marginal.baselineIntensity - marginal.importIntensity) * 1000).toFixed(0) : '—';
+    document.getElementById('co2-split').textContent =
+        `Marginal Δ: volume ${marginal.volumeKg.toFixed(1)} · timing ${marginal.timingKg.toFixed(1)} · diesel ${marginal.dieselKg.toFixed(1)} kg`;
 }
 
 function updateBatteryHealth() {
@@ -1743,8 +2168,13 @@ function startSimulation() {
     document.getElementById('btn-start').innerHTML = '<i class="fas fa-pause"></i><span>PAUSE</span>';
     document.getElementById('persistent-results').style.display = 'none';
     
-    // Initialize from real data if available
-    if (CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData && simState.hour === 0) {
+    // Continuous mode: start from yesterday's final SOC instead of the dataset value
+    const carriedSoc = simState.hour === 0 ? getLiveCarriedSoc() : null;
+    if (carriedSoc !== null) {
+        simState.soc = carriedSoc;
+        console.log(`🔋 Carried battery SOC over from previous day: ${simState.soc.toFixed(1)}%`);
+    } else if (CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData && simState.hour === 0) {
+        // Initialize from real data if available
         const realData = getRealDataForHour(simState.currentDay, 0);
         if (realData) {
             // Set initial battery SOC from real data
@@ -1755,7 +2185,7 @@ function startSimulation() {
     
     if (simState.hour === 0) {
         const day = simState.days[simState.currentDay];
-        day.config = { solarCap: simState.solarCap, battCap: simState.battCap, isSmart: simState.isSmart, weather: simState.weather, soh: simState.soh, gridCost: simState.gridCost };
+        day.config = { solarCap: simState.solarCap, windCap: simState.windCap, pvModel: simState.pvModel, battCap: simState.battCap, isSmart: simState.isSmart, weather: simState.weather, soh: simState.soh, gridCost: simState.gridCost, continuous: simState.continuousMode, timestepMinutes: simState.timestepMinutes };
         // Prepare deterministic baseline + smart simulations under identical inputs.
         // This eliminates forced savings and fixes baseline totals tracking.
         day.sim = null;
@@ -1767,11 +2197,7 @@ function startSimulation() {
     
     startFlowAnimation();
     
-    simState.interval = setInterval(() => {
-        if (simState.hour >= 24) { stopSimulation(true); return; }
-        runSimulationStep();
-        simState.hour++;
-    }, simState.speed);
+    simState.interval = setInterval(tickSimulation, simState.speed);
 }
 
 function stopSimulation(completed = false) {
@@ -1790,21 +2216,32 @@ function stopSimulation(completed = false) {
 
 function resetSimulation() {
     stopSimulation();
+    simState.step = 0;
     simState.hour = 0;
-    simState.soc = 50;
+    simState.soc = getLiveCarriedSoc() ?? 50;
     simState.totalDischarge = 0;
     simState.days[simState.currentDay] = createNewDay();
     // Clear any prepared simulations for this day
     simState.days[simState.currentDay].sim = null;
     if (mainChart) { mainChart.data.datasets.forEach(d => d.data = []); mainChart.update(); }
+    updateOutageDisplay(null);
+    updateTariffTimeline(null);
+    updateForecastErrors(null);
+    updateGridServicesValue(null);
+    updateDemandResponseStatus(null);
     document.getElementById('hud-cost').textContent = '₹0';
     document.getElementById('sim-clock').textContent = '00:00';
-    document.getElementById('val-soc').textContent = '50%';
+    document.getElementById('val-soc').textContent = Math.round(simState.soc) + '%';
     document.getElementById('persistent-results').style.display = 'none';
+    updateMonteCarloPanel(null);
     const baselineFill = document.getElementById('baseline-fill');
     const smartFill = document.getElementById('smart-fill');
+    const optimalFill = document.getElementById('optimal-fill');
     if (baselineFill) baselineFill.style.width = '0%';
     if (smartFill) smartFill.style.width = '0%';
+    if (optimalFill) optimalFill.style.width = '0%';
+    const mpcFill = document.getElementById('mpc-fill');
+    if (mpcFill) mpcFill.style.width = '0%';
     flowParticles = [];
     if (sankeyCtx) sankeyCtx.clearRect(0, 0, sankeyCanvas.width, sankeyCanvas.height);
 }
@@ -1813,11 +2250,19 @@ function startNewDay() {
     simState.currentDay++;
     simState.viewDay = simState.currentDay;
     simState.days[simState.currentDay] = createNewDay();
+    simState.step = 0;
     simState.hour = 0;
-    simState.soc = 50;
+    simState.soc = getLiveCarriedSoc() ?? 50;
+    setTimeResolution(simState.timestepMinutes);
     if (mainChart) { mainChart.data.datasets.forEach(d => d.data = []); mainChart.update(); }
+    updateOutageDisplay(null);
+    updateTariffTimeline(null);
+    updateForecastErrors(null);
+    updateGridServicesValue(null);
+    updateDemandResponseStatus(null);
     document.getElementById('current-day-label').textContent = simState.currentDay;
     document.getElementById('persistent-results').style.display = 'none';
+    updateMonteCarloPanel(null);
     document.getElementById('hud-cost').textContent = '₹0';
     document.getElementById('sim-clock').textContent = '00:00';
     flowParticles = [];
@@ -1837,11 +2282,16 @@ function showResults() {
     document.getElementById('res-cfg-weather').textContent = cfg.weather.toUpperCase();
     document.getElementById('res-cfg-grid-cost').textContent = '₹' + cfg.gridCost;
     document.getElementById('res-cost-val').textContent = formatCurrency(day.cost);
-    const totalLoad = day.hourly.reduce((a, b) => a + b.load, 0);
+    const totalLoad = sumEnergyKwh(day.hourly, h => h.load);
     const solarYield = totalLoad > 0 ? Math.round((day.solarKwh / totalLoad) * 100) : 0;
     document.getElementById('res-solar-val').textContent = solarYield + '%';
     document.getElementById('res-grid-val').textContent = Math.round(day.gridKwh) + ' kWh';
-    document.getElementById('res-diesel-val').textContent = Math.round(day.dieselKwh) + ' kWh';
+    document.getElementById('res-diesel-val').textContent = formatDieselResult(day);
+    document.getElementById('res-export-val').textContent = formatExportResult(day);
+    document.getElementById('res-curtail-val').textContent = formatCurtailmentResult(day);
+    document.getElementById('res-reliability-val').textContent = formatReliabilityResult(day);
+    document.getElementById('res-demand-val').textContent = formatDemandResult(day);
+    document.getElementById('res-pv-val').textContent = formatPvResult(day);
     document.getElementById('res-co2-val').textContent = day.co2Saved.toFixed(1) + ' kg';
     document.getElementById('res-soh-val').textContent = simState.soh.toFixed(1) + '%';
     document.getElementById('res-soh-fill').style.width = simState.soh + '%';
@@ -1856,6 +2306,57 @@ function showResults() {
     createConfetti();
 }
 
+function formatExportResult(day) {
+    const exportKwh = day.exportKwh || 0;
+    if (exportKwh <= 0) return '0 kWh';
+    return `${Math.round(exportKwh)} kWh · ₹${Math.round(day.exportRevenue || 0)}`;
+}
+
+// Curtailment ratio = spilled PV / generated PV
+function getCurtailmentRatio(day) {
+    const generatedKwh = sumEnergyKwh(day.hourly, h => h.solar);
+    return generatedKwh > 0 ? (day.curtailedKwh || 0) / generatedKwh : 0;
+}
+
+function formatCurtailmentResult(day) {
+    return `${(getCurtailmentRatio(day) * 100).toFixed(0)}% · ${(day.curtailedKwh || 0).toFixed(1)} kWh`;
+}
+
+// Genset energy with starts, run-hours and fuel burnt
+function formatDieselResult(day) {
+    if (!day.dieselKwh && !day.dieselRunHours) return '0 kWh';
+    return `${Math.round(day.dieselKwh)} kWh · ${day.dieselStarts || 0}× · ${(day.dieselRunHours || 0).toFixed(1)} h · ${(day.dieselFuelL || 0).toFixed(1)} L`;
+}
+
+// Outage hours survived (critical load fully served) / outage hours, plus unserved energy
+function formatPvResult(day) {
+    if ((day.sim?.configSnapshot?.pvModel ?? simState.pvModel) !== 'physics') return 'Scaled output';
+    return `${(day.pvTempLossKwh || 0).toFixed(1)} kWh heat · ${(day.pvClippedKwh || 0).toFixed(1)} kWh clipped`;
+}
+
+// Billing month of a day so far: each simulated day of that month billed on the strategy it ran
+function getMonthlyDemand(day) {
+    const dayNums = Object.keys(simState.days).map(Number).sort((a, b) => a - b);
+    const upTo = dayNums.slice(0, dayNums.findIndex(d => simState.days[d] === day) + 1).filter(d => simState.days[d].sim && simState.days[d].config);
+    const runs = upTo.map(d => simState.days[d].sim?.[simState.days[d].config?.isSmart ? 'smart' : 'baseline']);
+    if (upTo.length === 0 || runs.some(r => r?.totals?.peakImportKw === undefined)) return null;
+    const months = summarizeMonthlyDemand(runs, upTo.map(d => simState.days[d].sim.inputs), day.sim.configSnapshot);
+    return months[months.length - 1];
+}
+
+// Day peak import, plus the month-to-date peak and its demand bill when demand is billed
+function formatDemandResult(day) {
+    const peak = `${(day.peakImportKw || 0).toFixed(1)} kW`;
+    const month = getMonthlyDemand(day);
+    if (!month || !(month.demandCharge > 0)) return peak;
+    return `${peak} · month ${month.peakImportKw.toFixed(1)} kW · ₹${Math.round(month.demandCharge)}`;
+}
+
+function formatReliabilityResult(day) {
+    if (!day.outageHours) return 'No outages';
+    return `${(day.outageSurvivedHours || 0).toFixed(1)}/${day.outageHours.toFixed(1)} h · ${(day.unservedKwh || 0).toFixed(1)} kWh unserved`;
+}
+
 function createConfetti() {
     const canvas = document.getElementById('confetti-canvas');
     if (!canvas) return;
@@ -1893,7 +2394,7 @@ function checkAchievements() {
     }
     if (simState.soh >= 95 && !simState.achievements[5].unlocked) unlockAchievement('battery_master');
     if (simState.currentDay >= 7 && !simState.achievements[6].unlocked) unlockAchievement('week_streak');
-    const totalLoad = day.hourly.reduce((a, b) => a + b.load, 0);
+    const totalLoad = sumEnergyKwh(day.hourly, h => h.load);
     if (totalLoad > 0 && (day.solarKwh / totalLoad) * 100 >= 80 && !simState.achievements[7].unlocked) unlockAchievement('optimizer');
     document.getElementById('achievement-count').textContent = simState.achievements.filter(a => a.unlocked).length;
 }
@@ -1940,6 +2441,10 @@ function showCompareModal() {
         const sim = day.sim;
         const baselineCost = sim?.baseline?.totals?.cost ?? day.baselineCost ?? 0;
         const smartCost = sim?.smart?.totals?.cost ?? day.smartCost ?? 0;
+        const optimalCost = sim?.policies?.optimal?.totals?.cost ?? day.optimalCost;
+        const mpcCost = sim?.policies?.mpc?.totals?.cost ?? day.mpcCost;
+        // User-registered policies get a generic cell each
+        const userRuns = Object.entries(sim?.policies || {}).filter(([name]) => name !== 'optimal' && name !== 'mpc');
 
         const savings = baselineCost - smartCost;
         const savingsPercent = baselineCost > 0 ? ((savings / baselineCost) * 100).toFixed(1) : '0.0';
@@ -1949,9 +2454,9 @@ function showCompareModal() {
         card.innerHTML = `
             <h3 style="color: var(--primary-light); margin-bottom: 10px;">DAY ${dKey}</h3>
             <div style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 15px;">
-                Solar: ${cfg.solarCap}kW | Battery: ${cfg.battCap}kWh | Weather: ${cfg.weather.toUpperCase()}
+                Solar: ${cfg.solarCap}kW${cfg.windCap ? ` | Wind: ${cfg.windCap}kW` : ''} | Battery: ${cfg.battCap}kWh | Weather: ${cfg.weather.toUpperCase()}
             </div>
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 15px;">
+            <div style="display: grid; grid-template-columns: repeat(${2 + (optimalCost !== undefined) + (mpcCost !== undefined) + userRuns.length}, 1fr); gap: 15px; margin-bottom: 15px;">
                 <div style="text-align: center; padding: 10px; background: rgba(255,100,100,0.1); border-radius: 8px;">
                     <div style="font-size: 0.65rem; color: var(--grid); margin-bottom: 5px;">⚡ BASELINE</div>
                     <div style="font-size: 1.4rem; font-weight: 700; color: var(--grid);">₹${Math.round(baselineCost)}</div>
@@ -1960,6 +2465,18 @@ function showCompareModal() {
                     <div style="font-size: 0.65rem; color: var(--battery); margin-bottom: 5px;">🤖 SMART</div>
                     <div style="font-size: 1.4rem; font-weight: 700; color: var(--battery);">₹${Math.round(smartCost)}</div>
                 </div>
+                ${optimalCost !== undefined ? `<div style="text-align: center; padding: 10px; background: rgba(99,102,241,0.1); border-radius: 8px;">
+                    <div style="font-size: 0.65rem; color: var(--primary-light); margin-bottom: 5px;">🎯 OPTIMAL</div>
+                    <div style="font-size: 1.4rem; font-weight: 700; color: var(--primary-light);">₹${Math.round(optimalCost)}</div>
+                </div>` : ''}
+                ${mpcCost !== undefined ? `<div style="text-align: center; padding: 10px; background: rgba(251,191,36,0.1); border-radius: 8px;">
+                    <div style="font-size: 0.65rem; color: var(--solar); margin-bottom: 5px;">📡 MPC</div>
+                    <div style="font-size: 1.4rem; font-weight: 700; color: var(--solar);">₹${Math.round(mpcCost)}</div>
+                </div>` : ''}
+                ${userRuns.map(([name, run]) => `<div style="text-align: center; padding: 10px; background: rgba(148,163,184,0.1); border-radius: 8px;">
+                    <div style="font-size: 0.65rem; color: var(--text-muted); margin-bottom: 5px;">🧩 ${escapeHtml(getPolicyLabel(name).toUpperCase())}</div>
+                    <div style="font-size: 1.4rem; font-weight: 700; color: var(--text-white);">₹${Math.round(run.totals.cost)}</div>
+                </div>`).join('')}
             </div>
             <div style="text-align: center;">
                 <div style="font-size: 0.65rem; color: var(--text-muted);">CO₂ SAVED</div>
@@ -1969,6 +2486,8 @@ function showCompareModal() {
                 <span style="color: ${savings >= 0 ? '#22c55e' : '#f87171'}; font-weight: 600; font-size: 1rem;">
                     ${savings >= 0 ? `💰 Smart Saves ₹${Math.round(savings)} (${savingsPercent}%)` : `⚠️ Smart costs ₹${Math.round(-savings)} more (${Math.abs(parseFloat(savingsPercent)).toFixed(1)}%)`}
                 </span>
+                ${optimalCost !== undefined ? `<div style="font-size: 0.75rem; color: var(--primary-light); margin-top: 6px;">🎯 Optimality ${formatOptimalityGap(baselineCost, smartCost, optimalCost)}</div>` : ''}
+                ${optimalCost !== undefined && mpcCost !== undefined ? `<div style="font-size: 0.75rem; color: var(--solar); margin-top: 4px;">📡 ${formatMpcShare(baselineCost, mpcCost, optimalCost)}</div>` : ''}
             </div>
         `;
         content.appendChild(card);
@@ -1976,41 +2495,1550 @@ function showCompareModal() {
     modal.style.display = 'flex';
 }
 
-function showAchievementsModal() {
-    const modal = document.getElementById('achievements-modal');
-    const grid = document.getElementById('achievements-grid');
-    grid.innerHTML = '';
-    simState.achievements.forEach(ach => {
-        const item = document.createElement('div');
-        item.className = 'achievement-item' + (ach.unlocked ? ' unlocked' : '');
-        item.innerHTML = `<div class="ach-icon"><i class="fas fa-${ach.icon}"></i></div><div class="ach-info"><div class="ach-name">${ach.name}</div><div class="ach-desc">${ach.desc}</div></div>${ach.unlocked ? '<i class="fas fa-check ach-check"></i>' : ''}`;
-        grid.appendChild(item);
+// ===== POLICY REGISTRY =====
+// Baseline and smart always run (they drive the live toggle); these are the extras
+function getComparePolicies() {
+    const registered = listPolicies().map(p => p.name);
+    return simState.comparePolicies.filter(name => registered.includes(name) && name !== 'baseline' && name !== 'smart');
+}
+
+function getPolicyLabel(name) {
+    return listPolicies().find(p => p.name === name)?.label || name;
+}
+
+// Runs every selected comparison policy; a failing user policy is reported and skipped
+function simulateComparePolicies(runPolicy) {
+    const runs = {};
+    getComparePolicies().forEach(name => {
+        try {
+            runs[name] = runPolicy(name);
+        } catch (error) {
+            console.error(`Policy "${name}" failed:`, error);
+            setPolicyFileStatus(`${getPolicyLabel(name)} failed: ${error.message}`, true);
+        }
     });
-    modal.style.display = 'flex';
+    return runs;
 }
 
-// ===== DAY NAVIGATION =====
-function loadDayData(dayNum) {
-    const day = simState.days[dayNum];
-    if (!day) return;
-    document.getElementById('current-day-label').textContent = dayNum;
-    simState.viewDay = dayNum;
-    
-    if (!day.hourly.length) {
-        if (mainChart) { mainChart.data.datasets.forEach(d => d.data = []); mainChart.update(); }
-        document.getElementById('hud-cost').textContent = '₹0';
-        document.getElementById('sim-clock').textContent = '00:00';
-        document.getElementById('persistent-results').style.display = 'none';
-        return;
-    }
-    
-    if (mainChart) {
-        mainChart.data.datasets[0].data = day.hourly.map(h => h.solar);
-        mainChart.data.datasets[1].data = day.hourly.map(h => h.load);
-        mainChart.data.datasets[2].data = day.hourly.map(h => h.grid + h.diesel);
-        mainChart.data.datasets[3].data = day.hourly.map(h => h.battery);
+function mapPolicyRuns(runs, pick) {
+    const out = {};
+    Object.entries(runs || {}).forEach(([name, run]) => { out[name] = pick(run); });
+    return out;
+}
+
+// One row per simulated policy: [label, cost ₹, grid kWh, diesel kWh, CO2 kg (average), CO2 kg (marginal), final SOC %]
+function getPolicyComparisonRows(sim) {
+    if (!sim) return [];
+    const runs = [['Baseline', sim.baseline], ['Smart', sim.smart], ...Object.entries(sim.policies || {}).map(([name, run]) => [getPolicyLabel(name), run])];
+    return runs.filter(([, run]) => run).map(([label, { totals, finalSocPct }]) => [
+        label, totals.cost.toFixed(2), totals.gridKwh.toFixed(2), totals.dieselKwh.toFixed(2), totals.co2Kg.toFixed(2), (totals.co2MarginalKg ?? totals.co2Kg).toFixed(2), finalSocPct.toFixed(1)
+    ]);
+}
+
+function setPolicyFileStatus(text, isError = false) {
+    const status = document.getElementById('policy-file-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+function renderPolicyList() {
+    const list = document.getElementById('policy-list');
+    if (!list) return;
+    list.innerHTML = listPolicies().filter(p => p.name !== 'baseline' && p.name !== 'smart').map(p => `
+        <label class="policy-option" title="${escapeHtml(p.description)}">
+            <input type="checkbox" value="${escapeHtml(p.name)}" ${simState.comparePolicies.includes(p.name) ? 'checked' : ''}>
+            <span>${escapeHtml(p.label)}</span>${p.builtIn ? '' : '<span class="policy-tag">USER</span>'}
+        </label>`).join('');
+    document.getElementById('lbl-policy-count').textContent = `${2 + getComparePolicies().length} policies`;
+}
+
+function setComparePolicy(name, enabled) {
+    simState.comparePolicies = enabled
+        ? [...new Set([...simState.comparePolicies, name])]
+        : simState.comparePolicies.filter(n => n !== name);
+    renderPolicyList();
+}
+
+// Imports a user ES module (see tools/example-policy.mjs) and selects its policies
+async function loadPolicyFile(file) {
+    const url = URL.createObjectURL(new Blob([await file.text()], { type: 'text/javascript' }));
+    try {
+        const names = registerPolicyModule(await import(url));
+        simState.comparePolicies = [...new Set([...simState.comparePolicies, ...names])];
+        renderPolicyList();
+        setPolicyFileStatus(`Loaded ${names.map(getPolicyLabel).join(', ')} from ${file.name} (applies from the next day or reset)`);
+    } catch (error) {
+        console.error('Failed to load policy file:', error);
+        setPolicyFileStatus(`${file.name}: ${error.message}`, true);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// ===== TARIFF ENGINE =====
+// Preset name, or the edited definition when 'custom' is selected
+function getActiveTariff() {
+    return simState.tariffPreset === 'custom' && simState.customTariff ? simState.customTariff : simState.tariffPreset;
+}
+
+function updateTariffControls() {
+    const select = document.getElementById('input-tariff');
+    if (!select) return;
+    select.value = simState.tariffPreset;
+    document.getElementById('lbl-tariff').textContent = resolveTariff({ tariff: getActiveTariff() }).label.toUpperCase();
+    const day = simState.days[simState.currentDay];
+    updateTariffTimeline(day?.sim?.preparedForHour0 ? day : null);
+}
+
+// 'custom' opens the editor; the selection switches once a definition is applied
+function setTariffPreset(value) {
+    if (value === 'custom' && !simState.customTariff) {
+        document.getElementById('input-tariff').value = simState.tariffPreset;
+        showTariffModal();
+        return;
+    }
+    simState.tariffPreset = value;
+    updateTariffControls();
+}
+
+// Band of each interval: from the prepared day, else the active tariff on the current sim day
+function getTariffBandTypes(day) {
+    if (day?.sim?.inputs) return day.sim.inputs.map(inp => inp.tariffBand || (inp.isPeak ? 'peak' : 'off-peak'));
+    const { bands } = tariffDayBands(resolveTariff({ tariff: getActiveTariff() }), getSimDayKey());
+    return Array.from({ length: 24 }, (_, h) => tariffBandAt(bands, h).type);
+}
+
+// Non-off-peak bands on the price timeline, like the outage zones
+function updateTariffTimeline(day) {
+    const types = getTariffBandTypes(day);
+    const zones = document.getElementById('tariff-zones');
+    if (zones) {
+        zones.innerHTML = '';
+        const hoursPerStep = 24 / Math.max(1, types.length);
+        types.forEach((type, i) => {
+            if (type === 'off-peak' || types[i - 1] === type) return;
+            let end = i;
+            while (types[end + 1] === type) end++;
+            const zone = document.createElement('div');
+            zone.className = 'tariff-zone ' + type;
+            zone.style.left = (i * hoursPerStep / 24 * 100) + '%';
+            zone.style.width = ((end - i + 1) * hoursPerStep / 24 * 100) + '%';
+            zone.title = `${CONFIG.TARIFF_BAND_LABELS[type]} ${formatTime(i * hoursPerStep)}–${formatTime((end + 1) * hoursPerStep)}`;
+            zones.appendChild(zone);
+        });
+    }
+    const peakLabel = document.getElementById('lbl-peak-time');
+    if (peakLabel) {
+        const firstPeak = types.indexOf('peak');
+        peakLabel.textContent = firstPeak >= 0 ? formatTime(firstPeak * 24 / types.length) : 'NO PEAK';
+    }
+}
+
+function showTariffModal() {
+    const active = getActiveTariff();
+    const def = typeof active === 'string' ? TARIFF_PRESETS[active] : active;
+    document.getElementById('tariff-json').value = JSON.stringify(def, null, 2);
+    setTariffEditorStatus('');
+    renderTariffPreview(resolveTariff({ tariff: active }));
+    document.getElementById('tariff-modal').style.display = 'flex';
+}
+
+function setTariffEditorStatus(message, ok = false) {
+    const status = document.getElementById('tariff-error');
+    status.textContent = message;
+    status.classList.toggle('ok', ok);
+}
+
+// Season × day-type rows of 24 hourly cells coloured by band
+function renderTariffPreview(tariff) {
+    const rows = tariff.seasons.flatMap(season => [
+        { season, dayType: 'weekday', bands: season.weekday },
+        ...(season.weekend ? [{ season, dayType: 'weekend', bands: season.weekend }] : [])
+    ]);
+    document.getElementById('tariff-preview').innerHTML = rows.map(({ season, dayType, bands }) => {
+        const label = `${season.name} · ${season.weekend ? dayType : 'all days'} (${season.months.join(',')})`;
+        const cells = Array.from({ length: 24 }, (_, h) => {
+            const band = tariffBandAt(bands, h);
+            return `<div class="tariff-cell ${band.type}" title="${formatTime(h)} ${CONFIG.TARIFF_BAND_LABELS[band.type]} ₹${(simState.gridCost * band.factor).toFixed(2)}/kWh">${band.factor === 1 ? '' : band.factor}</div>`;
+        }).join('');
+        return `<div class="tariff-row-label" title="${escapeHtml(label)}">${escapeHtml(label)}</div>${cells}`;
+    }).join('') + (tariff.slabs.length ? `<div class="tariff-row-label">slabs (kWh/month)</div><div style="grid-column: span 24;">${tariff.slabs.map(s => `${s.uptoKwh ?? '∞'} → ×${s.factor}`).join(' · ')}</div>` : '');
+}
+
+// Parses and validates the editor JSON; previews it and returns it, or null with the error shown
+function readTariffEditor() {
+    try {
+        const def = JSON.parse(document.getElementById('tariff-json').value);
+        const tariff = validateTariff(def);
+        renderTariffPreview(tariff);
+        setTariffEditorStatus(`Valid: ${tariff.label}`, true);
+        return def;
+    } catch (error) {
+        setTariffEditorStatus(error.message);
+        return null;
+    }
+}
+
+function applyCustomTariff() {
+    const def = readTariffEditor();
+    if (!def) return;
+    simState.customTariff = def;
+    simState.tariffPreset = 'custom';
+    updateTariffControls();
+    setTariffEditorStatus(`Applied ${validateTariff(def).label} (from the next day or reset)`, true);
+}
+
+// ===== GRID CARBON INTENSITY =====
+// null (the constant CONFIG.CO2_PER_GRID_KWH), a preset name, or the imported series
+function getActiveGridEmissions() {
+    if (simState.gridCarbonPreset === 'custom') return simState.customGridEmissions;
+    return simState.gridCarbonPreset === 'constant' ? null : simState.gridCarbonPreset;
+}
+
+function getGridEmissionsLabel() {
+    return resolveGridEmissions({ gridEmissions: getActiveGridEmissions(), co2GridPerKwh: CONFIG.CO2_PER_GRID_KWH }).label;
+}
+
+function updateCarbonControls() {
+    const select = document.getElementById('input-grid-carbon');
+    if (!select) return;
+    select.value = simState.gridCarbonPreset;
+    document.getElementById('lbl-grid-carbon').textContent = simState.gridCarbonPreset === 'constant'
+        ? 'CONSTANT' : getGridEmissionsLabel().toUpperCase().slice(0, 24);
+    document.getElementById('lbl-carbon-price').textContent = simState.carbonPricePerKg > 0 ? `₹${simState.carbonPricePerKg}/kg` : 'OFF';
+    document.getElementById('input-carbon-price').value = simState.carbonPricePerKg;
+    const profile = document.getElementById('eco-profile');
+    if (profile && !simState.days[simState.currentDay]?.sim) profile.textContent = getGridEmissionsLabel().toUpperCase();
+}
+
+function setCarbonFileStatus(text, isError = false) {
+    const status = document.getElementById('carbon-file-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// 'custom' asks for a CSV until one has been imported
+function setGridCarbonPreset(value) {
+    if (value === 'custom' && !simState.customGridEmissions) {
+        document.getElementById('input-grid-carbon').value = simState.gridCarbonPreset;
+        document.getElementById('input-carbon-file').click();
+        return;
+    }
+    simState.gridCarbonPreset = value;
+    updateCarbonControls();
+}
+
+// Imports an hourly / seasonal / per-date carbon-intensity CSV (see parseGridEmissionsCsv)
+async function importCarbonCsv(file) {
+    try {
+        simState.customGridEmissions = parseGridEmissionsCsv(await file.text(), file.name);
+        simState.gridCarbonPreset = 'custom';
+        updateCarbonControls();
+        const dates = Object.keys(simState.customGridEmissions.dates).length;
+        setCarbonFileStatus(`Loaded ${file.name}: ${dates > 0 ? `${dates} dated day(s)` : `${simState.customGridEmissions.seasons.length} season(s)`} (applies from the next day or reset)`);
+    } catch (error) {
+        console.error('Failed to import carbon intensity:', error);
+        setCarbonFileStatus(`${file.name}: ${error.message}`, true);
+    }
+}
+
+// ===== FORECASTING =====
+const FORECAST_MODEL_LABELS = { dataset: 'Dataset', persistence: 'Persistence', smoothing: 'Smoothing', regression: 'Regression' };
+
+function updateForecastControls() {
+    const select = document.getElementById('input-forecast-model');
+    if (!select) return;
+    select.value = simState.forecastModel;
+    document.getElementById('lbl-forecast-model').textContent = FORECAST_MODEL_LABELS[simState.forecastModel].toUpperCase();
+    document.getElementById('lbl-forecast-days').textContent = simState.forecastTrainingDays + ' d';
+    document.getElementById('input-forecast-days').value = simState.forecastTrainingDays;
+    document.getElementById('input-forecast-days').disabled = simState.forecastModel === 'dataset' || simState.forecastModel === 'persistence';
+    document.getElementById('lbl-forecast-alpha').textContent = simState.forecastAlpha.toFixed(2);
+    document.getElementById('input-forecast-alpha').value = simState.forecastAlpha;
+    document.getElementById('input-forecast-alpha').disabled = simState.forecastModel !== 'smoothing';
+    document.getElementById('input-smart-forecast').checked = simState.smartUsesForecast;
+    const status = document.getElementById('smart-forecast-status');
+    status.textContent = simState.smartUsesForecast ? 'ON' : 'OFF';
+    status.classList.toggle('active', simState.smartUsesForecast);
+}
+
+function formatForecastErrors(errors) {
+    return `MAE ${errors.mae.toFixed(2)} kW · RMSE ${errors.rmse.toFixed(2)} kW · MAPE ${errors.mape === null ? 'N/A' : errors.mape.toFixed(0) + '%'}`;
+}
+
+// Forecast error of the viewed day (filled once the day is prepared)
+function updateForecastErrors(day) {
+    const el = document.getElementById('forecast-errors');
+    if (!el) return;
+    const forecast = day?.sim?.forecast;
+    el.textContent = forecast
+        ? `${FORECAST_MODEL_LABELS[forecast.model]} · Load ${formatForecastErrors(forecast.load)} | Solar ${formatForecastErrors(forecast.solar)}`
+        : '';
+}
+
+// ===== ENERGY AUDIT =====
+const LEDGER_LABELS = { solar: 'Solar', wind: 'Wind', grid: 'Grid', diesel: 'Diesel', storage: 'Storage', load: 'Load', export: 'Export', dump: 'Dump load', charge: 'Charge', discharge: 'Discharge' };
+// Violations listed in the panel; the rest are counted
+const MAX_LEDGER_VIOLATIONS = 6;
+
+function formatLedgerParts(parts) {
+    return Object.entries(parts).filter(([, kwh]) => kwh > 0.005).map(([key, kwh]) => `${LEDGER_LABELS[key]} ${kwh.toFixed(2)}`).join(' · ') || '—';
+}
+
+// [label, summarizeAudit] per simulated strategy over the first `steps` intervals
+function getAuditSummaries(sim, steps = Infinity) {
+    if (!sim?.baseline?.audit) return [];
+    const summarize = run => summarizeAudit(run.audit.slice(0, steps));
+    return [['Baseline', summarize(sim.baseline)], ['Smart', summarize(sim.smart)],
+        ...Object.entries(sim.policies || {}).filter(([, run]) => run.audit).map(([name, run]) => [getPolicyLabel(name), summarize(run)])];
+}
+
+// Ledger of the live strategy for the audit-hour selection: one interval, or the day so far when Live (-1)
+function updateAuditLedger(day, h = parseInt(document.getElementById('audit-hour')?.value ?? '-1')) {
+    const status = document.getElementById('ledger-status');
+    if (!status) return;
+    const entries = h === -1 ? (day?.hourly || []).filter(e => e.audit) : [day?.hourly[h]].filter(e => e?.audit);
+    const set = (id, text) => { document.getElementById(id).textContent = text; };
+    set('ledger-scope', h === -1 ? `Live · ${entries.length} interval(s)` : `${formatTime(day?.hourly[h]?.hour ?? 0)} interval`);
+    const list = document.getElementById('ledger-violations');
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        status.textContent = 'NO DATA';
+        status.className = 'ledger-status';
+        ['ledger-sources', 'ledger-sinks', 'ledger-losses', 'ledger-curtailed', 'ledger-residual'].forEach(id => set(id, '—'));
+        ['ledger-sources-parts', 'ledger-sinks-parts', 'ledger-losses-parts', 'ledger-strategies'].forEach(id => set(id, ''));
+        return;
+    }
+    const summary = summarizeAudit(entries.map(e => e.audit));
+    const total = parts => Object.values(parts).reduce((s, v) => s + v, 0);
+    const residualKwh = total(summary.sources) - total(summary.sinks) - total(summary.losses) - summary.curtailedKwh;
+    set('ledger-sources', total(summary.sources).toFixed(2) + ' kWh');
+    set('ledger-sinks', total(summary.sinks).toFixed(2) + ' kWh');
+    set('ledger-losses', total(summary.losses).toFixed(2) + ' kWh');
+    set('ledger-curtailed', summary.curtailedKwh.toFixed(2) + ' kWh');
+    set('ledger-residual', residualKwh.toExponential(1) + ' kWh');
+    set('ledger-sources-parts', formatLedgerParts(summary.sources));
+    set('ledger-sinks-parts', formatLedgerParts(summary.sinks));
+    set('ledger-losses-parts', formatLedgerParts(summary.losses));
+    const violations = summary.violations.length;
+    status.textContent = violations === 0 ? 'BALANCED' : `${violations} VIOLATION${violations > 1 ? 'S' : ''}`;
+    status.className = 'ledger-status ' + (violations === 0 ? 'ok' : 'fail');
+    summary.violations.slice(0, MAX_LEDGER_VIOLATIONS).forEach(v => {
+        const item = document.createElement('li');
+        item.textContent = `${formatTime(v.hour)} ${v.check}: ${v.detail}`;
+        list.appendChild(item);
+    });
+    if (violations > MAX_LEDGER_VIOLATIONS) {
+        const item = document.createElement('li');
+        item.textContent = `+${violations - MAX_LEDGER_VIOLATIONS} more (see CSV export)`;
+        list.appendChild(item);
+    }
+    const steps = h === -1 ? day.hourly.length : h + 1;
+    set('ledger-strategies', getAuditSummaries(day.sim, steps).map(([label, a]) => `${label} ${a.violations.length}`).join(' · '));
+}
+
+// ===== MONTE CARLO =====
+// Chart datasets holding the P10 / P90 band edges, after the seven power series
+const MC_BAND_DATASETS = [
+    { index: 7, series: 0, band: 'solarKw', edge: 'p10' }, { index: 8, series: 0, band: 'solarKw', edge: 'p90' },
+    { index: 9, series: 1, band: 'loadKw', edge: 'p10' }, { index: 10, series: 1, band: 'loadKw', edge: 'p90' },
+    { index: 11, series: 2, band: 'gridKw', edge: 'p10' }, { index: 12, series: 2, band: 'gridKw', edge: 'p90' }
+];
+
+// UI settings → runMonteCarlo options (per-interval spreads keep the core defaults)
+function getMonteCarloOptions() {
+    const mc = simState.monteCarlo;
+    return {
+        runs: mc.runs,
+        seed: mc.seed,
+        solar: { distribution: mc.distribution, daySpread: mc.solarPct / 100 },
+        load: { distribution: mc.distribution, daySpread: mc.loadPct / 100 },
+        tariff: { distribution: mc.distribution, daySpread: mc.tariffPct / 100, stepSpread: 0 },
+        outages: { perDay: mc.outagesPerDay }
+    };
+}
+
+function updateMonteCarloControls() {
+    const mc = simState.monteCarlo;
+    const select = document.getElementById('input-mc-dist');
+    if (!select) return;
+    select.value = mc.distribution;
+    document.getElementById('input-mc-seed').value = mc.seed;
+    document.getElementById('lbl-mc-runs').textContent = `${mc.runs} RUNS`;
+    [['runs', 'input-mc-runs', 'lbl-mc-runs-value'], ['outagesPerDay', 'input-mc-outages', 'lbl-mc-outages'], ['solarPct', 'input-mc-solar', 'lbl-mc-solar'],
+        ['loadPct', 'input-mc-load', 'lbl-mc-load'], ['tariffPct', 'input-mc-tariff', 'lbl-mc-tariff']].forEach(([key, inputId, labelId]) => {
+        document.getElementById(inputId).value = mc[key];
+        document.getElementById(labelId).textContent = mc[key];
+    });
+}
+
+function setMonteCarloStatus(text, isError = false) {
+    const status = document.getElementById('mc-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// Baseline and smart on perturbed copies of the current day, each from its own start SOC
+function runDayMonteCarlo() {
+    const day = simState.days[simState.currentDay];
+    if (!day) return;
+    prepareDaySimulationsIfNeeded();
+    const sim = day.sim;
+    if (!sim?.inputs) return;
+    const config = buildCoreConfig();
+    const startSoc = sim.configSnapshot.startSoc;
+    try {
+        const started = performance.now();
+        const { samples, ...mc } = runMonteCarlo(sim.inputs, config,
+            { baseline: () => createBaselinePolicy(), smart: createSmartPolicy }, getMonteCarloOptions(),
+            { baseline: { ...config, initialSocPct: startSoc.baseline }, smart: { ...config, initialSocPct: startSoc.smart } });
+        // Per-run totals stay out of the saved state; the percentiles describe them
+        day.monteCarlo = { ...mc, distribution: simState.monteCarlo.distribution, liveStrategy: simState.isSmart ? 'smart' : 'baseline' };
+        setMonteCarloStatus(`${samples.length} runs in ${Math.round(performance.now() - started)} ms`);
+    } catch (error) {
+        console.error('Monte Carlo failed:', error);
+        setMonteCarloStatus(error.message, true);
+        return;
+    }
+    updateMonteCarloPanel(day);
+    updateMonteCarloBands(day);
+    saveState();
+}
+
+function updateMonteCarloPanel(day) {
+    const profile = document.getElementById('mc-profile');
+    if (!profile) return;
+    const mc = day?.monteCarlo;
+    const rows = mc ? {
+        'base-cost': mc.policies.baseline.cost,
+        'smart-cost': mc.policies.smart.cost,
+        savings: mc.savings,
+        'base-diesel': mc.policies.baseline.dieselKwh,
+        'smart-diesel': mc.policies.smart.dieselKwh
+    } : {};
+    ['base-cost', 'smart-cost', 'savings', 'base-diesel', 'smart-diesel'].forEach(key => {
+        ['p10', 'p50', 'p90'].forEach(p => {
+            const value = rows[key]?.[p];
+            document.getElementById(`mc-${key}-${p}`).textContent = value === undefined ? '—'
+                : key.endsWith('diesel') ? value.toFixed(1) : formatCurrency(value);
+        });
+    });
+    profile.textContent = mc ? `${mc.runs} RUNS · SEED ${mc.seed}` : 'NOT RUN';
+    document.getElementById('mc-summary').textContent = mc
+ ? `Smart saves money in ${(mc.savingsPositiveShare * 100).toFixed(0)}% of runs · ${describeMonteCarloInputs(mc)}` : 'Run Monte Carlo (controls) for P10–P90 bands on this day';
+}
+
+// [label, { p10, p50, p90, mean }] rows shared by the CSV and PDF exports
+function getMonteCarloRows(mc) {
+    return [
+        ['Baseline cost (INR)', mc.policies.baseline.cost],
+        ['Smart cost (INR)', mc.policies.smart.cost],
+        ['Savings (INR)', mc.savings],
+        ['Baseline diesel (kWh)', mc.policies.baseline.dieselKwh],
+        ['Smart diesel (kWh)', mc.policies.smart.dieselKwh]
+    ];
+}
+
+function describeMonteCarloInputs(mc) {
+    const { solar, load, tariff, outages } = mc.options;
+    return `${mc.distribution} solar ±${Math.round(solar.daySpread * 100)}%, load ±${Math.round(load.daySpread * 100)}%, ` +
+        `tariff ±${Math.round(tariff.daySpread * 100)}%, ${outages.perDay} outages/day`;
+}
+
+// P10–P90 fans around solar, load and the live strategy's grid import
+function updateMonteCarloBands(day) {
+    if (!mainChart) return;
+    const bands = day?.monteCarlo?.bands;
+    MC_BAND_DATASETS.forEach(({ index, series, band, edge }) => {
+        const dataset = mainChart.data.datasets[index];
+        const values = band === 'gridKw' ? bands?.gridKw[day.monteCarlo.liveStrategy] : bands?.[band];
+        dataset.data = values ? values.map(b => b[edge]) : [];
+        dataset.hidden = !simState.activeSeries[series];
+    });
+    mainChart.update('none');
+}
+
+// ===== SIZING STUDY =====
+// Control ranges a candidate must fit to be applied back to the simulator
+const SIZING_LIMITS = { solarKw: [1, 15], batteryKwh: [5, 50], dcAcRatio: [1, 1.6] };
+const SIZING_GENSET_OPTIONS = [0, 3, 5, 8, 10];
+const SIZING_COST_FIELDS = [['solarCost', 'sizing-cost-solar'], ['batteryCost', 'sizing-cost-battery'], ['inverterCost', 'sizing-cost-inverter'],
+    ['dieselCost', 'sizing-cost-diesel'], ['discountPct', 'sizing-discount'], ['valueOfLostLoad', 'sizing-voll']];
+
+function showSizingModal() {
+    updateSizingControls();
+    renderSizingStudy(simState.sizingStudy);
+    document.getElementById('sizing-modal').style.display = 'flex';
+}
+
+function updateSizingControls() {
+    const sz = simState.sizing;
+    document.getElementById('sizing-solar').value = sz.solarKw.join(', ');
+    document.getElementById('sizing-battery').value = sz.batteryKwh.join(', ');
+    document.getElementById('sizing-inverter').value = sz.inverterKw.join(', ');
+    document.getElementById('sizing-diesel').value = sz.dieselKw.join(', ');
+    document.getElementById('sizing-days').value = sz.days;
+    document.getElementById('sizing-policy').value = sz.policy;
+    SIZING_COST_FIELDS.forEach(([key, id]) => { document.getElementById(id).value = sz[key]; });
+}
+
+function setSizingStatus(text, isError = false) {
+    const status = document.getElementById('sizing-status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// "2, 4,6" → [2, 4, 6]; sizes outside the simulator's controls can't be applied, so they are rejected here
+function parseSizeList(text, label, [min, max] = [0, Infinity]) {
+    const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+    const bad = values.find(v => !Number.isFinite(v) || v < min || v > max);
+    if (bad !== undefined) throw new Error(`${label}: ${bad} is outside ${min}-${max}`);
+    return values;
+}
+
+// Form → simState.sizing; throws on invalid input and leaves the state untouched
+function readSizingForm() {
+    const value = id => document.getElementById(id).value;
+    const sizing = {
+        solarKw: parseSizeList(value('sizing-solar'), 'Solar kW', SIZING_LIMITS.solarKw),
+        batteryKwh: parseSizeList(value('sizing-battery'), 'Battery kWh', SIZING_LIMITS.batteryKwh),
+        inverterKw: parseSizeList(value('sizing-inverter'), 'Inverter kW', [0.1, Infinity]),
+        dieselKw: parseSizeList(value('sizing-diesel'), 'Genset kW', [0, 10]),
+        days: parseInt(value('sizing-days'), 10),
+        policy: value('sizing-policy')
+    };
+    if (sizing.solarKw.length === 0 || sizing.batteryKwh.length === 0) throw new Error('List at least one solar and one battery size');
+    const badGenset = sizing.dieselKw.find(kw => !SIZING_GENSET_OPTIONS.includes(kw));
+    if (badGenset !== undefined) throw new Error(`Genset kW: ${badGenset} is not one of ${SIZING_GENSET_OPTIONS.join(', ')}`);
+    if (!(sizing.days >= 1 && sizing.days <= 60)) throw new Error('Days must be 1-60');
+    SIZING_COST_FIELDS.forEach(([key, id]) => {
+        sizing[key] = parseFloat(value(id));
+        if (!(sizing[key] >= 0)) throw new Error('Costs and rates must be numbers >= 0');
+    });
+    simState.sizing = sizing;
+}
+
+// simState.sizing → runSizingStudy options (lifetimes and O&M keep the core defaults)
+function getSizingOptions() {
+    const sz = simState.sizing;
+    return {
+        solarKw: sz.solarKw,
+        batteryKwh: sz.batteryKwh,
+        inverterKw: sz.inverterKw.length ? sz.inverterKw : null,
+        dieselKw: sz.dieselKw.length ? sz.dieselKw : null,
+        days: sz.days,
+        policy: sz.policy,
+        discountRate: sz.discountPct / 100,
+        valueOfLostLoad: sz.valueOfLostLoad,
+        capex: {
+            solar: { perUnit: sz.solarCost },
+            battery: { perUnit: sz.batteryCost },
+            inverter: { perUnit: sz.inverterCost },
+            diesel: { perUnit: sz.dieselCost }
+        }
+    };
+}
+
+// Every candidate runs the same representative dataset days back to back under the current settings
+function runSystemSizing() {
+    try {
+        readSizingForm();
+    } catch (error) {
+        setSizingStatus(error.message, true);
+        return;
+    }
+    const options = getSizingOptions();
+    const simDays = getRepresentativeSimDays(options.days);
+    try {
+        const started = performance.now();
+        const study = runSizingStudy(buildCoreConfig(),
+            candidateConfig => simDays.map(d => buildDayInputsForCurrentConfig(candidateConfig, d)), options);
+        simState.sizingStudy = { ...study, dates: simDays.map(getDateLabelForSimDay) };
+        setSizingStatus(`${study.candidates.length} candidates × ${study.days} days in ${Math.round(performance.now() - started)} ms · click a cell or Apply to use a size`);
+        console.log(`📐 Sizing study: cheapest ${study.best.solarKw} kW / ${study.best.batteryKwh} kWh at ₹${Math.round(study.best.annualizedCost)}/yr`);
+    } catch (error) {
+        console.error('Sizing study failed:', error);
+        setSizingStatus(error.message, true);
+        return;
+    }
+    renderSizingStudy(simState.sizingStudy);
+    saveState();
+}
+
+// Sim days of `count` dataset dates spread over the dataset (synthetic days without it)
+function getRepresentativeSimDays(count) {
+    const useRealData = CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData;
+    const dayCount = useRealData ? getAvailableDates().length : count;
+    return selectRepresentativeDays(Array.from({ length: dayCount }, (_, i) => i + 1), count);
+}
+
+// Inverter sizes apply as a DC/AC ratio, which has its own slider range
+function canApplySizing(candidate, study) {
+    if (!study.options.inverterKw) return true;
+    const ratio = candidate.solarKw / candidate.inverterKw;
+    return ratio >= SIZING_LIMITS.dcAcRatio[0] - 1e-9 && ratio <= SIZING_LIMITS.dcAcRatio[1] + 1e-9;
+}
+
+function isCurrentSizing(candidate, study) {
+    return candidate.solarKw === simState.solarCap && candidate.batteryKwh === simState.battCap &&
+        (!study.options.inverterKw || Math.abs(candidate.solarKw / candidate.inverterKw - simState.dcAcRatio) < 0.01) &&
+        (!study.options.dieselKw || candidate.dieselKw === simState.dieselRatedKw);
+}
+
+function applySizingCandidate(candidate, study) {
+    if (!canApplySizing(candidate, study)) {
+        setSizingStatus(`DC/AC ${(candidate.solarKw / candidate.inverterKw).toFixed(2)} is outside the simulator's ${SIZING_LIMITS.dcAcRatio.join('-')} range`, true);
+        return;
+    }
+    simState.solarCap = candidate.solarKw;
+    simState.battCap = candidate.batteryKwh;
+    document.getElementById('input-solar-cap').value = simState.solarCap;
+    document.getElementById('lbl-solar-cap').textContent = simState.solarCap + ' kW';
+    document.getElementById('input-batt-cap').value = simState.battCap;
+    document.getElementById('lbl-batt-cap').textContent = simState.battCap + ' kWh';
+    if (study.options.inverterKw) {
+        simState.dcAcRatio = Math.round(candidate.solarKw / candidate.inverterKw * 100) / 100;
+        document.getElementById('input-pv-dcac').value = simState.dcAcRatio;
+        updatePvControls();
+    }
+    if (study.options.dieselKw) {
+        simState.dieselRatedKw = candidate.dieselKw;
+        document.getElementById('input-diesel-rated').value = simState.dieselRatedKw;
+        updateGensetControls();
+    }
+    setSizingStatus(`Applied ${formatSizingCandidate(candidate, study)}; it takes effect on the next run`);
+    renderSizingStudy(study);
+    saveState();
+}
+
+function formatSizingCandidate(c, study) {
+    return `${c.solarKw} kW solar, ${c.batteryKwh} kWh battery` +
+        (study.options.inverterKw ? `, ${c.inverterKw} kW inverter` : '') +
+        (study.options.dieselKw ? `, ${c.dieselKw ? c.dieselKw + ' kW genset' : 'no genset'}` : '');
+}
+
+function renderSizingStudy(study) {
+    const summary = document.getElementById('sizing-summary');
+    const heatMapBox = document.getElementById('sizing-heatmap');
+    const paretoBox = document.getElementById('sizing-pareto');
+    if (!study) {
+        summary.innerHTML = '';
+        heatMapBox.innerHTML = '';
+        paretoBox.innerHTML = '';
+        return;
+    }
+    const { best, heatMap, candidates } = study;
+    const current = candidates.find(c => isCurrentSizing(c, study));
+    summary.innerHTML = `
+        <div class="study-stat"><span class="study-stat-label">Candidates</span><span class="study-stat-value">${candidates.length}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Representative Days</span><span class="study-stat-value">${study.days}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Cheapest System</span><span class="study-stat-value">${best.solarKw} kW / ${best.batteryKwh} kWh</span></div>
+        <div class="study-stat"><span class="study-stat-label">Annualized Cost</span><span class="study-stat-value">${formatCurrency(best.annualizedCost)}/yr</span></div>
+        <div class="study-stat"><span class="study-stat-label">CAPEX</span><span class="study-stat-value">${formatCurrency(best.capex)}</span></div>
+        ${current ? `<div class="study-stat"><span class="study-stat-label">Current System</span><span class="study-stat-value">${formatCurrency(current.annualizedCost)}/yr</span></div>
+        <div class="study-stat"><span class="study-stat-label">Δ (Current - Cheapest)</span><span class="study-stat-value ${current === best ? 'positive' : 'negative'}">${formatCurrency(current.annualizedCost - best.annualizedCost)}</span></div>` : ''}
+    `;
+
+    // Heat map: annualized cost per solar × battery cell, green (cheapest) to red
+    const costs = heatMap.cells.flat().map(c => c.annualizedCost);
+    const min = Math.min(...costs);
+    const span = Math.max(...costs) - min || 1;
+    const cellRows = heatMap.cells.map((row, i) => `<tr>
+        <td>${heatMap.batteryKwh[i]} kWh</td>
+        ${row.map(c => {
+            const hue = Math.round(140 - 140 * (c.annualizedCost - min) / span);
+            const classes = ['sizing-cell', c === best ? 'best' : '', isCurrentSizing(c, study) ? 'current' : ''].filter(Boolean).join(' ');
+            return `<td class="${classes}" data-candidate="${candidates.indexOf(c)}" style="background: hsla(${hue}, 70%, 40%, 0.6)"
+                title="${escapeHtml(formatSizingCandidate(c, study))} · CAPEX ${formatCurrency(c.capex)} · CO2 ${(c.annualCo2Kg / 1000).toFixed(1)} t/yr">${(c.annualizedCost / 1000).toFixed(0)}k</td>`;
+        }).join('')}
+    </tr>`).join('');
+    heatMapBox.innerHTML = `
+        <table class="study-table sizing-table">
+            <thead><tr><th>Annualized ₹/yr · Battery \\ Solar</th>${heatMap.solarKw.map(kw => `<th>${kw} kW</th>`).join('')}</tr></thead>
+            <tbody>${cellRows}</tbody>
+        </table>
+    `;
+
+    // Pareto front: no other size is both cheaper per year and lower-carbon
+    const paretoRows = study.pareto.map(c => `<tr class="${c === best ? 'best' : ''}">
+        <td>${c.solarKw} kW / ${c.batteryKwh} kWh</td>
+        <td>${c.inverterKw.toFixed(1)} kW</td>
+        <td>${c.dieselKw ? c.dieselKw + ' kW' : 'None'}</td>
+        <td>${formatCurrency(c.capex)}</td>
+        <td>${formatCurrency(c.annualCapex + c.annualOm)}</td>
+        <td>${formatCurrency(c.annualEnergyCost)}</td>
+        <td>${c.annualUnservedKwh.toFixed(0)}</td>
+        <td>${(c.annualCo2Kg / 1000).toFixed(2)}</td>
+        <td>${formatCurrency(c.annualizedCost)}</td>
+        <td><button class="btn btn-secondary btn-sm" data-candidate="${candidates.indexOf(c)}" ${canApplySizing(c, study) ? '' : 'disabled title="DC/AC ratio outside the simulator range"'}>Apply</button></td>
+    </tr>`).join('');
+    paretoBox.innerHTML = `
+        <table class="study-table sizing-table">
+            <thead><tr><th>Pareto: Solar / Battery</th><th>Inverter</th><th>Genset</th><th>CAPEX</th><th>Capital + O&amp;M /yr</th><th>Energy /yr</th><th>Unserved kWh/yr</th><th>CO2 t/yr</th><th>Annualized /yr</th><th></th></tr></thead>
+            <tbody>${paretoRows}</tbody>
+        </table>
+    `;
+    document.querySelectorAll('#sizing-modal [data-candidate]').forEach(el => {
+        el.addEventListener('click', () => applySizingCandidate(candidates[parseInt(el.dataset.candidate, 10)], study));
+    });
+}
+
+// ===== COMMUNITY MICROGRID =====
+const COMMUNITY_FIELDS = [['solarCap', 'PV kW', 0, 20], ['batteryCapacityKwh', 'Battery kWh', 0, 50], ['loadScale', 'Load ×', 0, 5]];
+const COMMUNITY_MARKET_LABELS = { 'mid-market': 'Mid-market rate', 'bill-sharing': 'Bill sharing' };
+
+function showCommunityModal() {
+    updateCommunityControls();
+    renderCommunityRun(simState.communityRun);
+    document.getElementById('community-modal').style.display = 'flex';
+}
+
+function updateCommunityControls() {
+    const cm = simState.community;
+    document.getElementById('community-feeder').value = cm.feederLimitKw;
+    document.getElementById('community-battery').value = cm.batteryKwh;
+    document.getElementById('community-market').innerHTML = COMMUNITY_MARKETS.map(m => `<option value="${m}">${COMMUNITY_MARKET_LABELS[m] || m}</option>`).join('');
+    document.getElementById('community-market').value = cm.market;
+    document.getElementById('community-days').value = cm.days;
+    document.getElementById('community-households').innerHTML = cm.households.map((h, i) => `<tr>
+        <td><input type="text" class="sizing-input" data-household="${i}" data-field="name" value="${escapeHtml(h.name)}" maxlength="16"></td>
+        ${COMMUNITY_FIELDS.map(([field, , min, max]) => `<td><input type="number" class="sizing-input" data-household="${i}" data-field="${field}" value="${h[field]}" min="${min}" max="${max}" step="${field === 'loadScale' ? 0.1 : 1}"></td>`).join('')}
+        <td><select class="sizing-input" data-household="${i}" data-field="loadProfile">${Object.keys(COMMUNITY_LOAD_PROFILES).map(name => `<option value="${name}"${name === h.loadProfile ? ' selected' : ''}>${name}</option>`).join('')}</select></td>
+        <td><button class="btn btn-secondary btn-sm" data-remove-household="${i}" title="Remove household"${cm.households.length === 1 ? ' disabled' : ''}><i class="fas fa-times"></i></button></td>
+    </tr>`).join('');
+    document.querySelectorAll('[data-remove-household]').forEach(btn => btn.addEventListener('click', () => editCommunityHouseholds(list => list.splice(Number(btn.dataset.removeHousehold), 1))));
+    document.getElementById('btn-add-household').disabled = cm.households.length >= MAX_COMMUNITY_HOUSEHOLDS;
+}
+
+function setCommunityStatus(text, isError = false) {
+    const status = document.getElementById('community-status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// Form → simState.community; throws on invalid input and leaves the state untouched
+function readCommunityForm() {
+    const value = id => document.getElementById(id).value;
+    const households = simState.community.households.map((_, i) => {
+        const field = name => document.querySelector(`[data-household="${i}"][data-field="${name}"]`).value;
+        const household = { name: field('name').trim() || `House ${i + 1}`, loadProfile: field('loadProfile') };
+        COMMUNITY_FIELDS.forEach(([key, label, min, max]) => {
+            household[key] = parseFloat(field(key));
+            if (!(household[key] >= min && household[key] <= max)) throw new Error(`${household.name}: ${label} must be ${min}-${max}`);
+        });
+        return household;
+    });
+    const community = {
+        households,
+        feederLimitKw: parseFloat(value('community-feeder')),
+        batteryKwh: parseFloat(value('community-battery')),
+        market: value('community-market'),
+        days: parseInt(value('community-days'), 10)
+    };
+    if (!(community.feederLimitKw > 0)) throw new Error('Feeder limit must be > 0 kW');
+    if (!(community.batteryKwh >= 0 && community.batteryKwh <= 200)) throw new Error('Community battery must be 0-200 kWh');
+    if (!(community.days >= 1 && community.days <= 7)) throw new Error('Days must be 1-7');
+    simState.community = community;
+}
+
+// Add / remove rows without losing edits in the other rows
+function editCommunityHouseholds(edit) {
+    try {
+        readCommunityForm();
+    } catch (error) {
+        setCommunityStatus(error.message, true);
+        return;
+    }
+    edit(simState.community.households);
+    updateCommunityControls();
+    saveState();
+}
+
+function addCommunityHousehold() {
+    editCommunityHouseholds(list => list.push({ name: `House ${list.length + 1}`, solarCap: 3, batteryCapacityKwh: 0, loadScale: 1, loadProfile: 'dataset' }));
+}
+
+// Households run the active strategy's policy from the current day onward
+function runCommunityMicrogrid() {
+    try {
+        readCommunityForm();
+    } catch (error) {
+        setCommunityStatus(error.message, true);
+        return;
+    }
+    const cm = simState.community;
+    const simDays = Array.from({ length: cm.days }, (_, i) => simState.currentDay + i);
+    try {
+        const started = performance.now();
+        const run = runCommunity(buildCoreConfig(), unitConfig => simDays.map(d => buildDayInputsForCurrentConfig(unitConfig, d)), {
+            households: cm.households,
+            feederLimitKw: cm.feederLimitKw,
+            communityBattery: { capacityKwh: cm.batteryKwh },
+            market: cm.market,
+            policy: simState.isSmart ? 'smart' : 'baseline'
+        });
+        simState.communityRun = { ...run, dates: simDays.map(getDateLabelForSimDay) };
+        setCommunityStatus(`${run.households.length} households × ${run.days} day(s) in ${Math.round(performance.now() - started)} ms`);
+        console.log(`🏘️ Community: bills ₹${Math.round(run.community.bill)} vs ₹${Math.round(run.community.referenceBill)} stand-alone`);
+    } catch (error) {
+        console.error('Community run failed:', error);
+        setCommunityStatus(error.message, true);
+        return;
+    }
+    renderCommunityRun(simState.communityRun);
+    saveState();
+}
+
+function renderCommunityRun(run) {
+    const summary = document.getElementById('community-summary');
+    const table = document.getElementById('community-results');
+    if (!run) {
+        summary.innerHTML = '';
+        table.innerHTML = '';
+        if (communityChart) { communityChart.destroy(); communityChart = null; }
+        return;
+    }
+    const c = run.community;
+    summary.innerHTML = `
+        <div class="study-stat"><span class="study-stat-label">Stand-alone Bills</span><span class="study-stat-value">${formatCurrency(c.referenceBill)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Community Bills (${escapeHtml(COMMUNITY_MARKET_LABELS[run.options.market] || run.options.market)})</span><span class="study-stat-value">${formatCurrency(c.bill)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Saved</span><span class="study-stat-value ${c.savings >= 0 ? 'positive' : 'negative'}">${formatCurrency(c.savings)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Utility Bill / Battery Account</span><span class="study-stat-value">${formatCurrency(c.utilityBill)} / ${formatCurrency(c.batteryAccount)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Local Trade</span><span class="study-stat-value">${c.localTradeKwh.toFixed(1)} kWh</span></div>
+        <div class="study-stat"><span class="study-stat-label">Community Battery In / Out</span><span class="study-stat-value">${c.batteryChargeKwh.toFixed(1)} / ${c.batteryDischargeKwh.toFixed(1)} kWh</span></div>
+        <div class="study-stat"><span class="study-stat-label">Utility Import / Export</span><span class="study-stat-value">${c.utilityImportKwh.toFixed(0)} / ${c.utilityExportKwh.toFixed(0)} kWh</span></div>
+        <div class="study-stat"><span class="study-stat-label">Peak Feeder Import</span><span class="study-stat-value">${c.peakFeederKw.toFixed(1)} kW</span></div>
+        <div class="study-stat"><span class="study-stat-label">Shed / Curtailed at Feeder</span><span class="study-stat-value">${c.shedKwh.toFixed(1)} / ${c.curtailedKwh.toFixed(1)} kWh</span></div>
+        <div class="study-stat"><span class="study-stat-label">Self-Sufficiency</span><span class="study-stat-value">${(c.selfSufficiency * 100).toFixed(1)}%</span></div>
+        <div class="study-stat"><span class="study-stat-label">Grid CO₂ (vs stand-alone)</span><span class="study-stat-value">${c.co2Kg.toFixed(0)} / ${c.referenceCo2Kg.toFixed(0)} kg</span></div>
+    `;
+    table.innerHTML = `
+        <table class="study-table">
+            <thead><tr><th>Household</th><th>PV kW</th><th>Batt kWh</th><th>Load kWh</th><th>Import kWh</th><th>Export kWh</th><th>Local Buy</th><th>Local Sell</th><th>Unserved</th><th>Stand-alone</th><th>Bill</th><th>Saved</th><th>Self-Suff.</th></tr></thead>
+            <tbody>${run.households.map(h => `<tr>
+                <td>${escapeHtml(h.name)} <small>(${escapeHtml(h.loadProfile)} ×${h.loadScale})</small></td>
+                <td>${h.solarCap}</td><td>${h.batteryCapacityKwh}</td>
+                <td>${h.loadKwh.toFixed(1)}</td><td>${h.importKwh.toFixed(1)}</td><td>${h.exportKwh.toFixed(1)}</td>
+                <td>${h.localBoughtKwh.toFixed(1)}</td><td>${h.localSoldKwh.toFixed(1)}</td><td>${h.unservedKwh.toFixed(1)}</td>
+                <td>${formatCurrency(h.referenceBill)}</td><td>${formatCurrency(h.bill)}</td>
+                <td class="${h.savings >= 0 ? 'positive' : 'negative'}">${formatCurrency(h.savings)}</td>
+                <td>${(h.selfSufficiency * 100).toFixed(1)}%</td>
+            </tr>`).join('')}</tbody>
+            <tfoot><tr>
+                <td>COMMUNITY</td><td>${run.households.reduce((a, h) => a + h.solarCap, 0)}</td><td>${run.options.communityBattery.capacityKwh} shared</td>
+                <td>${c.loadKwh.toFixed(1)}</td><td>${c.utilityImportKwh.toFixed(1)}</td><td>${c.utilityExportKwh.toFixed(1)}</td>
+                <td colspan="2">${c.localTradeKwh.toFixed(1)} traded</td><td>${c.unservedKwh.toFixed(1)}</td>
+                <td>${formatCurrency(c.referenceBill)}</td><td>${formatCurrency(c.bill)}</td><td>${formatCurrency(c.savings)}</td>
+                <td>${(c.selfSufficiency * 100).toFixed(1)}%</td>
+            </tr></tfoot>
+        </table>
+    `;
+    renderCommunityChart(run);
+}
+
+function renderCommunityChart(run) {
+    const canvas = document.getElementById('community-chart');
+    if (!canvas) return;
+    const labels = run.intervals.map(iv => (iv.hour === 0 ? `${run.dates[iv.day]} ${formatTime(iv.hour)}` : formatTime(iv.hour)));
+    const series = (label, pick, color, extra = {}) => ({ label, data: run.intervals.map(pick), borderColor: color, tension: 0.3, borderWidth: 1.5, pointRadius: 0, ...extra });
+
+    if (communityChart) communityChart.destroy();
+    communityChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                series('Household Imports (kW)', iv => iv.importKw, '#ef4444'),
+                series('Household Exports (kW)', iv => iv.exportKw, '#fbbf24'),
+                series('Local Trade (kW)', iv => iv.localTradeKw, '#10b981', { backgroundColor: 'rgba(16, 185, 129, 0.15)', fill: true }),
+                series('Utility Import (kW)', iv => iv.utilityImportKw, '#ffffff', { borderDash: [5, 5], borderWidth: 1 }),
+                series('Community Battery SOC (%)', iv => iv.batterySocPct, '#6366f1', { yAxisID: 'y1' })
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { intersect: false, mode: 'index' },
+            plugins: { legend: { labels: { color: '#9ca3af', font: { size: 10 } } } },
+            scales: {
+                x: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280', font: { size: 9 }, maxTicksLimit: 14 } },
+                y: { title: { display: true, text: 'Feeder power (kW)', color: '#9ca3af' }, beginAtZero: true, grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280' } },
+                y1: { position: 'right', title: { display: true, text: 'SOC (%)', color: '#6366f1' }, min: 0, max: 100, grid: { display: false }, ticks: { color: '#6366f1' } }
+            }
+        }
+    });
+}
+
+// ===== LIFETIME FINANCIALS =====
+const FINANCIAL_SLIDERS = [['lifetimeYears', 'input-fin-life', 'lbl-fin-life-value'], ['discountPct', 'input-fin-discount', 'lbl-fin-discount'],
+    ['escalationPct', 'input-fin-escalation', 'lbl-fin-escalation'], ['solarCost', 'input-fin-solar-cost', 'lbl-fin-solar-cost'],
+    ['batteryCost', 'input-fin-batt-cost', 'lbl-fin-batt-cost'], ['omPct', 'input-fin-om', 'lbl-fin-om'],
+    ['subsidyPct', 'input-fin-subsidy', 'lbl-fin-subsidy'], ['batteryLifeYears', 'input-fin-batt-life', 'lbl-fin-batt-life']];
+// Representative days simulated for the annual energy flows
+const FINANCIAL_DAYS = 12;
+
+function updateFinancialControls() {
+    const fin = simState.financials;
+    if (!document.getElementById('input-fin-life')) return;
+    document.getElementById('lbl-fin-life').textContent = `${fin.lifetimeYears} YEARS`;
+    FINANCIAL_SLIDERS.forEach(([key, inputId, labelId]) => {
+        document.getElementById(inputId).value = fin[key];
+        document.getElementById(labelId).textContent = fin[key];
+    });
+}
+
+function setFinancialStatus(text, isError = false) {
+    const status = document.getElementById('fin-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// UI settings → runFinancialAnalysis options (inverter price, degradation and escalation of O&M keep the core defaults)
+function getFinancialOptions() {
+    const fin = simState.financials;
+    return {
+        lifetimeYears: fin.lifetimeYears,
+        discountRate: fin.discountPct / 100,
+        tariffEscalation: fin.escalationPct / 100,
+        omShare: fin.omPct / 100,
+        subsidyShare: fin.subsidyPct / 100,
+        capex: {
+            solar: { perUnit: fin.solarCost },
+            battery: { perUnit: fin.batteryCost, lifeYears: fin.batteryLifeYears }
+        },
+        days: FINANCIAL_DAYS,
+        policy: simState.isSmart ? 'smart' : 'baseline'
+    };
+}
+
+// The current system, PV-only and no-PV/battery (grid + genset) homes over the representative days, projected over the life
+function runLifetimeFinancials() {
+    const options = getFinancialOptions();
+    const simDays = getRepresentativeSimDays(options.days);
+    try {
+        const started = performance.now();
+        const fin = runFinancialAnalysis(buildCoreConfig(), config => simDays.map(d => buildDayInputsForCurrentConfig(config, d)), options);
+        simState.financialResult = { ...fin, dates: simDays.map(getDateLabelForSimDay) };
+        setFinancialStatus(`${simDays.length} days × 3 systems in ${Math.round(performance.now() - started)} ms`);
+        console.log(`💰 Lifetime financials: NPV ₹${Math.round(fin.npv)}, payback ${formatPayback(fin.simplePaybackYears)}`);
+    } catch (error) {
+        console.error('Financial analysis failed:', error);
+        setFinancialStatus(error.message, true);
+        return;
+    }
+    updateFinancialPanel(simState.financialResult);
+    saveState();
+}
+
+function formatPayback(years) {
+    return years === null ? 'Never' : `${years.toFixed(1)} y`;
+}
+
+function updateFinancialPanel(fin) {
+    const profile = document.getElementById('fin-profile');
+    if (!profile) return;
+    const cells = fin ? {
+        npv: formatCurrency(fin.npv),
+        irr: fin.irr === null ? 'n/a' : `${(fin.irr * 100).toFixed(1)}%`,
+        payback: formatPayback(fin.simplePaybackYears),
+        'disc-payback': formatPayback(fin.discountedPaybackYears),
+        lcoe: fin.lcoe === null ? 'n/a' : fin.lcoe.toFixed(2),
+        lcos: fin.lcos === null ? 'n/a' : fin.lcos.toFixed(2),
+        capex: formatCurrency(fin.netCapex),
+        savings: formatCurrency(fin.years[0].savings)
+    } : {};
+    ['npv', 'irr', 'payback', 'disc-payback', 'lcoe', 'lcos', 'capex', 'savings'].forEach(key => {
+        document.getElementById(`fin-${key}`).textContent = cells[key] ?? '—';
+    });
+    profile.textContent = fin ? `${fin.sizes.solar} kW / ${fin.sizes.battery} kWh · ${fin.options.lifetimeYears} Y` : 'NOT RUN';
+    document.getElementById('fin-summary').textContent = fin
+        ? `PV saves ${formatCurrency(fin.pvSavings)}/yr, storage ${formatCurrency(fin.storageSavings)}/yr (${fin.options.policy}) · ` +
+            `${fin.cyclesPerYear.toFixed(0)} cycles/yr · battery replaced ${fin.batteryReplacementYears.length ? 'in year ' + fin.batteryReplacementYears.join(', ') : 'never'}`
+        : 'Run Lifetime Financials (controls) for NPV, IRR, payback, LCOE and LCOS';
+    renderFinancialChart(fin);
+}
+
+// Yearly net cash flow (year 0 = net CAPEX) with the discounted running total
+function renderFinancialChart(fin) {
+    const canvas = document.getElementById('fin-chart');
+    if (!canvas) return;
+    if (financialChart) { financialChart.destroy(); financialChart = null; }
+    if (!fin) return;
+    const net = [-fin.netCapex, ...fin.years.map(y => y.net)];
+    financialChart = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: net.map((_, year) => `Y${year}`),
+            datasets: [
+                { type: 'bar', label: 'Net cash flow (₹)', data: net, backgroundColor: net.map(v => (v >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)')) },
+                { type: 'line', label: 'Discounted cumulative (₹)', data: [-fin.netCapex, ...fin.years.map(y => y.cumulativeDiscounted)], borderColor: '#6366f1', borderWidth: 2, pointRadius: 0, tension: 0.2 }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: { legend: { labels: { color: '#9ca3af', font: { size: 9 } } } },
+            scales: {
+                x: { grid: { display: false }, ticks: { color: '#6b7280', font: { size: 8 }, maxTicksLimit: 13 } },
+                y: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280', font: { size: 8 } } }
+            }
+        }
+    });
+}
+
+// [label, value] rows shared by the CSV and PDF exports
+function getFinancialRows(fin) {
+    const { sizes, options, annual } = fin;
+    const inr = value => Math.round(value).toString();
+    return [
+        ['System', `${sizes.solar} kW PV, ${sizes.battery} kWh battery, ${sizes.inverter.toFixed(1)} kW inverter (${options.policy})`],
+        ['Assumptions', `${options.lifetimeYears} years, ${(options.discountRate * 100).toFixed(1)}% discount, tariff +${(options.tariffEscalation * 100).toFixed(1)}%/yr, ${fin.dates.length} representative days`],
+        ['Year-1 bill, no PV/battery (INR)', `${inr(annual.reference.bill)} (grid + genset` +
+            (Number.isFinite(annual.reference.dieselCost) ? `, diesel ${inr(annual.reference.dieselCost)})` : ')')],
+        ['CAPEX (INR)', inr(fin.capex)],
+        ['Subsidy (INR)', inr(fin.subsidy)],
+        ['Net CAPEX (INR)', inr(fin.netCapex)],
+        ['Year-1 savings (INR)', inr(fin.years[0].savings)],
+        ['NPV (INR)', inr(fin.npv)],
+        ['IRR', fin.irr === null ? 'n/a' : `${(fin.irr * 100).toFixed(1)}%`],
+        ['Simple payback', formatPayback(fin.simplePaybackYears)],
+        ['Discounted payback', formatPayback(fin.discountedPaybackYears)],
+        ['LCOE (INR/kWh)', fin.lcoe === null ? 'n/a' : fin.lcoe.toFixed(2)],
+        ['LCOS (INR/kWh)', fin.lcos === null ? 'n/a' : fin.lcos.toFixed(2)],
+        ['Battery replacements', fin.batteryReplacementYears.length ? `year ${fin.batteryReplacementYears.join(', ')}` : 'none']
+    ];
+}
+
+// ===== CONTINUOUS MULTI-DAY RUN =====
+function updateContinuousStatus() {
+    const status = document.getElementById('continuous-status');
+    if (!status) return;
+    status.textContent = simState.continuousMode ? 'ON' : 'OFF';
+    status.classList.toggle('active', simState.continuousMode);
+}
+
+function getDateLabelForSimDay(simDay) {
+    const dates = getAvailableDates();
+    if (!dataLoaded || dates.length === 0) return `Day ${simDay}`;
+    return dates[(simDay - 1) % dates.length];
+}
+
+// Runs N consecutive dataset days without animation; both strategies carry their own SOC overnight
+function runMultiDaySimulation() {
+    const count = simState.multiDayCount;
+    const config = buildCoreConfig();
+    const startSoc = getCarriedStartSoc() || { baseline: simState.soc, smart: simState.soc };
+    const simDays = Array.from({ length: count }, (_, i) => simState.currentDay + i);
+    const daysInputs = simDays.map(d => buildDayInputsForCurrentConfig(config, d));
+
+    const baseline = simulateDays(daysInputs, { ...config, initialSocPct: startSoc.baseline }, () => createBaselinePolicy());
+    const smart = simulateDays(daysInputs, { ...config, initialSocPct: startSoc.smart }, (dayInputs, dayConfig) => createSmartPolicy(dayInputs, dayConfig));
+    const policies = simulateComparePolicies(name => simulateDays(daysInputs, { ...config, initialSocPct: startSoc.smart }, getPolicyFactory(name)));
+
+    simState.multiDayRun = {
+        dates: simDays.map(getDateLabelForSimDay),
+        baseline,
+        smart,
+        policies
+    };
+    console.log(`📅 Continuous run over ${count} days: Baseline ₹${baseline.totals.cost.toFixed(2)}, Smart ₹${smart.totals.cost.toFixed(2)}`);
+    showMultiDayModal();
+}
+
+function showMultiDayModal() {
+    const run = simState.multiDayRun;
+    if (!run) return;
+    const modal = document.getElementById('multiday-modal');
+    const { baseline, smart, dates } = run;
+    const { optimal, mpc, ...userRuns } = run.policies || {};
+    const delta = baseline.totals.cost - smart.totals.cost;
+
+    document.getElementById('multiday-summary').innerHTML = `
+        <div class="study-stat"><span class="study-stat-label">Days</span><span class="study-stat-value">${dates.length}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Baseline Total</span><span class="study-stat-value">${formatCurrency(baseline.totals.cost)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Smart Total</span><span class="study-stat-value">${formatCurrency(smart.totals.cost)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Δ (Baseline - Smart)</span><span class="study-stat-value ${delta >= 0 ? 'positive' : 'negative'}">${formatCurrency(delta)}</span></div>
+        ${optimal ? `<div class="study-stat"><span class="study-stat-label">Optimal Total (DP)</span><span class="study-stat-value">${formatCurrency(optimal.totals.cost)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Smart Optimality</span><span class="study-stat-value">${formatOptimalityGap(baseline.totals.cost, smart.totals.cost, optimal.totals.cost)}</span></div>` : ''}
+        ${mpc ? `<div class="study-stat"><span class="study-stat-label">MPC Total (forecast)</span><span class="study-stat-value">${formatCurrency(mpc.totals.cost)}</span></div>` : ''}
+        ${optimal && mpc ? `<div class="study-stat"><span class="study-stat-label">MPC vs Perfect Foresight</span><span class="study-stat-value">${formatMpcShare(baseline.totals.cost, mpc.totals.cost, optimal.totals.cost)}</span></div>` : ''}
+        ${Object.entries(userRuns).map(([name, r]) => `<div class="study-stat"><span class="study-stat-label">${escapeHtml(getPolicyLabel(name))} Total</span><span class="study-stat-value">${formatCurrency(r.totals.cost)}</span></div>`).join('')}
+        <div class="study-stat"><span class="study-stat-label">Grid kWh (Base/Smart)</span><span class="study-stat-value">${baseline.totals.gridKwh.toFixed(0)} / ${smart.totals.gridKwh.toFixed(0)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Final SOC (Base/Smart)</span><span class="study-stat-value">${baseline.finalSocPct.toFixed(0)}% / ${smart.finalSocPct.toFixed(0)}%</span></div>
+        <div class="study-stat"><span class="study-stat-label">Peak Demand kW (Base/Smart)</span><span class="study-stat-value">${baseline.totals.peakImportKw.toFixed(1)} / ${smart.totals.peakImportKw.toFixed(1)}</span></div>
+        ${smart.months.filter((m, i) => m.demandCharge > 0 || baseline.months[i].demandCharge > 0).map((m, i) => `<div class="study-stat"><span class="study-stat-label">Demand Bill ${escapeHtml(m.month)} (Base/Smart)</span><span class="study-stat-value">${formatCurrency(baseline.months[i].demandCharge)} / ${formatCurrency(m.demandCharge)}</span></div>`).join('')}
+    `;
+
+    const rows = dates.map((date, i) => {
+        const b = baseline.days[i];
+        const sm = smart.days[i];
+        return `<tr>
+            <td>${date}</td>
+            <td>${b.initialSocPct.toFixed(0)}% → ${b.finalSocPct.toFixed(0)}%</td>
+            <td>₹${b.totals.cost.toFixed(1)}</td>
+            <td>${b.totals.gridKwh.toFixed(1)}</td>
+            <td>${sm.initialSocPct.toFixed(0)}% → ${sm.finalSocPct.toFixed(0)}%</td>
+            <td>₹${sm.totals.cost.toFixed(1)}</td>
+            <td>${sm.totals.gridKwh.toFixed(1)}</td>
+            <td>${b.totals.peakImportKw.toFixed(1)} / ${sm.totals.peakImportKw.toFixed(1)}</td>
+            <td>₹${(b.totals.cost - sm.totals.cost).toFixed(1)}</td>
+        </tr>`;
+    }).join('');
+    document.getElementById('multiday-table').innerHTML = `
+        <table class="study-table">
+            <thead><tr><th>Date</th><th>Base SOC</th><th>Base Cost</th><th>Base Grid kWh</th><th>Smart SOC</th><th>Smart Cost</th><th>Smart Grid kWh</th><th>Peak kW (B/S)</th><th>Δ</th></tr></thead>
+            <tbody>${rows}</tbody>
+            <tfoot><tr>
+                <td>TOTAL</td><td></td><td>₹${baseline.totals.cost.toFixed(1)}</td><td>${baseline.totals.gridKwh.toFixed(1)}</td>
+                <td></td><td>₹${smart.totals.cost.toFixed(1)}</td><td>${smart.totals.gridKwh.toFixed(1)}</td>
+                <td>${baseline.totals.peakImportKw.toFixed(1)} / ${smart.totals.peakImportKw.toFixed(1)}</td><td>₹${delta.toFixed(1)}</td>
+            </tr></tfoot>
+        </table>
+    `;
+
+    modal.style.display = 'flex';
+    renderMultiDayChart(run);
+}
+
+function renderMultiDayChart(run) {
+    const canvas = document.getElementById('multiday-chart');
+    if (!canvas) return;
+    const labels = [];
+    run.baseline.days.forEach((day, i) => {
+        day.hourly.forEach((h, step) => labels.push(step === 0 ? `${run.dates[i]} ${formatTime(h.hour)}` : formatTime(h.hour)));
+    });
+    const flatten = (days, pick) => days.flatMap(d => d.hourly.map(pick));
+
+    if (multiDayChart) multiDayChart.destroy();
+    multiDayChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                { label: 'Solar (kW)', data: flatten(run.baseline.days, h => h.solarGenKw), borderColor: '#fbbf24', backgroundColor: 'rgba(251, 191, 36, 0.15)', fill: true, tension: 0.3, borderWidth: 1.5, pointRadius: 0 },
+                { label: 'Load (kW)', data: flatten(run.baseline.days, h => h.loadKw), borderColor: '#ffffff', borderDash: [5, 5], tension: 0.3, borderWidth: 1, pointRadius: 0 },
+                { label: 'Baseline SOC (%)', data: flatten(run.baseline.days, h => h.socPct), borderColor: '#ef4444', yAxisID: 'y1', tension: 0.3, borderWidth: 2, pointRadius: 0 },
+                { label: 'Smart SOC (%)', data: flatten(run.smart.days, h => h.socPct), borderColor: '#10b981', yAxisID: 'y1', tension: 0.3, borderWidth: 2, pointRadius: 0 }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { intersect: false, mode: 'index' },
+            plugins: { legend: { labels: { color: '#9ca3af', font: { size: 10 } } } },
+            scales: {
+                x: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280', font: { size: 9 }, maxTicksLimit: 14 } },
+                y: { title: { display: true, text: 'Power (kW)', color: '#9ca3af' }, beginAtZero: true, grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280' } },
+                y1: { position: 'right', title: { display: true, text: 'SOC (%)', color: '#10b981' }, min: 0, max: 100, grid: { display: false }, ticks: { color: '#10b981' } }
+            }
+        }
+    });
+}
+
+// ===== FULL DATASET RUN =====
+// Days simulated per timer tick; MPC needs ~80 ms a day, so the page stays responsive
+const DATASET_CHUNK_DAYS = 7;
+const DATASET_MIX_SERIES = [
+    { key: 'solar', label: 'Solar', color: '#fbbf24' },
+    { key: 'wind', label: 'Wind', color: '#38bdf8' },
+    { key: 'battery', label: 'Battery', color: '#10b981' },
+    { key: 'grid', label: 'Grid', color: '#ef4444' },
+    { key: 'diesel', label: 'Diesel', color: '#a855f7' }
+];
+const DATASET_POLICY_COLORS = ['#ef4444', '#10b981', '#6366f1', '#f59e0b', '#38bdf8', '#ec4899', '#a3e635'];
+
+function setDatasetStatus(text, isError = false) {
+    const status = document.getElementById('dataset-status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+function getDatasetPolicyFactories() {
+    const factories = {
+        baseline: () => createBaselinePolicy(),
+        smart: (dayInputs, dayConfig) => createSmartPolicy(dayInputs, dayConfig)
+    };
+    getComparePolicies().forEach(name => { factories[name] = getPolicyFactory(name); });
+    return factories;
+}
+
+// Every dataset date back to back under every policy, SOC carried across days.
+// Runs in chunks of days between timer ticks; chunking carries finalSocPct, so the result
+// matches one continuous simulateDays run.
+async function runDatasetSimulation() {
+    const button = document.getElementById('btn-run-all-dates');
+    if (button.disabled) return;
+    const modal = document.getElementById('dataset-modal');
+    modal.style.display = 'flex';
+    if (!(CONFIG.USE_REAL_DATA && dataLoaded && simState.useRealData)) {
+        setDatasetStatus('Load the dataset (real data ON) to simulate all dates', true);
+        return;
+    }
+
+    button.disabled = true;
+    const started = performance.now();
+    const config = buildCoreConfig();
+    const simDays = getAvailableDates().map((_, i) => i + 1);
+    const dates = simDays.map(getDateLabelForSimDay);
+    const daysInputs = simDays.map(d => buildDayInputsForCurrentConfig(config, d));
+    const policies = {};
+    const failed = [];
+    try {
+        for (const [name, policyFactory] of Object.entries(getDatasetPolicyFactories())) {
+            const runDays = [];
+            let socPct = config.initialSocPct;
+            let importMonth = null;
+            try {
+                for (let first = 0; first < daysInputs.length; first += DATASET_CHUNK_DAYS) {
+                    setDatasetStatus(`Simulating ${getPolicyLabel(name)}: ${first}/${dates.length} days…`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    const run = simulateDays(daysInputs.slice(first, first + DATASET_CHUNK_DAYS), { ...config, initialSocPct: socPct }, policyFactory, { importMonth });
+                    runDays.push(...run.days);
+                    socPct = run.finalSocPct;
+                    importMonth = run.importMonth;
+                }
+                // Chunks split billing months: bill demand on each whole month's peak
+                settleMonthlyDemand(runDays, daysInputs, config);
+                policies[name] = summarizeDatasetRun(runDays.map((day, i) => summarizeSimulatedDay(day, dates[i], config.batteryCapacityKwh)));
+            } catch (error) {
+                console.error(`Policy "${name}" failed on the full dataset:`, error);
+                failed.push(`${getPolicyLabel(name)} (${error.message})`);
+            }
+        }
+    } finally {
+        button.disabled = false;
+    }
+
+    simState.datasetRun = { dates, policies, initialSocPct: config.initialSocPct };
+    setDatasetStatus(`${dates.length} dates × ${Object.keys(policies).length} policies in ${((performance.now() - started) / 1000).toFixed(1)} s` +
+        (failed.length ? ` · failed: ${failed.join(', ')}` : ''), failed.length > 0);
+    if (policies.baseline && policies.smart) {
+        console.log(`🗓️ Full dataset (${dates.length} dates): Baseline ₹${policies.baseline.totals.cost.toFixed(0)}, Smart ₹${policies.smart.totals.cost.toFixed(0)}`);
+    }
+    renderDatasetRun(simState.datasetRun);
+}
+
+function getSeasonLabel(name) {
+    return DATASET_SEASONS.find(season => season.name === name)?.label || name;
+}
+
+function formatMixShare(period, key) {
+    return `${(period.loadKwh > 0 ? period.mix[key] / period.loadKwh * 100 : 0).toFixed(0)}%`;
+}
+
+function renderDatasetPeriodTable(rows) {
+    return `
+        <table class="study-table">
+            <thead><tr><th>Period</th><th>Policy</th><th>Days</th><th>Cost</th><th>Load kWh</th>${DATASET_MIX_SERIES.map(s => `<th>${s.label}</th>`).join('')}<th>Diesel L</th><th>CO₂ kg</th><th>Cycles</th></tr></thead>
+            <tbody>${rows.map(({ label, name, period }) => `<tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${escapeHtml(getPolicyLabel(name))}</td>
+                <td>${period.days}</td>
+                <td>${formatCurrency(period.cost)}</td>
+                <td>${period.loadKwh.toFixed(0)}</td>
+                ${DATASET_MIX_SERIES.map(s => `<td>${formatMixShare(period, s.key)}</td>`).join('')}
+                <td>${period.dieselFuelL.toFixed(1)}</td>
+                <td>${period.co2Kg.toFixed(0)}</td>
+                <td>${period.batteryCycles.toFixed(1)}</td>
+            </tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+function renderDatasetRun(run) {
+    const entries = Object.entries(run.policies);
+    const baseline = run.policies.baseline;
+    document.getElementById('dataset-summary').innerHTML = `
+        <div class="study-stat"><span class="study-stat-label">Dates</span><span class="study-stat-value">${run.dates.length} (${escapeHtml(run.dates[0])} … ${escapeHtml(run.dates[run.dates.length - 1])})</span></div>
+        ${entries.map(([name, p]) => `<div class="study-stat"><span class="study-stat-label">${escapeHtml(getPolicyLabel(name))} Total</span><span class="study-stat-value">${formatCurrency(p.totals.cost)}</span></div>`).join('')}
+        ${baseline ? entries.filter(([name]) => name !== 'baseline').map(([name, p]) => {
+            const delta = baseline.totals.cost - p.totals.cost;
+            return `<div class="study-stat"><span class="study-stat-label">Δ (Baseline - ${escapeHtml(getPolicyLabel(name))})</span><span class="study-stat-value ${delta >= 0 ? 'positive' : 'negative'}">${formatCurrency(delta)}</span></div>`;
+        }).join('') : ''}
+        ${entries.map(([name, p]) => `<div class="study-stat"><span class="study-stat-label">${escapeHtml(getPolicyLabel(name))} Diesel / CO₂ / Cycles</span><span class="study-stat-value">${p.totals.dieselFuelL.toFixed(0)} L / ${p.totals.co2Kg.toFixed(0)} kg / ${p.totals.batteryCycles.toFixed(0)}</span></div>`).join('')}
+    `;
+
+    const select = document.getElementById('dataset-mix-policy');
+    const selected = run.policies[select.value] ? select.value : (run.policies.smart ? 'smart' : entries[0]?.[0]);
+    select.innerHTML = entries.map(([name]) => `<option value="${escapeHtml(name)}">${escapeHtml(getPolicyLabel(name))}</option>`).join('');
+    if (selected) select.value = selected;
+
+    const months = entries.flatMap(([name, p]) => p.months.map(period => ({ label: period.period, name, period })));
+    const seasons = entries.flatMap(([name, p]) => p.seasons.map(period => ({ label: getSeasonLabel(period.period), name, period })));
+    document.getElementById('dataset-months').innerHTML = renderDatasetPeriodTable(months);
+    document.getElementById('dataset-seasons').innerHTML = renderDatasetPeriodTable(seasons);
+    renderDatasetCharts(run);
+}
+
+function renderDatasetCharts(run) {
+    const entries = Object.entries(run.policies);
+    if (entries.length === 0) return;
+    const monthLabels = entries[0][1].months.map(m => m.period);
+    const axis = text => ({ title: { display: true, text, color: '#9ca3af' }, beginAtZero: true, grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280' } });
+    const options = (yTitle, stacked = false) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { labels: { color: '#9ca3af', font: { size: 10 } } } },
+        scales: {
+            x: { stacked, grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280', font: { size: 9 } } },
+            y: { stacked, ...axis(yTitle) }
+        }
+    });
+
+    if (datasetCostChart) datasetCostChart.destroy();
+    datasetCostChart = new Chart(document.getElementById('dataset-cost-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: monthLabels,
+            datasets: entries.map(([name, p], i) => ({
+                label: getPolicyLabel(name),
+                data: p.months.map(m => m.cost),
+                backgroundColor: DATASET_POLICY_COLORS[i % DATASET_POLICY_COLORS.length]
+            }))
+        },
+        options: options('Monthly cost (₹)')
+    });
+
+    const mixRun = run.policies[document.getElementById('dataset-mix-policy').value] || entries[0][1];
+    if (datasetMixChart) datasetMixChart.destroy();
+    datasetMixChart = new Chart(document.getElementById('dataset-mix-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: [...mixRun.months.map(m => m.period), ...mixRun.seasons.map(s => getSeasonLabel(s.period))],
+            datasets: DATASET_MIX_SERIES.map(series => ({
+                label: `${series.label} → Load`,
+                data: [...mixRun.months, ...mixRun.seasons].map(p => p.mix[series.key]),
+                backgroundColor: series.color
+            }))
+        },
+        options: options('Energy served (kWh)', true)
+    });
+}
+
+// Month / season rows shared by the CSV and PDF reports
+function getDatasetPeriodRows(run) {
+    return Object.entries(run.policies).flatMap(([name, p]) => [
+        ...p.months.map(period => ({ kind: 'Month', label: period.period, name, period })),
+        ...p.seasons.map(period => ({ kind: 'Season', label: getSeasonLabel(period.period), name, period })),
+        { kind: 'Total', label: `${run.dates[0]}..${run.dates[run.dates.length - 1]}`, name, period: p.totals }
+    ]);
+}
+
+function showAchievementsModal() {
+    const modal = document.getElementById('achievements-modal');
+    const grid = document.getElementById('achievements-grid');
+    grid.innerHTML = '';
+    simState.achievements.forEach(ach => {
+        const item = document.createElement('div');
+        item.className = 'achievement-item' + (ach.unlocked ? ' unlocked' : '');
+        item.innerHTML = `<div class="ach-icon"><i class="fas fa-${ach.icon}"></i></div><div class="ach-info"><div class="ach-name">${ach.name}</div><div class="ach-desc">${ach.desc}</div></div>${ach.unlocked ? '<i class="fas fa-check ach-check"></i>' : ''}`;
+        grid.appendChild(item);
+    });
+    modal.style.display = 'flex';
+}
+
+// ===== DATASET FORECAST ACCURACY =====
+// Predicted vs measured solar / wind columns of the loaded dataset (dataset units, not the simulated system)
+const FORECAST_BIAS_COLOR = '#ef4444';
+
+function setForecastAccuracyStatus(text, isError = false) {
+    const status = document.getElementById('forecast-accuracy-status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+function showForecastAccuracyModal() {
+    document.getElementById('forecast-accuracy-modal').style.display = 'flex';
+    if (!dataLoaded || realEnergyData.length === 0) {
+        setForecastAccuracyStatus('Load the dataset to analyse its predicted columns', true);
+        return;
+    }
+    // Recomputed on open: ~0.1 s for the bundled dataset
+    const started = performance.now();
+    simState.forecastAccuracy = analyzeDatasetForecasts(realEnergyData);
+    const a = simState.forecastAccuracy;
+    setForecastAccuracyStatus(`${a.samples} records over ${a.dates} dates in ${Math.round(performance.now() - started)} ms · error = predicted − actual; ` +
+        'skill = 1 − MSE / MSE of same-time-yesterday persistence');
+    renderForecastAccuracy();
+}
+
+function formatAccuracyValue(value, digits = 2, suffix = '') {
+    return value === null ? '—' : value.toFixed(digits) + suffix;
+}
+
+function renderForecastAccuracyTable(rows, firstColumn) {
+    return `
+        <table class="study-table">
+            <thead><tr><th>${escapeHtml(firstColumn)}</th><th>Samples</th><th>Actual</th><th>Predicted</th><th>MAE</th><th>RMSE</th><th>Bias</th><th>MAPE</th><th>Skill</th></tr></thead>
+            <tbody>${rows.map(({ label, stats: s }) => `<tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${s.n}</td>
+                <td>${formatAccuracyValue(s.actualMean)}</td>
+                <td>${formatAccuracyValue(s.predictedMean)}</td>
+                <td>${formatAccuracyValue(s.mae)}</td>
+                <td>${formatAccuracyValue(s.rmse)}</td>
+                <td class="${s.bias > 0 ? 'positive' : 'negative'}">${formatAccuracyValue(s.bias)}</td>
+                <td>${formatAccuracyValue(s.mape, 1, '%')}</td>
+                <td>${formatAccuracyValue(s.skill, 3)}</td>
+            </tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+// Weather-band rows of one series, shared by the modal and the PDF
+function getForecastWeatherRows(series) {
+    return Object.entries(FORECAST_WEATHER_BANDS).flatMap(([field, band]) =>
+        series.byWeather[field].map(row => ({ label: `${band.label} ${row.period} ${band.unit}`, stats: row })));
+}
+
+function renderForecastAccuracy() {
+    const a = simState.forecastAccuracy;
+    const select = document.getElementById('forecast-accuracy-series');
+    const series = a?.series[select.value];
+    if (!series) return;
+    const o = series.overall;
+    const worstHour = series.byHour.filter(h => h.n > 0).reduce((w, h) => (Math.abs(h.bias) > Math.abs(w.bias) ? h : w));
+    document.getElementById('forecast-accuracy-summary').innerHTML = `
+        <div class="study-stat"><span class="study-stat-label">MAE / RMSE</span><span class="study-stat-value">${formatAccuracyValue(o.mae)} / ${formatAccuracyValue(o.rmse)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Bias</span><span class="study-stat-value">${formatAccuracyValue(o.bias)} (${o.bias >= 0 ? 'over' : 'under'}-forecast)</span></div>
+        <div class="study-stat"><span class="study-stat-label">MAPE</span><span class="study-stat-value">${formatAccuracyValue(o.mape, 1, '%')}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Skill vs Persistence</span><span class="study-stat-value ${o.skill > 0 ? 'positive' : 'negative'}">${formatAccuracyValue(o.skill, 3)}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Error P10 / P50 / P90</span><span class="study-stat-value">${[series.distribution.p10, series.distribution.p50, series.distribution.p90].map(v => v.toFixed(2)).join(' / ')}</span></div>
+        <div class="study-stat"><span class="study-stat-label">Largest Hourly Bias</span><span class="study-stat-value">${formatTime(worstHour.period)} (${formatAccuracyValue(worstHour.bias)})</span></div>
+    `;
+    document.getElementById('forecast-accuracy-weather').innerHTML = renderForecastAccuracyTable(getForecastWeatherRows(series), 'Band');
+    document.getElementById('forecast-accuracy-months').innerHTML = renderForecastAccuracyTable(series.byMonth.map(m => ({ label: m.period, stats: m })), 'Month');
+    renderForecastAccuracyCharts(series);
+}
+
+function renderForecastAccuracyCharts(series) {
+    const axis = text => ({ title: { display: true, text, color: '#9ca3af' }, grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#6b7280' } });
+    const options = (xTitle, yTitle) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { labels: { color: '#9ca3af', font: { size: 10 } } } },
+        scales: {
+            x: { ...axis(xTitle), ticks: { color: '#6b7280', font: { size: 9 } } },
+            y: axis(yTitle)
+        }
+    });
+
+    if (forecastHourChart) forecastHourChart.destroy();
+    forecastHourChart = new Chart(document.getElementById('forecast-hour-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: series.byHour.map(h => formatTime(h.period)),
+            datasets: [
+                { label: 'MAE', data: series.byHour.map(h => h.mae), backgroundColor: '#6366f1' },
+                { label: 'Bias', data: series.byHour.map(h => h.bias), backgroundColor: FORECAST_BIAS_COLOR }
+            ]
+        },
+        options: options('Hour of day', `${series.label} error`)
+    });
+
+    if (forecastDayChart) forecastDayChart.destroy();
+    forecastDayChart = new Chart(document.getElementById('forecast-day-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: series.byDay.map(d => d.period),
+            datasets: [
+                { label: 'Actual (daily mean)', data: series.byDay.map(d => d.actualMean), borderColor: '#fbbf24', pointRadius: 0, borderWidth: 1.5 },
+                { label: 'Predicted (daily mean)', data: series.byDay.map(d => d.predictedMean), borderColor: '#38bdf8', pointRadius: 0, borderWidth: 1.5 },
+                { label: 'MAE', data: series.byDay.map(d => d.mae), borderColor: '#6366f1', pointRadius: 0, borderWidth: 1, borderDash: [4, 3] }
+            ]
+        },
+        options: options('Date', series.label)
+    });
+
+    const { edges, counts } = series.distribution;
+    if (forecastDistChart) forecastDistChart.destroy();
+    forecastDistChart = new Chart(document.getElementById('forecast-dist-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: counts.map((_, i) => ((edges[i] + edges[i + 1]) / 2).toFixed(1)),
+            datasets: [{ label: 'Records', data: counts, backgroundColor: edges.slice(0, -1).map((lo, i) => (lo + edges[i + 1] > 0 ? FORECAST_BIAS_COLOR : '#10b981')) }]
+        },
+        options: options('Error (predicted − actual)', 'Records')
+    });
+}
+
+// Every breakdown of both series; also appended to the simulation CSV once analysed
+function getForecastAccuracyCsv(a) {
+    const stats = s => [s.n, ...['actualMean', 'predictedMean', 'mae', 'rmse', 'bias'].map(k => (s[k] === null ? '' : s[k].toFixed(4))),
+        s.mape === null ? '' : s.mape.toFixed(2), s.skill === null ? '' : s.skill.toFixed(4)].join(',');
+    let csv = '--- DATASET FORECAST ACCURACY ---\n';
+    csv += `Records,${a.samples} over ${a.dates} dates; error = predicted - actual (dataset units); skill vs 24 h persistence\n`;
+    csv += 'Series,Breakdown,Period,Samples,Actual_mean,Predicted_mean,MAE,RMSE,Bias,MAPE_%,Skill\n';
+    Object.values(a.series).forEach(series => {
+        const row = (kind, period, s) => { csv += `${series.label},${kind},${period},${stats(s)}\n`; };
+        row('Overall', 'all', series.overall);
+        series.byHour.forEach(h => row('Hour', formatTime(h.period), h));
+        series.byMonth.forEach(m => row('Month', m.period, m));
+        series.byDay.forEach(d => row('Date', d.period, d));
+        Object.entries(FORECAST_WEATHER_BANDS).forEach(([field, band]) => series.byWeather[field].forEach(b => row(band.label, `${b.period} ${band.unit}`, b)));
+    });
+    csv += 'Series,ErrorFrom,ErrorTo,Records\n';
+    Object.values(a.series).forEach(series => {
+        const { edges, counts } = series.distribution;
+        counts.forEach((count, i) => { csv += `${series.label},${edges[i].toFixed(3)},${edges[i + 1].toFixed(3)},${count}\n`; });
+    });
+    return csv;
+}
+
+function exportForecastAccuracy() {
+    if (!simState.forecastAccuracy) return;
+    const blob = new Blob([getForecastAccuracyCsv(simState.forecastAccuracy)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `MicroGrid_ForecastAccuracy_${new Date().toISOString().slice(0,10)}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// ===== DAY NAVIGATION =====
+function loadDayData(dayNum) {
+    const day = simState.days[dayNum];
+    if (!day) return;
+    document.getElementById('current-day-label').textContent = dayNum;
+    simState.viewDay = dayNum;
+    const dayTimestep = day.config?.timestepMinutes || (dayNum === simState.currentDay ? simState.timestepMinutes : 60);
+    setTimeResolution(dayTimestep);
+    updateOutageDisplay(day);
+    updateTariffTimeline(day);
+    updateForecastErrors(day);
+    updateGridServicesValue(day);
+    updateDemandResponseStatus(day);
+    
+    if (!day.hourly.length) {
+        if (mainChart) { mainChart.data.datasets.forEach(d => d.data = []); mainChart.update(); }
+        document.getElementById('hud-cost').textContent = '₹0';
+        document.getElementById('sim-clock').textContent = '00:00';
+        document.getElementById('persistent-results').style.display = 'none';
+        return;
+    }
+    
+    if (mainChart) {
+        mainChart.data.datasets[0].data = day.hourly.map(h => h.solar);
+        mainChart.data.datasets[1].data = day.hourly.map(h => h.load);
+        mainChart.data.datasets[2].data = day.hourly.map(h => h.grid + h.diesel);
+        mainChart.data.datasets[3].data = day.hourly.map(h => h.battery);
         mainChart.data.datasets[4].data = day.hourly.map(h => h.soc);
+        mainChart.data.datasets[5].data = day.hourly.map(h => h.curtailed ?? 0);
+        mainChart.data.datasets[6].data = day.hourly.map(h => h.wind ?? 0);
         mainChart.update();
+        updateMonteCarloBands(day);
     }
     
     document.getElementById('hud-cost').textContent = formatCurrency(day.cost);
@@ -2022,19 +4050,26 @@ function loadDayData(dayNum) {
     document.getElementById('val-soc').textContent = Math.round(last.soc) + '%';
     
     updateComparisonBars(day);
+    updateEcoMetrics(day);
+    updateMonteCarloPanel(day);
     
     document.getElementById('tab-solar-kw').textContent = last.solar.toFixed(1) + ' kW';
+    document.getElementById('tab-wind-kw').textContent = (last.wind || 0).toFixed(1) + ' kW';
     document.getElementById('tab-load-kw').textContent = last.load.toFixed(1) + ' kW';
     document.getElementById('tab-batt-kw').textContent = Math.abs(last.battery).toFixed(1) + ' kW';
     document.getElementById('tab-grid-kw').textContent = last.grid.toFixed(1) + ' kW';
     document.getElementById('tab-diesel-kw').textContent = last.diesel.toFixed(1) + ' kW';
+    document.getElementById('tab-export-kw').textContent = (last.export || 0).toFixed(1) + ' kW';
     document.getElementById('tab-solar-kwh').textContent = day.solarKwh.toFixed(1) + ' kWh';
-    document.getElementById('tab-load-kwh').textContent = day.hourly.reduce((a, b) => a + b.load, 0).toFixed(1) + ' kWh';
+    document.getElementById('tab-wind-kwh').textContent = (day.windKwh || 0).toFixed(1) + ' kWh';
+    document.getElementById('tab-load-kwh').textContent = sumEnergyKwh(day.hourly, h => h.load).toFixed(1) + ' kWh';
     document.getElementById('tab-batt-kwh').textContent = day.batteryKwh.toFixed(1) + ' kWh';
     document.getElementById('tab-grid-kwh').textContent = day.gridKwh.toFixed(1) + ' kWh';
     document.getElementById('tab-diesel-kwh').textContent = day.dieselKwh.toFixed(1) + ' kWh';
+    document.getElementById('tab-export-kwh').textContent = (day.exportKwh || 0).toFixed(1) + ' kWh';
+    updateAuditLedger(day);
     
-    if (day.hourly.length >= 24 && day.config) {
+    if (day.hourly.length >= getStepsPerDay(dayTimestep) && day.config) {
         document.getElementById('persistent-results').style.display = 'block';
         showResultsForDay(day);
     } else {
@@ -2053,11 +4088,16 @@ function showResultsForDay(day) {
     document.getElementById('res-cfg-weather').textContent = cfg.weather.toUpperCase();
     document.getElementById('res-cfg-grid-cost').textContent = '₹' + cfg.gridCost;
     document.getElementById('res-cost-val').textContent = formatCurrency(day.cost);
-    const totalLoad = day.hourly.reduce((a, b) => a + b.load, 0);
+    const totalLoad = sumEnergyKwh(day.hourly, h => h.load);
     const solarYield = totalLoad > 0 ? Math.round((day.solarKwh / totalLoad) * 100) : 0;
     document.getElementById('res-solar-val').textContent = solarYield + '%';
     document.getElementById('res-grid-val').textContent = Math.round(day.gridKwh) + ' kWh';
-    document.getElementById('res-diesel-val').textContent = Math.round(day.dieselKwh) + ' kWh';
+    document.getElementById('res-diesel-val').textContent = formatDieselResult(day);
+    document.getElementById('res-export-val').textContent = formatExportResult(day);
+    document.getElementById('res-curtail-val').textContent = formatCurtailmentResult(day);
+    document.getElementById('res-reliability-val').textContent = formatReliabilityResult(day);
+    document.getElementById('res-demand-val').textContent = formatDemandResult(day);
+    document.getElementById('res-pv-val').textContent = formatPvResult(day);
     document.getElementById('res-co2-val').textContent = day.co2Saved.toFixed(1) + ' kg';
     const deltaCost = (baselineTotalCost !== undefined && smartTotalCost !== undefined)
         ? (baselineTotalCost - smartTotalCost)
@@ -2243,7 +4283,7 @@ async function downloadReport() {
     
     // ===== INPUT CONFIGURATION SECTION =====
     doc.setFillColor(30, 41, 59);
-    doc.roundedRect(10, y, 190, 45, 3, 3, 'F');
+    doc.roundedRect(10, y, 190, 55, 3, 3, 'F');
     
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(99, 102, 241);
@@ -2255,20 +4295,29 @@ async function downloadReport() {
     doc.setFontSize(11);
     
     // Left column
-    doc.text(`Solar Capacity: ${cfg.solarCap || simState.solarCap} kW`, 20, y + 22);
+    doc.text(`Solar Capacity: ${cfg.solarCap || simState.solarCap} kW` + (cfg.windCap ? ` + ${cfg.windCap} kW wind` : ''), 20, y + 22);
     doc.text(`Battery Capacity: ${cfg.battCap || simState.battCap} kWh`, 20, y + 32);
-    doc.text(`Initial SOC: 50%`, 20, y + 42);
+    const startSoc = currentDay?.sim?.configSnapshot?.startSoc;
+    doc.text(startSoc ? `Initial SOC: ${startSoc.baseline.toFixed(0)}% / ${startSoc.smart.toFixed(0)}% (B/S)` : `Initial SOC: 50%`, 20, y + 42);
     
     // Right column
-    doc.text(`Grid Cost: ₹${cfg.gridCost || simState.gridCost}/kWh`, 110, y + 22);
+    const tariffLabel = currentDay?.sim?.configSnapshot?.tariffLabel;
+    doc.text(`Grid Cost: ₹${cfg.gridCost || simState.gridCost}/kWh` + (tariffLabel ? ` (${tariffLabel.slice(0, 24)})` : ''), 110, y + 22);
     doc.text(`Weather: ${(cfg.weather || simState.weather).toUpperCase()}`, 110, y + 32);
     doc.text(`Mode: ${cfg.isSmart ? 'SMART SCHEDULER' : 'BASELINE'}`, 110, y + 42);
+    const exportCfg = currentDay?.sim?.configSnapshot || simState;
+    doc.text(`Grid Export: ${CONFIG.EXPORT_MODE_LABELS[exportCfg.exportMode]}` +
+        (exportCfg.exportMode === 'none' ? '' : ` (FiT ₹${exportCfg.feedInTariff}/kWh, cap ${exportCfg.exportLimitKw} kW)`), 20, y + 52);
+    doc.text(`Outages: ${CONFIG.OUTAGE_MODE_LABELS[exportCfg.outageMode || 'none']}`, 110, y + 52);
     
-    y += 55;
+    y += 65;
     
     // ===== OUTPUT RESULTS SECTION =====
+    // One more row for the battery's stacked value when it offered grid services, and one for demand-response events
+    const servicesRow = currentDay?.sim?.configSnapshot?.gridServices ? 8 : 0;
+    const drRow = currentDay?.sim?.smart?.demandResponse?.length ? 8 : 0;
     doc.setFillColor(30, 41, 59);
-    doc.roundedRect(10, y, 190, 65, 3, 3, 'F');
+    doc.roundedRect(10, y, 190, 125 + servicesRow + drRow, 3, 3, 'F');
     
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(16, 185, 129);
@@ -2292,17 +4341,74 @@ async function downloadReport() {
     doc.text(`Smart Total (24h): ₹${smartCost !== undefined ? Math.round(smartCost) : 'N/A'}`, 20, y + 45);
     doc.setTextColor(16, 185, 129);
     doc.text(`Δ (Baseline - Smart): ${deltaCost === undefined ? 'N/A' : `₹${Math.round(deltaCost)} (${deltaPercent}%)`}`, 20, y + 55);
+    const optimalCost = currentDay?.sim?.policies?.optimal?.totals?.cost;
+    if (optimalCost !== undefined && baselineCost !== undefined && smartCost !== undefined) {
+        doc.setTextColor(129, 140, 248);
+        doc.text(`Optimal (DP): ₹${Math.round(optimalCost)} · ${formatOptimalityGap(baselineCost, smartCost, optimalCost)}`, 20, y + 65);
+    }
     
     doc.setTextColor(255, 255, 255);
-    doc.text(`Solar Generated: ${currentDay.solarKwh.toFixed(1)} kWh`, 110, y + 25);
+    doc.text(`Solar Generated: ${currentDay.solarKwh.toFixed(1)} kWh` + (currentDay.windKwh ? ` · Wind: ${currentDay.windKwh.toFixed(1)} kWh` : ''), 110, y + 25);
     doc.text(`Grid Used: ${currentDay.gridKwh.toFixed(1)} kWh`, 110, y + 35);
     doc.text(`Battery Throughput: ${currentDay.batteryKwh.toFixed(1)} kWh`, 110, y + 45);
+    doc.text(`Grid Exported: ${(currentDay.exportKwh || 0).toFixed(1)} kWh (credit ₹${Math.round(currentDay.exportRevenue || 0)})`, 110, y + 55);
+    doc.text(`Solar Curtailed: ${(currentDay.curtailedKwh || 0).toFixed(1)} kWh (${(getCurtailmentRatio(currentDay) * 100).toFixed(1)}% of PV)`, 110, y + 65);
+    doc.text(`Reliability: ${currentDay.outageHours ? `${(currentDay.outageSurvivedHours || 0).toFixed(1)} of ${currentDay.outageHours.toFixed(1)} outage h survived, ` +
+        `${(currentDay.unservedKwh || 0).toFixed(1)} kWh unserved` : 'no grid outages'}`, 20, y + 75);
+    doc.text(`Diesel Genset: ${(currentDay.dieselKwh || 0).toFixed(1)} kWh, ${currentDay.dieselStarts || 0} starts, ${(currentDay.dieselRunHours || 0).toFixed(1)} run-h, ` +
+        `${(currentDay.dieselFuelL || 0).toFixed(1)} L fuel (₹${Math.round(currentDay.dieselCost || 0)})`, 20, y + 85);
+    const pvCfg = currentDay?.sim?.configSnapshot;
+    doc.text(pvCfg?.pvModel === 'physics'
+        ? `PV Model: physics (${pvCfg.pvCellTempModel.toUpperCase()}, ${(pvCfg.pvTempCoeff * 100).toFixed(2)}%/°C, ${Math.round(pvCfg.pvSystemLosses * 100)}% losses, DC/AC ${pvCfg.dcAcRatio}); ` +
+          `heat derating ${(currentDay.pvTempLossKwh || 0).toFixed(1)} kWh, clipping ${(currentDay.pvClippedKwh || 0).toFixed(1)} kWh`
+        : 'PV Model: dataset output scaled to capacity', 20, y + 95);
+    const mpcCost = currentDay?.sim?.policies?.mpc?.totals?.cost;
+    if (mpcCost !== undefined && optimalCost !== undefined && baselineCost !== undefined) {
+        const mpcGap = computeOptimalityGap(baselineCost, mpcCost, optimalCost);
+        doc.setTextColor(251, 191, 36);
+        doc.text(`MPC (forecast-driven): ₹${Math.round(mpcCost)}, ₹${Math.round(mpcGap.gapCost)} above perfect foresight` +
+            (mpcGap.capturedShare === null ? '' : `; keeps ${(mpcGap.capturedShare * 100).toFixed(1)}% of its savings`) +
+            (mpcGap.bounded ? '' : '; DP benchmark not a bound'), 20, y + 105);
+        doc.setTextColor(255, 255, 255);
+    }
+    const month = getMonthlyDemand(currentDay);
+    doc.text(`Peak Demand: ${(currentDay.peakImportKw || 0).toFixed(1)} kW (Base ${(currentDay.sim?.baseline?.totals?.peakImportKw ?? 0).toFixed(1)} / Smart ${(currentDay.sim?.smart?.totals?.peakImportKw ?? 0).toFixed(1)} kW)` +
+        (month && month.demandCharge > 0 ? `; month ${month.peakImportKw.toFixed(1)} kW, demand bill ₹${Math.round(month.demandCharge)}` : ''), 20, y + 115);
+    const dayForecast = currentDay?.sim?.forecast;
+    if (dayForecast) {
+        doc.setFontSize(9);
+        doc.text(`Forecast (${FORECAST_MODEL_LABELS[dayForecast.model]}): load MAE ${dayForecast.load.mae.toFixed(2)} kW, RMSE ${dayForecast.load.rmse.toFixed(2)} kW` +
+            `${dayForecast.load.mape === null ? '' : `, MAPE ${dayForecast.load.mape.toFixed(0)}%`}; solar MAE ${dayForecast.solar.mae.toFixed(2)} kW, ` +
+            `RMSE ${dayForecast.solar.rmse.toFixed(2)} kW${dayForecast.solar.mape === null ? '' : `, MAPE ${dayForecast.solar.mape.toFixed(0)}%`}`, 20, y + 123);
+        doc.setFontSize(11);
+    }
+    if (servicesRow) {
+        const stacked = stackBatteryValue(currentDay.sim.baseline.totals, currentDay.sim.smart.totals);
+        const snapCfg = currentDay.sim.configSnapshot;
+        doc.setFontSize(9);
+        doc.setTextColor(34, 211, 238);
+        doc.text(`Grid Services (${snapCfg.serviceReservePct}% reserve, ${CONFIG.VOLTAGE_SUPPORT_LABELS[snapCfg.voltageSupport]}): smart battery arbitrage INR ${Math.round(stacked.arbitrage)} + ` +
+            `services INR ${Math.round(stacked.services)} (reserve ${Math.round(stacked.availability)}, response ${Math.round(stacked.energy)}, reactive ${Math.round(stacked.reactive)}) = INR ${Math.round(stacked.total)}`, 20, y + 131);
+        doc.setTextColor(255, 255, 255);
+        doc.setFontSize(11);
+    }
     
-    y += 75;
+    if (drRow) {
+        const b = currentDay.sim.baseline.totals;
+        const sm = currentDay.sim.smart.totals;
+        doc.setFontSize(9);
+        doc.setTextColor(244, 114, 182);
+        doc.text(`Demand Response (${currentDay.sim.smart.demandResponse.map(formatDrEventWindow).join(', ')}): compliance Base ${(b.drCompliance * 100).toFixed(0)}% / Smart ${(sm.drCompliance * 100).toFixed(0)}%, ` +
+            `incentive - penalty INR ${Math.round(b.drIncentive - b.drPenalty)} / INR ${Math.round(sm.drIncentive - sm.drPenalty)}, ${sm.drDeferredKwh.toFixed(1)} kWh appliances deferred`, 20, y + 131 + servicesRow);
+        doc.setTextColor(255, 255, 255);
+        doc.setFontSize(11);
+    }
+    
+    y += 135 + servicesRow + drRow;
     
     // ===== ENVIRONMENTAL IMPACT =====
     doc.setFillColor(30, 41, 59);
-    doc.roundedRect(10, y, 190, 30, 3, 3, 'F');
+    doc.roundedRect(10, y, 190, 46, 3, 3, 'F');
     
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(251, 191, 36);
@@ -2319,14 +4425,46 @@ async function downloadReport() {
     doc.text(`CO₂ Saved: ${currentDay.co2Saved.toFixed(1)} kg`, 20, y + 22);
     doc.text(`Trees Equivalent: ${treesEquiv} trees/day`, 80, y + 22);
     doc.text(`Car km Avoided: ${kmSaved} km`, 150, y + 22);
+
+    // Baseline vs smart on the average and marginal grid factors (full day)
+    const daySim = currentDay.sim;
+    if (daySim?.baseline && daySim?.smart) {
+        const avgCo2 = compareGridEmissions(daySim.baseline.totals, daySim.smart.totals, 'average');
+        const margCo2 = compareGridEmissions(daySim.baseline.totals, daySim.smart.totals, 'marginal');
+        doc.setFontSize(9);
+        const carbonSnap = daySim.configSnapshot || {};
+        doc.text(`Grid CO₂: ${(carbonSnap.gridEmissionsLabel ?? 'Constant').slice(0, 32)}${carbonSnap.carbonPricePerKg > 0 ? ` · carbon price ₹${carbonSnap.carbonPricePerKg}/kg` : ''} · ` +
+            `Δ (B−S) average ${avgCo2.deltaKg.toFixed(1)} kg, marginal ${margCo2.deltaKg.toFixed(1)} kg`, 20, y + 32);
+        doc.text(`Marginal Δ: import volume ${margCo2.volumeKg.toFixed(1)} · import timing ${margCo2.timingKg.toFixed(1)} · diesel ${margCo2.dieselKg.toFixed(1)} kg · ` +
+            `imports at ${(margCo2.baselineIntensity * 1000).toFixed(0)} / ${(margCo2.importIntensity * 1000).toFixed(0)} g/kWh (B/S)`, 20, y + 40);
+    }
     
-    y += 40;
+    y += 55;
+
+    // ===== ENERGY AUDIT =====
+    const audits = getAuditSummaries(daySim);
+    if (audits.length > 0) {
+        const auditViolations = audits.flatMap(([label, a]) => a.violations.map(v => `${label} ${formatTime(v.hour)} ${v.check}: ${v.detail}`));
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(11);
+        doc.text('ENERGY BALANCE AUDIT', 15, y);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text('Every interval: sources = sinks + battery losses + curtailment; SOC bounds, C-rate and grid limits.', 15, y + 6);
+        doc.text(audits.map(([label, a]) => `${label} ${a.cleanIntervals}/${a.intervals} clean, losses ${(a.losses.charge + a.losses.discharge).toFixed(2)} kWh`).join(' · ').slice(0, 150), 15, y + 11);
+        auditViolations.slice(0, 3).forEach((line, i) => doc.text(line.slice(0, 120), 15, y + 16 + i * 5));
+        if (auditViolations.length > 3) doc.text(`+${auditViolations.length - 3} more violation(s) in the CSV export`, 15, y + 31);
+        y += 20 + Math.min(auditViolations.length, 4) * 5;
+    }
     
     // ===== HOURLY DATA TABLE =====
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(99, 102, 241);
     doc.setFontSize(14);
-    doc.text('HOURLY SIMULATION DATA', 15, y);
+    const reportTimestep = cfg.timestepMinutes || 60;
+    doc.text(reportTimestep === 60 ? 'HOURLY SIMULATION DATA' : `${reportTimestep}-MINUTE SIMULATION DATA`, 15, y);
     
     y += 5;
     
@@ -2336,6 +4474,7 @@ async function downloadReport() {
         h.solar.toFixed(1),
         h.load.toFixed(1),
         h.grid.toFixed(1),
+        (h.export ?? 0).toFixed(1),
         h.diesel.toFixed(1),
         h.soc.toFixed(0) + '%',
         `₹${(h.baselineCost ?? 0).toFixed(1)}`,
@@ -2344,7 +4483,7 @@ async function downloadReport() {
     
     doc.autoTable({
         startY: y,
-        head: [['Time', 'Solar kW', 'Load kW', 'Grid kW', 'Diesel kW', 'SOC', 'Base Cost', 'Smart Cost']],
+        head: [['Time', 'Solar kW', 'Load kW', 'Grid kW', 'Export kW', 'Diesel kW', 'SOC', 'Base Cost', 'Smart Cost']],
         body: hourlyTableData,
         theme: 'grid',
         headStyles: { 
@@ -2365,14 +4504,15 @@ async function downloadReport() {
             fillColor: [17, 24, 39]
         },
         columnStyles: {
-            0: { cellWidth: 18 },
-            1: { cellWidth: 22 },
-            2: { cellWidth: 22 },
-            3: { cellWidth: 22 },
-            4: { cellWidth: 22 },
-            5: { cellWidth: 18 },
-            6: { cellWidth: 24 },
-            7: { cellWidth: 24 }
+            0: { cellWidth: 16 },
+            1: { cellWidth: 20 },
+            2: { cellWidth: 20 },
+            3: { cellWidth: 20 },
+            4: { cellWidth: 20 },
+            5: { cellWidth: 20 },
+            6: { cellWidth: 16 },
+            7: { cellWidth: 22 },
+            8: { cellWidth: 22 }
         }
     });
     
@@ -2423,12 +4563,14 @@ async function downloadReport() {
     const peakCostSmart = peakHours.reduce((a, b) => a + (b.smartCost ?? 0), 0);
     const offPeakCostBase = offPeakHours.reduce((a, b) => a + (b.baselineCost ?? 0), 0);
     const offPeakCostSmart = offPeakHours.reduce((a, b) => a + (b.smartCost ?? 0), 0);
-    const peakGridUsage = peakHours.reduce((a, b) => a + b.grid, 0);
-    const peakBatteryUsage = peakHours.reduce((a, b) => a + (b.battery > 0 ? b.battery : 0), 0);
+    const peakGridUsage = sumEnergyKwh(peakHours, h => h.grid);
+    const peakBatteryUsage = sumEnergyKwh(peakHours, h => Math.max(0, h.battery));
+    const peakDuration = sumEnergyKwh(peakHours, () => 1);
+    const offPeakDuration = sumEnergyKwh(offPeakHours, () => 1);
     
     doc.text(`Solar Efficiency: ${solarEfficiency}% of load met by solar`, 20, y + 25);
-    doc.text(`Peak Cost (Base/Smart): ₹${peakCostBase.toFixed(1)} / ₹${peakCostSmart.toFixed(1)} (${peakHours.length}h)`, 20, y + 35);
-    doc.text(`Off-Peak (Base/Smart): ₹${offPeakCostBase.toFixed(1)} / ₹${offPeakCostSmart.toFixed(1)} (${offPeakHours.length}h)`, 20, y + 45);
+    doc.text(`Peak Cost (Base/Smart): ₹${peakCostBase.toFixed(1)} / ₹${peakCostSmart.toFixed(1)} (${peakDuration}h)`, 20, y + 35);
+    doc.text(`Off-Peak (Base/Smart): ₹${offPeakCostBase.toFixed(1)} / ₹${offPeakCostSmart.toFixed(1)} (${offPeakDuration}h)`, 20, y + 45);
     doc.text(`Battery Discharge During Peak: ${peakBatteryUsage.toFixed(1)} kWh`, 20, y + 55);
     doc.text(`Grid Usage During Peak: ${peakGridUsage.toFixed(1)} kWh`, 20, y + 65);
     
@@ -2453,6 +4595,68 @@ async function downloadReport() {
     
     y += 80;
     
+    // ===== POLICY COMPARISON (same inputs for every policy) =====
+    const policyRows = getPolicyComparisonRows(currentDay.sim);
+    if (policyRows.length > 0) {
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(14);
+        doc.text('POLICY COMPARISON', 15, y);
+        
+        doc.autoTable({
+            startY: y + 5,
+            head: [['Policy', 'Cost ₹', 'Grid kWh', 'Diesel kWh', 'CO₂ kg', 'Marginal CO₂ kg', 'Final SOC %']],
+            body: policyRows,
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 9
+            },
+            styles: {
+                fontSize: 8,
+                cellPadding: 3,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            }
+        });
+        y = doc.lastAutoTable.finalY + 12;
+    }
+
+    // ===== MONTE CARLO UNCERTAINTY =====
+    const mc = currentDay.monteCarlo;
+    if (mc) {
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(14);
+        doc.text('UNCERTAINTY (MONTE CARLO)', 15, y);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text(`${mc.runs} runs, seed ${mc.seed}: ${describeMonteCarloInputs(mc)}. Smart saves money in ${(mc.savingsPositiveShare * 100).toFixed(0)}% of runs.`, 15, y + 6);
+        
+        doc.autoTable({
+            startY: y + 10,
+            head: [['Per day', 'P10', 'P50', 'P90', 'Mean']],
+            body: getMonteCarloRows(mc).map(([label, m]) => [label, ...[m.p10, m.p50, m.p90, m.mean].map(v => v.toFixed(1))]),
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 9
+            },
+            styles: {
+                fontSize: 8,
+                cellPadding: 3,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            }
+        });
+        y = doc.lastAutoTable.finalY + 12;
+    }
+    
     // ===== MULTI-DAY COMPARISON (if available) =====
     const dayKeys = Object.keys(simState.days).filter(k => simState.days[k].hourly.length > 0);
     if (dayKeys.length > 1) {
@@ -2502,6 +4706,190 @@ async function downloadReport() {
         });
     }
     
+    // ===== PAGE 3: LIFETIME FINANCIALS (when run) =====
+    const fin = simState.financialResult;
+    if (fin) {
+        doc.addPage();
+        doc.setFillColor(10, 15, 26);
+        doc.rect(0, 0, 210, 25, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(16);
+        doc.text('LIFETIME FINANCIALS', 15, 17);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text('Solar + battery vs the same home without PV or battery (grid + genset); annual energy flows from representative dataset days.', 15, 32);
+
+        doc.autoTable({
+            startY: 36,
+            head: [['Metric', 'Value']],
+            body: getFinancialRows(fin),
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 9
+            },
+            styles: {
+                fontSize: 8,
+                cellPadding: 3,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            },
+            columnStyles: { 0: { cellWidth: 45 } }
+        });
+
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 8,
+            head: [['Year', 'Savings', 'O&M', 'Replacements', 'Salvage', 'Net', 'Cumulative', 'Disc. cumulative', 'Battery SOH']],
+            body: fin.years.map(yr => [yr.year, ...[yr.savings, yr.om, yr.replacements, yr.salvage, yr.net, yr.cumulative, yr.cumulativeDiscounted].map(v => Math.round(v)), `${yr.batterySohPct.toFixed(1)}%`]),
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 8
+            },
+            styles: {
+                fontSize: 7,
+                cellPadding: 1.5,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            }
+        });
+    }
+
+    // ===== COMMUNITY MICROGRID (when run this session) =====
+    const communityRun = simState.communityRun;
+    if (communityRun) {
+        const c = communityRun.community;
+        doc.addPage();
+        doc.setFillColor(10, 15, 26);
+        doc.rect(0, 0, 210, 25, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(16);
+        doc.text('COMMUNITY MICROGRID', 15, 17);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text(`${communityRun.households.length} households on a ${communityRun.options.feederLimitKw} kW feeder, ${communityRun.options.communityBattery.capacityKwh} kWh community battery, ` +
+            `${COMMUNITY_MARKET_LABELS[communityRun.options.market] || communityRun.options.market}; ${communityRun.dates.join(', ')}.`, 15, 32);
+
+        doc.autoTable({
+            startY: 36,
+            head: [['Household', 'PV kW', 'Batt kWh', 'Load kWh', 'Import kWh', 'Export kWh', 'Local buy', 'Local sell', 'Stand-alone (INR)', 'Bill (INR)', 'Saved (INR)', 'Self-suff.']],
+            body: [
+                ...communityRun.households.map(h => [h.name, h.solarCap, h.batteryCapacityKwh, ...[h.loadKwh, h.importKwh, h.exportKwh, h.localBoughtKwh, h.localSoldKwh].map(v => v.toFixed(1)),
+                    Math.round(h.referenceBill), Math.round(h.bill), Math.round(h.savings), `${(h.selfSufficiency * 100).toFixed(1)}%`]),
+                ['Community', communityRun.households.reduce((a, h) => a + h.solarCap, 0), communityRun.options.communityBattery.capacityKwh,
+                    ...[c.loadKwh, c.utilityImportKwh, c.utilityExportKwh, c.localTradeKwh, c.localTradeKwh].map(v => v.toFixed(1)),
+                    Math.round(c.referenceBill), Math.round(c.bill), Math.round(c.savings), `${(c.selfSufficiency * 100).toFixed(1)}%`]
+            ],
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 7
+            },
+            styles: {
+                fontSize: 7,
+                cellPadding: 1.5,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            }
+        });
+        doc.setFontSize(8);
+        doc.setTextColor(60, 60, 60);
+        doc.text(`Utility bill INR ${Math.round(c.utilityBill)} | community battery account INR ${Math.round(c.batteryAccount)} | ` +
+            `battery in/out ${c.batteryChargeKwh.toFixed(1)}/${c.batteryDischargeKwh.toFixed(1)} kWh | grid CO2 ${c.co2Kg.toFixed(0)} kg (stand-alone ${c.referenceCo2Kg.toFixed(0)} kg)`, 15, doc.lastAutoTable.finalY + 8);
+    }
+
+    // ===== FULL DATASET RUN (when run this session) =====
+    const datasetRun = simState.datasetRun;
+    if (datasetRun) {
+        doc.addPage();
+        doc.setFillColor(10, 15, 26);
+        doc.rect(0, 0, 210, 25, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(16);
+        doc.text('FULL DATASET RUN', 15, 17);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text(`All ${datasetRun.dates.length} dataset dates (${datasetRun.dates[0]} to ${datasetRun.dates[datasetRun.dates.length - 1]}) back to back; energy mix as shares of load served.`, 15, 32);
+
+        const share = (p, key) => `${(p.loadKwh > 0 ? p.mix[key] / p.loadKwh * 100 : 0).toFixed(0)}%`;
+        doc.autoTable({
+            startY: 36,
+            head: [['Period', 'Policy', 'Days', 'Cost (INR)', 'Load kWh', ...DATASET_MIX_SERIES.map(m => m.label), 'Diesel L', 'CO2 kg', 'Cycles']],
+            body: getDatasetPeriodRows(datasetRun).map(({ label, name, period: p }) => [label, getPolicyLabel(name), p.days, Math.round(p.cost), Math.round(p.loadKwh),
+                ...DATASET_MIX_SERIES.map(m => share(p, m.key)), p.dieselFuelL.toFixed(1), Math.round(p.co2Kg), p.batteryCycles.toFixed(1)]),
+            theme: 'grid',
+            headStyles: { 
+                fillColor: [99, 102, 241], 
+                textColor: 255, 
+                fontStyle: 'bold',
+                fontSize: 7
+            },
+            styles: {
+                fontSize: 7,
+                cellPadding: 1.5,
+                textColor: [255, 255, 255],
+                fillColor: [17, 24, 39]
+            }
+        });
+    }
+
+    // ===== DATASET FORECAST ACCURACY (when analysed this session) =====
+    const accuracy = simState.forecastAccuracy;
+    if (accuracy) {
+        doc.addPage();
+        doc.setFillColor(10, 15, 26);
+        doc.rect(0, 0, 210, 25, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(99, 102, 241);
+        doc.setFontSize(16);
+        doc.text('DATASET FORECAST ACCURACY', 15, 17);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text(`predicted_* columns vs measured output over ${accuracy.samples} records (${accuracy.dates} dates), dataset units; ` +
+            'error = predicted - actual, skill vs same-time-yesterday persistence.', 15, 32);
+
+        const value = (v, digits = 2) => (v === null ? '-' : v.toFixed(digits));
+        const tableStyle = {
+            theme: 'grid',
+            headStyles: { fillColor: [99, 102, 241], textColor: 255, fontStyle: 'bold', fontSize: 7 },
+            styles: { fontSize: 7, cellPadding: 1.5, textColor: [255, 255, 255], fillColor: [17, 24, 39] }
+        };
+        const head = [['Series', 'Period', 'N', 'Actual', 'Predicted', 'MAE', 'RMSE', 'Bias', 'MAPE %', 'Skill']];
+        const statRow = (label, period, s) => [label, period, s.n, value(s.actualMean), value(s.predictedMean), value(s.mae), value(s.rmse), value(s.bias), value(s.mape, 1), value(s.skill, 3)];
+        const seriesList = Object.values(accuracy.series);
+        doc.autoTable({
+            startY: 36,
+            head,
+            body: seriesList.flatMap(series => [
+                statRow(series.label, 'Overall', series.overall),
+                ...series.byMonth.map(m => statRow(series.label, m.period, m)),
+                // Helvetica has no en dash, ≥ or ²
+                ...getForecastWeatherRows(series).map(row => statRow(series.label, row.label.replace('–', '-').replace('≥', '>=').replace('²', '2'), row.stats))
+            ]),
+            ...tableStyle
+        });
+        // Bias by hour of day, one column per series
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 6,
+            head: [['Hour', ...seriesList.flatMap(series => [`${series.label} bias`, `${series.label} MAE`])]],
+            body: Array.from({ length: 24 }, (_, h) => [formatTime(h), ...seriesList.flatMap(series => [value(series.byHour[h].bias), value(series.byHour[h].mae)])]),
+            ...tableStyle
+        });
+    }
+
     // Footer
     const pageCount = doc.internal.getNumberOfPages();
     for (let i = 1; i <= pageCount; i++) {
@@ -2519,11 +4907,11 @@ async function downloadReport() {
 }
 
 // ===== INIT =====
-function initAuditHourSelect() {
+function initAuditHourSelect(timestepMinutes = simState.timestepMinutes) {
     const select = document.getElementById('audit-hour');
     if (!select) return;
     select.innerHTML = '<option value="-1">Live</option>';
-    for (let i = 0; i < 24; i++) { const option = document.createElement('option'); option.value = i; option.textContent = formatTime(i); select.appendChild(option); }
+    getStepLabels(timestepMinutes).forEach((label, i) => { const option = document.createElement('option'); option.value = i; option.textContent = label; select.appendChild(option); });
 }
 
 function init3DEffects() {
@@ -2543,12 +4931,87 @@ function initEventListeners() {
     document.querySelectorAll('.scenario-btn').forEach(btn => { btn.addEventListener('click', () => { document.querySelectorAll('.scenario-btn').forEach(b => b.classList.remove('active')); btn.classList.add('active'); applyScenario(btn.dataset.scenario); }); });
     
     document.getElementById('input-solar-cap').addEventListener('input', (e) => { simState.solarCap = parseFloat(e.target.value); document.getElementById('lbl-solar-cap').textContent = simState.solarCap + ' kW'; });
+    document.getElementById('input-pv-model').addEventListener('change', (e) => { simState.pvModel = e.target.value; updatePvControls(); });
+    document.getElementById('input-pv-temp-model').addEventListener('change', (e) => { simState.pvCellTempModel = e.target.value; });
+    document.getElementById('input-pv-temp-coeff').addEventListener('input', (e) => { simState.pvTempCoeffPct = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-pv-losses').addEventListener('input', (e) => { simState.pvLossesPct = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-pv-dcac').addEventListener('input', (e) => { simState.dcAcRatio = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-pv-lat').addEventListener('input', (e) => { simState.latitude = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-pv-tilt').addEventListener('input', (e) => { simState.tilt = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-pv-azimuth').addEventListener('input', (e) => { simState.azimuth = parseFloat(e.target.value); updatePvControls(); });
+    document.getElementById('input-wind-cap').addEventListener('input', (e) => { simState.windCap = parseFloat(e.target.value); document.getElementById('lbl-wind-cap').textContent = simState.windCap + ' kW'; });
     document.getElementById('input-batt-cap').addEventListener('input', (e) => { simState.battCap = parseFloat(e.target.value); document.getElementById('lbl-batt-cap').textContent = simState.battCap + ' kWh'; });
     document.getElementById('input-grid-cost').addEventListener('input', (e) => { simState.gridCost = parseInt(e.target.value); document.getElementById('lbl-grid-cost').textContent = '₹' + simState.gridCost; });
-    document.getElementById('input-speed').addEventListener('input', (e) => { const speeds = [1000, 500, 250, 125, 60, 30, 15, 10]; simState.speed = speeds[e.target.value - 1]; document.getElementById('lbl-speed').textContent = e.target.value + 'x'; if (simState.isPlaying) { clearInterval(simState.interval); simState.interval = setInterval(() => { if (simState.hour >= 24) { stopSimulation(true); return; } runSimulationStep(); simState.hour++; }, simState.speed); } });
+    document.getElementById('input-speed').addEventListener('input', (e) => { const speeds = [1000, 500, 250, 125, 60, 30, 15, 10]; simState.speed = speeds[e.target.value - 1]; document.getElementById('lbl-speed').textContent = e.target.value + 'x'; if (simState.isPlaying) { clearInterval(simState.interval); simState.interval = setInterval(tickSimulation, simState.speed); } });
+    document.getElementById('input-timestep').addEventListener('change', (e) => { simState.timestepMinutes = parseInt(e.target.value); document.getElementById('lbl-timestep').textContent = simState.timestepMinutes + ' min'; resetSimulation(); setTimeResolution(simState.timestepMinutes); });
+    document.getElementById('input-tariff').addEventListener('change', (e) => setTariffPreset(e.target.value));
+    document.getElementById('btn-edit-tariff').addEventListener('click', showTariffModal);
+    document.getElementById('btn-tariff-validate').addEventListener('click', readTariffEditor);
+    document.getElementById('btn-tariff-apply').addEventListener('click', applyCustomTariff);
+    document.getElementById('input-export-mode').addEventListener('change', (e) => { simState.exportMode = e.target.value; updateExportControls(); });
+    document.getElementById('input-dr-mode').addEventListener('change', (e) => { simState.demandResponse = e.target.value; updateDemandResponseControls(); });
+    document.getElementById('input-dr-start').addEventListener('input', (e) => { simState.drEventStart = parseInt(e.target.value); updateDemandResponseControls(); });
+    document.getElementById('input-dr-duration').addEventListener('input', (e) => { simState.drEventHours = parseInt(e.target.value); updateDemandResponseControls(); });
+    document.getElementById('input-dr-reduction').addEventListener('input', (e) => { simState.drReductionKw = parseFloat(e.target.value); updateDemandResponseControls(); });
+    document.getElementById('input-dr-incentive').addEventListener('input', (e) => { simState.drIncentivePerKwh = parseFloat(e.target.value); updateDemandResponseControls(); });
+    document.getElementById('input-dr-penalty').addEventListener('input', (e) => { simState.drPenaltyPerKwh = parseFloat(e.target.value); updateDemandResponseControls(); });
+    document.getElementById('input-dr-response').addEventListener('change', (e) => { simState.drResponse = e.target.value; updateDemandResponseControls(); });
+    document.getElementById('input-grid-services').addEventListener('change', (e) => { simState.gridServices = e.target.checked; updateGridServicesControls(); });
+    document.getElementById('input-voltage-support').addEventListener('change', (e) => { simState.voltageSupport = e.target.value; updateGridServicesControls(); });
+    document.getElementById('input-service-reserve').addEventListener('input', (e) => { simState.serviceReservePct = parseFloat(e.target.value); updateGridServicesControls(); });
+    document.getElementById('input-service-price').addEventListener('input', (e) => { simState.serviceAvailabilityPrice = parseFloat(e.target.value); updateGridServicesControls(); });
+    document.getElementById('input-service-energy-price').addEventListener('input', (e) => { simState.serviceEnergyPrice = parseFloat(e.target.value); updateGridServicesControls(); });
+    document.getElementById('input-feed-in').addEventListener('input', (e) => { simState.feedInTariff = parseFloat(e.target.value); document.getElementById('lbl-feed-in').textContent = '₹' + simState.feedInTariff; });
+    document.getElementById('input-export-cap').addEventListener('input', (e) => { simState.exportLimitKw = parseFloat(e.target.value); document.getElementById('lbl-export-cap').textContent = simState.exportLimitKw + ' kW'; });
+    document.getElementById('input-outage-mode').addEventListener('change', (e) => { simState.outageMode = e.target.value; updateOutageControls(); });
+    document.getElementById('input-outage-start').addEventListener('input', (e) => { simState.outageStart = parseInt(e.target.value, 10); updateOutageControls(); });
+    document.getElementById('input-outage-duration').addEventListener('input', (e) => { simState.outageDurationHours = parseInt(e.target.value, 10); updateOutageControls(); });
+    document.getElementById('input-outage-rate').addEventListener('input', (e) => { simState.outagesPerDay = parseFloat(e.target.value); updateOutageControls(); });
+    document.getElementById('input-outage-mean').addEventListener('input', (e) => { simState.outageMeanHours = parseFloat(e.target.value); updateOutageControls(); });
+    document.getElementById('input-diesel-rated').addEventListener('change', (e) => { simState.dieselRatedKw = parseFloat(e.target.value); updateGensetControls(); });
+    document.getElementById('input-diesel-fuel').addEventListener('input', (e) => { simState.dieselFuelPrice = parseFloat(e.target.value); updateGensetControls(); });
+    document.getElementById('input-diesel-min-run').addEventListener('input', (e) => { simState.dieselMinRunHours = parseFloat(e.target.value); updateGensetControls(); });
+    document.getElementById('input-diesel-min-load').addEventListener('input', (e) => { simState.dieselMinLoadPct = parseFloat(e.target.value); updateGensetControls(); });
+    document.getElementById('input-diesel-start').addEventListener('input', (e) => { simState.dieselStartCost = parseFloat(e.target.value); updateGensetControls(); });
+    document.getElementById('input-diesel-charge').addEventListener('change', (e) => { simState.dieselChargeBattery = e.target.checked; updateGensetControls(); });
+    document.getElementById('input-demand-charge').addEventListener('input', (e) => { simState.demandChargePerKw = parseFloat(e.target.value); updateDemandControls(); });
+    document.getElementById('input-sanctioned-load').addEventListener('input', (e) => { simState.sanctionedLoadKw = parseFloat(e.target.value); updateDemandControls(); });
+    document.getElementById('input-excess-penalty').addEventListener('input', (e) => { simState.excessDemandPenaltyPerKw = parseFloat(e.target.value); updateDemandControls(); });
+    document.getElementById('input-shave-target').addEventListener('input', (e) => { simState.peakShavingKw = parseFloat(e.target.value); updateDemandControls(); });
+    document.getElementById('input-peak-shaving').addEventListener('change', (e) => { simState.peakShaving = e.target.checked; updateDemandControls(); });
+    document.getElementById('input-grid-carbon').addEventListener('change', (e) => setGridCarbonPreset(e.target.value));
+    document.getElementById('btn-import-carbon').addEventListener('click', () => document.getElementById('input-carbon-file').click());
+    document.getElementById('input-carbon-file').addEventListener('change', (e) => { if (e.target.files[0]) importCarbonCsv(e.target.files[0]); e.target.value = ''; });
+    document.getElementById('input-carbon-price').addEventListener('input', (e) => { simState.carbonPricePerKg = parseFloat(e.target.value); updateCarbonControls(); });
+    document.getElementById('input-forecast-model').addEventListener('change', (e) => { simState.forecastModel = e.target.value; updateForecastControls(); });
+    document.getElementById('input-forecast-days').addEventListener('input', (e) => { simState.forecastTrainingDays = parseInt(e.target.value); updateForecastControls(); });
+    document.getElementById('input-forecast-alpha').addEventListener('input', (e) => { simState.forecastAlpha = parseFloat(e.target.value); updateForecastControls(); });
+    document.getElementById('input-smart-forecast').addEventListener('change', (e) => { simState.smartUsesForecast = e.target.checked; updateForecastControls(); });
+    document.getElementById('input-continuous').addEventListener('change', (e) => { simState.continuousMode = e.target.checked; updateContinuousStatus(); });
+    document.getElementById('policy-list').addEventListener('change', (e) => { if (e.target.type === 'checkbox') setComparePolicy(e.target.value, e.target.checked); });
+    document.getElementById('btn-load-policy').addEventListener('click', () => document.getElementById('input-policy-file').click());
+    document.getElementById('input-policy-file').addEventListener('change', (e) => { if (e.target.files[0]) loadPolicyFile(e.target.files[0]); e.target.value = ''; });
+    document.getElementById('input-multi-days').addEventListener('input', (e) => { simState.multiDayCount = parseInt(e.target.value); document.getElementById('lbl-multi-days').textContent = simState.multiDayCount; });
+    document.getElementById('btn-run-multiday').addEventListener('click', runMultiDaySimulation);
+    document.getElementById('btn-run-all-dates').addEventListener('click', runDatasetSimulation);
+    document.getElementById('btn-open-community').addEventListener('click', showCommunityModal);
+    document.getElementById('btn-open-forecast-accuracy').addEventListener('click', showForecastAccuracyModal);
+    document.getElementById('forecast-accuracy-series').addEventListener('change', renderForecastAccuracy);
+    document.getElementById('btn-export-forecast-accuracy').addEventListener('click', exportForecastAccuracy);
+    document.getElementById('btn-add-household').addEventListener('click', addCommunityHousehold);
+    document.getElementById('btn-run-community').addEventListener('click', runCommunityMicrogrid);
+    document.getElementById('dataset-mix-policy').addEventListener('change', () => { if (simState.datasetRun) renderDatasetCharts(simState.datasetRun); });
+    document.getElementById('btn-open-sizing').addEventListener('click', showSizingModal);
+    document.getElementById('btn-run-sizing').addEventListener('click', runSystemSizing);
+    document.getElementById('btn-run-fin').addEventListener('click', runLifetimeFinancials);
+    FINANCIAL_SLIDERS.forEach(([key, inputId]) => { document.getElementById(inputId).addEventListener('input', (e) => { simState.financials[key] = parseFloat(e.target.value); updateFinancialControls(); }); });
+    document.getElementById('btn-run-mc').addEventListener('click', runDayMonteCarlo);
+    document.getElementById('input-mc-dist').addEventListener('change', (e) => { simState.monteCarlo.distribution = e.target.value; updateMonteCarloControls(); });
+    document.getElementById('input-mc-seed').addEventListener('change', (e) => { simState.monteCarlo.seed = Math.max(0, parseInt(e.target.value) || 0); updateMonteCarloControls(); });
+    [['runs', 'runs'], ['outages', 'outagesPerDay'], ['solar', 'solarPct'], ['load', 'loadPct'], ['tariff', 'tariffPct']].forEach(([id, key]) => { document.getElementById(`input-mc-${id}`).addEventListener('input', (e) => { simState.monteCarlo[key] = parseFloat(e.target.value); updateMonteCarloControls(); }); });
     document.getElementById('input-strategy').addEventListener('change', (e) => { simState.isSmart = e.target.checked; const status = document.getElementById('strategy-status'); status.textContent = simState.isSmart ? 'ON' : 'OFF'; status.classList.toggle('active', simState.isSmart); });
     
-    document.querySelectorAll('.toggle-btn').forEach(btn => { btn.addEventListener('click', () => { const idx = parseInt(btn.dataset.index); simState.activeSeries[idx] = !simState.activeSeries[idx]; btn.classList.toggle('active'); if (mainChart) { mainChart.setDatasetVisibility(idx, simState.activeSeries[idx]); mainChart.update(); } }); });
+    document.querySelectorAll('.toggle-btn').forEach(btn => { btn.addEventListener('click', () => { const idx = parseInt(btn.dataset.index); simState.activeSeries[idx] = !simState.activeSeries[idx]; btn.classList.toggle('active'); if (mainChart) { mainChart.setDatasetVisibility(idx, simState.activeSeries[idx]); mainChart.update(); updateMonteCarloBands(simState.days[simState.viewDay]); } }); });
     
     document.getElementById('prev-day').addEventListener('click', () => { if (simState.viewDay > 1) { simState.viewDay--; loadDayData(simState.viewDay); } });
     document.getElementById('next-day').addEventListener('click', () => { if (simState.viewDay < simState.currentDay) { simState.viewDay++; loadDayData(simState.viewDay); } });
@@ -2560,7 +5023,7 @@ function initEventListeners() {
     const helpBtn = document.getElementById('btn-help');
     if (helpBtn) helpBtn.addEventListener('click', showHelpModal);
     
-    document.getElementById('audit-hour').addEventListener('change', (e) => { const h = parseInt(e.target.value); if (h === -1) return; const day = simState.days[simState.viewDay]; const step = day.hourly[h]; if (step) { document.getElementById('tab-solar-kw').textContent = step.solar.toFixed(1) + ' kW'; document.getElementById('tab-load-kw').textContent = step.load.toFixed(1) + ' kW'; document.getElementById('tab-batt-kw').textContent = Math.abs(step.battery).toFixed(1) + ' kW'; document.getElementById('tab-grid-kw').textContent = step.grid.toFixed(1) + ' kW'; document.getElementById('tab-diesel-kw').textContent = step.diesel.toFixed(1) + ' kW'; } });
+    document.getElementById('audit-hour').addEventListener('change', (e) => { const h = parseInt(e.target.value); const day = simState.days[simState.viewDay]; updateAuditLedger(day, h); if (h === -1) return; const step = day.hourly[h]; if (step) { document.getElementById('tab-solar-kw').textContent = step.solar.toFixed(1) + ' kW'; document.getElementById('tab-load-kw').textContent = step.load.toFixed(1) + ' kW'; document.getElementById('tab-batt-kw').textContent = Math.abs(step.battery).toFixed(1) + ' kW'; document.getElementById('tab-grid-kw').textContent = step.grid.toFixed(1) + ' kW'; document.getElementById('tab-diesel-kw').textContent = step.diesel.toFixed(1) + ' kW'; document.getElementById('tab-export-kw').textContent = (step.export || 0).toFixed(1) + ' kW'; } });
     
     // 3D Toggle with enhanced effect
     const toggle3dBtn = document.getElementById('btn-3d-toggle');
@@ -2591,6 +5054,8 @@ function initEventListeners() {
     
     const helpCloseBtn = document.getElementById('help-close-btn');
     if (helpCloseBtn) helpCloseBtn.addEventListener('click', closeHelpModal);
+    const helpStartBtn = document.getElementById('help-start-btn');
+    if (helpStartBtn) helpStartBtn.addEventListener('click', closeHelpModal);
     const helpBackdrop = document.querySelector('#help-modal .modal-backdrop');
     if (helpBackdrop) helpBackdrop.addEventListener('click', closeHelpModal);
 }
@@ -2635,38 +5100,84 @@ function autoDownloadSimulationData() {
     const deltaCost = (baselineTotalCost !== undefined && smartTotalCost !== undefined) ? (baselineTotalCost - smartTotalCost) : undefined;
     const deltaCo2 = (baselineTotalCo2 !== undefined && smartTotalCo2 !== undefined) ? (baselineTotalCo2 - smartTotalCo2) : undefined;
     
-    // Generate CSV data
+    // Generate CSV data (user policies get a cost column each)
+    const userPolicyNames = Object.keys(day.sim?.policies || {}).filter(name => name !== 'optimal' && name !== 'mpc');
     const headers = [
-        'Hour',
-        'Solar_kW', 'Load_kW', 'Battery_kW',
-        'GridImport_kW', 'Diesel_kW',
-        'SOC_%',
+        'Time', 'Interval_h',
+        'Solar_kW', 'POA_W_per_m2', 'CellTemp_C', 'Wind_kW', 'WindToLoad_kW', 'WindToBatt_kW', 'Load_kW', 'Battery_kW',
+        'GridImport_kW', 'GridExport_kW', 'Curtailed_kW', 'Diesel_kW', 'DieselToBatt_kW', 'DieselFuel_L', 'GensetOn', 'Unmet_kW',
+        'GridAvailable', 'SOC_%',
         'Tariff_INR_per_kWh', 'Period',
-        'CostLive_INR',
-        'BaselineCost_INR', 'SmartCost_INR',
+        'CostLive_INR', 'ExportCreditLive_INR', 'DemandChargeLive_INR',
+        'ServiceUp_kW', 'ServiceDown_kW', 'Reactive_kvar', 'ServiceRevenueLive_INR',
+        'DrEvent', 'Deferred_kW', 'Rebound_kW', 'DrIncentiveLive_INR', 'DrPenaltyLive_INR',
+        'GridCO2Avg_kg_per_kWh', 'GridCO2Marginal_kg_per_kWh', 'CO2Live_kg', 'CO2MarginalLive_kg',
+        'AuditResidual_kWh', 'BatteryLoss_kWh', 'AuditViolations',
+        'BaselineCost_INR', 'SmartCost_INR', 'OptimalCost_INR', 'MpcCost_INR',
         'BaselineGrid_kW', 'SmartGrid_kW',
+        'BaselineExport_kW', 'SmartExport_kW',
         'BaselineDiesel_kW', 'SmartDiesel_kW',
-        'Temperature_C', 'Humidity_%'
+        'Temperature_C', 'Humidity_%',
+        'ForecastLoad_kW', 'ForecastSolar_kW',
+        ...userPolicyNames.map(name => `Cost_${name}_INR`)
     ];
-    const rows = day.hourly.map(h => [
+    const rows = day.hourly.map((h, i) => [
         formatTime(h.hour),
+        +(h.dtHours ?? 1).toFixed(4),
         h.solar.toFixed(2),
+        (h.poa ?? 0).toFixed(0),
+        h.cellTemp !== undefined ? h.cellTemp.toFixed(1) : '',
+        (h.wind ?? 0).toFixed(2),
+        (h.windToLoad ?? 0).toFixed(2),
+        (h.windToBatt ?? 0).toFixed(2),
         h.load.toFixed(2),
         h.battery.toFixed(2),
         h.grid.toFixed(2),
+        (h.export ?? 0).toFixed(2),
+        (h.curtailed ?? 0).toFixed(2),
         (h.diesel ?? 0).toFixed(2),
+        (h.dieselToBatt ?? 0).toFixed(2),
+        (h.dieselFuelL ?? 0).toFixed(3),
+        h.dieselRunning ? 1 : 0,
+        (h.unmet ?? 0).toFixed(2),
+        h.gridAvailable === false ? 0 : 1,
         h.soc.toFixed(1),
         (h.gridPrice ?? 0).toFixed(2),
-        h.isPeak ? 'PEAK' : 'OFF-PEAK',
+        CONFIG.TARIFF_BAND_LABELS[h.tariffBand] || (h.isPeak ? 'PEAK' : 'OFF-PEAK'),
         h.cost.toFixed(2),
+        (h.exportRevenue ?? 0).toFixed(2),
+        (h.demandCharge ?? 0).toFixed(2),
+        (h.serviceUp ?? 0).toFixed(2),
+        (h.serviceDown ?? 0).toFixed(2),
+        (h.reactiveKvar ?? 0).toFixed(2),
+        (h.serviceRevenue ?? 0).toFixed(2),
+        h.drEventId ?? '',
+        (h.drDeferred ?? 0).toFixed(2),
+        (h.drRebound ?? 0).toFixed(2),
+        (h.drIncentive ?? 0).toFixed(2),
+        (h.drPenalty ?? 0).toFixed(2),
+        (h.gridCo2PerKwh ?? CONFIG.CO2_PER_GRID_KWH).toFixed(3),
+        (h.gridCo2MarginalPerKwh ?? h.gridCo2PerKwh ?? CONFIG.CO2_PER_GRID_KWH).toFixed(3),
+        (h.co2Kg ?? 0).toFixed(3),
+        (h.co2MarginalKg ?? h.co2Kg ?? 0).toFixed(3),
+        h.audit ? h.audit.residualKwh.toExponential(2) : '',
+        h.audit ? (h.audit.losses.charge + h.audit.losses.discharge).toFixed(4) : '',
+        (h.audit?.violations || []).map(v => v.check).join(';'),
         (h.baselineCost ?? 0).toFixed(2),
         (h.smartCost ?? 0).toFixed(2),
+        (h.optimalCost ?? 0).toFixed(2),
+        (h.mpcCost ?? 0).toFixed(2),
         (h.baselineGrid ?? 0).toFixed(2),
         (h.smartGrid ?? 0).toFixed(2),
+        (h.baselineExport ?? 0).toFixed(2),
+        (h.smartExport ?? 0).toFixed(2),
         (h.baselineDiesel ?? 0).toFixed(2),
         (h.smartDiesel ?? 0).toFixed(2),
         (h.realData?.temperature ?? simState.realDataStats.temperature ?? '').toString(),
-        (h.realData?.humidity ?? simState.realDataStats.humidity ?? '').toString()
+        (h.realData?.humidity ?? simState.realDataStats.humidity ?? '').toString(),
+        day.sim?.inputs?.[i] ? day.sim.inputs[i].forecastLoadKw.toFixed(2) : '',
+        day.sim?.inputs?.[i] ? day.sim.inputs[i].forecastSolarKw.toFixed(2) : '',
+        ...userPolicyNames.map(name => (h.policyCosts?.[name] ?? 0).toFixed(2))
     ]);
     
     let csv = headers.join(',') + '\n';
@@ -2675,14 +5186,195 @@ function autoDownloadSimulationData() {
     // Add summary
     csv += '\n\n--- SUMMARY ---\n';
     csv += `Mode,${day.config?.isSmart ? 'SMART' : 'BASELINE'}\n`;
+    csv += `Timestep,${day.config?.timestepMinutes || 60} min\n`;
     csv += `Cost (selected mode),₹${Math.round(day.cost)}\n`;
     csv += `Baseline Total (24h),₹${baselineTotalCost !== undefined ? Math.round(baselineTotalCost) : 'N/A'}\n`;
     csv += `Smart Total (24h),₹${smartTotalCost !== undefined ? Math.round(smartTotalCost) : 'N/A'}\n`;
     csv += `Delta (Baseline-Smart),₹${deltaCost !== undefined ? Math.round(deltaCost) : 'N/A'}\n`;
+    const optimalTotalCost = day.sim?.policies?.optimal?.totals?.cost;
+    if (optimalTotalCost !== undefined && baselineTotalCost !== undefined && smartTotalCost !== undefined) {
+        const gap = computeOptimalityGap(baselineTotalCost, smartTotalCost, optimalTotalCost);
+        csv += `Optimal Total (DP),₹${Math.round(optimalTotalCost)}\n`;
+        csv += `Optimality Gap (Smart-Optimal),₹${gap.gapCost.toFixed(2)}${gap.capturedShare === null ? '' : `; smart captures ${(gap.capturedShare * 100).toFixed(1)}% of achievable savings`}${gap.bounded ? '' : '; DP benchmark not a bound'}\n`;
+        const mpcTotalCost = day.sim?.policies?.mpc?.totals?.cost;
+        if (mpcTotalCost !== undefined) {
+            const mpcGap = computeOptimalityGap(baselineTotalCost, mpcTotalCost, optimalTotalCost);
+            csv += `MPC Total (forecast),₹${Math.round(mpcTotalCost)}\n`;
+            csv += `MPC vs Perfect Foresight,₹${mpcGap.gapCost.toFixed(2)}${mpcGap.capturedShare === null ? '' : `; keeps ${(mpcGap.capturedShare * 100).toFixed(1)}% of perfect-foresight savings`}${mpcGap.bounded ? '' : '; DP benchmark not a bound'}\n`;
+        }
+    }
     csv += `Solar Generated,${day.solarKwh.toFixed(1)} kWh\n`;
+    csv += `PV Model,${CONFIG.PV_MODEL_LABELS[day.sim?.configSnapshot?.pvModel ?? simState.pvModel]}\n`;
+    csv += `PV Heat Derating / Inverter Clipping,${(day.pvTempLossKwh || 0).toFixed(2)} / ${(day.pvClippedKwh || 0).toFixed(2)} kWh\n`;
+    csv += `Wind Turbine,${day.config?.windCap ?? simState.windCap} kW; used ${(day.windKwh || 0).toFixed(1)} kWh of ${sumEnergyKwh(day.hourly, h => h.wind ?? 0).toFixed(1)} kWh generated\n`;
     csv += `Grid Used,${day.gridKwh.toFixed(1)} kWh\n`;
+    const snap = day.sim?.configSnapshot;
+    const firstInput = day.sim?.inputs?.[0];
+    csv += `Tariff,${snap?.tariffLabel ?? 'N/A'}${firstInput?.tariffSeason ? ` (${firstInput.tariffSeason} season; ${firstInput.tariffDayType})` : ''}\n`;
+    const baseTotals = day.sim?.baseline?.totals;
+    const smartTotals = day.sim?.smart?.totals;
+    if (smartTotals?.peakImportKw !== undefined) {
+        csv += `Peak Demand (Baseline/Smart),${baseTotals.peakImportKw.toFixed(2)} / ${smartTotals.peakImportKw.toFixed(2)} kW${snap?.peakShavingKw != null ? `; smart shaving cap ${snap.peakShavingKw} kW` : ''}\n`;
+        csv += `Demand Charge Day Share (Baseline/Smart),₹${baseTotals.demandCharge.toFixed(2)} / ₹${smartTotals.demandCharge.toFixed(2)} (₹${snap?.demandChargePerKw ?? 0}/kW-month` +
+            (snap?.sanctionedLoadKw > 0 ? `; sanctioned ${snap.sanctionedLoadKw} kW, excess ₹${snap.excessDemandPenaltyPerKw}/kW` : '') + ')\n';
+        const month = getMonthlyDemand(day);
+        if (month) csv += `Month-to-Date Peak (${month.month}),${month.peakImportKw.toFixed(2)} kW; demand bill ₹${month.demandCharge.toFixed(2)}${month.excessDemandKw > 0 ? ` incl. ₹${month.excessDemandPenalty.toFixed(2)} for ${month.excessDemandKw.toFixed(2)} kW above sanctioned` : ''}\n`;
+    }
+    if (day.sim?.smart?.totals?.slabAdjustment) {
+        csv += `Slab Billing Adjustment (Baseline/Smart),₹${day.sim.baseline.totals.slabAdjustment.toFixed(2)} / ₹${day.sim.smart.totals.slabAdjustment.toFixed(2)}\n`;
+    }
+    csv += `Export Settlement,${CONFIG.EXPORT_MODE_LABELS[snap?.exportMode ?? simState.exportMode]}`;
+    csv += (snap?.exportMode ?? simState.exportMode) === 'none' ? '\n' : ` (FiT ₹${snap?.feedInTariff ?? simState.feedInTariff}/kWh; cap ${snap?.exportLimitKw ?? simState.exportLimitKw} kW)\n`;
+    csv += `Grid Exported,${(day.exportKwh || 0).toFixed(1)} kWh\n`;
+    csv += `Export Credit (selected mode),₹${(day.exportRevenue || 0).toFixed(2)}\n`;
+    csv += `Solar Curtailed,${(day.curtailedKwh || 0).toFixed(1)} kWh (${(getCurtailmentRatio(day) * 100).toFixed(1)}% of PV)\n`;
+    csv += `Curtailed (Baseline/Smart),${(day.sim?.baseline?.totals?.curtailedKwh ?? 0).toFixed(1)} / ${(day.sim?.smart?.totals?.curtailedKwh ?? 0).toFixed(1)} kWh\n`;
+    csv += `Diesel Genset,${snap?.dieselRatedKw ?? simState.dieselRatedKw} kW${(snap?.dieselChargeBattery ?? simState.dieselChargeBattery) ? ' (charges battery)' : ''}; fuel ₹${snap?.dieselFuelPrice ?? simState.dieselFuelPrice}/L\n`;
+    csv += `Diesel Starts / Run Hours (selected mode),${day.dieselStarts || 0} / ${(day.dieselRunHours || 0).toFixed(2)} h\n`;
+    csv += `Diesel Fuel (selected mode),${(day.dieselFuelL || 0).toFixed(2)} L (₹${(day.dieselCost || 0).toFixed(2)})\n`;
+    csv += `Diesel Fuel (Baseline/Smart),${(day.sim?.baseline?.totals?.dieselFuelL ?? 0).toFixed(2)} / ${(day.sim?.smart?.totals?.dieselFuelL ?? 0).toFixed(2)} L\n`;
+    csv += `Diesel Starts (Baseline/Smart),${day.sim?.baseline?.totals?.dieselStarts ?? 0} / ${day.sim?.smart?.totals?.dieselStarts ?? 0}\n`;
+    csv += `Grid Outages,${CONFIG.OUTAGE_MODE_LABELS[snap?.outageMode ?? simState.outageMode]}\n`;
+    csv += `Outage Hours (survived/total),${(day.outageSurvivedHours || 0).toFixed(2)} / ${(day.outageHours || 0).toFixed(2)} h\n`;
+    csv += `Unserved Energy (selected mode),${(day.unservedKwh || 0).toFixed(2)} kWh\n`;
+    csv += `Unserved Energy (Baseline/Smart),${(day.sim?.baseline?.totals?.unservedKwh ?? 0).toFixed(2)} / ${(day.sim?.smart?.totals?.unservedKwh ?? 0).toFixed(2)} kWh\n`;
+    csv += `Unserved Critical (Baseline/Smart),${(day.sim?.baseline?.totals?.unservedCriticalKwh ?? 0).toFixed(2)} / ${(day.sim?.smart?.totals?.unservedCriticalKwh ?? 0).toFixed(2)} kWh\n`;
+    csv += `Export Credit (Baseline/Smart),₹${(day.sim?.baseline?.totals?.exportRevenue ?? 0).toFixed(2)} / ₹${(day.sim?.smart?.totals?.exportRevenue ?? 0).toFixed(2)}\n`;
+    if (snap?.gridServices) {
+        const b = day.sim.baseline.totals;
+        const sm = day.sim.smart.totals;
+        const stacked = stackBatteryValue(b, sm);
+        csv += `Grid Services,${snap.serviceReservePct}% reserve; ${CONFIG.VOLTAGE_SUPPORT_LABELS[snap.voltageSupport]}\n`;
+        csv += `Service Revenue (Baseline/Smart),₹${b.serviceRevenue.toFixed(2)} / ₹${sm.serviceRevenue.toFixed(2)}\n`;
+        csv += `Service Response Up/Down (Baseline/Smart),${b.serviceUpKwh.toFixed(2)}/${b.serviceDownKwh.toFixed(2)} / ${sm.serviceUpKwh.toFixed(2)}/${sm.serviceDownKwh.toFixed(2)} kWh\n`;
+        csv += `Reactive Support (Baseline/Smart),${b.reactiveKvarh.toFixed(2)} / ${sm.reactiveKvarh.toFixed(2)} kvarh\n`;
+        csv += `Smart Stacked Value,arbitrage ₹${stacked.arbitrage.toFixed(2)} + reserve ₹${stacked.availability.toFixed(2)} + response ₹${stacked.energy.toFixed(2)} + reactive ₹${stacked.reactive.toFixed(2)} = ₹${stacked.total.toFixed(2)}\n`;
+    }
+    if (snap?.demandResponse && snap.demandResponse !== 'none') {
+        const b = day.sim.baseline.totals;
+        const sm = day.sim.smart.totals;
+        csv += `Demand Response,${CONFIG.DR_MODE_LABELS[snap.demandResponse]}; responds with ${snap.drResponse.replace(/,/g, ' + ')}; incentive ₹${snap.drIncentivePerKwh}/kWh; penalty ₹${snap.drPenaltyPerKwh}/kWh\n`;
+        csv += `DR Events (selected mode),${(day.sim.smart.demandResponse || []).length}; incentive ₹${(day.drIncentive || 0).toFixed(2)}; penalty ₹${(day.drPenalty || 0).toFixed(2)}\n`;
+        csv += `DR Delivered / Required (Baseline/Smart),${b.drDeliveredKwh.toFixed(2)} / ${b.drRequiredKwh.toFixed(2)} kWh; ${sm.drDeliveredKwh.toFixed(2)} / ${sm.drRequiredKwh.toFixed(2)} kWh\n`;
+        csv += `DR Compliance (Baseline/Smart),${(b.drCompliance * 100).toFixed(1)}% / ${(sm.drCompliance * 100).toFixed(1)}%\n`;
+        csv += `DR Incentive - Penalty (Baseline/Smart),₹${(b.drIncentive - b.drPenalty).toFixed(2)} / ₹${(sm.drIncentive - sm.drPenalty).toFixed(2)}\n`;
+        csv += `Appliance Load Deferred,${sm.drDeferredKwh.toFixed(2)} kWh\n`;
+    }
     csv += `CO2 (selected mode),${(day.config?.isSmart ? day.smartEmissionsKg : day.baselineEmissionsKg)?.toFixed?.(1) || ''} kg\n`;
     csv += `CO2 Delta (Baseline-Smart),${deltaCo2 !== undefined ? deltaCo2.toFixed(1) : 'N/A'} kg\n`;
+    if (day.sim?.baseline && day.sim?.smart) {
+        csv += `Grid Emission Factors,${snap?.gridEmissionsLabel ?? 'N/A'}${snap?.carbonPricePerKg > 0 ? `; smart carbon price ₹${snap.carbonPricePerKg}/kg` : ''}\n`;
+        ['average', 'marginal'].forEach(basis => {
+            const c = compareGridEmissions(day.sim.baseline.totals, day.sim.smart.totals, basis);
+            const label = basis === 'average' ? 'Average' : 'Marginal';
+            csv += `CO2 ${label} (Baseline/Smart),${c.baselineKg.toFixed(2)} / ${c.kg.toFixed(2)} kg; imports at ${(c.baselineIntensity * 1000).toFixed(0)} / ${(c.importIntensity * 1000).toFixed(0)} g/kWh\n`;
+            csv += `CO2 ${label} Delta Split,volume ${c.volumeKg.toFixed(2)} / timing ${c.timingKg.toFixed(2)} / diesel ${c.dieselKg.toFixed(2)} kg\n`;
+        });
+    }
+    if (day.sim?.forecast) {
+        const f = day.sim.forecast;
+        csv += `Forecast Model,${FORECAST_MODEL_LABELS[f.model]}${snap?.smartUsesForecast ? '; smart plans from forecasts' : ''}\n`;
+        csv += `Load Forecast Error,${formatForecastErrors(f.load)}\n`;
+        csv += `Solar Forecast Error,${formatForecastErrors(f.solar)}\n`;
+    }
+    csv += '\n--- POLICY COMPARISON ---\n';
+    csv += 'Policy,Cost_INR,GridImport_kWh,Diesel_kWh,CO2_kg,CO2Marginal_kg,FinalSOC_%\n';
+    getPolicyComparisonRows(day.sim).forEach(row => { csv += `"${row[0].replace(/"/g, '""')}",${row.slice(1).join(',')}\n`; });
+    // Each event is scored separately against the customer baseline of the hours before it
+    if (day.sim?.smart?.demandResponse?.length) {
+        csv += '\n--- DEMAND RESPONSE EVENTS ---\n';
+        csv += 'Strategy,Event,Window,Trigger,Announced,Baseline_kW,Reduction_kW,Required_kWh,Delivered_kWh,Compliance_%,Deferred_kWh,Unrecovered_kWh,Incentive_INR,Penalty_INR\n';
+        [['Baseline', day.sim.baseline], ['Smart', day.sim.smart]].forEach(([label, run]) => {
+            run.demandResponse.forEach(e => {
+                csv += `${label},${e.id},${formatDrEventWindow(e)},${CONFIG.DR_TRIGGER_LABELS[e.trigger]},${e.announced ? 'yes' : 'no'},${e.baselineKw.toFixed(2)},${e.reductionKw.toFixed(2)},` +
+                    `${e.requiredKwh.toFixed(2)},${e.deliveredKwh.toFixed(2)},${(e.compliance * 100).toFixed(1)},${e.deferredKwh.toFixed(2)},${e.unrecoveredKwh.toFixed(2)},${e.incentive.toFixed(2)},${e.penalty.toFixed(2)}\n`;
+            });
+        });
+    }
+    // Full-day ledgers per strategy: sources = sinks + losses + curtailment, plus SOC / C-rate / grid-limit checks
+    const audits = getAuditSummaries(day.sim);
+    if (audits.length > 0) {
+        const total = parts => Object.values(parts).reduce((s, v) => s + v, 0).toFixed(3);
+        const quote = text => `"${text.replace(/"/g, '""')}"`;
+        csv += '\n--- ENERGY AUDIT ---\n';
+        csv += 'Policy,Intervals,Clean,MaxResidual_kWh,MaxSocResidual_kWh,Sources_kWh,Sinks_kWh,Losses_kWh,Curtailed_kWh,Violations\n';
+        audits.forEach(([label, a]) => {
+            csv += `${quote(label)},${a.intervals},${a.cleanIntervals},${a.maxResidualKwh.toExponential(2)},${a.maxSocResidualKwh.toExponential(2)},` +
+                `${total(a.sources)},${total(a.sinks)},${total(a.losses)},${a.curtailedKwh.toFixed(3)},${a.violations.length}\n`;
+        });
+        const violations = audits.flatMap(([label, a]) => a.violations.map(v => [label, v]));
+        if (violations.length > 0) {
+            csv += 'Policy,Time,Check,Detail\n';
+            violations.forEach(([label, v]) => { csv += `${quote(label)},${formatTime(v.hour)},${v.check},${quote(v.detail)}\n`; });
+        }
+    }
+    // Forecast error of every prepared day so far
+    const forecastDays = Object.entries(simState.days).map(([n, d]) => [n, d?.sim?.forecast]).filter(([, f]) => f);
+    if (forecastDays.length > 0) {
+        const err = e => `${e.mae.toFixed(3)},${e.rmse.toFixed(3)},${e.mape === null ? '' : e.mape.toFixed(1)}`;
+        csv += '\n--- FORECAST ERROR BY DAY ---\n';
+        csv += 'Day,Model,LoadMAE_kW,LoadRMSE_kW,LoadMAPE_%,SolarMAE_kW,SolarRMSE_kW,SolarMAPE_%\n';
+        forecastDays.forEach(([n, f]) => { csv += `${n},${f.model},${err(f.load)},${err(f.solar)}\n`; });
+    }
+    // Monte Carlo percentiles of the day totals and the per-interval fans, when run for this day
+    const mc = day.monteCarlo;
+    if (mc) {
+        const p3 = b => [b.p10, b.p50, b.p90].map(v => v.toFixed(3)).join(',');
+        csv += '\n--- MONTE CARLO ---\n';
+        csv += `Runs / Seed,${mc.runs} / ${mc.seed}\n`;
+        csv += `Inputs,"${describeMonteCarloInputs(mc)}"\n`;
+        csv += `Smart Saves Money,${(mc.savingsPositiveShare * 100).toFixed(1)}% of runs\n`;
+        csv += 'Metric,P10,P50,P90,Mean\n';
+        getMonteCarloRows(mc).forEach(([label, m]) => { csv += `${label},${[m.p10, m.p50, m.p90, m.mean].map(v => v.toFixed(2)).join(',')}\n`; });
+        csv += 'Time,SolarP10_kW,SolarP50_kW,SolarP90_kW,LoadP10_kW,LoadP50_kW,LoadP90_kW,' +
+            'BaselineGridP10_kW,BaselineGridP50_kW,BaselineGridP90_kW,SmartGridP10_kW,SmartGridP50_kW,SmartGridP90_kW,SmartSocP10_%,SmartSocP50_%,SmartSocP90_%\n';
+        mc.bands.solarKw.forEach((solar, i) => {
+            csv += [formatTime(i * (day.config?.timestepMinutes || 60) / 60), p3(solar), p3(mc.bands.loadKw[i]),
+                p3(mc.bands.gridKw.baseline[i]), p3(mc.bands.gridKw.smart[i]), p3(mc.bands.socPct.smart[i])].join(',') + '\n';
+        });
+    }
+    // Lifetime cash flows of the current system, when run
+    const fin = simState.financialResult;
+    if (fin) {
+        csv += '\n--- LIFETIME FINANCIALS ---\n';
+        getFinancialRows(fin).forEach(([label, value]) => { csv += `${label},"${value.replace(/"/g, '""')}"\n`; });
+        csv += 'Year,Savings_INR,OandM_INR,Replacements_INR,Salvage_INR,Net_INR,Cumulative_INR,DiscountedCumulative_INR,BatterySOH_%\n';
+        fin.years.forEach(y => {
+            csv += [y.year, ...[y.savings, y.om, y.replacements, y.salvage, y.net, y.cumulative, y.cumulativeDiscounted].map(v => v.toFixed(0)), y.batterySohPct.toFixed(1)].join(',') + '\n';
+        });
+    }
+    // Per-household and community results, when run this session
+    const communityRun = simState.communityRun;
+    if (communityRun) {
+        const c = communityRun.community;
+        csv += '\n--- COMMUNITY MICROGRID ---\n';
+        csv += `Dates,${communityRun.dates.join(' ')}\n`;
+        csv += `Market,${communityRun.options.market}\nFeeder Limit (kW),${communityRun.options.feederLimitKw}\nCommunity Battery (kWh),${communityRun.options.communityBattery.capacityKwh}\n`;
+        csv += 'Household,Solar_kW,Battery_kWh,LoadScale,LoadProfile,Load_kWh,Import_kWh,Export_kWh,LocalBought_kWh,LocalSold_kWh,Unserved_kWh,StandaloneBill_INR,Bill_INR,Savings_INR,SelfSufficiency_%\n';
+        communityRun.households.forEach(h => {
+            csv += [`"${h.name.replace(/"/g, '""')}"`, h.solarCap, h.batteryCapacityKwh, h.loadScale, h.loadProfile, ...[h.loadKwh, h.importKwh, h.exportKwh, h.localBoughtKwh, h.localSoldKwh, h.unservedKwh,
+                h.referenceBill, h.bill, h.savings].map(v => v.toFixed(2)), (h.selfSufficiency * 100).toFixed(1)].join(',') + '\n';
+        });
+        csv += `Community,${communityRun.households.reduce((a, h) => a + h.solarCap, 0)},${communityRun.options.communityBattery.capacityKwh},,,` +
+            `${[c.loadKwh, c.utilityImportKwh, c.utilityExportKwh, c.localTradeKwh, c.localTradeKwh, c.unservedKwh, c.referenceBill, c.bill, c.savings].map(v => v.toFixed(2)).join(',')},${(c.selfSufficiency * 100).toFixed(1)}\n`;
+        csv += `Utility Bill (INR),${c.utilityBill.toFixed(2)}\nCommunity Battery Account (INR),${c.batteryAccount.toFixed(2)}\n`;
+        csv += `Community Battery In/Out (kWh),${c.batteryChargeKwh.toFixed(2)} / ${c.batteryDischargeKwh.toFixed(2)}\n`;
+        csv += `Feeder Shed/Curtailed (kWh),${c.shedKwh.toFixed(2)} / ${c.curtailedKwh.toFixed(2)}\nGrid CO2 (kg),${c.co2Kg.toFixed(2)} (stand-alone ${c.referenceCo2Kg.toFixed(2)})\n`;
+    }
+    // Monthly / seasonal aggregates of the whole-dataset run, when run this session
+    const datasetRun = simState.datasetRun;
+    if (datasetRun) {
+        csv += '\n--- FULL DATASET RUN ---\n';
+        csv += `Dates,${datasetRun.dates.length} (${datasetRun.dates[0]}..${datasetRun.dates[datasetRun.dates.length - 1]})\n`;
+        csv += `Initial SOC,${datasetRun.initialSocPct}%\n`;
+        csv += 'Kind,Period,Policy,Days,Cost_INR,Load_kWh,SolarToLoad_kWh,WindToLoad_kWh,BattToLoad_kWh,GridToLoad_kWh,DieselToLoad_kWh,' +
+            'DieselFuel_L,Export_kWh,Curtailed_kWh,Unserved_kWh,CO2_kg,BatteryCycles\n';
+        getDatasetPeriodRows(datasetRun).forEach(({ kind, label, name, period: p }) => {
+            csv += [kind, label, name, p.days, p.cost.toFixed(2), p.loadKwh.toFixed(2), ...DATASET_MIX_SERIES.map(m => p.mix[m.key].toFixed(2)),
+                p.dieselFuelL.toFixed(2), p.exportKwh.toFixed(2), p.curtailedKwh.toFixed(2), p.unservedKwh.toFixed(3), p.co2Kg.toFixed(2), p.batteryCycles.toFixed(2)].join(',') + '\n';
+        });
+    }
+    if (simState.forecastAccuracy) csv += '\n' + getForecastAccuracyCsv(simState.forecastAccuracy);
     
     // Download
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -2763,6 +5455,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     initChart();
     initAuditHourSelect();
+    renderPolicyList();
+    updateTariffControls();
+    updateCarbonControls();
+    updateGridServicesControls();
+    updateDemandResponseControls();
+    updateForecastControls();
+    updateMonteCarloControls();
+    updateFinancialControls();
     initSankeyCanvas();
     
     // Try to restore saved state (only if not hard refresh)
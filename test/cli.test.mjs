@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+function simulate(...args) {
+    return execFileSync(process.execPath, ['tools/simulate.mjs', ...args], { cwd: ROOT, encoding: 'utf8' });
+}
+
+test('example config reproduces the published day totals', () => {
+    const { results } = JSON.parse(simulate('--config', 'tools/example-config.json', '--json'));
+    const pinned = {
+        baseline: { cost: 1344.03, gridKwh: 59.46, dieselKwh: 11.02, battToLoadKwh: 4.93, co2Kg: 41.93 },
+        smart: { cost: 1208.93, gridKwh: 65.85, dieselKwh: 7.82, battToLoadKwh: 28.33, co2Kg: 41.59 }
+    };
+    Object.entries(pinned).forEach(([policy, expected]) => {
+        Object.entries(expected).forEach(([key, value]) => {
+            assert.equal(Number(results[policy].totals[key].toFixed(2)), value, `${policy} ${key}`);
+        });
+        assert.equal(results[policy].totals.auditViolations, 0);
+    });
+});
+
+test('text output prints the same totals and the baseline - smart delta', () => {
+    const out = simulate('--config', 'tools/example-config.json');
+    const costs = [...out.matchAll(/^Totals: cost ₹([\d.]+)/gm)].map(m => m[1]);
+    assert.deepEqual(costs, ['1344.03', '1208.93']);
+    assert.match(out, /Δ \(Baseline - Smart\): ₹135\.10/);
+});
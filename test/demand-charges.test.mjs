@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    getPolicyFactory,
+    simulateDay,
+    simulateDays,
+    settleMonthlyDemand,
+    computeOptimalityGap
+} from '../core/microgrid-core.mjs';
+
+const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+const byDate = groupRecordsByDate(records);
+const dates = Object.keys(byDate).sort();
+const config = buildSimConfig({ demandChargePerKw: 300, sanctionedLoadKw: 3, excessDemandPenaltyPerKw: 500, gridLimitKw: 8 });
+const inputsFor = days => days.map(d => buildDayInputs({ records: byDate[d], stats, config, dayKey: d }));
+const january = dates.filter(d => d.startsWith('2023-01'));
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test('a whole month is billed on its maximum, not on the mean daily peak', () => {
+    const run = simulateDays(inputsFor(january), config, getPolicyFactory('smart'));
+    assert.equal(run.months.length, 1);
+    const [month] = run.months;
+    assert.equal(month.billedShare, 1);
+    close(run.totals.demandCharge, month.demandCharge, 'demand charge');
+    close(run.totals.excessDemandPenalty, month.excessDemandPenalty, 'excess demand penalty');
+    // The bill is in the cost, and the day costs still add up to the run
+    close(run.totals.cost, run.days.reduce((s, day) => s + day.totals.cost, 0), 'cost');
+    const dailyShares = run.days.reduce((s, day) => s + day.totals.demandCharge - day.totals.demandTrueUp, 0);
+    close(run.totals.demandCharge - dailyShares, run.totals.demandTrueUp, 'true-up');
+});
+
+test('a partial month pays its share of the bill at the peak so far', () => {
+    const run = simulateDays(inputsFor(january.slice(0, 3)), config, getPolicyFactory('baseline'));
+    close(run.months[0].billedShare, 3 / 30, 'share');
+    close(run.totals.demandCharge, run.months[0].demandCharge * 3 / 30, 'demand charge');
+});
+
+test('a one-day run matches simulateDay', () => {
+    const [dayInputs] = inputsFor([dates[0]]);
+    const single = simulateDay(dayInputs, config, getPolicyFactory('baseline')(dayInputs, config));
+    const run = simulateDays([dayInputs], config, getPolicyFactory('baseline'));
+    close(run.totals.cost, single.totals.cost, 'cost');
+    close(run.totals.demandCharge, single.totals.demandCharge, 'demand charge');
+});
+
+test('chunked runs settled over the whole period match one continuous run', () => {
+    const days = dates.slice(20, 45);
+    const daysInputs = inputsFor(days);
+    const full = simulateDays(daysInputs, config, getPolicyFactory('baseline'));
+    const chunked = [];
+    let socPct = config.initialSocPct;
+    for (let first = 0; first < daysInputs.length; first += 7) {
+        const run = simulateDays(daysInputs.slice(first, first + 7), { ...config, initialSocPct: socPct }, getPolicyFactory('baseline'));
+        chunked.push(...run.days);
+        socPct = run.finalSocPct;
+    }
+    const months = settleMonthlyDemand(chunked, daysInputs, config);
+    assert.deepEqual(months.map(m => m.month), full.months.map(m => m.month));
+    close(chunked.reduce((s, day) => s + day.totals.cost, 0), full.totals.cost, 'cost');
+    close(chunked.reduce((s, day) => s + day.totals.demandCharge, 0), full.totals.demandCharge, 'demand charge');
+});
+
+test('the optimal benchmark prices the peak and stays below smart', () => {
+    for (const date of january.slice(5, 8)) {
+        const [dayInputs] = inputsFor([date]);
+        const smart = simulateDay(dayInputs, config, getPolicyFactory('smart')(dayInputs, config));
+        const optimal = simulateDay(dayInputs, config, getPolicyFactory('optimal')(dayInputs, config));
+        assert.ok(optimal.totals.cost <= smart.totals.cost + 1e-6, `${date}: optimal ${optimal.totals.cost} > smart ${smart.totals.cost}`);
+        const gap = computeOptimalityGap(simulateDay(dayInputs, config, getPolicyFactory('baseline')(dayInputs, config)).totals.cost,
+            smart.totals.cost, optimal.totals.cost);
+        assert.ok(gap.bounded, date);
+        assert.ok(gap.capturedShare === null || gap.capturedShare <= 1 + 1e-9, date);
+    }
+});
+
+test('a policy that beats the DP is reported as unbounded', () => {
+    const gap = computeOptimalityGap(100, 80, 85);
+    assert.equal(gap.bounded, false);
+    assert.equal(gap.capturedShare, null);
+    close(gap.gapCost, -5, 'gap');
+});
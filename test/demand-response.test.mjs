@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    getPolicyFactory,
+    simulateDay
+} from '../core/microgrid-core.mjs';
+
+const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+const byDate = groupRecordsByDate(records);
+
+test('the optimal benchmark plans for demand-response events', () => {
+    // A morning event the battery is not forced into: only the DR price makes holding charge for it pay
+    const config = buildSimConfig({
+        demandResponse: 'scheduled', drEvents: [{ start: 6, end: 8 }],
+        drUseBattery: false, drIncentivePerKwh: 50, drPenaltyPerKwh: 100
+    });
+    const date = '2023-01-04';
+    const dayInputs = buildDayInputs({ records: byDate[date], stats, config, dayKey: date });
+    const run = name => simulateDay(dayInputs, config, getPolicyFactory(name)(dayInputs, config));
+    const smart = run('smart');
+    const optimal = run('optimal');
+    assert.ok(optimal.totals.cost <= smart.totals.cost, `optimal ${optimal.totals.cost} > smart ${smart.totals.cost}`);
+    assert.ok(optimal.demandResponse[0].compliance >= smart.demandResponse[0].compliance - 1e-9,
+        `optimal compliance ${optimal.demandResponse[0].compliance} < smart ${smart.demandResponse[0].compliance}`);
+});
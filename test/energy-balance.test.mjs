@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    getPolicyFactory,
+    simulateDay,
+    summarizeAudit,
+    auditInterval,
+    createDayState,
+    createBaselinePolicy,
+    dispatchHour
+} from '../core/microgrid-core.mjs';
+
+const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+const byDate = groupRecordsByDate(records);
+const dates = Object.keys(byDate).sort();
+
+function runDay(date, overrides, policyName) {
+    const config = buildSimConfig(overrides);
+    const dayInputs = buildDayInputs({ records: byDate[date], stats, config, dayKey: date });
+    return simulateDay(dayInputs, config, getPolicyFactory(policyName)(dayInputs, config));
+}
+
+// Load served from each source plus shed load adds up to the demand, every interval
+function assertLoadServed(result) {
+    result.hourly.forEach(h => {
+        const served = h.solarToLoadKw + h.windToLoadKw + h.battToLoadKw + h.gridToLoadKw + h.dieselToLoadKw;
+        assert.ok(Math.abs(served + h.unmetLoadKw - h.loadKw) < 1e-9, `interval ${h.step}: served ${served} + unmet ${h.unmetLoadKw} != load ${h.loadKw}`);
+    });
+}
+
+const SCENARIOS = {
+    'default configuration': {},
+    'wind, export and scheduled outage': { windRatedKw: 3, exportMode: 'feed-in', outageMode: 'scheduled', outageWindows: [{ start: 18, end: 21 }] },
+    '15-minute steps with grid services': { timestepMinutes: 15, gridServices: true },
+    'demand-response event with diesel': { demandResponse: 'scheduled', drUseDiesel: true, dieselChargeBattery: true }
+};
+
+Object.entries(SCENARIOS).forEach(([name, overrides]) => {
+    test(`energy is conserved: ${name}`, () => {
+        dates.slice(0, 3).forEach(date => {
+            ['baseline', 'smart', 'optimal'].forEach(policyName => {
+                const result = runDay(date, overrides, policyName);
+                const audit = summarizeAudit(result.audit);
+                assert.equal(audit.violations.length, 0, `${policyName} ${date}: ${JSON.stringify(audit.violations[0])}`);
+                assert.ok(audit.maxResidualKwh < 1e-6);
+                assert.ok(audit.maxSocResidualKwh < 1e-6);
+                assertLoadServed(result);
+            });
+        });
+    });
+});
+
+test('day-level ledger closes: sources = sinks + losses + curtailment', () => {
+    const audit = summarizeAudit(runDay(dates[0], { windRatedKw: 3, exportMode: 'net-metering' }, 'smart').audit);
+    const sum = obj => Object.values(obj).reduce((s, v) => s + v, 0);
+    assert.ok(Math.abs(sum(audit.sources) - sum(audit.sinks) - sum(audit.losses) - audit.curtailedKwh) < 1e-6);
+});
+
+// Islanded interval with the battery at its floor, so only the genset can serve the load
+function gensetInterval(state, loadKw, gridAvailable = false) {
+    const socStartKwh = state.battery.socKwh;
+    const flows = dispatchHour({ hour: 0, isPeak: false, solarGenKw: 0, loadKw, tariff: 10, gridLimitKw: 10, gridAvailable, co2GridPerKwh: 0.7, co2DieselPerKwh: 0.8 }, state, createBaselinePolicy());
+    return { flows, audit: auditInterval(flows, socStartKwh, state.battery, { gridLimitKw: 10 }) };
+}
+
+test('genset output below minimum loading goes to the dump load and is audited', () => {
+    // 10 kW genset at 30% minimum loading serving a 1 kW load, then min-run with no load
+    const config = buildSimConfig({ dieselRatedKw: 10, dieselMinLoadRatio: 0.3, dieselMinRunHours: 2, initialSocPct: 20, minSocPct: 20 });
+    const state = createDayState(config);
+    const light = gensetInterval(state, 1);
+    assert.equal(light.flows.dieselToLoadKw, 1);
+    assert.ok(Math.abs(light.flows.dieselDumpKw - 2) < 1e-9);
+    assert.ok(Math.abs(light.audit.sinks.dump - 2) < 1e-9);
+    assert.deepEqual(light.audit.violations, []);
+    const idle = gensetInterval(state, 0, true);
+    assert.ok(idle.flows.dieselRunning);
+    assert.ok(Math.abs(idle.flows.dieselDumpKw - 3) < 1e-9);
+    assert.deepEqual(idle.audit.violations, []);
+
+    // With cycle charging the battery takes the surplus instead
+    const charging = createDayState({ ...config, dieselChargeBattery: true });
+    const charged = gensetInterval(charging, 1);
+    assert.ok(charged.flows.dieselToBattKw >= 2 - 1e-9);
+    assert.equal(charged.flows.dieselDumpKw, 0);
+    assert.deepEqual(charged.audit.violations, []);
+});
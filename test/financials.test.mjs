@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    netPresentValue,
+    internalRateOfReturn,
+    paybackYears,
+    runFinancialAnalysis,
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate
+} from '../core/microgrid-core.mjs';
+
+test('internalRateOfReturn zeroes the NPV', () => {
+    // -100 now, 110 next year: exactly 10%
+    assert.ok(Math.abs(internalRateOfReturn([-100, 110]) - 0.1) < 1e-6);
+    const flows = [-1000, 300, 300, 300, 300, 300];
+    const irr = internalRateOfReturn(flows);
+    assert.ok(Math.abs(netPresentValue(irr, flows)) < 1e-3);
+    assert.ok(irr > 0.15 && irr < 0.16);
+});
+
+test('internalRateOfReturn is null without a sign change', () => {
+    assert.equal(internalRateOfReturn([-100, -10, -10]), null);
+    assert.equal(internalRateOfReturn([100, 10]), null);
+});
+
+test('paybackYears interpolates within the year', () => {
+    assert.equal(paybackYears([-1000, 400, 400, 400]), 2.5);
+    assert.equal(paybackYears([0, 10]), 0);
+    assert.equal(paybackYears([-1000, 100, 100]), null);
+});
+
+test('the financial reference keeps the genset and reports its diesel cost', () => {
+    const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+    const byDate = groupRecordsByDate(records);
+    const dates = Object.keys(byDate).sort().slice(0, 3);
+    const buildDaysInputs = config => dates.map(d => buildDayInputs({ records: byDate[d], stats, config, dayKey: d }));
+    const withGenset = runFinancialAnalysis(buildSimConfig({}), buildDaysInputs).annual.reference;
+    const gridOnly = runFinancialAnalysis(buildSimConfig({ dieselRatedKw: 0 }), buildDaysInputs).annual.reference;
+    assert.ok(withGenset.dieselCost > 0 && withGenset.dieselCost < withGenset.bill);
+    assert.equal(gridOnly.dieselCost, 0);
+});
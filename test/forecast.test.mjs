@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forecastDay, forecastErrors, analyzeDatasetForecasts, percentile } from '../core/microgrid-core.mjs';
+
+// Synthetic day: load follows temperature, solar follows irradiance
+function makeDay(dayIndex, { temperatureOffset = 0 } = {}) {
+    return Array.from({ length: 24 }, (_, hour) => {
+        const temperature = 25 + temperatureOffset + 8 * Math.sin((hour - 8) / 24 * 2 * Math.PI);
+        const irradiance = hour >= 6 && hour < 18 ? 900 * Math.sin((hour - 6) / 12 * Math.PI) : 0;
+        return {
+            hour,
+            loadKw: 1 + 0.1 * temperature,
+            solarGenKw: irradiance / 200,
+            forecastLoadKw: 3,
+            forecastSolarKw: irradiance > 0 ? 2 : 0,
+            realData: { temperature, solar_irradiance: irradiance, day_of_week: dayIndex % 7 }
+        };
+    });
+}
+
+test('without history every model falls back to the dataset forecast', () => {
+    const target = makeDay(0);
+    ['dataset', 'persistence', 'smoothing', 'regression'].forEach(model => {
+        const f = forecastDay([], target, { model });
+        assert.equal(f.model, 'dataset');
+        assert.deepEqual(f.loadKw, target.map(inp => inp.forecastLoadKw));
+        assert.deepEqual(f.solarKw, target.map(inp => inp.forecastSolarKw));
+    });
+});
+
+test('persistence repeats the last history day', () => {
+    const history = [makeDay(0), makeDay(1, { temperatureOffset: 3 })];
+    const f = forecastDay(history, makeDay(2), { model: 'persistence' });
+    assert.deepEqual(f.loadKw, history[1].map(inp => inp.loadKw));
+    assert.deepEqual(f.solarKw, history[1].map(inp => inp.solarGenKw));
+});
+
+test('smoothing blends the history days with weight alpha on the newest', () => {
+    const history = [makeDay(0), makeDay(1, { temperatureOffset: 10 })];
+    const f = forecastDay(history, makeDay(2), { model: 'smoothing', alpha: 0.25 });
+    f.loadKw.forEach((v, i) => {
+        assert.ok(Math.abs(v - (0.25 * history[1][i].loadKw + 0.75 * history[0][i].loadKw)) < 1e-12);
+    });
+});
+
+test('regression learns the weather relationship', () => {
+    // A heat wave: each day is 1 °C warmer, so the previous day's temperature
+    // predicts the load, while persistence lags a day behind
+    const history = Array.from({ length: 15 }, (_, d) => makeDay(d, { temperatureOffset: d }));
+    const target = makeDay(15, { temperatureOffset: 15 });
+    const f = forecastDay(history, target, { model: 'regression', trainingDays: 14 });
+    assert.equal(f.trainingDays, 14);
+    const actual = target.map(inp => inp.loadKw);
+    const regression = forecastErrors(actual, f.loadKw);
+    const persistence = forecastErrors(actual, forecastDay(history, target, { model: 'persistence' }).loadKw);
+    assert.ok(regression.mae < persistence.mae, `regression MAE ${regression.mae} vs persistence ${persistence.mae}`);
+    // Night intervals get no solar
+    target.forEach((inp, i) => { if (inp.forecastSolarKw === 0) assert.equal(f.solarKw[i], 0); });
+});
+
+test('regression does not see the forecast day\'s measured weather', () => {
+    const history = Array.from({ length: 8 }, (_, d) => makeDay(d, { temperatureOffset: d % 3 }));
+    const target = makeDay(8);
+    const hotAndBright = target.map(inp => ({ ...inp, realData: { ...inp.realData, temperature: 45, solar_irradiance: 1000 } }));
+    const f = forecastDay(history, target, { model: 'regression' });
+    assert.deepEqual(forecastDay(history, hotAndBright, { model: 'regression' }), f);
+});
+
+test('only the last trainingDays days are used', () => {
+    const history = [makeDay(0, { temperatureOffset: 20 }), makeDay(1), makeDay(2)];
+    const f = forecastDay(history, makeDay(3), { model: 'smoothing', trainingDays: 1 });
+    assert.equal(f.trainingDays, 1);
+    assert.deepEqual(f.loadKw, history[2].map(inp => inp.loadKw));
+});
+
+test('forecastErrors reports MAE, RMSE and MAPE above the 5% floor', () => {
+    const e = forecastErrors([0, 10, 20], [1, 12, 16]);
+    assert.ok(Math.abs(e.mae - 7 / 3) < 1e-12);
+    assert.ok(Math.abs(e.rmse - Math.sqrt(21 / 3)) < 1e-12);
+    // The zero actual is skipped: (20% + 20%) / 2
+    assert.ok(Math.abs(e.mape - 20) < 1e-9);
+});
+
+test('the regression solar forecast is gated by the forecast, not the measured output', () => {
+    const history = Array.from({ length: 7 }, (_, d) => makeDay(d));
+    // Measured output the forecast must not peek at: a cloudy noon and a stray night reading
+    const target = makeDay(7).map(inp => ({ ...inp, solarGenKw: inp.hour === 12 ? 0 : inp.hour === 2 ? 1 : inp.solarGenKw }));
+    const f = forecastDay(history, target, { model: 'regression' });
+    assert.ok(f.solarKw[12] > 0);
+    assert.equal(f.solarKw[2], 0);
+});
+
+test('dataset forecast accuracy shares its error statistics with forecastErrors', () => {
+    const records = Array.from({ length: 48 }, (_, i) => {
+        const hour = i % 24;
+        const solar = hour >= 6 && hour < 18 ? 4 * Math.sin((hour - 6) / 12 * Math.PI) : 0;
+        return {
+            timestamp: `2023-01-0${1 + Math.floor(i / 24)} ${String(hour).padStart(2, '0')}:00:00`,
+            minute_of_day: hour * 60,
+            solar_pv_output: solar,
+            predicted_solar_pv_output: solar * 1.1 + (hour === 7 ? 0.5 : 0),
+            wind_power_output: 1 + (i % 5),
+            predicted_wind_power_output: 2
+        };
+    });
+    const { series } = analyzeDatasetForecasts(records);
+    ['solar', 'wind'].forEach(name => {
+        const actualKey = name === 'solar' ? 'solar_pv_output' : 'wind_power_output';
+        const actual = records.map(r => r[actualKey]);
+        const predicted = records.map(r => r[`predicted_${actualKey}`]);
+        const expected = forecastErrors(actual, predicted);
+        ['mae', 'rmse', 'mape'].forEach(key => assert.ok(Math.abs(series[name].overall[key] - expected[key]) < 1e-9, `${name} ${key}`));
+        const errors = predicted.map((p, i) => p - actual[i]).sort((a, b) => a - b);
+        assert.equal(series[name].distribution.p90, percentile(errors, 90));
+    });
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    getPolicyFactory,
+    simulateDay
+} from '../core/microgrid-core.mjs';
+
+const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+const byDate = groupRecordsByDate(records);
+const example = JSON.parse(readFileSync(new URL('../tools/example-config.json', import.meta.url), 'utf8'));
+
+function assertMpcBeatsBaseline(config, dates) {
+    dates.forEach(date => {
+        const dayInputs = buildDayInputs({ records: byDate[date], stats, config, dayKey: date });
+        const run = name => simulateDay(dayInputs, config, getPolicyFactory(name)(dayInputs, config)).totals;
+        const baseline = run('baseline');
+        const mpc = run('mpc');
+        assert.ok(mpc.cost <= baseline.cost, `${date}: MPC ${mpc.cost} > baseline ${baseline.cost}`);
+    });
+}
+
+test('MPC never costs more than baseline when demand is billed', () => {
+    assertMpcBeatsBaseline(buildSimConfig({ ...example, demandChargePerKw: 300 }), Object.keys(byDate).sort().slice(0, 5));
+});
+
+test('MPC holds the billed peak when the measured load runs above the forecast', () => {
+    // Demand, excess-demand, outages, services and DR together at 15-minute steps
+    const config = buildSimConfig({
+        ...example, timestepMinutes: 15, demandChargePerKw: 300, sanctionedLoadKw: 3, excessDemandPenaltyPerKw: 500,
+        gridLimitKw: 8, outageMode: 'reliability', gridServices: true, demandResponse: 'triggered', peakShaving: true
+    });
+    assertMpcBeatsBaseline(config, ['2023-01-01']);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    settleGridExport,
+    settleImportSlabs,
+    resolveTariff,
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    getPolicyFactory,
+    simulateDays
+} from '../core/microgrid-core.mjs';
+
+// Two hours: 4 kWh imported at ₹10 and 3 kWh exported at ₹12 (half-hour steps for the second)
+function intervals() {
+    return [
+        { dtHours: 1, gridImportKw: 4, gridExportKw: 0, tariff: 10, grossCost: 40 },
+        { dtHours: 0.5, gridImportKw: 0, gridExportKw: 6, tariff: 12, grossCost: 0, serviceRevenue: 2, drIncentive: 1 }
+    ];
+}
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test('none: exports earn nothing', () => {
+    const hs = intervals();
+    const s = settleGridExport(hs, { exportMode: 'none', feedInTariff: 4 });
+    close(s.exportKwh, 3, 'exportKwh');
+    close(s.exportRevenue, 0, 'revenue');
+    close(s.grossCost, 40, 'grossCost');
+    // Service revenue and DR incentives are still credited
+    close(s.netCost, 37, 'netCost');
+});
+
+test('feed-in: every exported kWh earns the FiT', () => {
+    const hs = intervals();
+    const s = settleGridExport(hs, { exportMode: 'feed-in', feedInTariff: 4 });
+    close(s.exportRevenue, 12, 'revenue');
+    close(hs[1].exportRevenue, 12, 'interval revenue');
+    close(s.netCost, 40 - 12 - 3, 'netCost');
+});
+
+test('net-metering: exports matched by imports earn the retail tariff, the surplus the FiT', () => {
+    const matched = intervals();
+    close(settleGridExport(matched, { exportMode: 'net-metering', feedInTariff: 4 }).exportRevenue, 3 * 12, 'fully netted');
+    const surplus = intervals();
+    surplus[0].gridImportKw = 1.5;
+    surplus[0].grossCost = 15;
+    // Half of the 3 kWh is netted at ₹12, the other half paid at ₹4
+    close(settleGridExport(surplus, { exportMode: 'net-metering', feedInTariff: 4 }).exportRevenue, 1.5 * 12 + 1.5 * 4, 'half netted');
+});
+
+test('net-billing: credit cancels the import bill but is never paid out beyond it', () => {
+    const hs = intervals();
+    close(settleGridExport(hs, { exportMode: 'net-billing', feedInTariff: 4 }).exportRevenue, 12, 'within the bill');
+    const big = intervals();
+    close(settleGridExport(big, { exportMode: 'net-billing', feedInTariff: 20 }).exportRevenue, 40, 'capped at the import cost');
+});
+
+test('per-interval costs add up to the net bill', () => {
+    ['none', 'feed-in', 'net-metering', 'net-billing'].forEach(exportMode => {
+        const hs = intervals();
+        const s = settleGridExport(hs, { exportMode, feedInTariff: 4 });
+        close(hs.reduce((sum, h) => sum + h.cost, 0), s.netCost, exportMode);
+    });
+});
+
+// One 80 kWh import at ₹10 per day, billed on the telescopic slabs (0.5 up to 100 kWh, then 0.8)
+const slabDay = () => [{ dtHours: 1, gridImportKw: 80, tariff: 10, grossCost: 800, cost: 800 }];
+const slabs = resolveTariff({ tariff: 'telescopic' });
+
+test('slabs: day 2 of a month starts in the slab day 1 reached', () => {
+    close(settleImportSlabs(slabDay(), slabs, 0), 80 * 10 * (0.5 - 1), 'day 1');
+    // 20 kWh left in the first slab, the other 60 in the second
+    close(settleImportSlabs(slabDay(), slabs, 80), 20 * 10 * (0.5 - 1) + 60 * 10 * (0.8 - 1), 'day 2');
+    // A standalone day pro-rates the widths: 100/30 kWh at 0.5, 200/30 at 0.8, 200/30 at 1.1, the rest at 1.4
+    const day = (100 * 0.5 + 200 * 0.8 + 200 * 1.1) / 30 + (80 - 500 / 30) * 1.4;
+    close(settleImportSlabs(slabDay(), slabs), (day - 80) * 10, 'standalone');
+});
+
+test('slabs: multi-day runs carry month-to-date import and reset it each month', () => {
+    const { records, stats } = parseDatasetCsv(readFileSync(new URL('../Renewable_energy_dataset.csv', import.meta.url), 'utf8'));
+    const byDate = groupRecordsByDate(records);
+    const config = buildSimConfig({ tariff: 'telescopic' });
+    const days = ['2023-01-30', '2023-01-31', '2023-02-01'];
+    const daysInputs = days.map(d => buildDayInputs({ records: byDate[d], stats, config, dayKey: d }));
+    const run = simulateDays(daysInputs, config, getPolicyFactory('baseline'));
+    const [jan30, jan31, feb1] = run.days;
+    const rebill = (day, monthToDateKwh) => settleImportSlabs(day.hourly.map(h => ({ ...h })), slabs, monthToDateKwh);
+    close(jan31.totals.slabAdjustment, rebill(jan31, jan30.totals.gridKwh), 'Jan 31 continues January');
+    close(feb1.totals.slabAdjustment, rebill(feb1, 0), 'Feb 1 starts a new month');
+    assert.deepEqual(run.importMonth, { month: '2023-02', importKwh: feb1.totals.gridKwh });
+    // A run split in two chunks bills the same as one run
+    const first = simulateDays(daysInputs.slice(0, 1), config, getPolicyFactory('baseline'));
+    const rest = simulateDays(daysInputs.slice(1), { ...config, initialSocPct: first.finalSocPct }, getPolicyFactory('baseline'), { importMonth: first.importMonth });
+    close(rest.days[0].totals.slabAdjustment, jan31.totals.slabAdjustment, 'chunked run');
+});
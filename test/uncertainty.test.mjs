@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, summarizeSamples } from '../core/microgrid-core.mjs';
+
+test('percentile interpolates linearly on a 0-100 scale', () => {
+    const sorted = [1, 2, 3, 4, 5];
+    assert.equal(percentile(sorted, 0), 1);
+    assert.equal(percentile(sorted, 50), 3);
+    assert.equal(percentile(sorted, 100), 5);
+    assert.equal(percentile(sorted, 10), 1.4);
+    assert.equal(percentile([7], 90), 7);
+    assert.equal(percentile([], 50), 0);
+});
+
+test('summarizeSamples sorts before taking percentiles', () => {
+    const s = summarizeSamples([5, 1, 4, 2, 3]);
+    assert.equal(s.p50, 3);
+    assert.equal(s.min, 1);
+    assert.equal(s.max, 5);
+    assert.equal(s.mean, 3);
+});
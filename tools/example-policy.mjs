@@ -0,0 +1,42 @@
+/**
+ * Example user policy module for the microgrid simulator.
+ * Load it in the browser ("Load Policy File") or from the CLI:
+ *   node tools/simulate.mjs --policy-file tools/example-policy.mjs --policies baseline,smart,peak-hold,self-use
+ *
+ * A module default-exports one definition or an array of them:
+ *   { name, label?, description?, create(dayInputs, config) => policy }
+ * The policy implements either setpoints(ctx) => { dischargeKw, gridChargeKw }
+ * or allowDischarge(ctx) / allowGridCharge(ctx) / desiredGridChargeKw(ctx).
+ * ctx = { step, hour, dtHours, isPeak, state: { battery, genset }, inputs }.
+ */
+
+export default [
+    {
+        name: 'peak-hold',
+        label: 'Peak Hold',
+        description: 'Keeps the battery for peak hours and tops it up from the grid overnight',
+        create: () => ({
+            setpoints: ({ hour, isPeak, dtHours, state }) => {
+                const battery = state.battery;
+                if (isPeak) return { gridChargeKw: 0 };
+                // Cheap night hours: fill to 90% for the evening peak
+                const targetKwh = battery.capacityKwh * 0.9;
+                const night = hour < 6 || hour >= 22;
+                return {
+                    dischargeKw: 0,
+                    gridChargeKw: night ? Math.max(0, targetKwh - battery.socKwh) / dtHours : 0
+                };
+            }
+        })
+    },
+    {
+        name: 'self-use',
+        label: 'Self-Use',
+        description: 'Maximises self-consumption: battery serves any load, no grid charging',
+        create: () => ({
+            allowDischarge: () => true,
+            allowGridCharge: () => false,
+            desiredGridChargeKw: () => 0
+        })
+    }
+];
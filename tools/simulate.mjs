@@ -0,0 +1,640 @@
+#!/usr/bin/env node
+/**
+ * =====================================================
+ * MICROGRID SIMULATOR - COMMAND-LINE RUNNER
+ * Headless baseline vs smart runs from a config JSON + dataset CSV
+ * =====================================================
+ *
+ * Usage:
+ *   node tools/simulate.mjs [--config cfg.json] [--date YYYY-MM-DD] [--days N] [--json]
+ *   node tools/simulate.mjs --help
+ *
+ * Config keys mirror DEFAULT_SIM_CONFIG in core/microgrid-core.mjs; every
+ * registered policy runs unless the config or --policies picks some.
+ * --help prints the flags and README.md ("Headless Runs") describes them and
+ * their config equivalents. In the interval table "!" in Time marks an
+ * islanded interval and "^" in FuelL a genset start.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+    buildSimConfig,
+    buildDayInputs,
+    parseDatasetCsv,
+    groupRecordsByDate,
+    groupRecordsByDateMinute,
+    hasSubHourlyRecords,
+    listPolicies,
+    getPolicyFactory,
+    registerPolicyModule,
+    computeOptimalityGap,
+    stackBatteryValue,
+    runMonteCarlo,
+    buildSizingOptions,
+    selectRepresentativeDays,
+    runSizingStudy,
+    buildFinancialOptions,
+    runFinancialAnalysis,
+    DATASET_SEASONS,
+    simulateDataset,
+    applyForecastModel,
+    evaluateDayForecast,
+    FORECAST_WEATHER_BANDS,
+    analyzeDatasetForecasts,
+    COMMUNITY_MARKETS,
+    runCommunity,
+    parseGridEmissionsCsv,
+    compareGridEmissions,
+    summarizeAudit,
+    simulateDay,
+    simulateDays
+} from '../core/microgrid-core.mjs';
+
+const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+    const args = { json: false, policyFiles: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--config': args.config = argv[++i]; break;
+            case '--csv': args.csv = argv[++i]; break;
+            case '--date': args.date = argv[++i]; break;
+            case '--day': args.day = parseInt(argv[++i], 10); break;
+            case '--days': args.days = parseInt(argv[++i], 10); break;
+            case '--timestep': args.timestep = parseInt(argv[++i], 10); break;
+            case '--json': args.json = true; break;
+            case '--policy-file': args.policyFiles.push(argv[++i]); break;
+            case '--policies': args.policies = argv[++i].split(',').map(p => p.trim()).filter(Boolean); break;
+            case '--carbon-csv': args.carbonCsv = argv[++i]; break;
+            case '--monte-carlo': args.monteCarlo = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--sizing': args.sizing = true; break;
+            case '--financials': args.financials = true; break;
+            case '--all-dates': args.allDates = true; break;
+            case '--community': args.community = true; break;
+            case '--forecast': args.forecast = argv[++i]; break;
+            case '--forecast-accuracy': args.forecastAccuracy = true; break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/simulate.mjs [--config cfg.json] [--csv data.csv] [--date YYYY-MM-DD | --day N] [--days N] [--timestep 60|30|15|5] [--json] [--policy-file policy.mjs] [--policies a,b,...] [--carbon-csv intensity.csv] [--monte-carlo N [--seed S]] [--sizing | --financials] [--all-dates] [--community] [--forecast model] [--forecast-accuracy]');
+}
+
+function pad(value, width) {
+    return String(value).padStart(width);
+}
+
+function formatClock(hour) {
+    const minutes = Math.round(hour * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function printPolicyRun(name, result) {
+    console.log(`\n=== ${name.toUpperCase()} ===`);
+    console.log(['Time', 'Solar', 'Wind', 'Load', 'S→L', 'S→B', 'W→L', 'W→B', 'B→L', 'G→L', 'G→B', 'Export', 'Curt', 'Diesel', 'D→B', 'FuelL', 'Unmet', 'SOC%', 'Tariff', 'Cost₹', 'CO2kg'].map(h => pad(h, 7)).join(''));
+    result.hourly.forEach(h => {
+        console.log([
+            `${h.gridAvailable ? '' : '!'}${formatClock(h.hour)}${h.isPeak ? '*' : ' '}`,
+            h.solarGenKw.toFixed(2),
+            h.windGenKw.toFixed(2),
+            h.loadKw.toFixed(2),
+            h.solarToLoadKw.toFixed(2),
+            h.solarToBattKw.toFixed(2),
+            h.windToLoadKw.toFixed(2),
+            h.windToBattKw.toFixed(2),
+            h.battToLoadKw.toFixed(2),
+            h.gridToLoadKw.toFixed(2),
+            h.gridToBattKw.toFixed(2),
+            h.gridExportKw.toFixed(2),
+            (h.curtailedKw + h.windCurtailedKw).toFixed(2),
+            h.dieselToLoadKw.toFixed(2),
+            h.dieselToBattKw.toFixed(2),
+            `${h.dieselStarted ? '^' : ''}${h.dieselFuelL.toFixed(2)}`,
+            h.unmetLoadKw.toFixed(2),
+            h.socPct.toFixed(1),
+            h.tariff.toFixed(2),
+            h.cost.toFixed(2),
+            h.co2Kg.toFixed(2)
+        ].map(v => pad(v, 7)).join(''));
+    });
+    const t = result.totals;
+    console.log(`Totals: cost ₹${t.cost.toFixed(2)} | grid ${t.gridKwh.toFixed(2)} kWh | ${formatDiesel(t)} | ` +
+        `solar→load ${t.solarToLoadKwh.toFixed(2)} kWh | solar→batt ${t.solarToBattKwh.toFixed(2)} kWh | ` +
+        `batt→load ${t.battToLoadKwh.toFixed(2)} kWh | export ${t.exportKwh.toFixed(2)} kWh (credit ₹${t.exportRevenue.toFixed(2)}) | ` +
+        `curtailed ${t.curtailedKwh.toFixed(2)} kWh (${(t.curtailmentRatio * 100).toFixed(1)}% of PV) | CO2 ${t.co2Kg.toFixed(2)} kg`);
+    if (t.windGenKwh > 0) console.log(formatWind(t));
+    if (t.pvTempLossKwh !== 0 || t.pvClippedKwh > 0) console.log(formatPvLosses(t));
+    if (t.slabAdjustment) console.log(formatSlabs(t));
+    if (t.demandCharge > 0) console.log(formatDemand(t));
+    if (t.co2MarginalKg !== t.co2Kg) console.log(formatCarbon(t));
+    if (t.outageHours > 0) console.log(formatReliability(t));
+    if (t.serviceReserveKwh > 0) console.log(formatGridServices(t));
+    if (t.drEvents > 0) {
+        console.log(formatDemandResponse(t));
+        result.demandResponse.forEach(e => console.log(formatDemandResponseEvent(e)));
+    }
+    console.log(formatAudit(summarizeAudit(result.audit)));
+}
+
+function formatWind(t) {
+    return `Wind: generated ${t.windGenKwh.toFixed(2)} kWh | wind→load ${t.windToLoadKwh.toFixed(2)} kWh | ` +
+        `wind→batt ${t.windToBattKwh.toFixed(2)} kWh | curtailed ${t.windCurtailedKwh.toFixed(2)} kWh`;
+}
+
+function formatPvLosses(t) {
+    return `PV: generated ${t.solarGenKwh.toFixed(2)} kWh | temperature derating ${t.pvTempLossKwh.toFixed(2)} kWh | ` +
+        `inverter clipping ${t.pvClippedKwh.toFixed(2)} kWh`;
+}
+
+function formatSlabs(t) {
+    return `Slab billing: ${t.slabAdjustment >= 0 ? '+' : '-'}₹${Math.abs(t.slabAdjustment).toFixed(2)} vs TOU prices`;
+}
+
+function formatDemand(t) {
+    return `Demand: peak import ${t.peakImportKw.toFixed(2)} kW | demand charge ₹${t.demandCharge.toFixed(2)} (day share of the monthly bill)` +
+        (t.excessDemandKw > 0 ? ` incl. ₹${t.excessDemandPenalty.toFixed(2)} for ${t.excessDemandKw.toFixed(2)} kW above the sanctioned load` : '');
+}
+
+function formatMonthlyDemand(m) {
+    return `Month ${m.month} (${m.days} d): peak import ${m.peakImportKw.toFixed(2)} kW | demand bill ₹${m.demandCharge.toFixed(2)}` +
+        (m.excessDemandKw > 0 ? ` incl. ₹${m.excessDemandPenalty.toFixed(2)} for ${m.excessDemandKw.toFixed(2)} kW above the sanctioned load` : '') +
+        (m.billedShare < 1 ? ` | ₹${(m.demandCharge * m.billedShare).toFixed(2)} in this run (${m.days}/30 of the month)` : '');
+}
+
+function formatCarbon(t) {
+    const intensity = kg => (t.gridKwh > 0 ? kg / t.gridKwh : 0).toFixed(3);
+    return `Carbon: average ${t.co2Kg.toFixed(2)} kg | marginal ${t.co2MarginalKg.toFixed(2)} kg | ` +
+        `grid imports at ${intensity(t.gridCo2Kg)} kg/kWh average, ${intensity(t.gridCo2MarginalKg)} kg/kWh marginal`;
+}
+
+function formatGridServices(t) {
+    return `Grid services: revenue ₹${t.serviceRevenue.toFixed(2)} (reserve ₹${t.serviceAvailabilityRevenue.toFixed(2)}, ` +
+        `energy ₹${t.serviceEnergyRevenue.toFixed(2)}, reactive ₹${t.reactiveRevenue.toFixed(2)}) | reserve ${t.serviceReserveKwh.toFixed(2)} kW-h | ` +
+        `up ${t.serviceUpKwh.toFixed(2)} kWh | down ${t.serviceDownKwh.toFixed(2)} kWh | reactive ${t.reactiveKvarh.toFixed(2)} kvarh`;
+}
+
+function formatDemandResponse(t) {
+    return `Demand response: ${t.drEvents} event(s) | reduction ${t.drDeliveredKwh.toFixed(2)} of ${t.drRequiredKwh.toFixed(2)} kWh ` +
+        `(${(t.drCompliance * 100).toFixed(1)}% compliance) | incentive ₹${t.drIncentive.toFixed(2)} | penalty ₹${t.drPenalty.toFixed(2)} | ` +
+        `appliances deferred ${t.drDeferredKwh.toFixed(2)} kWh`;
+}
+
+function formatDemandResponseEvent(e) {
+    return `  Event ${e.id} ${formatClock(e.start)}-${formatClock(e.end % 24)} (${e.trigger}${e.announced ? '' : ', unannounced'}): ` +
+        `baseline ${e.baselineKw.toFixed(2)} kW, cut ${e.reductionKw.toFixed(2)} kW | delivered ${e.deliveredKwh.toFixed(2)} of ${e.requiredKwh.toFixed(2)} kWh ` +
+        `(${(e.compliance * 100).toFixed(1)}%) | ₹${e.incentive.toFixed(2)} incentive, ₹${e.penalty.toFixed(2)} penalty`;
+}
+
+function formatComplianceDelta(baselineTotals, smartTotals) {
+    const net = t => t.drIncentive - t.drPenalty;
+    return `Demand-response compliance (Baseline / Smart): ${(baselineTotals.drCompliance * 100).toFixed(1)}% / ${(smartTotals.drCompliance * 100).toFixed(1)}% | ` +
+        `net incentive ₹${net(baselineTotals).toFixed(2)} / ₹${net(smartTotals).toFixed(2)}`;
+}
+
+function formatStackedValue(baselineTotals, smartTotals) {
+    const v = stackBatteryValue(baselineTotals, smartTotals);
+    return `Stacked battery value (Smart): arbitrage ₹${v.arbitrage.toFixed(2)} + grid services ₹${v.services.toFixed(2)} = ₹${v.total.toFixed(2)}`;
+}
+
+function formatCarbonDelta(baselineTotals, smartTotals) {
+    return ['average', 'marginal'].map(basis => {
+        const c = compareGridEmissions(baselineTotals, smartTotals, basis);
+        return `CO2 Δ (Baseline - Smart), ${basis}: ${c.deltaKg.toFixed(2)} kg (import volume ${c.volumeKg.toFixed(2)}, ` +
+            `import timing ${c.timingKg.toFixed(2)}, diesel ${c.dieselKg.toFixed(2)})`;
+    }).join('\n');
+}
+
+function formatOptimalityGap(baselineCost, smartCost, optimalCost) {
+    const gap = computeOptimalityGap(baselineCost, smartCost, optimalCost);
+    return `Optimality gap (Smart - Optimal): ₹${gap.gapCost.toFixed(2)}` +
+        (gap.capturedShare === null ? '' : ` | smart captures ${(gap.capturedShare * 100).toFixed(1)}% of achievable savings`) +
+        (gap.bounded ? '' : ' | smart beats the DP benchmark (not a bound here)');
+}
+
+function formatMpcShare(baselineCost, mpcCost, optimalCost) {
+    const gap = computeOptimalityGap(baselineCost, mpcCost, optimalCost);
+    return `MPC (forecast) vs perfect foresight: ₹${gap.gapCost.toFixed(2)} more` +
+        (gap.capturedShare === null ? '' : ` | keeps ${(gap.capturedShare * 100).toFixed(1)}% of perfect-foresight savings`) +
+        (gap.bounded ? '' : ' | MPC beats the DP benchmark (not a bound here)');
+}
+
+function formatDiesel(t) {
+    const dump = t.dieselDumpKwh > 0 ? ` + ${t.dieselDumpKwh.toFixed(2)} kWh dumped` : '';
+    return `diesel ${t.dieselKwh.toFixed(2)} kWh${dump} (${t.dieselStarts} starts, ${t.dieselRunHours.toFixed(2)} h, ${t.dieselFuelL.toFixed(2)} L, ₹${t.dieselCost.toFixed(2)})`;
+}
+
+function formatReliability(t) {
+    return `Reliability: outage ${t.outageHours.toFixed(2)} h, survived ${t.outageSurvivedHours.toFixed(2)} h | ` +
+        `unserved ${t.unservedKwh.toFixed(2)} kWh (critical ${t.unservedCriticalKwh.toFixed(2)} kWh)`;
+}
+
+// Violations listed per run before the rest are only counted
+const MAX_AUDIT_LINES = 10;
+
+function formatAudit(summary, dateOf = () => '') {
+    const losses = summary.losses.charge + summary.losses.discharge;
+    const lines = [`Audit: ${summary.cleanIntervals}/${summary.intervals} intervals clean | ` +
+        `max residual ${summary.maxResidualKwh.toExponential(1)} kWh | battery losses ${losses.toFixed(2)} kWh | ` +
+        `${summary.violations.length} violation(s)`];
+    summary.violations.slice(0, MAX_AUDIT_LINES).forEach(v => {
+        lines.push(`  ! ${dateOf(v)}${formatClock(v.hour)} ${v.check}: ${v.detail}`);
+    });
+    if (summary.violations.length > MAX_AUDIT_LINES) lines.push(`  … ${summary.violations.length - MAX_AUDIT_LINES} more`);
+    return lines.join('\n');
+}
+
+function formatSpread({ distribution, daySpread, stepSpread }) {
+    if (distribution === 'none') return 'fixed';
+    return `${distribution} ±${(daySpread * 100).toFixed(0)}% day` + (stepSpread > 0 ? ` / ±${(stepSpread * 100).toFixed(0)}% step` : '');
+}
+
+function printMonteCarlo(mc) {
+    const { solar, load, tariff, outages } = mc.options;
+    console.log(`\n=== MONTE CARLO (${mc.runs} runs, seed ${mc.seed}) ===`);
+    console.log(`Inputs: solar ${formatSpread(solar)} | load ${formatSpread(load)} | tariff ${formatSpread(tariff)} | ` +
+        `outages ${outages.perDay}/day, mean ${outages.meanHours} h`);
+    console.log(['', 'P10', 'P50', 'P90', 'Mean'].map((h, i) => i === 0 ? h.padEnd(22) : pad(h, 10)).join(''));
+    const row = (label, s) => console.log([label.padEnd(22), ...[s.p10, s.p50, s.p90, s.mean].map(v => pad(v.toFixed(2), 10))].join(''));
+    Object.entries(mc.policies).forEach(([name, m]) => row(`${name} cost ₹`, m.cost));
+    if (mc.savings) row('savings ₹', mc.savings);
+    Object.entries(mc.policies).forEach(([name, m]) => row(`${name} diesel kWh`, m.dieselKwh));
+    Object.entries(mc.policies).forEach(([name, m]) => { if (m.unservedKwh.max > 0) row(`${name} unserved kWh`, m.unservedKwh); });
+    if (mc.savings) console.log(`Smart saves money in ${(mc.savingsPositiveShare * 100).toFixed(1)}% of runs`);
+}
+
+function formatSizing(c) {
+    return `solar ${c.solarKw} kW | battery ${c.batteryKwh} kWh | inverter ${c.inverterKw.toFixed(1)} kW | genset ${c.dieselKw} kW`;
+}
+
+function printSizingStudy(study, dates) {
+    const { options, heatMap, best } = study;
+    console.log(`\n=== SIZING STUDY (${study.candidates.length} candidates, ${options.policy} policy, ${dates.length} representative days × ${study.annualScale.toFixed(1)}) ===`);
+    console.log(`Days: ${dates.join(', ')}`);
+    console.log(`CAPEX: solar ₹${options.capex.solar.perUnit}/kW, battery ₹${options.capex.battery.perUnit}/kWh, ` +
+        `inverter ₹${options.capex.inverter.perUnit}/kW, genset ₹${options.capex.diesel.perUnit}/kW | ` +
+        `discount ${(options.discountRate * 100).toFixed(1)}% | O&M ${(options.omShare * 100).toFixed(1)}%/yr | unserved ₹${options.valueOfLostLoad}/kWh`);
+    console.log('Annualized cost (₹k/yr), battery kWh down, solar kW across' + (options.inverterKw || options.dieselKw ? ' (cheapest inverter / genset per cell)' : '') + ':');
+    console.log(['Batt\\PV', ...heatMap.solarKw].map((h, i) => i === 0 ? String(h).padEnd(9) : pad(h, 9)).join(''));
+    heatMap.cells.forEach((row, i) => {
+        console.log([String(heatMap.batteryKwh[i]).padEnd(9), ...row.map(c => pad(`${c === best ? '*' : ''}${(c.annualizedCost / 1000).toFixed(1)}`, 9))].join(''));
+    });
+    console.log(`Cheapest: ${formatSizing(best)} | ₹${best.annualizedCost.toFixed(0)}/yr ` +
+        `(capital ₹${best.annualCapex.toFixed(0)}, O&M ₹${best.annualOm.toFixed(0)}, energy ₹${best.annualEnergyCost.toFixed(0)}, unserved ₹${best.unservedCost.toFixed(0)}) | CAPEX ₹${best.capex.toFixed(0)}`);
+    console.log('Pareto front (annualized cost vs CO2):');
+    console.log(['PV kW', 'Batt kWh', 'Inv kW', 'Gen kW', 'CAPEX₹', 'Cost₹/yr', 'Grid kWh', 'CO2 kg', 'Unmet kWh'].map(h => pad(h, 11)).join(''));
+    study.pareto.forEach(c => {
+        console.log([c.solarKw, c.batteryKwh, c.inverterKw.toFixed(1), c.dieselKw, c.capex.toFixed(0), c.annualizedCost.toFixed(0),
+            c.annualGridKwh.toFixed(0), c.annualCo2Kg.toFixed(0), c.annualUnservedKwh.toFixed(1)].map(v => pad(v, 11)).join(''));
+    });
+}
+
+function formatYears(years) {
+    return years === null ? 'never' : `${years.toFixed(1)} y`;
+}
+
+function printFinancials(fin, dates) {
+    const { options, annual, sizes } = fin;
+    console.log(`\n=== LIFETIME FINANCIALS (${options.policy} policy, ${dates.length} representative days, ${options.lifetimeYears} years) ===`);
+    console.log(`System: solar ${sizes.solar} kW | battery ${sizes.battery} kWh | inverter ${sizes.inverter.toFixed(1)} kW | ` +
+        `discount ${(options.discountRate * 100).toFixed(1)}% | tariff escalation ${(options.tariffEscalation * 100).toFixed(1)}%/yr`);
+    console.log(`Year-1 bills: no PV/battery (grid + genset) ₹${annual.reference.bill.toFixed(0)} (diesel ₹${annual.reference.dieselCost.toFixed(0)}) | PV only ₹${annual.solarOnly.bill.toFixed(0)} | system ₹${annual.system.bill.toFixed(0)} | ` +
+        `PV savings ₹${fin.pvSavings.toFixed(0)} | storage savings ₹${fin.storageSavings.toFixed(0)} | ${fin.cyclesPerYear.toFixed(0)} battery cycles/yr`);
+    console.log(`CAPEX ₹${fin.capex.toFixed(0)} - subsidy ₹${fin.subsidy.toFixed(0)} = ₹${fin.netCapex.toFixed(0)}`);
+    console.log(`NPV ₹${fin.npv.toFixed(0)} | IRR ${fin.irr === null ? 'n/a' : (fin.irr * 100).toFixed(1) + '%'} | ` +
+        `payback ${formatYears(fin.simplePaybackYears)} (discounted ${formatYears(fin.discountedPaybackYears)}) | ` +
+        `LCOE ${fin.lcoe === null ? 'n/a' : '₹' + fin.lcoe.toFixed(2) + '/kWh'} | LCOS ${fin.lcos === null ? 'n/a' : '₹' + fin.lcos.toFixed(2) + '/kWh'}` +
+        (fin.batteryReplacementYears.length ? ` | battery replaced in year ${fin.batteryReplacementYears.join(', ')}` : ''));
+    console.log(['Year', 'Savings₹', 'O&M₹', 'Replace₹', 'Salvage₹', 'Net₹', 'Cumul₹', 'DiscCumul₹', 'BattSOH%'].map(h => pad(h, 11)).join(''));
+    fin.years.forEach(y => {
+        console.log([y.year, y.savings.toFixed(0), y.om.toFixed(0), y.replacements.toFixed(0), y.salvage.toFixed(0), y.net.toFixed(0),
+            y.cumulative.toFixed(0), y.cumulativeDiscounted.toFixed(0), y.batterySohPct.toFixed(1)].map(v => pad(v, 11)).join(''));
+    });
+}
+
+function stripAppliances(hourly) {
+    // Appliance objects are display-only; keep their names for output.
+    return hourly.map(({ activeAppliances, ...h }) => ({ ...h, appliances: (activeAppliances || []).map(a => a.name) }));
+}
+
+function printContinuousRun(name, run, dates) {
+    console.log(`\n=== ${name.toUpperCase()} (continuous) ===`);
+    console.log(['Date', 'StartSOC', 'EndSOC', 'Cost₹', 'GridkWh', 'WindkWh', 'ExpkWh', 'CurtkWh', 'DslkWh', 'Starts', 'FuelL', 'OutH', 'UnmetkWh', 'CO2kg'].map((h, i) => i === 0 ? h.padEnd(12) : pad(h, 10)).join(''));
+    run.days.forEach((day, i) => {
+        console.log([
+            dates[i].padEnd(12),
+            pad(day.initialSocPct.toFixed(1), 10),
+            pad(day.finalSocPct.toFixed(1), 10),
+            pad(day.totals.cost.toFixed(2), 10),
+            pad(day.totals.gridKwh.toFixed(2), 10),
+            pad(day.totals.windGenKwh.toFixed(2), 10),
+            pad(day.totals.exportKwh.toFixed(2), 10),
+            pad(day.totals.curtailedKwh.toFixed(2), 10),
+            pad(day.totals.dieselKwh.toFixed(2), 10),
+            pad(day.totals.dieselStarts, 10),
+            pad(day.totals.dieselFuelL.toFixed(2), 10),
+            pad(day.totals.outageHours.toFixed(2), 10),
+            pad(day.totals.unservedKwh.toFixed(2), 10),
+            pad(day.totals.co2Kg.toFixed(2), 10)
+        ].join(''));
+    });
+    const t = run.totals;
+    console.log(`Totals: cost ₹${t.cost.toFixed(2)} | grid ${t.gridKwh.toFixed(2)} kWh | export ${t.exportKwh.toFixed(2)} kWh | ` +
+        `curtailed ${t.curtailedKwh.toFixed(2)} kWh (${(t.curtailmentRatio * 100).toFixed(1)}%) | ${formatDiesel(t)} | CO2 ${t.co2Kg.toFixed(2)} kg`);
+    if (t.windGenKwh > 0) console.log(formatWind(t));
+    if (t.pvTempLossKwh !== 0 || t.pvClippedKwh > 0) console.log(formatPvLosses(t));
+    if (t.slabAdjustment) console.log(formatSlabs(t));
+    if (t.demandCharge > 0) run.months.forEach(m => console.log(formatMonthlyDemand(m)));
+    if (t.co2MarginalKg !== t.co2Kg) console.log(formatCarbon(t));
+    if (t.outageHours > 0) console.log(formatReliability(t));
+    if (t.serviceReserveKwh > 0) console.log(formatGridServices(t));
+    if (t.drEvents > 0) console.log(formatDemandResponse(t));
+    const audit = summarizeAudit(run.days.flatMap(day => day.audit));
+    // Tag each violation with its date; step numbers restart every day
+    audit.violations = run.days.flatMap((day, i) => summarizeAudit(day.audit).violations.map(v => ({ ...v, date: dates[i] })));
+    console.log(formatAudit(audit, v => `${v.date} `));
+}
+
+const DATASET_COLUMNS = ['Cost₹', 'LoadkWh', 'Solar%', 'Wind%', 'Batt%', 'Grid%', 'Diesel%', 'FuelL', 'ExpkWh', 'UnmetkWh', 'CO2kg', 'Cycles'];
+
+function formatDatasetRow(label, p) {
+    const share = kwh => (p.loadKwh > 0 ? kwh / p.loadKwh * 100 : 0).toFixed(1);
+    return [label.padEnd(14), ...[p.cost.toFixed(0), p.loadKwh.toFixed(0), share(p.mix.solar), share(p.mix.wind), share(p.mix.battery),
+        share(p.mix.grid), share(p.mix.diesel), p.dieselFuelL.toFixed(1), p.exportKwh.toFixed(0), p.unservedKwh.toFixed(1),
+        p.co2Kg.toFixed(0), p.batteryCycles.toFixed(1)].map(v => pad(v, 9))].join('');
+}
+
+function printDatasetRun(dataset) {
+    const { dates, policies } = dataset;
+    const seasonLabel = name => DATASET_SEASONS.find(s => s.name === name)?.label || name;
+    const header = ['Period'.padEnd(14), ...DATASET_COLUMNS.map(h => pad(h, 9))].join('');
+    Object.entries(policies).forEach(([name, run]) => {
+        console.log(`\n=== ${name.toUpperCase()} (all ${dates.length} dates) ===`);
+        console.log(header);
+        run.months.forEach(m => console.log(formatDatasetRow(`${m.period} (${m.days}d)`, m)));
+        run.seasons.forEach(s => console.log(formatDatasetRow(`${seasonLabel(s.period)} (${s.days}d)`, s)));
+        console.log(formatDatasetRow('Total', run.totals));
+    });
+    if (policies.baseline) {
+        console.log(`\nSavings vs baseline over ${dates[0]} .. ${dates[dates.length - 1]}:`);
+        Object.entries(policies).forEach(([name, run]) => {
+            if (name === 'baseline') return;
+            const delta = policies.baseline.totals.cost - run.totals.cost;
+            console.log(`  ${name}: ₹${delta.toFixed(2)} (${(delta / policies.baseline.totals.cost * 100).toFixed(1)}%) | ` +
+                `CO2 ${(policies.baseline.totals.co2Kg - run.totals.co2Kg).toFixed(1)} kg`);
+        });
+    }
+}
+
+function formatForecastErrors(e) {
+    return `MAE ${e.mae.toFixed(2)} kW, RMSE ${e.rmse.toFixed(2)} kW, MAPE ${e.mape === null ? 'n/a' : e.mape.toFixed(1) + '%'}`;
+}
+
+function printForecastErrors(errors, dates, config) {
+    const label = config.forecastModel === 'dataset' ? 'dataset' : `${config.forecastModel}, ${config.forecastTrainingDays} training days`;
+    if (dates.length > 7) {
+        const mean = (part, key) => {
+            const values = errors.map(e => e[part][key]).filter(v => v !== null);
+            return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+        };
+        const avg = part => ({ mae: mean(part, 'mae'), rmse: mean(part, 'rmse'), mape: mean(part, 'mape') });
+        console.log(`Forecast (${label}) mean over ${dates.length} dates: load ${formatForecastErrors(avg('load'))} | solar ${formatForecastErrors(avg('solar'))}`);
+        return;
+    }
+    errors.forEach((e, i) => console.log(`Forecast ${dates[i]} (${label}): load ${formatForecastErrors(e.load)} | solar ${formatForecastErrors(e.solar)}`));
+}
+
+const ACCURACY_COLUMNS = ['N', 'Actual', 'Pred', 'MAE', 'RMSE', 'Bias', 'MAPE%', 'Skill'];
+
+function formatAccuracyRow(label, s) {
+    const value = (v, digits = 2) => (v === null ? '-' : v.toFixed(digits));
+    return [label.padEnd(18), ...[s.n, value(s.actualMean), value(s.predictedMean), value(s.mae), value(s.rmse), value(s.bias),
+        value(s.mape, 1), value(s.skill, 3)].map(v => pad(v, 8))].join('');
+}
+
+function printForecastAccuracy(accuracy) {
+    console.log(`Dataset forecast accuracy: ${accuracy.samples} records over ${accuracy.dates} dates | error = predicted - actual (dataset units) | skill vs 24 h persistence`);
+    const header = ['Period'.padEnd(18), ...ACCURACY_COLUMNS.map(h => pad(h, 8))].join('');
+    Object.values(accuracy.series).forEach(series => {
+        const { p10, p50, p90 } = series.distribution;
+        console.log(`\n=== ${series.label.toUpperCase()} ===`);
+        console.log(header);
+        console.log(formatAccuracyRow('Overall', series.overall));
+        series.byHour.forEach(h => console.log(formatAccuracyRow(formatClock(h.period), h)));
+        series.byMonth.forEach(m => console.log(formatAccuracyRow(m.period, m)));
+        Object.entries(FORECAST_WEATHER_BANDS).forEach(([field, band]) => {
+            series.byWeather[field].forEach(b => console.log(formatAccuracyRow(`${band.label} ${b.period}`, b)));
+        });
+        console.log(`Error P10 / P50 / P90: ${p10.toFixed(2)} / ${p50.toFixed(2)} / ${p90.toFixed(2)}`);
+    });
+}
+
+function printCommunity(run, dates) {
+    const { options, community: c } = run;
+    const battery = options.communityBattery;
+    console.log(`\n=== COMMUNITY MICROGRID (${run.households.length} households, ${dates[0]}${dates.length > 1 ? ` + ${dates.length - 1} day(s)` : ''}) ===`);
+    console.log(`Market ${options.market} (${COMMUNITY_MARKETS.join(' | ')}) | feeder ${options.feederLimitKw === null ? 'unlimited' : options.feederLimitKw + ' kW'} | ` +
+        `community battery ${battery.capacityKwh} kWh @ ${battery.cRate}C | household policy ${options.policy}`);
+    console.log(['Household'.padEnd(12), ...['PV kW', 'Batt kWh', 'Load×', 'Profile', 'LoadkWh', 'ImpkWh', 'ExpkWh', 'LocalBuy', 'LocalSell', 'Unmet', 'Alone₹', 'Bill₹', 'Saved₹', 'SelfSuf%'].map(h => pad(h, 10))].join(''));
+    run.households.forEach(h => {
+        console.log([h.name.slice(0, 11).padEnd(12), ...[h.solarCap, h.batteryCapacityKwh, h.loadScale, h.loadProfile, h.loadKwh.toFixed(1), h.importKwh.toFixed(1),
+            h.exportKwh.toFixed(1), h.localBoughtKwh.toFixed(1), h.localSoldKwh.toFixed(1), h.unservedKwh.toFixed(1), h.referenceBill.toFixed(0), h.bill.toFixed(0),
+            h.savings.toFixed(0), (h.selfSufficiency * 100).toFixed(1)].map(v => pad(v, 10))].join(''));
+    });
+    console.log(`Community: load ${c.loadKwh.toFixed(1)} kWh | PV ${c.solarKwh.toFixed(1)} kWh | local trade ${c.localTradeKwh.toFixed(1)} kWh | ` +
+        `battery in/out ${c.batteryChargeKwh.toFixed(1)}/${c.batteryDischargeKwh.toFixed(1)} kWh (final SOC ${c.batteryFinalSocPct.toFixed(0)}%) | ` +
+        `utility import ${c.utilityImportKwh.toFixed(1)} kWh (peak ${c.peakFeederKw.toFixed(1)} kW), export ${c.utilityExportKwh.toFixed(1)} kWh | ` +
+        `shed ${c.shedKwh.toFixed(1)} kWh | curtailed ${c.curtailedKwh.toFixed(1)} kWh`);
+    console.log(`Bills: stand-alone ₹${c.referenceBill.toFixed(2)} | community ₹${c.bill.toFixed(2)} (utility ₹${c.utilityBill.toFixed(2)}, battery account ₹${c.batteryAccount.toFixed(2)}) | ` +
+        `saved ₹${c.savings.toFixed(2)} | grid CO2 ${c.co2Kg.toFixed(1)} kg (stand-alone ${c.referenceCo2Kg.toFixed(1)} kg) | self-sufficiency ${(c.selfSufficiency * 100).toFixed(1)}%`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) { printUsage(); return; }
+
+    const fileConfig = args.config ? JSON.parse(readFileSync(resolve(args.config), 'utf8')) : {};
+    const { date: cfgDate, day: cfgDay, days: cfgDays, policies: cfgPolicies, policyFiles: cfgPolicyFiles = [], monteCarlo: cfgMonteCarlo, sizing: cfgSizing, financials: cfgFinancials, allDates: cfgAllDates, community: cfgCommunity, ...overrides } = fileConfig;
+    for (const file of [...cfgPolicyFiles, ...args.policyFiles]) {
+        registerPolicyModule(await import(pathToFileURL(resolve(file)).href));
+    }
+    if (args.timestep) overrides.timestepMinutes = args.timestep;
+    if (args.forecast) overrides.forecastModel = args.forecast;
+    const carbonCsv = args.carbonCsv || overrides.gridEmissionsCsv;
+    delete overrides.gridEmissionsCsv;
+    if (carbonCsv) overrides.gridEmissions = parseGridEmissionsCsv(readFileSync(resolve(carbonCsv), 'utf8'), carbonCsv);
+    const config = buildSimConfig(overrides);
+
+    const csvPath = resolve(args.csv || resolve(REPO_ROOT, 'Renewable_energy_dataset.csv'));
+    const { records, stats } = parseDatasetCsv(readFileSync(csvPath, 'utf8'));
+    const byDate = groupRecordsByDate(records);
+    const byDateMinute = hasSubHourlyRecords(records) ? groupRecordsByDateMinute(records) : null;
+    const dates = Object.keys(byDate).sort();
+    if (dates.length === 0) throw new Error(`No dated records found in ${csvPath}`);
+    if (args.forecastAccuracy) {
+        const accuracy = analyzeDatasetForecasts(records);
+        if (args.json) console.log(JSON.stringify(accuracy, null, 2));
+        else printForecastAccuracy(accuracy);
+        return;
+    }
+
+    const measuredInputs = (d, dayConfig) => buildDayInputs({
+        records: byDate[d],
+        intervalRecords: byDateMinute ? byDateMinute[d] : null,
+        stats,
+        config: dayConfig,
+        dayKey: d
+    });
+    // Forecast models learn from the dataset dates before d (plus one: the regression's
+    // weather for its first training day)
+    const dayInputsFor = (d, dayConfig) => {
+        const inputs = measuredInputs(d, dayConfig);
+        if (dayConfig.forecastModel === 'dataset') return inputs;
+        const index = dates.indexOf(d);
+        const history = dates.slice(Math.max(0, index - dayConfig.forecastTrainingDays - 1), index).map(h => measuredInputs(h, dayConfig));
+        return applyForecastModel(inputs, history, dayConfig);
+    };
+
+    // Studies over representative dates replace the day run
+    const studyInputs = studyDates => studyConfig => studyDates.map(d => dayInputsFor(d, studyConfig));
+    if ((args.sizing || cfgSizing) && (args.financials || cfgFinancials)) throw new Error('Run the sizing study and the financial analysis separately');
+    if (args.sizing || cfgSizing) {
+        const sizing = buildSizingOptions(cfgSizing);
+        const sizingDates = selectRepresentativeDays(dates, sizing.days);
+        const study = runSizingStudy(config, studyInputs(sizingDates), sizing);
+        if (args.json) console.log(JSON.stringify({ dates: sizingDates, config, sizing: study }, null, 2));
+        else printSizingStudy(study, sizingDates);
+        return;
+    }
+    if (args.financials || cfgFinancials) {
+        const financials = buildFinancialOptions(cfgFinancials);
+        const financialDates = selectRepresentativeDays(dates, financials.days);
+        const fin = runFinancialAnalysis(config, studyInputs(financialDates), financials);
+        if (args.json) console.log(JSON.stringify({ dates: financialDates, config, financials: fin }, null, 2));
+        else printFinancials(fin, financialDates);
+        return;
+    }
+
+    // Same day mapping as the browser: day N cycles through the sorted dates.
+    let date = args.date || cfgDate;
+    if (!date) {
+        const day = args.day || cfgDay || 1;
+        date = dates[(day - 1) % dates.length];
+    }
+    if (!byDate[date]) throw new Error(`Date ${date} not found in dataset (${dates[0]} .. ${dates[dates.length - 1]})`);
+
+    const allDates = args.allDates || cfgAllDates;
+    const dayCount = allDates ? dates.length : Math.max(1, args.days || cfgDays || 1);
+    const monteCarlo = args.monteCarlo || cfgMonteCarlo ? { ...cfgMonteCarlo } : null;
+    if (monteCarlo && args.monteCarlo) monteCarlo.runs = args.monteCarlo;
+    if (monteCarlo && args.seed !== undefined) monteCarlo.seed = args.seed;
+    if (monteCarlo && dayCount > 1) throw new Error('Monte Carlo runs a single day; drop --days');
+    const startIndex = allDates ? 0 : dates.indexOf(date);
+    const runDates = Array.from({ length: dayCount }, (_, i) => dates[(startIndex + i) % dates.length]);
+    if (args.community || cfgCommunity) {
+        if (allDates || monteCarlo) throw new Error('The community run takes --date/--day and --days only');
+        const community = runCommunity(config, studyInputs(runDates), cfgCommunity);
+        if (args.json) console.log(JSON.stringify({ dates: runDates, config, community }, null, 2));
+        else printCommunity(community, runDates);
+        return;
+    }
+    const daysInputs = runDates.map(d => dayInputsFor(d, config));
+    const forecastErrors = daysInputs.map(evaluateDayForecast);
+
+    const policyNames = args.policies || cfgPolicies || listPolicies().map(p => p.name);
+    const policyFactories = {};
+    policyNames.forEach(name => { policyFactories[name] = getPolicyFactory(name); });
+
+    if (!args.json) console.log(`MicroGrid simulation for ${runDates[0]}${dayCount > 1 ? ` + ${dayCount - 1} day(s)` : ''} | Solar ${config.solarCap} kW | ` +
+        (config.windRatedKw > 0 ? `Wind ${config.windRatedKw} kW | ` : '') +
+        (config.pvModel === 'physics' ? `PV physics (${config.pvCellTempModel}, DC/AC ${config.dcAcRatio}) | ` : '') +
+        `Battery ${config.batteryCapacityKwh} kWh | Weather ${config.weather} | Grid ₹${config.baseGridPrice}/kWh (${config.tariff.label}) | Initial SOC ${config.initialSocPct}% | ` +
+        `Step ${config.timestepMinutes} min | Genset ${config.dieselRatedKw} kW${config.dieselChargeBattery ? ' (cycle charging)' : ''} | Export ${config.exportMode}` +
+        (config.exportMode === 'none' ? '' : ` (cap ${config.exportLimitKw} kW, FiT ₹${config.feedInTariff}/kWh)`) +
+        (config.outageMode === 'none' ? '' : ` | Outages ${config.outageMode}`) +
+        (config.demandChargePerKw > 0 || config.sanctionedLoadKw > 0 ? ` | Demand ₹${config.demandChargePerKw}/kW` +
+            (config.sanctionedLoadKw > 0 ? ` (sanctioned ${config.sanctionedLoadKw} kW, excess ₹${config.excessDemandPenaltyPerKw}/kW)` : '') +
+            (config.peakShaving ? ` | Peak shaving ${config.peakShavingKw ?? 'auto'}${config.peakShavingKw == null ? '' : ' kW'}` : '') : '') +
+        ` | Grid CO2 ${config.gridEmissions.label}` + (config.carbonPricePerKg > 0 ? ` (carbon price ₹${config.carbonPricePerKg}/kg)` : '') +
+        (config.smartUsesForecast ? ' | Smart plans from forecasts' : ''));
+    if (!args.json) printForecastErrors(forecastErrors, runDates, config);
+
+    if (allDates) {
+        const dataset = simulateDataset(daysInputs, runDates, config, policyFactories);
+        if (args.json) console.log(JSON.stringify({ config, dataset, forecastErrors }, null, 2));
+        else printDatasetRun(dataset);
+        return;
+    }
+
+    if (dayCount > 1) {
+        const runs = {};
+        policyNames.forEach(name => {
+            runs[name] = simulateDays(daysInputs, config, policyFactories[name]);
+        });
+
+        if (args.json) {
+            const results = {};
+            Object.entries(runs).forEach(([name, run]) => {
+                results[name] = {
+                    days: run.days.map((day, i) => ({ date: runDates[i], ...day, hourly: stripAppliances(day.hourly) })),
+                    totals: run.totals,
+                    months: run.months,
+                    finalSocPct: run.finalSocPct
+                };
+            });
+            console.log(JSON.stringify({ dates: runDates, config, results, forecastErrors }, null, 2));
+            return;
+        }
+
+        Object.entries(runs).forEach(([name, run]) => printContinuousRun(name, run, runDates));
+        if (runs.baseline && runs.smart) {
+            const delta = runs.baseline.totals.cost - runs.smart.totals.cost;
+            console.log(`\nΔ (Baseline - Smart) over ${dayCount} days: ₹${delta.toFixed(2)}`);
+            console.log(formatCarbonDelta(runs.baseline.totals, runs.smart.totals));
+            if (runs.smart.totals.drEvents > 0) console.log(formatComplianceDelta(runs.baseline.totals, runs.smart.totals));
+            if (config.gridServices) console.log(formatStackedValue(runs.baseline.totals, runs.smart.totals));
+            if (runs.optimal) console.log(formatOptimalityGap(runs.baseline.totals.cost, runs.smart.totals.cost, runs.optimal.totals.cost));
+            if (runs.optimal && runs.mpc) console.log(formatMpcShare(runs.baseline.totals.cost, runs.mpc.totals.cost, runs.optimal.totals.cost));
+        }
+        return;
+    }
+
+    const dayInputs = daysInputs[0];
+    const results = {};
+    policyNames.forEach(name => {
+        const { hourly, ...rest } = simulateDay(dayInputs, config, policyFactories[name](dayInputs, config));
+        results[name] = { ...rest, hourly: stripAppliances(hourly) };
+    });
+    const mc = monteCarlo ? runMonteCarlo(dayInputs, config, { baseline: getPolicyFactory('baseline'), smart: getPolicyFactory('smart') }, monteCarlo) : null;
+
+    if (args.json) {
+        console.log(JSON.stringify({ date, config, results, forecastErrors: forecastErrors[0], ...(mc ? { monteCarlo: mc } : {}) }, null, 2));
+        return;
+    }
+
+    Object.entries(results).forEach(([name, result]) => printPolicyRun(name, result));
+
+    if (results.baseline && results.smart) {
+        const delta = results.baseline.totals.cost - results.smart.totals.cost;
+        console.log(`\nΔ (Baseline - Smart): ₹${delta.toFixed(2)}`);
+        console.log(formatCarbonDelta(results.baseline.totals, results.smart.totals));
+        if (results.smart.totals.drEvents > 0) console.log(formatComplianceDelta(results.baseline.totals, results.smart.totals));
+        if (config.gridServices) console.log(formatStackedValue(results.baseline.totals, results.smart.totals));
+        if (results.optimal) console.log(formatOptimalityGap(results.baseline.totals.cost, results.smart.totals.cost, results.optimal.totals.cost));
+        if (results.optimal && results.mpc) console.log(formatMpcShare(results.baseline.totals.cost, results.mpc.totals.cost, results.optimal.totals.cost));
+    }
+    if (mc) printMonteCarlo(mc);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});